@@ -0,0 +1,549 @@
+import * as THREE from 'three';
+import { BehaviorStatus, buildBehaviorTree } from '../utils/BehaviorTree.js';
+
+const { SUCCESS, FAILURE, RUNNING } = BehaviorStatus;
+
+// Per-type AI profiles. Numbers tune the behaviours, `tree` decides which
+// behaviour runs: the first branch whose conditions pass wins each frame.
+export const ALIEN_AI_PROFILES = {
+    // Line fighters: chase and shoot, run when badly hurt, shout for backup
+    standard: {
+        detectionRadius: 300,
+        aggroRadius: 200,
+        agility: 2,             // How quickly velocity follows the steering
+        retreatHealth: 0.25,    // Fraction of max health to start retreating at (and to stop, if repaired)
+        helpRadius: 600,        // How far a call for help reaches
+        helpHealth: 0.6,        // Call for help once health drops below this
+        evadeDuration: 1.2,
+        evadeCooldown: 4,
+        strafeRunCooldown: 8,
+        flankDistance: 120,
+        flankAngle: Math.PI / 4,    // Flank while the target's nose is within this angle of us
+        countermeasureRange: 200,   // How close a missile gets before dropping decoys
+        tree: {
+            selector: [
+                { sequence: ['?missileIncoming', 'deployCountermeasures'] },
+                { sequence: ['?hasTarget', '?isRetreating', 'retreat'] },
+                { sequence: ['?hasTarget', '?shouldCallForHelp', 'callForHelp'] },
+                { sequence: ['?hasTarget', '?inSquadron', 'squadronAttack'] },
+                { sequence: ['?hasTarget', { selector: [
+                    { sequence: ['?inShootingRange', 'attack'] },
+                    'pursue'
+                ] }] },
+                { sequence: ['?isWingman', 'holdFormation'] },
+                { sequence: ['?helpRequested', 'respondToHelp'] },
+                'patrol'
+            ]
+        }
+    },
+
+    // Faster and smarter: dodge fire, make strafing runs and attack from the flank
+    elite: {
+        detectionRadius: 450,
+        aggroRadius: 350,
+        agility: 3,
+        retreatHealth: 0.3,
+        helpRadius: 800,
+        helpHealth: 0.5,
+        evadeDuration: 1.0,
+        evadeCooldown: 3,
+        strafeRunCooldown: 6,
+        flankDistance: 140,
+        flankAngle: Math.PI / 4,
+        countermeasureRange: 350,
+        tree: {
+            selector: [
+                { sequence: ['?missileIncoming', 'deployCountermeasures'] },
+                { sequence: ['?isBeingLocked', 'deployCountermeasures'] },
+                { sequence: ['?hasTarget', '?isRetreating', 'retreat'] },
+                { sequence: ['?hasTarget', '?shouldCallForHelp', 'callForHelp'] },
+                { sequence: ['?hasTarget', '?isUnderFire', 'evade'] },
+                { sequence: ['?hasTarget', '?inSquadron', 'squadronAttack'] },
+                { sequence: ['?hasTarget', '?canStrafeRun', 'strafeRun'] },
+                { sequence: ['?hasTarget', '?isTargetFacingUs', 'flank'] },
+                { sequence: ['?hasTarget', { selector: [
+                    { sequence: ['?inShootingRange', 'attack'] },
+                    'pursue'
+                ] }] },
+                { sequence: ['?isWingman', 'holdFormation'] },
+                { sequence: ['?helpRequested', 'respondToHelp'] },
+                'patrol'
+            ]
+        }
+    },
+
+    // Never retreats; summons escorts early and alternates strafing runs with broadsides
+    boss: {
+        detectionRadius: 600,
+        aggroRadius: 500,
+        agility: 1,
+        retreatHealth: 0,
+        helpRadius: 1200,
+        helpHealth: 0.9,
+        evadeDuration: 0,
+        evadeCooldown: Infinity,
+        strafeRunCooldown: 10,
+        flankDistance: 200,
+        flankAngle: Math.PI / 4,
+        countermeasureRange: 250,
+        tree: {
+            selector: [
+                { sequence: ['?missileIncoming', 'deployCountermeasures'] },
+                { sequence: ['?hasTarget', '?shouldCallForHelp', 'callForHelp'] },
+                { sequence: ['?hasTarget', '?canStrafeRun', 'strafeRun'] },
+                { sequence: ['?hasTarget', { selector: [
+                    { sequence: ['?inShootingRange', 'attack'] },
+                    'pursue'
+                ] }] },
+                { sequence: ['?isWingman', 'holdFormation'] },
+                'patrol'
+            ]
+        }
+    }
+};
+
+// Sector spawn types mapped onto the profiles above
+const PROFILE_ALIASES = {
+    scout: 'standard',
+    fighter: 'standard',
+    cruiser: 'elite'
+};
+
+export class AlienAI {
+    constructor(ship, profile = null) {
+        this.ship = ship;
+        const type = PROFILE_ALIASES[ship.config.type] || ship.config.type;
+        this.profile = profile || ALIEN_AI_PROFILES[type] || ALIEN_AI_PROFILES.standard;
+
+        // Detection ranges come from the profile
+        ship.detectionRadius = this.profile.detectionRadius;
+        ship.aggroRadius = this.profile.aggroRadius;
+
+        // Blackboard: what the tree knows this frame
+        this.target = null;
+        this.allies = [];
+        this.distanceToTarget = Infinity;
+        this.time = 0;
+        this.lastDamageTime = -Infinity;
+        this.alertedUntil = 0;          // Shot from outside detection range: hunt the attacker
+        this.helpRequest = null;        // { position, expires }
+        this.hasCalledForHelp = false;
+        this.evadeUntil = 0;
+        this.nextEvadeTime = 0;
+        this.evadeDirection = new THREE.Vector3();
+        this.strafeRunTarget = null;
+        this.nextStrafeRunTime = this.profile.strafeRunCooldown * Math.random();
+        this.flankSide = Math.random() > 0.5 ? 1 : -1;
+        this.patrolTarget = null;
+        this.retreating = false;
+        this.retreatEndTime = -Infinity;
+
+        // Name of the behaviour that ran last, for debugging and the HUD
+        this.activeBehavior = 'patrol';
+
+        this.tree = buildBehaviorTree(this.profile.tree, this.createConditions(), this.createActions());
+    }
+
+    /**
+     * Run the behaviour tree for one frame
+     * @param {number} delta - Time elapsed since last frame
+     * @param {Object} target - The player's ship, if any
+     * @param {Array} allies - Other alien ships
+     */
+    update(delta, target, allies = []) {
+        this.time += delta;
+        this.delta = delta;
+        this.target = target || null;
+        this.allies = allies;
+        this.distanceToTarget = this.target ?
+            this.ship.position.distanceTo(this.target.position) : Infinity;
+
+        // Tell the rest of the squadron what we can see
+        if (this.ship.squadron && this.isTargetInRange()) {
+            this.ship.squadron.reportTarget(this.target);
+        }
+
+        // Forget an old engagement once the target is gone
+        if (!this.hasTarget()) {
+            this.hasCalledForHelp = false;
+            this.strafeRunTarget = null;
+        }
+
+        this.updateRetreat();
+
+        this.tree.tick(this);
+
+        // Never go faster than the ship can fly
+        if (this.ship.velocity.length() > this.ship.speed) {
+            this.ship.velocity.setLength(this.ship.speed);
+        }
+    }
+
+    /**
+     * Called by the ship when it takes damage
+     */
+    onDamaged() {
+        this.lastDamageTime = this.time;
+
+        // Whoever shot us is worth chasing even from outside detection range
+        this.alertedUntil = this.time + 10;
+    }
+
+    /**
+     * Ask this ship to come and help an ally
+     * @param {THREE.Vector3} position - Where help is needed
+     */
+    receiveHelpCall(position) {
+        this.helpRequest = {
+            position: position.clone(),
+            expires: this.time + 20
+        };
+    }
+
+    isTargetInRange() {
+        if (!this.target) return false;
+
+        const range = this.time < this.alertedUntil ?
+            this.ship.detectionRadius * 3 : this.ship.detectionRadius;
+
+        return this.distanceToTarget < range;
+    }
+
+    // In range ourselves, or spotted by a squadron mate
+    hasTarget() {
+        if (this.isTargetInRange()) return true;
+
+        const squadron = this.ship.squadron;
+        return !!(this.target && squadron && squadron.getTarget() === this.target);
+    }
+
+    getHealthFraction() {
+        return this.ship.maxHealth > 0 ? this.ship.health / this.ship.maxHealth : 1;
+    }
+
+    hasFullShields() {
+        return this.ship.maxShield > 0 && this.ship.shield >= this.ship.maxShield;
+    }
+
+    // Run when badly hurt, until repaired, shields are back up or the target has been left
+    // behind. Having got away the ship comes back to fight, and only runs again if hit again
+    updateRetreat() {
+        if (this.retreating) {
+            const recovered = this.getHealthFraction() >= this.profile.retreatHealth || this.hasFullShields();
+            const escaped = this.distanceToTarget > this.ship.detectionRadius;
+
+            if (recovered || escaped) {
+                this.retreating = false;
+                this.retreatEndTime = this.time;
+            }
+        } else if (this.getHealthFraction() < this.profile.retreatHealth && !this.hasFullShields() &&
+            this.lastDamageTime >= this.retreatEndTime) {
+            this.retreating = true;
+        }
+    }
+
+    createConditions() {
+        return {
+            hasTarget: () => this.hasTarget(),
+
+            inSquadron: () => !!this.ship.squadron,
+
+            isWingman: () => !!this.ship.squadron && !this.ship.squadron.isLeader(this.ship),
+
+            isRetreating: () => this.retreating,
+
+            shouldCallForHelp: () => !this.hasCalledForHelp &&
+                this.getHealthFraction() < this.profile.helpHealth,
+
+            // Stays true for the whole dodge once started
+            isUnderFire: () => this.time < this.evadeUntil ||
+                (this.time - this.lastDamageTime < 0.5 && this.time >= this.nextEvadeTime),
+
+            canStrafeRun: () => this.strafeRunTarget !== null || this.time >= this.nextStrafeRunTime,
+
+            inShootingRange: () => this.distanceToTarget <= this.ship.shootingRange,
+
+            // The target has its nose on us, so come at it from the side instead
+            isTargetFacingUs: () => {
+                const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.target.quaternion);
+                const toUs = new THREE.Vector3().subVectors(this.ship.position, this.target.position).normalize();
+                return forward.dot(toUs) > Math.cos(this.profile.flankAngle);
+            },
+
+            helpRequested: () => this.helpRequest !== null && this.time < this.helpRequest.expires,
+
+            missileIncoming: () => !!this.ship.countermeasures &&
+                this.ship.countermeasures.hasIncomingMissile(this.profile.countermeasureRange),
+
+            isBeingLocked: () => !!this.ship.countermeasures && this.ship.countermeasures.isBeingLocked()
+        };
+    }
+
+    createActions() {
+        return {
+            patrol: () => {
+                const ship = this.ship;
+                const home = ship.homePosition || ship.position;
+
+                // Wander between random points around home
+                if (!this.patrolTarget || ship.position.distanceTo(this.patrolTarget) < 20) {
+                    const radius = ship.patrolRadius || 200;
+                    this.patrolTarget = new THREE.Vector3(
+                        home.x + (Math.random() - 0.5) * 2 * radius,
+                        home.y + (Math.random() - 0.5) * radius * 0.5,
+                        home.z + (Math.random() - 0.5) * 2 * radius
+                    );
+                }
+
+                this.moveTowards(this.patrolTarget, ship.speed * 0.5);
+                ship.isAggressive = false;
+                return RUNNING;
+            },
+
+            pursue: () => {
+                this.ship.isAggressive = true;
+                this.moveTowards(this.target.position, this.ship.speed);
+                return RUNNING;
+            },
+
+            // Hold at range, jinking a little, and fire
+            attack: () => {
+                this.ship.isAggressive = true;
+                this.holdAndJink();
+                this.ship.fireAtTarget(this.target.position);
+                return RUNNING;
+            },
+
+            // Fight as part of a squadron using its tactic
+            squadronAttack: () => {
+                const ship = this.ship;
+                const squadron = ship.squadron;
+                const isLeader = squadron.isLeader(ship);
+                const inRange = this.distanceToTarget <= ship.shootingRange;
+                ship.isAggressive = true;
+
+                const side = squadron.getPincerSide(ship);
+                if (squadron.tactic === 'pincer' && side !== 0 && !inRange) {
+                    // Wingmen close in from either side while the leader goes straight in
+                    this.moveTowards(this.getFlankPoint(squadron.leader || ship, side), ship.speed * 1.1);
+                } else if (inRange) {
+                    this.holdAndJink();
+                } else {
+                    this.moveTowards(this.target.position, ship.speed);
+                }
+
+                if (!inRange) return RUNNING;
+
+                // Focus fire: wingmen hold fire until the leader opens up, then everyone shoots together
+                if (isLeader) {
+                    if (ship.fireAtTarget(this.target.position)) {
+                        squadron.openFire();
+                    }
+                } else if (squadron.tactic !== 'focusFire' || squadron.isFiring() || !squadron.leader) {
+                    ship.fireAtTarget(this.target.position);
+                } else {
+                    ship.lookAt(this.target.position);
+                }
+
+                return RUNNING;
+            },
+
+            // Follow the leader in our formation slot
+            holdFormation: () => {
+                const ship = this.ship;
+                const squadron = ship.squadron;
+                const slot = squadron.getFormationPosition(ship);
+                if (!slot) return FAILURE;
+
+                ship.isAggressive = false;
+
+                // Match the leader's velocity and close the gap to the slot
+                const desired = squadron.leader.velocity.clone()
+                    .add(new THREE.Vector3().subVectors(slot, ship.position).multiplyScalar(0.5));
+                if (desired.length() > ship.speed * 1.2) {
+                    desired.setLength(ship.speed * 1.2);
+                }
+
+                this.steer(desired);
+                ship.quaternion.slerp(squadron.leader.quaternion, Math.min(1, 3 * this.delta));
+                return RUNNING;
+            },
+
+            // Swing round to the target's side before closing in
+            flank: () => {
+                const ship = this.ship;
+                ship.isAggressive = true;
+
+                const flankPoint = this.getFlankPoint(this.target, this.flankSide);
+
+                this.moveTowards(flankPoint, ship.speed);
+
+                // Fire whenever the target comes into range on the way
+                if (this.distanceToTarget <= ship.shootingRange) {
+                    ship.fireAtTarget(this.target.position);
+                }
+
+                // Switch sides now and then so the player can't just turn to face us
+                if (ship.position.distanceTo(flankPoint) < 30) {
+                    this.flankSide *= -1;
+                }
+
+                return RUNNING;
+            },
+
+            // Fly straight through and past the target, firing all the way
+            strafeRun: () => {
+                const ship = this.ship;
+                ship.isAggressive = true;
+
+                if (!this.strafeRunTarget) {
+                    const through = new THREE.Vector3().subVectors(this.target.position, ship.position).normalize();
+                    this.strafeRunTarget = this.target.position.clone()
+                        .addScaledVector(through, ship.shootingRange * 1.5);
+                }
+
+                this.moveTowards(this.strafeRunTarget, ship.speed * 1.2);
+
+                // Only fire while the target is still ahead
+                const toTarget = new THREE.Vector3().subVectors(this.target.position, ship.position);
+                if (toTarget.dot(ship.velocity) > 0 && this.distanceToTarget <= ship.shootingRange * 1.5) {
+                    ship.fireAtTarget(this.target.position);
+                }
+
+                if (ship.position.distanceTo(this.strafeRunTarget) < 30) {
+                    this.strafeRunTarget = null;
+                    this.nextStrafeRunTime = this.time + this.profile.strafeRunCooldown;
+                    return SUCCESS;
+                }
+
+                return RUNNING;
+            },
+
+            // Break sideways out of the line of fire
+            evade: () => {
+                const ship = this.ship;
+
+                if (this.time >= this.evadeUntil) {
+                    // Start a new dodge at right angles to the target
+                    const toTarget = new THREE.Vector3().subVectors(this.target.position, ship.position).normalize();
+                    this.evadeDirection.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+                        .projectOnPlane(toTarget)
+                        .normalize();
+                    this.evadeUntil = this.time + this.profile.evadeDuration;
+                    this.nextEvadeTime = this.evadeUntil + this.profile.evadeCooldown;
+                }
+
+                this.steer(this.evadeDirection.clone().multiplyScalar(ship.speed * 1.3));
+                ship.lookAt(this.target.position);
+                return RUNNING;
+            },
+
+            // Head home, away from the target
+            retreat: () => {
+                const ship = this.ship;
+                ship.isAggressive = false;
+
+                const away = new THREE.Vector3().subVectors(ship.position, this.target.position).normalize();
+                const home = ship.homePosition;
+
+                // Go home unless that means flying past the target
+                if (home && new THREE.Vector3().subVectors(home, ship.position).dot(away) > 0) {
+                    this.moveTowards(home, ship.speed);
+                } else {
+                    this.moveTowards(ship.position.clone().addScaledVector(away, 100), ship.speed);
+                }
+
+                return RUNNING;
+            },
+
+            // Ask nearby ships to join the fight
+            callForHelp: () => {
+                const ship = this.ship;
+                this.hasCalledForHelp = true;
+
+                let responders = 0;
+                this.allies.forEach(ally => {
+                    if (ally === ship || !ally.ai || !ally.parent) return;
+
+                    if (ally.position.distanceTo(ship.position) <= this.profile.helpRadius) {
+                        ally.ai.receiveHelpCall(this.target.position);
+                        responders++;
+                    }
+                });
+
+                if (responders > 0) {
+                    console.log(`${ship.config.type} alien ship called for help, ${responders} responding`);
+                }
+
+                return SUCCESS;
+            },
+
+            // Fly to whoever called; once the target is in sight the combat branches take over
+            respondToHelp: () => {
+                const ship = this.ship;
+
+                if (ship.position.distanceTo(this.helpRequest.position) < ship.detectionRadius * 0.5) {
+                    this.helpRequest = null;
+                    return SUCCESS;
+                }
+
+                this.moveTowards(this.helpRequest.position, ship.speed);
+                ship.isAggressive = true;
+                return RUNNING;
+            },
+
+            // Flares against missiles in flight, chaff against a seeker still locking on.
+            // Fails while the launcher is reloading so the ship gets on with something else.
+            deployCountermeasures: () => {
+                const countermeasures = this.ship.countermeasures;
+                const options = countermeasures.hasIncomingMissile() ? ['flare', 'chaff'] : ['chaff'];
+                const type = options.find(option => countermeasures.canDeploy(option));
+
+                return type && countermeasures.deploy(type) ? SUCCESS : FAILURE;
+            }
+        };
+    }
+
+    /**
+     * Point off to one side of the target
+     * @param {THREE.Object3D} reference - Sides are measured relative to this object's heading
+     * @param {number} side - 1 or -1
+     * @returns {THREE.Vector3} World position
+     */
+    getFlankPoint(reference, side) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(reference.quaternion);
+        const sideways = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0));
+        if (sideways.lengthSq() < 0.001) {
+            sideways.set(1, 0, 0);
+        }
+
+        return this.target.position.clone()
+            .addScaledVector(sideways.normalize(), side * this.profile.flankDistance);
+    }
+
+    // Slow to a hover with small random jinks to spoil the target's aim
+    holdAndJink() {
+        const jink = new THREE.Vector3(
+            Math.random() - 0.5,
+            Math.random() - 0.5,
+            Math.random() - 0.5
+        ).multiplyScalar(this.ship.speed * 0.5);
+
+        this.steer(jink);
+    }
+
+    // Steer towards a point at the given speed, facing the way we're going
+    moveTowards(point, speed) {
+        const direction = new THREE.Vector3().subVectors(point, this.ship.position);
+        if (direction.lengthSq() < 0.0001) return;
+
+        this.steer(direction.normalize().multiplyScalar(speed));
+        this.ship.lookAt(point);
+    }
+
+    // Ease the velocity towards a desired velocity
+    steer(desiredVelocity) {
+        const blend = Math.min(1, this.profile.agility * this.delta);
+        this.ship.velocity.lerp(desiredVelocity, blend);
+    }
+}
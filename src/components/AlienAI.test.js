@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { AlienAI } from './AlienAI.js';
+
+function makeShip(type, position) {
+    return {
+        config: { type },
+        position: position.clone(),
+        velocity: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        speed: 50,
+        shootingRange: 150,
+        health: 100,
+        maxHealth: 100,
+        countermeasures: null,
+        lookAt() {},
+        fireAtTarget() {
+            return false;
+        }
+    };
+}
+
+// The player, at the origin with its nose along +Z
+function makeTarget() {
+    return { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), velocity: new THREE.Vector3() };
+}
+
+describe('AlienAI', () => {
+    let ship;
+    let ai;
+    let target;
+
+    function tick(times = 1) {
+        for (let i = 0; i < times; i++) {
+            ai.update(0.1, target);
+        }
+        return ai.activeBehavior;
+    }
+
+    beforeEach(() => {
+        target = makeTarget();
+        ship = makeShip('elite', new THREE.Vector3(0, 0, 100));
+        ai = new AlienAI(ship);
+
+        // Keep the strafing runs and calls for help out of the way
+        ai.nextStrafeRunTime = Infinity;
+        ai.hasCalledForHelp = true;
+    });
+
+    describe('elite flanking', () => {
+        it('flanks while the target is facing it', () => {
+            expect(tick()).toBe('flank');
+        });
+
+        it('attacks from behind rather than flanking', () => {
+            ship.position.set(0, 0, -100);
+            expect(tick()).toBe('attack');
+
+            ship.position.set(0, 0, -300);
+            expect(tick()).toBe('pursue');
+        });
+    });
+
+    describe('retreat', () => {
+        beforeEach(() => {
+            ship.position.set(0, 0, -100);
+            ship.health = 20;
+            ai.onDamaged();
+        });
+
+        it('runs when badly damaged', () => {
+            expect(tick()).toBe('retreat');
+        });
+
+        it('comes back to fight once clear of the target, until hit again', () => {
+            tick();
+
+            // Out past even the alerted detection range
+            ship.position.set(0, 0, -ship.detectionRadius * 4);
+            tick();
+            expect(ai.retreating).toBe(false);
+
+            // Back in range it fights again, once it has dodged the last hit
+            ship.position.set(0, 0, -100);
+            expect(tick(20)).toBe('attack');
+
+            ai.onDamaged();
+            expect(tick()).toBe('retreat');
+        });
+
+        it('stops running once repaired or its shields are back up', () => {
+            tick();
+            ship.health = 80;
+            expect(tick(20)).toBe('attack');
+
+            ship.health = 20;
+            ai.onDamaged();
+            expect(tick()).toBe('retreat');
+
+            ship.maxShield = 50;
+            ship.shield = 50;
+            expect(tick(20)).toBe('attack');
+        });
+    });
+});
@@ -0,0 +1,494 @@
+import * as THREE from 'three';
+import { Weapon } from './Weapon.js';
+
+// Fight phases, entered as hull health drops below each threshold.
+// Escorts are spawned once on entering a phase.
+export const BOSS_PHASES = [
+    {
+        name: 'ASSAULT',
+        healthThreshold: 1.0,
+        specialAttacks: ['lanceBarrage'],
+        specialCooldown: 12,
+        escorts: null,
+        fireRateMultiplier: 1,
+        speedMultiplier: 1
+    },
+    {
+        name: 'REINFORCEMENTS',
+        healthThreshold: 0.66,
+        specialAttacks: ['lanceBarrage', 'missileSwarm'],
+        specialCooldown: 9,
+        escorts: { count: 2, type: 'standard' },
+        fireRateMultiplier: 0.8,
+        speedMultiplier: 1.1
+    },
+    {
+        name: 'BERSERK',
+        healthThreshold: 0.33,
+        specialAttacks: ['lanceBarrage', 'missileSwarm', 'plasmaNova'],
+        specialCooldown: 6,
+        escorts: { count: 2, type: 'elite' },
+        fireRateMultiplier: 0.5,
+        speedMultiplier: 1.3
+    }
+];
+
+// Special attacks are charged up visibly before they fire, giving the player time to react
+export const BOSS_SPECIAL_ATTACKS = {
+    // Quick burst of fast shots at where the player was when the charge finished
+    lanceBarrage: { name: 'LANCE BARRAGE', chargeTime: 1.5, color: 0xffaa00, range: 400 },
+    // Cone of missiles fired ahead
+    missileSwarm: { name: 'MISSILE SWARM', chargeTime: 2.0, color: 0xff5500, range: 350 },
+    // Ring of plasma in every direction
+    plasmaNova: { name: 'PLASMA NOVA', chargeTime: 3.0, color: 0xff00ff, range: 250 }
+};
+
+// Destructible parts, positioned on the boss model (which is built at 1.5x scale)
+const COMPONENT_LAYOUT = [
+    { id: 'turret-left', type: 'turret', name: 'Port Turret', position: [-10.5, 5, 7.5], health: 80 },
+    { id: 'turret-right', type: 'turret', name: 'Starboard Turret', position: [10.5, 5, 7.5], health: 80 },
+    { id: 'shield-left', type: 'shieldGenerator', name: 'Port Shield Generator', position: [-15, 4.5, -7.5], health: 100 },
+    { id: 'shield-right', type: 'shieldGenerator', name: 'Starboard Shield Generator', position: [15, 4.5, -7.5], health: 100 },
+    { id: 'engine-left', type: 'engine', name: 'Port Engine', position: [-7.5, 0, -16], health: 60 },
+    { id: 'engine-centre', type: 'engine', name: 'Centre Engine', position: [0, 0, -16], health: 60 },
+    { id: 'engine-right', type: 'engine', name: 'Starboard Engine', position: [7.5, 0, -16], health: 60 }
+];
+
+const COMPONENT_COLORS = {
+    turret: 0xffcc33,
+    shieldGenerator: 0x33ccff,
+    engine: 0xff8833
+};
+
+export class BossEncounter {
+    constructor(ship, options = {}) {
+        this.ship = ship;
+        this.scene = ship.config.scene;
+        this.name = options.name || 'Alien Dreadnought';
+
+        // Hull damage is cut to this fraction while any shield generator is running
+        this.shieldDamageFactor = 0.25;
+
+        // Range at which the fight starts and the health bar shows
+        this.engageRange = options.engageRange || 700;
+
+        this.baseSpeed = ship.speed;
+        this.baseShootingInterval = ship.shootingInterval;
+
+        this.phaseIndex = 0;
+        this.isEngaged = false;
+        this.isDefeated = false;
+        this.target = null;
+
+        // Special attack in progress: { id, attack, timer, aimPoint }
+        this.specialAttack = null;
+        this.specialTimer = BOSS_PHASES[0].specialCooldown * 0.5;
+
+        this.components = [];
+        this.createComponents();
+        this.createShieldBubble();
+        this.createChargeGlow();
+
+        // Weapons for turrets and special attacks
+        this.turretWeapon = new Weapon({
+            type: 'laser',
+            damage: 15,
+            cooldown: 0,
+            speed: 350,
+            color: COMPONENT_COLORS.turret,
+            size: 0.5,
+            scene: this.scene
+        });
+
+        this.specialWeapons = {
+            laser: new Weapon({ type: 'laser', damage: 25, cooldown: 0, speed: 450, color: 0xffaa00, size: 1.0, scene: this.scene }),
+            missile: new Weapon({ type: 'missile', damage: 30, cooldown: 0, speed: 200, color: 0xff5500, size: 1.0, scene: this.scene }),
+            plasma: new Weapon({ type: 'laser', damage: 20, cooldown: 0, speed: 250, color: 0xff00ff, size: 1.5, scene: this.scene })
+        };
+
+        // Used to aim weapons from points other than the ship's nose
+        this.muzzle = new THREE.Object3D();
+    }
+
+    createComponents() {
+        COMPONENT_LAYOUT.forEach(layout => {
+            const size = layout.type === 'shieldGenerator' ? 4 : 3;
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(size, size, size),
+                new THREE.MeshLambertMaterial({
+                    color: COMPONENT_COLORS[layout.type],
+                    emissive: COMPONENT_COLORS[layout.type],
+                    emissiveIntensity: 0.4
+                })
+            );
+            mesh.position.set(...layout.position);
+            this.ship.add(mesh);
+
+            this.components.push({
+                id: layout.id,
+                type: layout.type,
+                name: layout.name,
+                health: layout.health,
+                maxHealth: layout.health,
+                radius: size * 1.5,   // Hits this close to the part count against it
+                cooldown: Math.random() * 2,
+                isDestroyed: false,
+                mesh: mesh
+            });
+        });
+    }
+
+    createShieldBubble() {
+        this.shieldBubble = new THREE.Mesh(
+            new THREE.SphereGeometry(32, 16, 12),
+            new THREE.MeshBasicMaterial({
+                color: COMPONENT_COLORS.shieldGenerator,
+                transparent: true,
+                opacity: 0.12,
+                depthWrite: false,
+                blending: THREE.AdditiveBlending
+            })
+        );
+        this.ship.add(this.shieldBubble);
+        this.shieldFlash = 0;
+    }
+
+    createChargeGlow() {
+        this.chargeGlow = new THREE.Mesh(
+            new THREE.SphereGeometry(3, 12, 8),
+            new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.9,
+                blending: THREE.AdditiveBlending
+            })
+        );
+        this.chargeGlow.position.set(0, 0, 22);
+        this.chargeGlow.visible = false;
+        this.ship.add(this.chargeGlow);
+    }
+
+    getPhase() {
+        return BOSS_PHASES[this.phaseIndex];
+    }
+
+    getAliveComponents(type) {
+        return this.components.filter(component => !component.isDestroyed && (!type || component.type === type));
+    }
+
+    isShielded() {
+        return this.getAliveComponents('shieldGenerator').length > 0;
+    }
+
+    /**
+     * Work out how much of a hit reaches the hull. Hits close to a component
+     * damage that component instead; the shield only protects the hull.
+     * @param {number} amount - Incoming damage
+     * @param {THREE.Vector3} hitPoint - World position of the hit, if known
+     * @returns {number} Damage to apply to the hull
+     */
+    absorbDamage(amount, hitPoint = null) {
+        if (hitPoint) {
+            const component = this.findComponentAt(hitPoint);
+            if (component) {
+                this.damageComponent(component, amount);
+                return 0;
+            }
+        }
+
+        if (this.isShielded()) {
+            this.shieldFlash = 1;
+            return amount * this.shieldDamageFactor;
+        }
+
+        return amount;
+    }
+
+    findComponentAt(hitPoint) {
+        let closest = null;
+        let closestDistance = Infinity;
+        const worldPosition = new THREE.Vector3();
+
+        this.getAliveComponents().forEach(component => {
+            component.mesh.getWorldPosition(worldPosition);
+            const distance = worldPosition.distanceTo(hitPoint);
+            if (distance < component.radius && distance < closestDistance) {
+                closest = component;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    damageComponent(component, amount) {
+        component.health = Math.max(0, component.health - amount);
+
+        if (component.health > 0) {
+            component.mesh.material.emissiveIntensity = 1;
+            return;
+        }
+
+        component.isDestroyed = true;
+        component.mesh.material.color.setHex(0x222222);
+        component.mesh.material.emissiveIntensity = 0;
+        component.mesh.scale.setScalar(0.6);
+        console.log(`${this.name}: ${component.name} destroyed`);
+
+        if (component.type === 'shieldGenerator' && !this.isShielded()) {
+            this.shieldBubble.visible = false;
+        }
+
+        this.updateMovement();
+    }
+
+    // Speed follows the surviving engines and the current phase
+    updateMovement() {
+        const engines = this.components.filter(component => component.type === 'engine');
+        const working = engines.filter(component => !component.isDestroyed).length;
+
+        // Even with every engine gone the boss can still drift
+        const engineFactor = engines.length > 0 ? 0.3 + 0.7 * (working / engines.length) : 1;
+        this.ship.speed = this.baseSpeed * engineFactor * this.getPhase().speedMultiplier;
+
+        const interval = this.baseShootingInterval * this.getPhase().fireRateMultiplier;
+        this.ship.shootingInterval = interval;
+        if (this.ship.weapon) {
+            this.ship.weapon.config.cooldown = interval;
+        }
+    }
+
+    update(delta, target) {
+        if (this.isDefeated) return;
+
+        this.target = target || null;
+        const distance = this.target ? this.ship.position.distanceTo(this.target.position) : Infinity;
+
+        // The fight runs until the player gets well clear
+        if (!this.isEngaged && distance < this.engageRange) {
+            this.isEngaged = true;
+            console.log(`${this.name} engaged`);
+        } else if (this.isEngaged && distance > this.engageRange * 2) {
+            this.isEngaged = false;
+            this.cancelSpecialAttack();
+        }
+
+        this.updatePhase();
+
+        if (this.isEngaged) {
+            this.updateTurrets(delta);
+            this.updateSpecialAttack(delta);
+        }
+
+        this.updateEffects(delta);
+
+        this.turretWeapon.update(delta);
+        Object.values(this.specialWeapons).forEach(weapon => weapon.update(delta));
+    }
+
+    updatePhase() {
+        const healthFraction = this.ship.health / this.ship.maxHealth;
+
+        // Phases only ever advance
+        while (this.phaseIndex < BOSS_PHASES.length - 1 &&
+               healthFraction <= BOSS_PHASES[this.phaseIndex + 1].healthThreshold) {
+            this.phaseIndex++;
+            this.enterPhase(this.getPhase());
+        }
+    }
+
+    enterPhase(phase) {
+        console.log(`${this.name} entering phase ${this.phaseIndex + 1}: ${phase.name}`);
+
+        this.updateMovement();
+        this.specialTimer = Math.min(this.specialTimer, phase.specialCooldown * 0.5);
+
+        if (phase.escorts && typeof this.ship.onSpawnEscorts === 'function') {
+            try {
+                this.ship.onSpawnEscorts(phase.escorts.count, phase.escorts.type);
+            } catch (error) {
+                console.error('Error spawning boss escorts:', error);
+            }
+        }
+    }
+
+    updateTurrets(delta) {
+        if (!this.target) return;
+
+        const turretPosition = new THREE.Vector3();
+
+        this.getAliveComponents('turret').forEach(turret => {
+            turret.cooldown -= delta;
+            if (turret.cooldown > 0) return;
+
+            turret.mesh.getWorldPosition(turretPosition);
+            if (turretPosition.distanceTo(this.target.position) > this.ship.shootingRange * 1.5) return;
+
+            turret.cooldown = 1.5 * this.getPhase().fireRateMultiplier;
+            this.fireFrom(this.turretWeapon, turretPosition, this.target.position);
+        });
+    }
+
+    updateSpecialAttack(delta) {
+        if (!this.target) return;
+
+        if (!this.specialAttack) {
+            this.specialTimer -= delta;
+            if (this.specialTimer > 0) return;
+
+            const phase = this.getPhase();
+            const distance = this.ship.position.distanceTo(this.target.position);
+            const choices = phase.specialAttacks.filter(id => distance <= BOSS_SPECIAL_ATTACKS[id].range);
+
+            if (choices.length === 0) {
+                // Nothing reaches from here, try again shortly
+                this.specialTimer = 1;
+                return;
+            }
+
+            const id = choices[Math.floor(Math.random() * choices.length)];
+            this.startSpecialAttack(id);
+            return;
+        }
+
+        // Charging: the glow grows and the boss slows to a crawl
+        const special = this.specialAttack;
+        special.timer -= delta;
+        this.ship.velocity.multiplyScalar(Math.max(0, 1 - 3 * delta));
+
+        const progress = 1 - special.timer / special.attack.chargeTime;
+        this.chargeGlow.scale.setScalar(1 + progress * 3);
+        this.chargeGlow.material.opacity = 0.5 + 0.5 * Math.abs(Math.sin(progress * Math.PI * 6));
+
+        if (special.timer <= 0) {
+            this.executeSpecialAttack(special.id);
+            this.cancelSpecialAttack();
+            this.specialTimer = this.getPhase().specialCooldown;
+        }
+    }
+
+    startSpecialAttack(id) {
+        const attack = BOSS_SPECIAL_ATTACKS[id];
+
+        this.specialAttack = {
+            id: id,
+            attack: attack,
+            timer: attack.chargeTime
+        };
+
+        this.chargeGlow.material.color.setHex(attack.color);
+        this.chargeGlow.visible = true;
+        console.log(`${this.name} charging ${attack.name}`);
+    }
+
+    cancelSpecialAttack() {
+        this.specialAttack = null;
+        this.chargeGlow.visible = false;
+        this.chargeGlow.scale.setScalar(1);
+    }
+
+    executeSpecialAttack(id) {
+        const origin = new THREE.Vector3();
+        this.chargeGlow.getWorldPosition(origin);
+
+        switch (id) {
+            case 'lanceBarrage': {
+                // Aimed at where the player is now, with a little spread
+                for (let i = 0; i < 6; i++) {
+                    const aim = this.target.position.clone().add(new THREE.Vector3(
+                        (Math.random() - 0.5) * 20,
+                        (Math.random() - 0.5) * 20,
+                        (Math.random() - 0.5) * 20
+                    ));
+                    this.fireFrom(this.specialWeapons.laser, origin, aim);
+                }
+                break;
+            }
+
+            case 'missileSwarm': {
+                const forward = new THREE.Vector3().subVectors(this.target.position, origin).normalize();
+                const up = new THREE.Vector3(0, 1, 0);
+                for (let i = 0; i < 8; i++) {
+                    const angle = (i / 7 - 0.5) * Math.PI / 3;
+                    const direction = forward.clone().applyAxisAngle(up, angle);
+                    this.fireFrom(this.specialWeapons.missile, origin, origin.clone().add(direction));
+                }
+                break;
+            }
+
+            case 'plasmaNova': {
+                const count = 24;
+                for (let i = 0; i < count; i++) {
+                    const angle = (i / count) * Math.PI * 2;
+                    const direction = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+                    this.fireFrom(this.specialWeapons.plasma, this.ship.position, this.ship.position.clone().add(direction));
+                }
+                break;
+            }
+        }
+    }
+
+    // Fire a weapon from any point towards another
+    fireFrom(weapon, position, aimPoint) {
+        this.muzzle.position.copy(position);
+        this.muzzle.lookAt(aimPoint);
+        weapon.fire(this.muzzle);
+    }
+
+    updateEffects(delta) {
+        // Shield shimmers and flares when hit
+        if (this.shieldBubble.visible) {
+            this.shieldFlash = Math.max(0, this.shieldFlash - delta * 2);
+            this.shieldBubble.material.opacity = 0.08 + 0.04 * Math.sin(Date.now() * 0.003) + this.shieldFlash * 0.3;
+        }
+
+        // Damaged components cool back down after flaring
+        this.getAliveComponents().forEach(component => {
+            const material = component.mesh.material;
+            if (material.emissiveIntensity > 0.4) {
+                material.emissiveIntensity = Math.max(0.4, material.emissiveIntensity - delta * 2);
+            }
+        });
+    }
+
+    /**
+     * Snapshot of the fight for the HUD
+     * @returns {Object} { name, health, maxHealth, phase, phaseCount, phaseName, shielded, components, warning }
+     */
+    getStatus() {
+        const countComponents = type => ({
+            alive: this.getAliveComponents(type).length,
+            total: this.components.filter(component => component.type === type).length
+        });
+
+        return {
+            name: this.name,
+            health: this.ship.health,
+            maxHealth: this.ship.maxHealth,
+            phase: this.phaseIndex + 1,
+            phaseCount: BOSS_PHASES.length,
+            phaseName: this.getPhase().name,
+            phaseThresholds: BOSS_PHASES.slice(1).map(phase => phase.healthThreshold),
+            shielded: this.isShielded(),
+            components: {
+                turret: countComponents('turret'),
+                shieldGenerator: countComponents('shieldGenerator'),
+                engine: countComponents('engine')
+            },
+            warning: this.specialAttack ? this.specialAttack.attack.name : null
+        };
+    }
+
+    // Called when the boss is destroyed
+    onDefeated() {
+        this.isDefeated = true;
+        this.isEngaged = false;
+        this.cancelSpecialAttack();
+
+        // Clear out any shots still in flight
+        [this.turretWeapon, ...Object.values(this.specialWeapons)].forEach(weapon => {
+            weapon.projectiles.forEach(projectile => this.scene.remove(projectile));
+            weapon.projectiles = [];
+        });
+    }
+}
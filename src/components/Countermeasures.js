@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+
+// Decoys a ship can drop to shake off guided missiles.
+// Flares pull missiles already in flight off course; chaff does that less reliably,
+// but also jams the seekers of anyone trying to lock on for a few seconds.
+export const COUNTERMEASURE_TYPES = {
+    flare: {
+        name: 'Flare',
+        label: 'FLR',
+        color: 0xffaa33,
+        decoyChance: 0.7,        // Chance each incoming missile goes for the decoy
+        duration: 3,             // Seconds the decoy burns
+        jamDuration: 0
+    },
+    chaff: {
+        name: 'Chaff',
+        label: 'CHF',
+        color: 0xccddff,
+        decoyChance: 0.35,
+        duration: 2.5,
+        jamDuration: 3           // Seconds no one can lock on to the ship
+    }
+};
+
+export class Countermeasures {
+    /**
+     * @param {THREE.Object3D} ship - Spacecraft or AlienShip carrying the launcher
+     * @param {Object} options - flare and chaff (starting counts), cooldown (seconds between launches)
+     */
+    constructor(ship, options = {}) {
+        this.ship = ship;
+        this.capacity = {
+            flare: options.flare !== undefined ? options.flare : 10,
+            chaff: options.chaff !== undefined ? options.chaff : 5
+        };
+        this.cooldown = options.cooldown || 1;
+        this.cooldownTimer = 0;
+        this.jamTimer = 0;
+        this.counts = { ...this.capacity };
+
+        // Guided missiles currently homing on this ship (CombatSystem keeps this up to date)
+        this.incomingMissiles = new Set();
+        this.decoys = [];
+
+        // When someone last started locking on to us, for the AI and HUD warnings
+        this.lockWarningTimer = 0;
+    }
+
+    getCount(type) {
+        return this.counts[type] || 0;
+    }
+
+    /**
+     * Set how many of each are left, e.g. when loading a save
+     * @param {Object} counts - flare and chaff counts, capped at the launcher's capacity
+     */
+    setCounts(counts) {
+        Object.keys(this.capacity).forEach(type => {
+            if (typeof counts[type] === 'number') {
+                this.counts[type] = Math.max(0, Math.min(this.capacity[type], Math.floor(counts[type])));
+            }
+        });
+    }
+
+    canDeploy(type) {
+        return this.getCount(type) > 0 && this.cooldownTimer <= 0 && this.ship.health > 0;
+    }
+
+    /**
+     * Drop a decoy, giving each missile homing on the ship a chance to chase it instead
+     * @param {string} type - 'flare' or 'chaff'
+     * @returns {boolean} Whether anything was launched
+     */
+    deploy(type) {
+        const definition = COUNTERMEASURE_TYPES[type];
+        if (!definition) {
+            console.warn(`Countermeasures: Unknown type ${type}`);
+            return false;
+        }
+
+        if (!this.canDeploy(type)) return false;
+
+        this.counts[type]--;
+        this.cooldownTimer = this.cooldown;
+        this.jamTimer = Math.max(this.jamTimer, definition.jamDuration);
+
+        const decoy = this.createDecoy(definition);
+
+        this.incomingMissiles.forEach(missile => {
+            if (Math.random() < definition.decoyChance) {
+                missile.homingTarget = decoy;
+                this.incomingMissiles.delete(missile);
+            }
+        });
+
+        return true;
+    }
+
+    trackMissile(missile) {
+        this.incomingMissiles.add(missile);
+    }
+
+    untrackMissile(missile) {
+        this.incomingMissiles.delete(missile);
+    }
+
+    /**
+     * Is a guided missile homing on the ship?
+     * @param {number} range - Only count missiles closer than this
+     * @returns {boolean}
+     */
+    hasIncomingMissile(range = Infinity) {
+        for (const missile of this.incomingMissiles) {
+            if (missile.position.distanceTo(this.ship.position) <= range) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Called by a MissileLock while it is locking on or holding a lock on the ship
+    warnLock() {
+        this.lockWarningTimer = 0.5;
+    }
+
+    isBeingLocked() {
+        return this.lockWarningTimer > 0;
+    }
+
+    // Chaff in the air: seekers can't hold a lock on the ship
+    isJamming() {
+        return this.jamTimer > 0;
+    }
+
+    update(delta) {
+        this.cooldownTimer = Math.max(0, this.cooldownTimer - delta);
+        this.jamTimer = Math.max(0, this.jamTimer - delta);
+        this.lockWarningTimer = Math.max(0, this.lockWarningTimer - delta);
+
+        for (let i = this.decoys.length - 1; i >= 0; i--) {
+            const decoy = this.decoys[i];
+            decoy.remaining -= delta;
+
+            if (decoy.remaining <= 0) {
+                this.removeDecoy(i);
+                continue;
+            }
+
+            // Decoys drift and slow down after leaving the launcher
+            decoy.velocity.multiplyScalar(Math.max(0, 1 - 0.5 * delta));
+            decoy.position.addScaledVector(decoy.velocity, delta);
+            decoy.material.opacity = 0.9 * Math.min(1, decoy.remaining / 0.5) * (0.7 + 0.3 * Math.random());
+        }
+    }
+
+    // A glowing puff thrown out behind the ship that missiles can home on
+    createDecoy(definition) {
+        const material = new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.9,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const decoy = new THREE.Mesh(new THREE.SphereGeometry(1.5, 6, 6), material);
+        decoy.isDecoy = true;
+        decoy.remaining = definition.duration;
+
+        const behind = new THREE.Vector3(0, 0, -1).applyQuaternion(this.ship.quaternion);
+        const scatter = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5);
+        decoy.position.copy(this.ship.position).addScaledVector(behind, 6);
+        decoy.velocity = this.ship.velocity.clone()
+            .addScaledVector(behind, 20)
+            .addScaledVector(scatter, 30);
+
+        const parent = this.ship.parent;
+        if (parent) {
+            parent.add(decoy);
+        }
+
+        this.decoys.push(decoy);
+        return decoy;
+    }
+
+    removeDecoy(index) {
+        const decoy = this.decoys[index];
+        this.decoys.splice(index, 1);
+
+        if (decoy.parent) {
+            decoy.parent.remove(decoy);
+        }
+        decoy.geometry.dispose();
+        decoy.material.dispose();
+    }
+
+    // Take all decoys out of the scene, e.g. when the ship is destroyed
+    clear() {
+        for (let i = this.decoys.length - 1; i >= 0; i--) {
+            this.removeDecoy(i);
+        }
+        this.incomingMissiles.clear();
+        this.jamTimer = 0;
+        this.lockWarningTimer = 0;
+    }
+
+    // Full launchers and no decoys left over
+    reset() {
+        this.clear();
+        this.counts = { ...this.capacity };
+        this.cooldownTimer = 0;
+    }
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+// Hits knock the blocks around them off a ship as tumbling debris. Once too much of the
+// ship's frame (its structural blocks) has gone, it breaks up into wreckage that can be salvaged.
+const DEFAULTS = {
+    impactRadius: 2,          // Model units around a hit that take damage
+    toughness: 4,             // Block health as a multiple of the block's share of the ship's health
+    breakupThreshold: 0.5,    // Fraction of the structural blocks (by volume) lost before the ship falls apart
+    debrisLifetime: 6,        // Seconds a knocked-off block drifts before fading out
+    chunkLifetime: 60,        // Seconds wreckage stays around to be salvaged
+    salvagePerVolume: 0.35,   // Credits per cubic unit of wreckage
+    physicsSystem: null       // Moves the debris; without one, lost blocks just disappear
+};
+
+export class DestructibleHull {
+    /**
+     * @param {THREE.Object3D} ship - Ship the hull belongs to; needs maxHealth and velocity
+     * @param {VoxelModel} model - The ship's model, ideally split into small voxels
+     * @param {Object} options - See DEFAULTS
+     */
+    constructor(ship, model, options = {}) {
+        this.ship = ship;
+        this.model = model;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.physicsSystem = this.options.physicsSystem;
+        this.blocks = [];
+        this.structuralVolume = 0;
+        this.structuralLost = 0;
+        this.createBlocks();
+    }
+
+    createBlocks() {
+        this.model.children.forEach(mesh => {
+            // Only the voxels; skip aim points and anything else hung on the model
+            if (!mesh.isMesh || !mesh.geometry.parameters) return;
+
+            const { width, height, depth } = mesh.geometry.parameters;
+            const volume = width * height * depth;
+            const structural = !!mesh.userData.structural;
+
+            this.blocks.push({
+                mesh: mesh,
+                box: new THREE.Box3().setFromCenterAndSize(mesh.position, new THREE.Vector3(width, height, depth)),
+                volume: volume,
+                structural: structural,
+                health: 0,
+                maxHealth: 0
+            });
+
+            if (structural) {
+                this.structuralVolume += volume;
+            }
+        });
+
+        // Bigger blocks take more punishment
+        const totalVolume = this.blocks.reduce((total, block) => total + block.volume, 0);
+        this.blocks.forEach(block => {
+            block.maxHealth = this.ship.maxHealth * this.options.toughness * block.volume / totalVolume;
+            block.health = block.maxHealth;
+        });
+    }
+
+    /**
+     * How much of the ship's frame is left
+     * @returns {number} 1 when intact, down to 0
+     */
+    getIntegrity() {
+        if (this.structuralVolume <= 0) return 1;
+        return 1 - this.structuralLost / this.structuralVolume;
+    }
+
+    isBroken() {
+        return this.getIntegrity() <= 1 - this.options.breakupThreshold;
+    }
+
+    /**
+     * Damage the blocks around a hit, falling off with distance, and knock off any that give way
+     * @param {number} amount - Damage dealt
+     * @param {THREE.Vector3} hitPoint - World position of the hit
+     * @returns {Array} The meshes knocked off
+     */
+    applyDamage(amount, hitPoint) {
+        if (!hitPoint || amount <= 0 || this.blocks.length === 0) return [];
+
+        const localHit = this.model.worldToLocal(hitPoint.clone());
+        const radius = this.options.impactRadius;
+        const hits = [];
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.blocks.forEach(block => {
+            const distance = block.box.distanceToPoint(localHit);
+            if (distance < nearestDistance) {
+                nearest = block;
+                nearestDistance = distance;
+            }
+            if (distance <= radius) {
+                hits.push({ block, distance });
+            }
+        });
+
+        // Hits are detected against the ship's bounds, so they can land just off the hull
+        if (hits.length === 0) {
+            hits.push({ block: nearest, distance: 0 });
+        }
+
+        const lost = [];
+        hits.forEach(({ block, distance }) => {
+            block.health -= amount * (1 - distance / radius);
+            if (block.health <= 0) {
+                lost.push(block);
+            }
+        });
+
+        lost.forEach(block => this.knockOff(block, hitPoint));
+        return lost.map(block => block.mesh);
+    }
+
+    // Tear a block off the model and send it tumbling away from the hit
+    knockOff(block, hitPoint) {
+        this.blocks.splice(this.blocks.indexOf(block), 1);
+        if (block.structural) {
+            this.structuralLost += block.volume;
+        }
+
+        const mesh = block.mesh;
+
+        // A part whose voxels have all been blown off stops working
+        if (this.ship.subsystems && mesh.userData.subsystem) {
+            this.ship.subsystems.removeVoxel(mesh);
+        }
+
+        const parent = this.ship.parent;
+        if (!this.physicsSystem || !parent) {
+            this.model.remove(mesh);
+            this.disposeMesh(mesh);
+            return;
+        }
+
+        mesh.updateWorldMatrix(true, false);
+        parent.attach(mesh);
+
+        const away = mesh.position.clone().sub(hitPoint).normalize();
+        mesh.velocity = this.ship.velocity.clone()
+            .addScaledVector(away, 10 + Math.random() * 15)
+            .add(this.randomVector(5));
+        mesh.angularVelocity = this.randomVector(6);
+        mesh.remaining = this.options.debrisLifetime * (0.75 + Math.random() * 0.5);
+
+        this.physicsSystem.addDebris(mesh);
+    }
+
+    /**
+     * Break what's left of the ship into a few chunks of wreckage, e.g. when it's destroyed
+     * @returns {Array} The chunks, each a THREE.Group with a salvageValue
+     */
+    breakApart() {
+        const blocks = this.blocks;
+        this.blocks = [];
+        if (blocks.length === 0) return [];
+
+        const parent = this.ship.parent;
+        if (!this.physicsSystem || !parent) {
+            blocks.forEach(block => {
+                this.model.remove(block.mesh);
+                this.disposeMesh(block.mesh);
+            });
+            return [];
+        }
+
+        // Split the ship around a few randomly chosen blocks
+        const chunkCount = Math.min(blocks.length, THREE.MathUtils.clamp(Math.round(blocks.length / 8), 2, 6));
+        const seeds = blocks.slice().sort(() => Math.random() - 0.5).slice(0, chunkCount)
+            .map(block => block.mesh.position);
+        const clusters = seeds.map(() => []);
+
+        blocks.forEach(block => {
+            let closest = 0;
+            seeds.forEach((seed, index) => {
+                if (seed.distanceToSquared(block.mesh.position) < seeds[closest].distanceToSquared(block.mesh.position)) {
+                    closest = index;
+                }
+            });
+            clusters[closest].push(block);
+        });
+
+        this.model.updateWorldMatrix(true, true);
+
+        return clusters.filter(cluster => cluster.length > 0).map(cluster => {
+            const chunk = new THREE.Group();
+            const worldPosition = new THREE.Vector3();
+
+            cluster.forEach(block => chunk.position.add(block.mesh.getWorldPosition(worldPosition)));
+            chunk.position.divideScalar(cluster.length);
+            parent.add(chunk);
+            chunk.updateMatrixWorld();
+            cluster.forEach(block => chunk.attach(block.mesh));
+
+            const outward = chunk.position.clone().sub(this.ship.position).normalize();
+            chunk.velocity = this.ship.velocity.clone()
+                .addScaledVector(outward, 4 + Math.random() * 8);
+            chunk.angularVelocity = this.randomVector(0.8);
+            chunk.remaining = this.options.chunkLifetime;
+
+            const volume = cluster.reduce((total, block) => total + block.volume, 0);
+            chunk.isSalvage = true;
+            chunk.salvageValue = Math.max(1, Math.round(volume * this.options.salvagePerVolume));
+            chunk.salvageRadius = new THREE.Box3().setFromObject(chunk).getBoundingSphere(new THREE.Sphere()).radius;
+
+            this.physicsSystem.addDebris(chunk);
+            return chunk;
+        });
+    }
+
+    randomVector(scale) {
+        return new THREE.Vector3(
+            (Math.random() - 0.5) * 2 * scale,
+            (Math.random() - 0.5) * 2 * scale,
+            (Math.random() - 0.5) * 2 * scale
+        );
+    }
+
+    disposeMesh(mesh) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+}
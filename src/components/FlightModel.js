@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+// Thrusters pointing each way, as a fraction of the main engine
+export const THRUSTER_RATIOS = {
+    forward: 1,
+    reverse: 0.5,
+    lateral: 0.7,
+    vertical: 0.7
+};
+
+// The afterburner's thrust against the main engine's
+const AFTERBURNER_THRUST = 3;
+
+// With flight assist off nothing stops a turn, but the gyros won't spin the ship faster than this
+// many times its assisted turn rate
+const UNASSISTED_TURN_LIMIT = 2;
+
+const AXES = ['x', 'y', 'z'];
+
+function approach(value, target, step) {
+    if (value < target) return Math.min(value + step, target);
+    return Math.max(value - step, target);
+}
+
+/**
+ * Six degrees of freedom for a ship: thrusters push it along and turn it about each of its own
+ * axes, against its mass, and it keeps moving and spinning until something stops it.
+ *
+ * With flight assist on, the flight computer fires the thrusters to cancel sideways drift and
+ * to hold the turn rate the stick asks for, stopping the turn when it's let go. Forward speed
+ * is left alone, so the ship cruises. With it off, the ship is fully Newtonian.
+ *
+ * The ship's nose points along its local +z, so its right is -x and up is +y.
+ *
+ * The ship provides acceleration, turnSpeed and deceleration (for an empty ship), maxSpeed,
+ * rotationSpeed (the assisted turn rate), getMass(), getEnginePower() and getMaxSpeed().
+ */
+export class FlightModel {
+    constructor(ship) {
+        this.ship = ship;
+        this.flightAssist = true;
+
+        // Radians per second about the ship's own x, y and z axes
+        this.angularVelocity = new THREE.Vector3();
+
+        // What the pilot asks for this frame along and about the ship's own axes, from -1 to 1
+        this.thrust = new THREE.Vector3();
+        this.turn = new THREE.Vector3();
+        this.boosting = false;
+        this.braking = false;
+
+        // Whether the afterburner actually lit this frame, which lifts the speed limit
+        this.afterburning = false;
+    }
+
+    setFlightAssist(enabled) {
+        this.flightAssist = !!enabled;
+    }
+
+    toggleFlightAssist() {
+        this.flightAssist = !this.flightAssist;
+        return this.flightAssist;
+    }
+
+    /**
+     * Set the controls for the next update. Each runs from -1 to 1, with the positive
+     * directions as in an input snapshot (see InputManager's createInputSnapshot()).
+     * @param {Object} thrust - { strafe, lift, throttle }: right, up and forward
+     * @param {Object} turn - { pitch, yaw, roll }: nose up, nose right and right wing down, in full turn rates
+     * @param {boolean} boosting - Afterburner
+     * @param {boolean} braking - Fire every thruster against the ship's motion
+     */
+    setInput(thrust, turn, boosting = false, braking = false) {
+        this.thrust.set(-thrust.strafe, thrust.lift, thrust.throttle).clampScalar(-1, 1);
+        this.turn.set(-turn.pitch, -turn.yaw, turn.roll).clampScalar(-1, 1);
+        this.boosting = boosting;
+        this.braking = braking;
+    }
+
+    clearInput() {
+        this.thrust.set(0, 0, 0);
+        this.turn.set(0, 0, 0);
+        this.boosting = false;
+        this.braking = false;
+    }
+
+    // Stop dead, e.g. when docking or respawning
+    stop() {
+        this.ship.velocity.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+    }
+
+    // How much the cargo and fittings slow the ship down (1 for an empty ship)
+    getMassRatio() {
+        return this.ship.dryMass / Math.max(this.ship.dryMass, this.ship.getMass());
+    }
+
+    /**
+     * Slow the ship down with its thrusters, whichever way it's going
+     * @param {number} delta - Seconds
+     */
+    brake(delta) {
+        const ship = this.ship;
+        const speed = ship.velocity.length();
+        const step = ship.deceleration * ship.getEnginePower() * this.getMassRatio() * delta;
+
+        if (speed > step) {
+            ship.velocity.multiplyScalar((speed - step) / speed);
+        } else {
+            ship.velocity.set(0, 0, 0);
+        }
+    }
+
+    update(delta) {
+        const ship = this.ship;
+
+        // Stunned, the thrusters and the flight computer are out, and the ship drifts and tumbles
+        if (!ship.isStunned()) {
+            this.updateRotation(delta);
+            this.updateThrust(delta);
+        } else {
+            this.afterburning = false;
+        }
+
+        this.limitSpeed(delta);
+
+        // Spin and move
+        const turnRate = this.angularVelocity.length();
+        if (turnRate > 0) {
+            const axis = this.angularVelocity.clone().divideScalar(turnRate);
+            ship.quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(axis, turnRate * delta));
+        }
+        ship.position.addScaledVector(ship.velocity, delta);
+
+        this.clearInput();
+    }
+
+    updateRotation(delta) {
+        const ship = this.ship;
+        const maxRate = ship.rotationSpeed;
+        const step = ship.turnSpeed * ship.getEnginePower() * this.getMassRatio() * delta;
+
+        AXES.forEach(axis => {
+            const command = this.turn[axis];
+            const rate = this.angularVelocity[axis];
+
+            if (this.flightAssist) {
+                this.angularVelocity[axis] = approach(rate, command * maxRate, step);
+            } else {
+                const limit = maxRate * UNASSISTED_TURN_LIMIT;
+                this.angularVelocity[axis] = THREE.MathUtils.clamp(rate + command * step, -limit, limit);
+            }
+        });
+    }
+
+    updateThrust(delta) {
+        const ship = this.ship;
+        const accelerationStep = ship.acceleration * ship.getEnginePower() * this.getMassRatio() * delta;
+        const speedBefore = ship.velocity.length();
+
+        // Work in the ship's own frame
+        const toLocal = ship.quaternion.clone().invert();
+        const localVelocity = ship.velocity.clone().applyQuaternion(toLocal);
+        const thrust = this.thrust;
+
+        // The afterburner pushes forward whatever the throttle says, and falls back to the main
+        // engine when there isn't the energy for it
+        let forward = thrust.z;
+        if (this.boosting) {
+            const burning = ship.reactor.drain(ship.afterburnerEnergyCost * delta);
+            forward = Math.max(forward, 1) * (burning ? AFTERBURNER_THRUST : 1);
+            this.afterburning = burning;
+        } else {
+            this.afterburning = false;
+        }
+
+        localVelocity.z += forward * (forward > 0 ? THRUSTER_RATIOS.forward : THRUSTER_RATIOS.reverse) * accelerationStep;
+
+        // Sideways and vertical: thrust as asked, or with flight assist, cancel any drift
+        [['x', THRUSTER_RATIOS.lateral], ['y', THRUSTER_RATIOS.vertical]].forEach(([axis, ratio]) => {
+            const step = ratio * accelerationStep;
+            if (thrust[axis] !== 0) {
+                localVelocity[axis] += thrust[axis] * step;
+            } else if (this.flightAssist) {
+                localVelocity[axis] = approach(localVelocity[axis], 0, step);
+            }
+        });
+
+        ship.velocity.copy(localVelocity.applyQuaternion(ship.quaternion));
+
+        // Thrust can steer the ship at full speed, but not take it any faster
+        const maxSpeed = ship.getMaxSpeed(this.afterburning);
+        const speed = ship.velocity.length();
+        if (speed > maxSpeed && speed > speedBefore) {
+            ship.velocity.setLength(Math.max(maxSpeed, speedBefore));
+        }
+
+        if (this.braking) {
+            this.brake(delta);
+        }
+    }
+
+    // Above top speed (after the afterburner cuts out, or when slowed), the drive's limiter
+    // bleeds off the difference at the braking rate, flight assist or not
+    limitSpeed(delta) {
+        const ship = this.ship;
+        const maxSpeed = ship.getMaxSpeed(this.afterburning);
+        const speed = ship.velocity.length();
+        if (speed <= maxSpeed) return;
+
+        const step = ship.deceleration * this.getMassRatio() * delta;
+        ship.velocity.setLength(Math.max(maxSpeed, speed - step));
+    }
+}
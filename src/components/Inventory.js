@@ -0,0 +1,194 @@
+import { ORE_TYPES } from './Ore.js';
+
+// How the inventory panel groups what's in the hold
+export const ITEM_CATEGORIES = {
+    ore: { name: 'Ore' },
+    salvage: { name: 'Salvage' },
+    tradeGood: { name: 'Trade Goods' },
+    mission: { name: 'Mission Items' },
+    consumable: { name: 'Consumables' }
+};
+
+// Everything that can go in a cargo hold. volume is per unit, and units of the same
+// item stack up to maxStack. Items with a value can be sold at a mothership; mission
+// items can't be sold or jettisoned. Consumables have a use(ship) that returns whether
+// the item was used up.
+export const ITEM_TYPES = {
+    scrapMetal: { name: 'Scrap Metal', category: 'salvage', volume: 1, maxStack: 50, value: 3, color: 0x998877 },
+    alienAlloy: { name: 'Alien Alloy', category: 'salvage', volume: 1, maxStack: 20, value: 25, color: 0x66ffcc },
+    medicalSupplies: { name: 'Medical Supplies', category: 'tradeGood', volume: 1, maxStack: 25, value: 15, color: 0xffffff },
+    luxuryGoods: { name: 'Luxury Goods', category: 'tradeGood', volume: 2, maxStack: 10, value: 60, color: 0xffaa00 },
+    alienDataCore: { name: 'Alien Data Core', category: 'mission', volume: 1, maxStack: 1, value: 0, color: 0xff33aa },
+    repairPack: {
+        name: 'Repair Pack',
+        category: 'consumable',
+        volume: 1,
+        maxStack: 10,
+        value: 10,
+        color: 0x33ff88,
+        use: (ship) => {
+            if (ship.health >= ship.maxHealth) return false;
+            ship.repairDamage(25);
+            return true;
+        }
+    },
+    ammoPack: {
+        name: 'Ammo Pack',
+        category: 'consumable',
+        volume: 1,
+        maxStack: 10,
+        value: 8,
+        color: 0xff6633,
+        use: (ship) => {
+            if (ship.ammo >= ship.maxAmmo) return false;
+            ship.replenishAmmo(25);
+            return true;
+        }
+    }
+};
+
+// Mined ore and what motherships refine it into
+Object.keys(ORE_TYPES).forEach(type => {
+    const ore = ORE_TYPES[type];
+    ITEM_TYPES[type] = { name: ore.name, category: 'ore', volume: 1, maxStack: 50, value: ore.value, color: ore.color };
+    ITEM_TYPES[ore.refined.id] = {
+        name: ore.refined.name,
+        category: 'tradeGood',
+        volume: 1,
+        maxStack: 50,
+        value: ore.refined.value,
+        color: ore.color
+    };
+});
+
+// Tonnes per unit of volume in the hold, which the ship's thrusters have to push around
+export const CARGO_DENSITY = 0.25;
+
+export function getItemType(id) {
+    return ITEM_TYPES[id] || null;
+}
+
+/**
+ * A cargo hold: stacks of items, limited by the total volume they take up
+ */
+export class Inventory {
+    /**
+     * @param {number} capacity - Volume the hold can carry
+     */
+    constructor(capacity = 40) {
+        this.capacity = capacity;
+        this.stacks = []; // { id, amount }, in the order they were filled
+
+        // Goes up with every change, so the inventory panel knows when to redraw
+        this.revision = 0;
+    }
+
+    getVolumeUsed() {
+        return this.stacks.reduce((total, stack) => total + stack.amount * ITEM_TYPES[stack.id].volume, 0);
+    }
+
+    // Tonnes of cargo aboard
+    getMass() {
+        return this.getVolumeUsed() * CARGO_DENSITY;
+    }
+
+    getFreeVolume() {
+        return Math.max(0, this.capacity - this.getVolumeUsed());
+    }
+
+    getCount(id) {
+        return this.stacks.reduce((total, stack) => stack.id === id ? total + stack.amount : total, 0);
+    }
+
+    /**
+     * How many of each item there are, across all their stacks
+     * @returns {Object} Amounts keyed by item id
+     */
+    getTotals() {
+        const totals = {};
+        this.stacks.forEach(stack => {
+            totals[stack.id] = (totals[stack.id] || 0) + stack.amount;
+        });
+        return totals;
+    }
+
+    /**
+     * How many units of an item there's room for
+     * @param {string} id - Item id
+     * @returns {number} Units that would fit
+     */
+    getRoomFor(id) {
+        const type = ITEM_TYPES[id];
+        if (!type) return 0;
+        return Math.floor(this.getFreeVolume() / type.volume);
+    }
+
+    /**
+     * Put items in the hold, topping up existing stacks before starting new ones
+     * @param {string} id - Item id
+     * @param {number} amount - Units to add
+     * @returns {number} Units that fit
+     */
+    add(id, amount) {
+        const type = ITEM_TYPES[id];
+        if (!type) {
+            console.warn(`Inventory: Unknown item ${id}`);
+            return 0;
+        }
+
+        const stored = Math.max(0, Math.min(Math.floor(amount), this.getRoomFor(id)));
+        let remaining = stored;
+
+        this.stacks.forEach(stack => {
+            if (stack.id !== id || remaining <= 0) return;
+            const added = Math.min(remaining, type.maxStack - stack.amount);
+            stack.amount += added;
+            remaining -= added;
+        });
+
+        while (remaining > 0) {
+            const added = Math.min(remaining, type.maxStack);
+            this.stacks.push({ id, amount: added });
+            remaining -= added;
+        }
+
+        if (stored > 0) {
+            this.revision++;
+        }
+        return stored;
+    }
+
+    /**
+     * Take items out of the hold, emptying the newest stacks first
+     * @param {string} id - Item id
+     * @param {number} amount - Units to take
+     * @returns {number} Units taken
+     */
+    remove(id, amount) {
+        const requested = Math.max(0, Math.floor(amount));
+        let remaining = requested;
+
+        for (let i = this.stacks.length - 1; i >= 0 && remaining > 0; i--) {
+            const stack = this.stacks[i];
+            if (stack.id !== id) continue;
+
+            const taken = Math.min(remaining, stack.amount);
+            stack.amount -= taken;
+            remaining -= taken;
+            if (stack.amount <= 0) {
+                this.stacks.splice(i, 1);
+            }
+        }
+
+        const removed = requested - remaining;
+        if (removed > 0) {
+            this.revision++;
+        }
+        return removed;
+    }
+
+    clear() {
+        this.stacks = [];
+        this.revision++;
+    }
+}
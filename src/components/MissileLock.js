@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+// Seeker for guided missiles: keep a target inside the cone ahead of the ship
+// for lockTime seconds to lock on. The cone to hold a lock is a little wider
+// than the one to acquire it, so a target on the edge doesn't flicker in and out.
+const DEFAULTS = {
+    acquireAngle: THREE.MathUtils.degToRad(12),
+    holdAngle: THREE.MathUtils.degToRad(20),
+    lockTime: 1.5,
+    range: 1500,
+    tone: true      // Growl and lock tones; only the player's own seeker should make them
+};
+
+export const LockState = {
+    IDLE: 'idle',
+    LOCKING: 'locking',
+    LOCKED: 'locked'
+};
+
+export class MissileLock {
+    /**
+     * @param {THREE.Object3D} shooter - Ship the seeker is mounted on (fires along its +Z)
+     * @param {Object} options - acquireAngle and holdAngle (radians), lockTime (seconds), range, tone
+     */
+    constructor(shooter, options = {}) {
+        this.shooter = shooter;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.tone = this.options.tone ? new LockTone() : null;
+        this.reset();
+    }
+
+    reset() {
+        this.state = LockState.IDLE;
+        this.target = null;
+        this.progress = 0;
+    }
+
+    // Drop the lock and silence the tone, e.g. when no guided weapon is fitted
+    release() {
+        this.reset();
+        this.updateTone(this.state);
+    }
+
+    /**
+     * Track a target for one frame
+     * @param {number} delta - Time elapsed since last frame
+     * @param {Array} candidates - Ships that can be locked
+     * @param {Object} preferred - Target to lock ahead of the others when it's in the cone
+     */
+    update(delta, candidates, preferred = null) {
+        const holding = this.target && this.isTrackable(this.target, this.options.holdAngle);
+
+        if (!holding) {
+            const target = this.findTarget(candidates, preferred);
+            if (target !== this.target) {
+                this.target = target;
+                this.progress = 0;
+                this.updateTone(LockState.IDLE);
+            }
+        }
+
+        if (!this.target) {
+            this.state = LockState.IDLE;
+            this.updateTone(this.state);
+            return;
+        }
+
+        const lockTime = this.getLockTime();
+        this.progress = Math.min(lockTime, this.progress + delta);
+        this.state = this.progress >= lockTime ? LockState.LOCKED : LockState.LOCKING;
+
+        // Let the target know it's being painted so it can react
+        if (this.target.countermeasures) {
+            this.target.countermeasures.warnLock();
+        }
+
+        this.updateTone(this.state);
+    }
+
+    updateTone(state) {
+        if (this.tone) {
+            this.tone.update(state);
+        }
+    }
+
+    // Nearest-to-centre candidate inside the acquisition cone
+    findTarget(candidates, preferred) {
+        if (preferred && this.isTrackable(preferred, this.options.acquireAngle)) {
+            return preferred;
+        }
+
+        let best = null;
+        let bestAngle = Infinity;
+
+        candidates.forEach(candidate => {
+            const angle = this.getOffBoresight(candidate);
+            if (angle < bestAngle && this.isTrackable(candidate, this.options.acquireAngle)) {
+                best = candidate;
+                bestAngle = angle;
+            }
+        });
+
+        return best;
+    }
+
+    isTrackable(target, coneAngle) {
+        if (!target || !target.parent || target.health <= 0) return false;
+
+        // Chaff blinds the seeker
+        if (target.countermeasures && target.countermeasures.isJamming()) return false;
+
+        const distance = target.position.distanceTo(this.shooter.position);
+        return distance <= this.options.range && this.getOffBoresight(target) <= coneAngle;
+    }
+
+    // Angle between the shooter's nose and the direction to the target
+    getOffBoresight(target) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.shooter.quaternion);
+        const toTarget = new THREE.Vector3().subVectors(target.position, this.shooter.position);
+        return toTarget.lengthSq() > 0 ? forward.angleTo(toTarget) : 0;
+    }
+
+    getLockedTarget() {
+        return this.state === LockState.LOCKED ? this.target : null;
+    }
+
+    // Damage to the shooter's cockpit slows the lock down, up to four times over
+    getLockTime() {
+        const subsystems = this.shooter.subsystems;
+        const sensors = subsystems ? Math.max(0.25, subsystems.getEfficiency('cockpit')) : 1;
+        return this.options.lockTime / sensors;
+    }
+
+    // 0 - 1, for the HUD reticle
+    getProgress() {
+        const lockTime = this.getLockTime();
+        return lockTime > 0 ? this.progress / lockTime : 1;
+    }
+}
+
+// Growl while locking, steady tone once locked. Stays silent where Web Audio isn't available.
+class LockTone {
+    constructor() {
+        this.context = null;
+        this.oscillator = null;
+        this.gain = null;
+        this.state = LockState.IDLE;
+    }
+
+    start() {
+        if (this.context) return true;
+
+        try {
+            const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContext) return false;
+
+            this.context = new AudioContext();
+            this.oscillator = this.context.createOscillator();
+            this.gain = this.context.createGain();
+            this.oscillator.type = 'square';
+            this.gain.gain.value = 0;
+            this.oscillator.connect(this.gain);
+            this.gain.connect(this.context.destination);
+            this.oscillator.start();
+            return true;
+        } catch (error) {
+            console.warn('MissileLock: Lock tone unavailable', error);
+            this.context = null;
+            return false;
+        }
+    }
+
+    update(state) {
+        if (state === this.state) return;
+        this.state = state;
+
+        if (state === LockState.IDLE && !this.context) return;
+        if (!this.start()) return;
+
+        try {
+            const now = this.context.currentTime;
+            const gain = this.gain.gain;
+            gain.cancelScheduledValues(now);
+
+            if (state === LockState.LOCKING) {
+                // Pulsed low tone, scheduled a few seconds ahead
+                this.oscillator.frequency.setValueAtTime(440, now);
+                for (let i = 0; i < 40; i++) {
+                    gain.setValueAtTime(0.05, now + i * 0.15);
+                    gain.setValueAtTime(0, now + i * 0.15 + 0.08);
+                }
+            } else if (state === LockState.LOCKED) {
+                this.oscillator.frequency.setValueAtTime(880, now);
+                gain.setValueAtTime(0.05, now);
+            } else {
+                gain.setValueAtTime(0, now);
+            }
+        } catch (error) {
+            console.warn('MissileLock: Error playing lock tone', error);
+        }
+    }
+}
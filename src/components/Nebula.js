@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 
+// What an ion storm does to a ship inside it. It's topped up every frame, so it lasts as long as
+// the ship stays in the cloud and a second after; milder than an EMP weapon hit.
+const ION_STORM_EMP = { duration: 1, energyDrain: 25, shieldDrain: 8 };
+
 export class Nebula extends THREE.Object3D {
     constructor(config) {
         super();
@@ -13,7 +17,8 @@ export class Nebula extends THREE.Object3D {
             color: 0xff5577,
             scene: null,
             density: 0.3,
-            particleSize: 80
+            particleSize: 80,
+            ionStorm: false // Lightning inside drains the shields and energy of ships flying through
         }, config);
         
         // Safely copy position
@@ -32,6 +37,8 @@ export class Nebula extends THREE.Object3D {
         this.scene = this.config.scene;
         this.particles = [];
         this.time = 0;
+        this.ionStorm = !!this.config.ionStorm;
+        this.flashTimer = 0;
         
         // Add this object to the scene
         if (this.scene) {
@@ -227,6 +234,29 @@ export class Nebula extends THREE.Object3D {
             // Pulsate the glow size
             const pulseSize = 1.0 + 0.1 * Math.sin(this.time * 0.5);
             this.centralGlow.mesh.scale.set(pulseSize, pulseSize, pulseSize);
+            
+            // Ion storms flicker with lightning
+            if (this.ionStorm) {
+                this.flashTimer -= delta;
+                if (this.flashTimer <= 0 && Math.random() < delta * 3) {
+                    this.flashTimer = 0.1;
+                }
+                if (this.flashTimer > 0) {
+                    this.centralGlow.light.intensity = 6;
+                }
+            }
         }
     }
+    
+    /**
+     * EMP a ship if it's inside an ion storm
+     * @param {THREE.Object3D} ship - Ship with status effects
+     * @returns {boolean} Whether the ship was affected
+     */
+    applyIonStorm(ship) {
+        if (!this.ionStorm || !ship || !ship.statusEffects || ship.health <= 0) return false;
+        if (ship.position.distanceTo(this.position) > this.config.radius) return false;
+        
+        return ship.statusEffects.apply('emp', ION_STORM_EMP);
+    }
 } 
\ No newline at end of file
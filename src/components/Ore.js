@@ -0,0 +1,59 @@
+// What asteroids are made of. Each asteroid is mostly one ore, picked by weight,
+// which it yields when mined. Motherships buy ore as it is, or refine it into
+// something worth more (REFINE_RATIO units of ore make one unit refined).
+export const ORE_TYPES = {
+    iron: {
+        name: 'Iron Ore',
+        color: 0xb09080,
+        value: 4,
+        weight: 45,
+        refined: { id: 'ironIngot', name: 'Iron Ingots', value: 12 }
+    },
+    nickel: {
+        name: 'Nickel Ore',
+        color: 0xa0b080,
+        value: 6,
+        weight: 25,
+        refined: { id: 'nickelIngot', name: 'Nickel Ingots', value: 18 }
+    },
+    ice: {
+        name: 'Water Ice',
+        color: 0xaaddff,
+        value: 3,
+        weight: 18,
+        refined: { id: 'water', name: 'Purified Water', value: 9 }
+    },
+    platinum: {
+        name: 'Platinum Ore',
+        color: 0xf0f0ff,
+        value: 20,
+        weight: 9,
+        refined: { id: 'platinumIngot', name: 'Platinum Ingots', value: 60 }
+    },
+    iridium: {
+        name: 'Iridium Ore',
+        color: 0xc090ff,
+        value: 35,
+        weight: 3,
+        refined: { id: 'iridiumIngot', name: 'Iridium Ingots', value: 105 }
+    }
+};
+
+export const REFINE_RATIO = 2;
+
+/**
+ * Pick an asteroid's ore by weight
+ * @param {number} roll - Random number in [0, 1)
+ * @returns {string} Key into ORE_TYPES
+ */
+export function pickOreType(roll) {
+    const types = Object.keys(ORE_TYPES);
+    const totalWeight = types.reduce((total, type) => total + ORE_TYPES[type].weight, 0);
+
+    let remaining = roll * totalWeight;
+    for (const type of types) {
+        remaining -= ORE_TYPES[type].weight;
+        if (remaining < 0) return type;
+    }
+    return types[types.length - 1];
+}
@@ -0,0 +1,93 @@
+// Power distribution between the ship's systems, in pips.
+// Each system runs at 50% with no pips, 100% with the default two and 150% with four.
+export const POWER_SYSTEMS = ['weapons', 'shields', 'engines'];
+
+const TOTAL_PIPS = 6;
+const MAX_PIPS = 4;
+
+export class Reactor {
+    constructor(ship) {
+        this.ship = ship;
+        this.totalPips = TOTAL_PIPS;
+        this.maxPips = MAX_PIPS;
+        this.balance();
+    }
+
+    // Even split
+    balance() {
+        const share = this.totalPips / POWER_SYSTEMS.length;
+        this.pips = {};
+        POWER_SYSTEMS.forEach(system => {
+            this.pips[system] = share;
+        });
+    }
+
+    /**
+     * Move one pip into a system, taken from whichever other system has the most
+     * @param {string} system - 'weapons', 'shields' or 'engines'
+     * @returns {boolean} Whether a pip was moved
+     */
+    divertPower(system) {
+        if (!POWER_SYSTEMS.includes(system) || this.pips[system] >= this.maxPips) {
+            return false;
+        }
+
+        const donor = POWER_SYSTEMS
+            .filter(other => other !== system && this.pips[other] > 0)
+            .sort((a, b) => this.pips[b] - this.pips[a])[0];
+
+        if (!donor) return false;
+
+        this.pips[donor]--;
+        this.pips[system]++;
+        return true;
+    }
+
+    /**
+     * Set the distribution directly, e.g. when loading a save
+     * @param {Object} pips - Pips per system
+     */
+    setDistribution(pips) {
+        const values = POWER_SYSTEMS.map(system => pips[system]);
+        const valid = values.every(value => Number.isInteger(value) && value >= 0 && value <= this.maxPips) &&
+            values.reduce((sum, value) => sum + value, 0) === this.totalPips;
+
+        if (!valid) {
+            console.warn('Reactor: Ignoring invalid power distribution', pips);
+            return;
+        }
+
+        POWER_SYSTEMS.forEach(system => {
+            this.pips[system] = pips[system];
+        });
+    }
+
+    getDistribution() {
+        return { ...this.pips };
+    }
+
+    // How hard a system runs with its current pips (0.5 - 1.5)
+    getMultiplier(system) {
+        return 0.5 + 0.25 * (this.pips[system] || 0);
+    }
+
+    update(delta) {
+        const ship = this.ship;
+
+        // A damaged reactor part puts out less
+        const output = ship.subsystems ? Math.max(0.25, ship.subsystems.getEfficiency('reactor')) : 1;
+        ship.energy = Math.min(ship.maxEnergy, ship.energy + ship.energyRegenRate * output * delta);
+    }
+
+    /**
+     * Spend energy if there's enough of it
+     * @param {number} amount - Energy needed
+     * @returns {boolean} Whether the energy was spent
+     */
+    drain(amount) {
+        if (this.ship.energy < amount) return false;
+
+        this.ship.energy -= amount;
+        return true;
+    }
+}
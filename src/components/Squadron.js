@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Formation slot offsets for each wingman, in the leader's local space
+// (+Z is the leader's forward direction, so negative Z is behind it)
+const FORMATIONS = {
+    // Staggered back on alternating sides
+    v: (index, spacing) => {
+        const rank = Math.floor(index / 2) + 1;
+        const side = index % 2 === 0 ? 1 : -1;
+        return new THREE.Vector3(side * rank * spacing, 0, -rank * spacing);
+    },
+
+    // Abreast of the leader on alternating sides
+    line: (index, spacing) => {
+        const rank = Math.floor(index / 2) + 1;
+        const side = index % 2 === 0 ? 1 : -1;
+        return new THREE.Vector3(side * rank * spacing, 0, 0);
+    },
+
+    // Left, right and tail; anyone past the fourth ship stacks above and below the tail
+    diamond: (index, spacing) => {
+        const slots = [
+            new THREE.Vector3(spacing, 0, -spacing),
+            new THREE.Vector3(-spacing, 0, -spacing),
+            new THREE.Vector3(0, 0, -spacing * 2)
+        ];
+        if (index < slots.length) {
+            return slots[index];
+        }
+
+        const side = index % 2 === 0 ? 1 : -1;
+        return new THREE.Vector3(0, side * spacing, -spacing * 2);
+    }
+};
+
+export class Squadron {
+    constructor(config) {
+        this.config = Object.assign({
+            leader: null,
+            wingmen: [],
+            formation: 'v',        // 'v', 'line', 'diamond'
+            tactic: 'focusFire',   // 'focusFire', 'pincer'
+            spacing: 40,
+            targetMemory: 8        // Seconds a reported target is remembered
+        }, config);
+
+        this.leader = this.config.leader;
+        this.wingmen = this.config.wingmen.slice();
+        this.formation = FORMATIONS[this.config.formation] ? this.config.formation : 'v';
+        this.tactic = this.config.tactic;
+        this.spacing = this.config.spacing;
+
+        // Shared target information
+        this.target = null;
+        this.targetTimer = 0;
+
+        // Set while the leader is shooting, so focus fire can open up together
+        this.firingTimer = 0;
+
+        this.isBroken = false;
+
+        this.getMembers().forEach(ship => {
+            ship.squadron = this;
+        });
+    }
+
+    getMembers() {
+        return this.leader ? [this.leader, ...this.wingmen] : this.wingmen.slice();
+    }
+
+    isLeader(ship) {
+        return ship === this.leader;
+    }
+
+    update(delta) {
+        if (this.targetTimer > 0) {
+            this.targetTimer -= delta;
+            if (this.targetTimer <= 0) {
+                this.target = null;
+            }
+        }
+
+        if (this.firingTimer > 0) {
+            this.firingTimer -= delta;
+        }
+    }
+
+    /**
+     * Add a ship to the squadron, taking the next free formation slot
+     * @param {THREE.Object3D} ship - The new wingman
+     */
+    addWingman(ship) {
+        if (this.isBroken || this.wingmen.includes(ship)) return;
+
+        this.wingmen.push(ship);
+        ship.squadron = this;
+    }
+
+    /**
+     * Called by a member that can see a target, so the rest of the squadron knows about it
+     * @param {THREE.Object3D} target - The target that was spotted
+     */
+    reportTarget(target) {
+        this.target = target;
+        this.targetTimer = this.config.targetMemory;
+    }
+
+    getTarget() {
+        return this.target;
+    }
+
+    // The leader calls this whenever it fires
+    openFire() {
+        this.firingTimer = 1;
+    }
+
+    isFiring() {
+        return this.firingTimer > 0;
+    }
+
+    /**
+     * Get where a wingman should be to hold formation
+     * @param {THREE.Object3D} ship - A wingman
+     * @returns {THREE.Vector3|null} World position of its slot, or null for the leader
+     */
+    getFormationPosition(ship) {
+        const index = this.wingmen.indexOf(ship);
+        if (index === -1 || !this.leader) return null;
+
+        return FORMATIONS[this.formation](index, this.spacing)
+            .applyQuaternion(this.leader.quaternion)
+            .add(this.leader.position);
+    }
+
+    /**
+     * Which side of the target a ship attacks from in a pincer
+     * @param {THREE.Object3D} ship - A squadron member
+     * @returns {number} 1 or -1 for wingmen, 0 for the leader who goes straight in
+     */
+    getPincerSide(ship) {
+        const index = this.wingmen.indexOf(ship);
+        if (index === -1) return 0;
+
+        return index % 2 === 0 ? 1 : -1;
+    }
+
+    /**
+     * Called when a member is destroyed or removed
+     * @param {THREE.Object3D} ship - The lost ship
+     */
+    onMemberDestroyed(ship) {
+        if (this.isBroken) return;
+
+        if (this.isLeader(ship)) {
+            ship.squadron = null;
+            this.leader = null;
+            this.breakFormation();
+            return;
+        }
+
+        const index = this.wingmen.indexOf(ship);
+        if (index !== -1) {
+            this.wingmen.splice(index, 1);
+            ship.squadron = null;
+        }
+
+        // A leader on its own is just another ship
+        if (this.wingmen.length === 0) {
+            this.breakFormation();
+        }
+    }
+
+    // Every surviving ship goes back to fighting on its own
+    breakFormation() {
+        if (this.isBroken) return;
+
+        this.isBroken = true;
+        this.getMembers().forEach(ship => {
+            ship.squadron = null;
+        });
+
+        console.log(`Squadron broke formation, ${this.getMembers().length} ships left`);
+    }
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+// Lasting effects that weapons, anomalies and hazards can leave on a ship.
+// stacking: 'refresh' tops the timer back up, 'stack' adds intensity up to maxStacks,
+// 'strongest' keeps whichever application is stronger.
+export const STATUS_EFFECTS = {
+    stun: {
+        name: 'Stunned',
+        label: 'STN',
+        color: 0x66ccff,
+        duration: 2,
+        stacking: 'refresh',
+        visual: 'crackle'
+    },
+    burn: {
+        name: 'Burning',
+        label: 'BRN',
+        color: 0xff6600,
+        duration: 4,
+        stacking: 'stack',
+        maxStacks: 5,
+        damagePerSecond: 4,      // Per stack
+        tickInterval: 0.5,
+        visual: 'flicker'
+    },
+    emp: {
+        name: 'EMP',
+        label: 'EMP',
+        color: 0xaa66ff,
+        duration: 3,
+        stacking: 'refresh',
+        energyDrain: 40,         // Per second, outpacing reactor regeneration
+        shieldDrain: 15,         // Per second
+        visual: 'spin'
+    },
+    slow: {
+        name: 'Slowed',
+        label: 'SLW',
+        color: 0x66ff99,
+        duration: 4,
+        stacking: 'strongest',
+        speedMultiplier: 0.5,
+        visual: 'pulse'
+    }
+};
+
+export class StatusEffects {
+    /**
+     * @param {THREE.Object3D} ship - Spacecraft or AlienShip the effects apply to
+     * @param {Object} options - radius of the visual indicators, immunities (effect types ignored)
+     */
+    constructor(ship, options = {}) {
+        this.ship = ship;
+        this.radius = options.radius || 8;
+        this.immunities = options.immunities || [];
+        this.effects = new Map();
+    }
+
+    /**
+     * Apply an effect, following its stacking rule
+     * @param {string} type - 'stun', 'burn', 'emp' or 'slow'
+     * @param {Object} options - Overrides for the definition, e.g. { duration: 2 }
+     * @returns {boolean} Whether the effect took hold
+     */
+    apply(type, options = {}) {
+        const definition = STATUS_EFFECTS[type];
+        if (!definition) {
+            console.warn(`StatusEffects: Unknown effect ${type}`);
+            return false;
+        }
+
+        if (this.immunities.includes(type) || this.ship.health <= 0) {
+            return false;
+        }
+
+        const incoming = Object.assign({}, definition, options);
+        const existing = this.effects.get(type);
+
+        if (!existing) {
+            this.effects.set(type, {
+                ...incoming,
+                type: type,
+                remaining: incoming.duration,
+                stacks: 1,
+                tickTimer: 0,
+                indicator: this.createIndicator(type, incoming)
+            });
+            return true;
+        }
+
+        switch (existing.stacking) {
+            case 'stack':
+                existing.stacks = Math.min(existing.maxStacks, existing.stacks + 1);
+                existing.remaining = Math.max(existing.remaining, incoming.duration);
+                break;
+
+            case 'strongest':
+                // A lower speed multiplier is a stronger slow
+                if (incoming.speedMultiplier < existing.speedMultiplier) {
+                    existing.speedMultiplier = incoming.speedMultiplier;
+                    existing.remaining = incoming.duration;
+                } else {
+                    existing.remaining = Math.max(existing.remaining, incoming.duration);
+                }
+                break;
+
+            case 'refresh':
+            default:
+                existing.remaining = Math.max(existing.remaining, incoming.duration);
+                break;
+        }
+
+        existing.duration = Math.max(existing.duration, existing.remaining);
+        return true;
+    }
+
+    has(type) {
+        return this.effects.has(type);
+    }
+
+    isStunned() {
+        return this.effects.has('stun');
+    }
+
+    // Multiplier on the ship's top speed (1 when not slowed)
+    getSpeedMultiplier() {
+        const slow = this.effects.get('slow');
+        return slow ? slow.speedMultiplier : 1;
+    }
+
+    /**
+     * Active effects for display
+     * @returns {Array} { type, name, label, color, remaining, duration, stacks }
+     */
+    getActive() {
+        return Array.from(this.effects.values()).map(effect => ({
+            type: effect.type,
+            name: effect.name,
+            label: effect.label,
+            color: effect.color,
+            remaining: effect.remaining,
+            duration: effect.duration,
+            stacks: effect.stacks
+        }));
+    }
+
+    update(delta) {
+        this.effects.forEach((effect, type) => {
+            effect.remaining -= delta;
+
+            if (type === 'burn') {
+                this.updateBurn(effect, delta);
+            } else if (type === 'emp') {
+                this.updateEmp(effect, delta);
+            }
+
+            this.animateIndicator(effect);
+
+            if (effect.remaining <= 0) {
+                this.remove(type);
+            }
+        });
+
+        // Effects end with the ship
+        if (this.ship.health <= 0) {
+            this.clear();
+        }
+    }
+
+    // Damage comes in ticks rather than every frame so hit feedback stays readable
+    updateBurn(effect, delta) {
+        effect.tickTimer += delta;
+        if (effect.tickTimer < effect.tickInterval) return;
+
+        const damage = effect.damagePerSecond * effect.stacks * effect.tickTimer;
+        effect.tickTimer = 0;
+
+        if (this.ship.health <= 0 || typeof this.ship.takeDamage !== 'function') return;
+
+        const destroyed = this.ship.takeDamage(damage);
+        if (destroyed && typeof this.ship.onDestroyed === 'function') {
+            this.ship.onDestroyed();
+        }
+    }
+
+    updateEmp(effect, delta) {
+        const ship = this.ship;
+
+        if (typeof ship.energy === 'number') {
+            ship.energy = Math.max(0, ship.energy - effect.energyDrain * delta);
+        }
+
+        if (typeof ship.shield === 'number') {
+            ship.shield = Math.max(0, ship.shield - effect.shieldDrain * delta);
+
+            // Shields don't start recharging until the EMP has passed
+            if (typeof ship.timeSinceDamage === 'number') {
+                ship.timeSinceDamage = 0;
+            }
+        }
+    }
+
+    remove(type) {
+        const effect = this.effects.get(type);
+        if (!effect) return;
+
+        if (effect.indicator) {
+            this.ship.remove(effect.indicator);
+            effect.indicator.geometry.dispose();
+            effect.indicator.material.dispose();
+        }
+
+        this.effects.delete(type);
+    }
+
+    clear() {
+        Array.from(this.effects.keys()).forEach(type => this.remove(type));
+    }
+
+    // A translucent shell around the ship in the effect's colour
+    createIndicator(type, definition) {
+        // Each effect gets its own shell size so several can show at once
+        const index = Object.keys(STATUS_EFFECTS).indexOf(type);
+        const radius = this.radius * (1.1 + index * 0.08);
+
+        const material = new THREE.MeshBasicMaterial({
+            color: definition.color,
+            transparent: true,
+            opacity: 0.25,
+            wireframe: definition.visual === 'crackle' || definition.visual === 'spin',
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const indicator = new THREE.Mesh(new THREE.IcosahedronGeometry(radius, 1), material);
+        this.ship.add(indicator);
+
+        return indicator;
+    }
+
+    animateIndicator(effect) {
+        const indicator = effect.indicator;
+        if (!indicator) return;
+
+        const time = Date.now() * 0.001;
+
+        switch (effect.visual) {
+            case 'crackle':
+                // Jumpy arcs
+                indicator.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+                indicator.material.opacity = 0.2 + Math.random() * 0.4;
+                break;
+
+            case 'flicker':
+                // Brighter the more stacks are burning
+                indicator.material.opacity = (0.1 + 0.05 * effect.stacks) * (0.7 + 0.3 * Math.random());
+                break;
+
+            case 'spin':
+                indicator.rotation.y += 0.1;
+                indicator.rotation.x += 0.05;
+                break;
+
+            case 'pulse':
+            default:
+                indicator.material.opacity = 0.15 + 0.1 * Math.sin(time * 3);
+                break;
+        }
+
+        // Fade out over the last half second
+        if (effect.remaining < 0.5) {
+            indicator.material.opacity *= Math.max(0, effect.remaining / 0.5);
+        }
+    }
+}
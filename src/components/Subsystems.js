@@ -0,0 +1,215 @@
+import * as THREE from 'three';
+
+// Parts of a ship that can be knocked out on their own. Each is made of the voxels
+// tagged with its type in the ship's design, and has health as a fraction of the hull's.
+export const SUBSYSTEM_TYPES = {
+    engines: { name: 'Engines', label: 'ENG', healthFraction: 0.3 },
+    weapons: { name: 'Weapons', label: 'WPN', healthFraction: 0.3 },
+    shieldGenerator: { name: 'Shield Generator', label: 'SHD', healthFraction: 0.3 },
+    reactor: { name: 'Reactor', label: 'RCT', healthFraction: 0.4 },
+    cockpit: { name: 'Cockpit', label: 'CPT', healthFraction: 0.25 }
+};
+
+// Hits within this distance (model units) of a part's voxels count against it
+const HIT_MARGIN = 1.5;
+
+const DESTROYED_COLOR = 0x222222;
+
+export class Subsystems {
+    /**
+     * @param {THREE.Object3D} ship - Ship the parts belong to; needs maxHealth
+     * @param {VoxelModel} model - The ship's model, with blocks tagged by subsystem type
+     */
+    constructor(ship, model) {
+        this.ship = ship;
+        this.model = model;
+        this.components = [];
+        this.createComponents();
+    }
+
+    createComponents() {
+        const meshesByType = {};
+
+        this.model.children.forEach(mesh => {
+            const type = mesh.userData.subsystem;
+            if (!type) return;
+
+            if (!SUBSYSTEM_TYPES[type]) {
+                console.warn(`Subsystems: Unknown subsystem ${type}`);
+                return;
+            }
+
+            (meshesByType[type] = meshesByType[type] || []).push(mesh);
+        });
+
+        Object.keys(SUBSYSTEM_TYPES).forEach(type => {
+            const meshes = meshesByType[type];
+            if (!meshes) return;
+
+            const definition = SUBSYSTEM_TYPES[type];
+            const boxes = meshes.map(mesh => {
+                const { width, height, depth } = mesh.geometry.parameters;
+                return new THREE.Box3().setFromCenterAndSize(mesh.position, new THREE.Vector3(width, height, depth));
+            });
+
+            // Aim point in the middle of the part's voxels
+            const anchor = new THREE.Object3D();
+            boxes.reduce((bounds, box) => bounds.union(box), new THREE.Box3()).getCenter(anchor.position);
+            this.model.add(anchor);
+
+            const maxHealth = Math.max(1, Math.round(this.ship.maxHealth * definition.healthFraction));
+
+            this.components.push({
+                type: type,
+                name: definition.name,
+                label: definition.label,
+                health: maxHealth,
+                maxHealth: maxHealth,
+                isDestroyed: false,
+                meshes: meshes,
+                boxes: boxes,
+                anchor: anchor,
+                // The materials are kept so a destroyed part stays dark even if it was hit mid-flash
+                materials: meshes.map(mesh => ({ material: mesh.material, color: mesh.material.color.getHex() }))
+            });
+        });
+    }
+
+    get(type) {
+        return this.components.find(component => component.type === type) || null;
+    }
+
+    getAlive() {
+        return this.components.filter(component => !component.isDestroyed);
+    }
+
+    // Ships without the part aren't held back by it
+    isOperational(type) {
+        const component = this.get(type);
+        return !component || !component.isDestroyed;
+    }
+
+    /**
+     * How well a part is working: 1 undamaged, falling to 0.5 just before it's destroyed, then 0
+     * @param {string} type - Subsystem type
+     * @returns {number}
+     */
+    getEfficiency(type) {
+        const component = this.get(type);
+        if (!component) return 1;
+        if (component.isDestroyed) return 0;
+
+        return 0.5 + 0.5 * (component.health / component.maxHealth);
+    }
+
+    /**
+     * Find the part nearest a hit
+     * @param {THREE.Vector3} hitPoint - World position of the hit
+     * @returns {Object|null} The component, or null if the hit was on bare hull
+     */
+    findComponentAt(hitPoint) {
+        const localHit = this.model.worldToLocal(hitPoint.clone());
+
+        let closest = null;
+        let closestDistance = HIT_MARGIN;
+
+        this.getAlive().forEach(component => {
+            component.boxes.forEach(box => {
+                const distance = box.distanceToPoint(localHit);
+                if (distance <= closestDistance) {
+                    closest = component;
+                    closestDistance = distance;
+                }
+            });
+        });
+
+        return closest;
+    }
+
+    /**
+     * Damage whichever part a hit lands on. The hull takes the hit as well; this is on top.
+     * @param {number} amount - Damage dealt
+     * @param {THREE.Vector3} hitPoint - World position of the hit
+     * @returns {Object|null} The component hit, if any
+     */
+    applyDamage(amount, hitPoint) {
+        if (!hitPoint || amount <= 0) return null;
+
+        const component = this.findComponentAt(hitPoint);
+        if (component) {
+            this.damageComponent(component, amount);
+        }
+        return component;
+    }
+
+    damageComponent(component, amount) {
+        component.health = Math.max(0, component.health - amount);
+
+        if (component.health <= 0 && !component.isDestroyed) {
+            component.isDestroyed = true;
+            component.materials.forEach(entry => entry.material.color.setHex(DESTROYED_COLOR));
+        }
+
+        if (typeof this.ship.onSubsystemDamaged === 'function') {
+            this.ship.onSubsystemDamaged(component);
+        }
+    }
+
+    /**
+     * Forget a voxel that has been knocked off the ship (see DestructibleHull).
+     * Once a part has no voxels left it's destroyed outright.
+     * @param {THREE.Mesh} mesh - The voxel that was lost
+     */
+    removeVoxel(mesh) {
+        const component = this.components.find(candidate => candidate.meshes.includes(mesh));
+        if (!component) return;
+
+        const index = component.meshes.indexOf(mesh);
+        component.meshes.splice(index, 1);
+        component.boxes.splice(index, 1);
+
+        if (component.meshes.length === 0 && !component.isDestroyed) {
+            this.damageComponent(component, component.health);
+        }
+    }
+
+    /**
+     * Patch up every part by the same amount, bringing destroyed ones back online
+     * @param {number} amount - Health restored to each part
+     */
+    repair(amount) {
+        this.components.forEach(component => {
+            if (component.health >= component.maxHealth) return;
+
+            component.health = Math.min(component.maxHealth, component.health + amount);
+
+            if (component.isDestroyed && component.health > 0) {
+                component.isDestroyed = false;
+                component.materials.forEach(entry => entry.material.color.setHex(entry.color));
+            }
+
+            if (typeof this.ship.onSubsystemDamaged === 'function') {
+                this.ship.onSubsystemDamaged(component);
+            }
+        });
+    }
+
+    repairAll() {
+        this.repair(Infinity);
+    }
+
+    /**
+     * Part health for display
+     * @returns {Array} { type, name, label, health, maxHealth, isDestroyed }
+     */
+    getStatus() {
+        return this.components.map(component => ({
+            type: component.type,
+            name: component.name,
+            label: component.label,
+            health: component.health,
+            maxHealth: component.maxHealth,
+            isDestroyed: component.isDestroyed
+        }));
+    }
+}
@@ -1,6 +1,13 @@
 import * as THREE from 'three';
 import { VoxelModel } from '../utils/VoxelModel.js';
 import { Weapon } from '../components/Weapon.js';
+import { AlienAI } from '../components/AlienAI.js';
+import { BossEncounter } from '../components/BossEncounter.js';
+import { StatusEffects } from '../components/StatusEffects.js';
+import { Countermeasures } from '../components/Countermeasures.js';
+import { MissileLock, LockState } from '../components/MissileLock.js';
+import { Subsystems } from '../components/Subsystems.js';
+import { DestructibleHull } from '../components/DestructibleHull.js';
 
 export class AlienShip extends THREE.Object3D {
     constructor(config) {
@@ -12,6 +19,7 @@ export class AlienShip extends THREE.Object3D {
             rotation: new THREE.Euler(0, 0, 0),
             speed: 30,
             health: 100,
+            name: null, // Display name, used by bosses
             scene: null
         }, config);
         
@@ -35,6 +43,56 @@ export class AlienShip extends THREE.Object3D {
         this.maxSpeed = this.speed; // Default max speed
         this.cooldownTimer = 0;
         
+        // Patrols are centred on where the ship spawned
+        this.homePosition = this.position.clone();
+        
+        // Squadron this ship flies with, if any (see GameWorld.createSquadron)
+        this.squadron = null;
+        
+        // Behaviour tree AI; also sets detection and aggro radii for the ship type
+        this.ai = new AlienAI(this);
+        
+        // Engines, weapons, reactor and cockpit can be shot out one by one.
+        // Bosses have their own destructible parts (see BossEncounter).
+        this.baseSpeed = this.speed;
+        this.baseShootingInterval = this.shootingInterval;
+        this.baseDetectionRadius = this.detectionRadius;
+        this.subsystems = this.config.type === 'boss' ? null : new Subsystems(this, this.shipModel);
+        
+        // Hits knock blocks off the hull; bosses only fall apart once their health runs out
+        this.hull = new DestructibleHull(this, this.shipModel, {
+            physicsSystem: this.config.physicsSystem,
+            breakupThreshold: this.config.type === 'boss' ? 1 : 0.5
+        });
+        
+        // Bosses get phases, destructible components and special attacks
+        this.bossEncounter = this.config.type === 'boss' ?
+            new BossEncounter(this, { name: this.config.name || undefined }) : null;
+        
+        // Stun, burn, EMP and slow; bosses shrug off stuns
+        this.statusEffects = new StatusEffects(this, {
+            radius: { standard: 7, elite: 9, boss: 18 }[this.config.type] || 7,
+            immunities: this.config.type === 'boss' ? ['stun'] : []
+        });
+        
+        // Flares and chaff to shake off the player's missiles
+        this.countermeasures = new Countermeasures(this, {
+            standard: { flare: 2, chaff: 0 },
+            elite: { flare: 4, chaff: 2 },
+            boss: { flare: 6, chaff: 4, cooldown: 3 }
+        }[this.config.type] || { flare: 2, chaff: 0 });
+        
+        // Heavier ships carry a few guided missiles. Their seeker paints the player (who gets a
+        // warning and can drop chaff to break it), and once it locks they launch one through
+        // the combat system, which flares can lure away.
+        this.missiles = { cruiser: 2, elite: 4, boss: 6 }[this.config.type] || 0;
+        this.missileLock = this.missiles > 0 ? new MissileLock(this, { lockTime: 2.5, range: 600, tone: false }) : null;
+        this.combatSystem = this.config.combatSystem || null;
+        this.weaponCooldowns = {}; // Set by the combat system when a missile is launched
+        
+        // Lets the combat system pick alien ships out of the scene as targets
+        this.userData.type = 'alien';
+        
         // Add to scene
         if (this.config.scene) {
             this.config.scene.add(this);
@@ -100,26 +158,30 @@ export class AlienShip extends THREE.Object3D {
         // Create a standard alien ship
         const shipBlocks = [
             // Main body
-            { position: [0, 0, 0], size: [6, 2, 8], color: 0x559933 },
+            { position: [0, 0, 0], size: [6, 2, 8], color: 0x559933, structural: true },
             
             // Wings
-            { position: [-4, 0, -1], size: [3, 1, 4], color: 0x559933 },
-            { position: [4, 0, -1], size: [3, 1, 4], color: 0x559933 },
+            { position: [-4, 0, -1], size: [3, 1, 4], color: 0x559933, structural: true },
+            { position: [4, 0, -1], size: [3, 1, 4], color: 0x559933, structural: true },
             
             // Cockpit
-            { position: [0, 1, 2], size: [3, 1, 2], color: 0xaaffaa },
+            { position: [0, 1, 2], size: [3, 1, 2], color: 0xaaffaa, subsystem: 'cockpit' },
+            
+            // Reactor, slung under the body
+            { position: [0, -1.5, -1], size: [2, 1, 2], color: 0x66ffcc, subsystem: 'reactor' },
             
             // Engines
-            { position: [-2, 0, -4], size: [1, 1, 2], color: 0xaaaa33 },
-            { position: [2, 0, -4], size: [1, 1, 2], color: 0xaaaa33 },
+            { position: [-2, 0, -4], size: [1, 1, 2], color: 0xaaaa33, subsystem: 'engines' },
+            { position: [2, 0, -4], size: [1, 1, 2], color: 0xaaaa33, subsystem: 'engines' },
             
             // Weapons
-            { position: [-3, 0, 1], size: [1, 1, 3], color: 0xaaaa33 },
-            { position: [3, 0, 1], size: [1, 1, 3], color: 0xaaaa33 }
+            { position: [-3, 0, 1], size: [1, 1, 3], color: 0xaaaa33, subsystem: 'weapons' },
+            { position: [3, 0, 1], size: [1, 1, 3], color: 0xaaaa33, subsystem: 'weapons' }
         ];
         
         this.shipModel = new VoxelModel({
-            design: shipBlocks
+            design: shipBlocks,
+            voxelSize: 2
         });
         
         this.add(this.shipModel);
@@ -129,27 +191,31 @@ export class AlienShip extends THREE.Object3D {
         // Create a more powerful elite alien ship
         const shipBlocks = [
             // Main body
-            { position: [0, 0, 0], size: [8, 3, 10], color: 0x9933aa },
+            { position: [0, 0, 0], size: [8, 3, 10], color: 0x9933aa, structural: true },
             
             // Wings
-            { position: [-6, 0, -2], size: [4, 2, 6], color: 0x9933aa },
-            { position: [6, 0, -2], size: [4, 2, 6], color: 0x9933aa },
+            { position: [-6, 0, -2], size: [4, 2, 6], color: 0x9933aa, structural: true },
+            { position: [6, 0, -2], size: [4, 2, 6], color: 0x9933aa, structural: true },
             
             // Cockpit
-            { position: [0, 2, 3], size: [4, 2, 3], color: 0xffaaff },
+            { position: [0, 2, 3], size: [4, 2, 3], color: 0xffaaff, subsystem: 'cockpit' },
+            
+            // Reactor, slung under the body
+            { position: [0, -2, -2], size: [3, 1, 3], color: 0x66ffcc, subsystem: 'reactor' },
             
             // Engines
-            { position: [-3, 0, -5], size: [2, 2, 3], color: 0xaaaa33 },
-            { position: [3, 0, -5], size: [2, 2, 3], color: 0xaaaa33 },
+            { position: [-3, 0, -5], size: [2, 2, 3], color: 0xaaaa33, subsystem: 'engines' },
+            { position: [3, 0, -5], size: [2, 2, 3], color: 0xaaaa33, subsystem: 'engines' },
             
             // Weapons
-            { position: [-4, 1, 2], size: [2, 1, 4], color: 0xaaaa33 },
-            { position: [4, 1, 2], size: [2, 1, 4], color: 0xaaaa33 },
-            { position: [0, -1, 4], size: [2, 2, 5], color: 0xaaaa33 }
+            { position: [-4, 1, 2], size: [2, 1, 4], color: 0xaaaa33, subsystem: 'weapons' },
+            { position: [4, 1, 2], size: [2, 1, 4], color: 0xaaaa33, subsystem: 'weapons' },
+            { position: [0, -1, 4], size: [2, 2, 5], color: 0xaaaa33, subsystem: 'weapons' }
         ];
         
         this.shipModel = new VoxelModel({
-            design: shipBlocks
+            design: shipBlocks,
+            voxelSize: 2
         });
         
         this.add(this.shipModel);
@@ -159,11 +225,11 @@ export class AlienShip extends THREE.Object3D {
         // Create a massive boss alien ship
         const shipBlocks = [
             // Main body
-            { position: [0, 0, 0], size: [12, 5, 20], color: 0xff3333 },
+            { position: [0, 0, 0], size: [12, 5, 20], color: 0xff3333, structural: true },
             
             // Wings
-            { position: [-10, 0, -5], size: [8, 3, 10], color: 0xff3333 },
-            { position: [10, 0, -5], size: [8, 3, 10], color: 0xff3333 },
+            { position: [-10, 0, -5], size: [8, 3, 10], color: 0xff3333, structural: true },
+            { position: [10, 0, -5], size: [8, 3, 10], color: 0xff3333, structural: true },
             
             // Cockpit
             { position: [0, 3, 5], size: [6, 3, 5], color: 0xffaaaa },
@@ -183,7 +249,8 @@ export class AlienShip extends THREE.Object3D {
         
         this.shipModel = new VoxelModel({
             design: shipBlocks,
-            scale: 1.5
+            scale: 1.5,
+            voxelSize: 4
         });
         
         this.add(this.shipModel);
@@ -267,18 +334,38 @@ export class AlienShip extends THREE.Object3D {
         });
     }
     
-    update(delta, playerShip = null) {
+    update(delta, playerShip = null, allies = []) {
         // Update cooldown timer
         if (this.cooldownTimer > 0) {
             this.cooldownTimer -= delta;
         }
+        for (const weaponType in this.weaponCooldowns) {
+            this.weaponCooldowns[weaponType] = Math.max(0, this.weaponCooldowns[weaponType] - delta);
+        }
+        
+        this.statusEffects.update(delta);
+        this.countermeasures.update(delta);
         
-        // Update AI behavior
-        if (playerShip) {
-            this.updateAI(delta, playerShip);
+        if (this.statusEffects.isStunned()) {
+            // Stunned ships drift without thinking or shooting
+            this.velocity.multiplyScalar(Math.max(0, 1 - delta));
         } else {
-            // Random movement if no player is specified
-            this.updateRandomMovement(delta);
+            // Update AI behavior
+            this.updateAI(delta, playerShip, allies);
+            
+            if (this.bossEncounter) {
+                this.bossEncounter.update(delta, playerShip);
+            }
+        }
+        
+        this.updateMissiles(delta, playerShip);
+        
+        // Slowed ships can't reach their usual top speed
+        if (this.statusEffects.has('slow')) {
+            const speedLimit = this.speed * this.statusEffects.getSpeedMultiplier();
+            if (this.velocity.length() > speedLimit) {
+                this.velocity.setLength(speedLimit);
+            }
         }
         
         // Update position based on velocity
@@ -293,83 +380,14 @@ export class AlienShip extends THREE.Object3D {
         }
     }
     
-    updateAI(delta, playerShip) {
-        // Calculate distance to player
-        const distanceToPlayer = this.position.distanceTo(playerShip.position);
-        
-        // If player is within detection radius
-        if (distanceToPlayer < this.detectionRadius) {
-            // Look at player
-            this.lookAt(playerShip.position);
-            
-            // Set aggressive if player is within aggro radius
-            this.isAggressive = distanceToPlayer < this.aggroRadius;
-            
-            if (this.isAggressive) {
-                // Move towards player if too far
-                if (distanceToPlayer > this.shootingRange) {
-                    // Calculate direction to player
-                    const direction = new THREE.Vector3()
-                        .subVectors(playerShip.position, this.position)
-                        .normalize();
-                    
-                    // Set velocity towards player
-                    this.velocity.copy(direction.multiplyScalar(this.speed));
-                } else {
-                    // Slow down and orbit if in shooting range
-                    this.velocity.multiplyScalar(0.9);
-                    
-                    // Add some random movement to make it harder to hit
-                    this.velocity.x += (Math.random() - 0.5) * 5;
-                    this.velocity.y += (Math.random() - 0.5) * 5;
-                    this.velocity.z += (Math.random() - 0.5) * 5;
-                    
-                    // Shoot at player if cooldown is ready
-                    if (this.cooldownTimer <= 0) {
-                        this.fireAtTarget(playerShip.position);
-                    }
-                }
-            } else {
-                // Just track the player but don't approach
-                this.velocity.multiplyScalar(0.95);
-            }
-        } else {
-            // Player out of range, continue random movement
-            this.isAggressive = false;
-            this.updateRandomMovement(delta);
+    updateAI(delta, playerShip, allies) {
+        try {
+            this.ai.update(delta, playerShip, allies);
+        } catch (error) {
+            console.error(`Error updating AI for ${this.config.type} alien ship:`, error);
         }
     }
     
-    updateRandomMovement(delta) {
-        // If no target position or we've reached it, pick a new random destination
-        if (!this.targetPosition || this.position.distanceTo(this.targetPosition) < 10) {
-            this.selectRandomTarget();
-        }
-        
-        // Move towards target position
-        if (this.targetPosition) {
-            const direction = new THREE.Vector3()
-                .subVectors(this.targetPosition, this.position)
-                .normalize();
-            
-            // Set velocity (slower than when chasing player)
-            this.velocity.copy(direction.multiplyScalar(this.speed * 0.5));
-            
-            // Look in the direction of movement
-            this.lookAt(this.targetPosition);
-        }
-    }
-    
-    selectRandomTarget() {
-        // Pick a random point within a reasonable range
-        const range = 500;
-        this.targetPosition = new THREE.Vector3(
-            this.position.x + (Math.random() - 0.5) * range,
-            this.position.y + (Math.random() - 0.5) * range,
-            this.position.z + (Math.random() - 0.5) * range
-        );
-    }
-    
     updateEngineEffects(delta) {
         // Make engines pulse
         const pulseIntensity = 0.7 + 0.3 * Math.sin(Date.now() * 0.01);
@@ -383,7 +401,49 @@ export class AlienShip extends THREE.Object3D {
         });
     }
     
+    /**
+     * Set the combat system guided missiles are launched through
+     * @param {CombatSystem} combatSystem
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+    }
+    
+    /**
+     * Hold the missile seeker on the target, and launch a missile whenever it locks
+     * @param {number} delta - Time elapsed since last frame
+     * @param {Object} target - Ship to lock on to, or null
+     */
+    updateMissiles(delta, target) {
+        const lock = this.missileLock;
+        if (!lock) return;
+        
+        const weaponsDown = this.subsystems && !this.subsystems.isOperational('weapons');
+        if (!target || !this.combatSystem || this.missiles <= 0 || weaponsDown || this.statusEffects.isStunned()) {
+            if (lock.state !== LockState.IDLE) {
+                lock.release();
+            }
+            return;
+        }
+        
+        lock.update(delta, [target]);
+        if (!lock.getLockedTarget()) return;
+        
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+        if (this.combatSystem.fireWeapon(this, 'missile', direction)) {
+            this.missiles--;
+            
+            // Each missile needs a fresh lock
+            lock.reset();
+        }
+    }
+    
     fireAtTarget(targetPosition) {
+        // Shot-out guns stay silent
+        if (this.subsystems && !this.subsystems.isOperational('weapons')) {
+            return false;
+        }
+        
         if (this.weapon && this.cooldownTimer <= 0) {
             // Look at target
             this.lookAt(targetPosition);
@@ -398,9 +458,25 @@ export class AlienShip extends THREE.Object3D {
         return false;
     }
     
-    takeDamage(amount) {
-        // Reduce health
+    takeDamage(amount, hitPoint = null) {
+        // Bosses take hits on their components and shields first
+        if (this.bossEncounter) {
+            amount = this.bossEncounter.absorbDamage(amount, hitPoint);
+        }
+        
+        // Hits on a part damage it as well as the hull
+        if (this.subsystems) {
+            this.subsystems.applyDamage(amount, hitPoint);
+        }
+        
+        // Blocks around the hit get knocked loose
+        this.hull.applyDamage(amount, hitPoint);
+        
+        // Reduce health; a ship that has lost too much of its frame falls apart regardless
         this.health = Math.max(0, this.health - amount);
+        if (this.hull.isBroken()) {
+            this.health = 0;
+        }
         
         // Visual feedback
         this.flash(0xff0000, 0.3);
@@ -413,10 +489,38 @@ export class AlienShip extends THREE.Object3D {
         
         // Become aggressive when hit
         this.isAggressive = true;
+        this.ai.onDamaged(amount);
         
         return false;
     }
     
+    /**
+     * Called by the subsystems when a part is damaged or repaired
+     * @param {Object} component - The part that changed
+     */
+    onSubsystemDamaged(component) {
+        const subsystems = this.subsystems;
+        
+        switch (component.type) {
+            case 'engines':
+                // Even with the engines shot out the ship can still limp along
+                this.speed = this.baseSpeed * Math.max(0.3, subsystems.getEfficiency('engines'));
+                break;
+            case 'reactor':
+                // Less power means slower recharging between shots
+                this.shootingInterval = this.baseShootingInterval / Math.max(0.25, subsystems.getEfficiency('reactor'));
+                break;
+            case 'cockpit':
+                // Damaged sensors don't see as far
+                this.detectionRadius = this.baseDetectionRadius * Math.max(0.5, subsystems.getEfficiency('cockpit'));
+                break;
+        }
+        
+        if (component.isDestroyed) {
+            console.log(`${this.config.type} alien ship: ${component.name} destroyed`);
+        }
+    }
+    
     flash(color, duration = 0.3) {
         // Flash the ship model as visual feedback
         const originalMaterials = [];
@@ -444,6 +548,10 @@ export class AlienShip extends THREE.Object3D {
     }
     
     explode() {
+        if (this.bossEncounter) {
+            this.bossEncounter.onDefeated();
+        }
+        
         // Create explosion effect
         if (this.config.scene) {
             // Create explosion particles
@@ -507,6 +615,12 @@ export class AlienShip extends THREE.Object3D {
             }
         }
         
+        // Whatever is left of the hull drifts off as salvageable wreckage
+        this.hull.breakApart();
+        
+        // Take any decoys still burning with it
+        this.countermeasures.clear();
+        
         // Remove the ship
         if (this.parent) {
             this.parent.remove(this);
@@ -1,3 +1,17 @@
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ORE_TYPES, pickOreType } from '../components/Ore.js';
+
+// Spare instances in each instanced mesh for the fragments mined asteroids break into
+const FRAGMENT_SLOTS = 40;
+
+// Mined asteroids smaller than this crumble away instead of breaking into fragments
+const MIN_FRAGMENT_RADIUS = 3;
+
+// Within this distance of the edge of the field, every asteroid in it can be shot (the
+// longest-ranged weapons reach about this far)
+const TARGET_RANGE = 2000;
+
 export class AsteroidField {
     constructor(options) {
         // Required options
@@ -10,13 +24,28 @@ export class AsteroidField {
         this.physicsSystem = options.physicsSystem;
         this.loadingManager = options.loadingManager;
         
+        // Called with the asteroid ({ position, radius, composition, mined }) when one is
+        // destroyed in play, e.g. to drop loot
+        this.onAsteroidDestroyed = options.onAsteroidDestroyed || null;
+        
         // PERFORMANCE: Track low detail mode
         this.lowDetail = options.lowDetail || false;
         
         // Asteroid field properties
         this.asteroids = [];
         this.instancedMeshes = [];
+        this.physicsBodies = []; // Solid asteroids, which ships can hit
+        this.targetBodies = []; // The rest, which weapons can only hit while the player is near
+        this.targetsActive = false;
         this.asteroidCount = 0;
+        this.freeFragmentSlots = []; // Per instanced mesh, fragment instances free for reuse
+        
+        // A seed makes the field lay out the same way every time it's built,
+        // so destroyed asteroids can be matched up when it's rebuilt
+        this.seededRandom = options.seed !== undefined ? new SeededRandom(options.seed) : null;
+        
+        // Asteroids that have been destroyed, as "meshIndex:instanceId" keys
+        this.destroyedAsteroids = new Set();
         
         // PERFORMANCE: Track distance to camera for LOD
         this.distanceToCamera = 1000;
@@ -26,6 +55,26 @@ export class AsteroidField {
         
         // Create the asteroid field
         this.createAsteroidField();
+        
+        // Take out asteroids destroyed before the field was last unloaded
+        if (Array.isArray(options.destroyedAsteroids)) {
+            options.destroyedAsteroids.forEach(key => {
+                const asteroid = this.asteroids.find(a => this.getAsteroidKey(a) === key);
+                if (asteroid) {
+                    this.removeAsteroid(asteroid, false);
+                }
+            });
+        }
+    }
+    
+    // Stable id for an asteroid within this field
+    getAsteroidKey(asteroid) {
+        return `${asteroid.meshIndex}:${asteroid.instanceId}`;
+    }
+    
+    // Random number from the field's seed, or Math.random() for unseeded fields
+    random() {
+        return this.seededRandom ? this.seededRandom.next() : Math.random();
     }
     
     createAsteroidField() {
@@ -86,12 +135,14 @@ export class AsteroidField {
                 const remainingCount = this.asteroidCount - (i * instancesPerTemplate);
                 const instanceCount = Math.min(instancesPerTemplate, remainingCount);
                 
-                // Create instanced mesh
+                // Create instanced mesh, with room for fragments after the asteroids themselves
                 const instancedMesh = new THREE.InstancedMesh(
                     geometries[i],
                     materials[i % materials.length],
-                    instanceCount
+                    instanceCount + FRAGMENT_SLOTS
                 );
+                instancedMesh.count = instanceCount;
+                this.freeFragmentSlots.push([]);
                 
                 instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
                 instancedMesh.castShadow = !this.lowDetail;
@@ -103,21 +154,21 @@ export class AsteroidField {
                 
                 for (let j = 0; j < instanceCount; j++) {
                     // Random position within the field radius
-                    const distance = Math.random() * this.radius;
-                    const theta = Math.random() * Math.PI * 2;
-                    const phi = Math.random() * Math.PI;
+                    const distance = this.random() * this.radius;
+                    const theta = this.random() * Math.PI * 2;
+                    const phi = this.random() * Math.PI;
                     
                     const x = center.x + distance * Math.sin(phi) * Math.cos(theta);
                     const y = center.y + distance * Math.sin(phi) * Math.sin(theta);
                     const z = center.z + distance * Math.cos(phi);
                     
                     // Random size
-                    const scale = 5 + Math.random() * 15;
+                    const scale = 5 + this.random() * 15;
                     
                     // Random rotation
-                    const rotX = Math.random() * Math.PI * 2;
-                    const rotY = Math.random() * Math.PI * 2;
-                    const rotZ = Math.random() * Math.PI * 2;
+                    const rotX = this.random() * Math.PI * 2;
+                    const rotY = this.random() * Math.PI * 2;
+                    const rotZ = this.random() * Math.PI * 2;
                     
                     // Set position, rotation, and scale
                     dummy.position.set(x, y, z);
@@ -133,14 +184,14 @@ export class AsteroidField {
                         position: new THREE.Vector3(x, y, z),
                         radius: scale,
                         velocity: new THREE.Vector3(
-                            (Math.random() - 0.5) * 0.1,
-                            (Math.random() - 0.5) * 0.1,
-                            (Math.random() - 0.5) * 0.1
+                            (this.random() - 0.5) * 0.1,
+                            (this.random() - 0.5) * 0.1,
+                            (this.random() - 0.5) * 0.1
                         ),
                         rotation: new THREE.Vector3(
-                            (Math.random() - 0.5) * 0.01,
-                            (Math.random() - 0.5) * 0.01,
-                            (Math.random() - 0.5) * 0.01
+                            (this.random() - 0.5) * 0.01,
+                            (this.random() - 0.5) * 0.01,
+                            (this.random() - 0.5) * 0.01
                         ),
                         instanceId: j,
                         meshIndex: i
@@ -157,6 +208,17 @@ export class AsteroidField {
                 this.instancedMeshes.push(instancedMesh);
             }
             
+            // Decide what each asteroid is made of once the layout is done, so the
+            // seeded positions come out the same as before compositions existed
+            const color = new THREE.Color();
+            this.asteroids.forEach(asteroid => {
+                asteroid.composition = pickOreType(this.random());
+                this.instancedMeshes[asteroid.meshIndex].setColorAt(asteroid.instanceId, color.setHex(ORE_TYPES[asteroid.composition].color));
+            });
+            this.instancedMeshes.forEach(mesh => {
+                if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+            });
+            
             console.log(`Created ${this.asteroids.length} asteroids using ${this.instancedMeshes.length} instanced meshes`);
             
             // Add to physics system if available
@@ -172,30 +234,73 @@ export class AsteroidField {
         try {
             if (!this.physicsSystem) return;
             
-            // PERFORMANCE: Only add a subset of asteroids to physics system
+            // PERFORMANCE: Only make a subset of asteroids solid. The rest can still be shot
+            // and mined, but only while the player is near the field (see updateTargets()).
             const maxPhysicsAsteroids = this.lowDetail ? 10 : 30;
             const step = Math.max(1, Math.floor(this.asteroids.length / maxPhysicsAsteroids));
             
-            for (let i = 0; i < this.asteroids.length; i += step) {
-                const asteroid = this.asteroids[i];
-                
-                this.physicsSystem.addObject({
-                    position: asteroid.position,
-                    radius: asteroid.radius,
-                    mass: asteroid.radius * 10,
-                    velocity: asteroid.velocity,
-                    collisionGroup: this.physicsSystem.collisionGroups ? 
-                        this.physicsSystem.collisionGroups.asteroid : 0,
-                    onCollision: (other) => this.handleCollision(asteroid, other)
-                });
-            }
+            this.asteroids.forEach((asteroid, i) => this.addPhysicsBody(asteroid, i % step === 0));
             
-            console.log(`Added ${Math.floor(this.asteroids.length / step)} asteroids to physics system`);
+            console.log(`Added ${this.physicsBodies.length} solid asteroids to physics system`);
         } catch (error) {
             console.error("Error adding asteroids to physics system:", error);
         }
     }
     
+    /**
+     * Give an asteroid a body so it can be hit
+     * @param {Object} asteroid - The asteroid
+     * @param {boolean} solid - Whether ships can collide with it, or it's only a target for weapons
+     */
+    addPhysicsBody(asteroid, solid = true) {
+        const body = {
+            position: asteroid.position,
+            radius: asteroid.radius,
+            collisionRadius: asteroid.radius,
+            mass: asteroid.radius * 10,
+            velocity: asteroid.velocity,
+            health: asteroid.radius * 4,
+            collisionGroup: this.physicsSystem.collisionGroups ? 
+                this.physicsSystem.collisionGroups.asteroid : 0,
+            onCollision: (other) => this.handleCollision(asteroid, other),
+            takeDamage: (amount, hitPoint, source) => this.damageAsteroid(asteroid, amount, source)
+        };
+        
+        // Keep track of the body so it can be removed with the asteroid
+        asteroid.physicsBody = body;
+        
+        if (solid) {
+            this.physicsSystem.addObject(body);
+            this.physicsBodies.push(body);
+        } else {
+            this.targetBodies.push(body);
+            if (this.targetsActive) {
+                this.physicsSystem.addTarget(body);
+            }
+        }
+    }
+    
+    /**
+     * Make every asteroid in the field shootable while the player is within weapons range of
+     * it, and take the non-solid ones back out of the physics system once they've left
+     * @param {THREE.Vector3} playerPosition - Where the player is
+     */
+    updateTargets(playerPosition) {
+        if (!this.physicsSystem) return;
+        
+        const inRange = playerPosition.distanceTo(this.position) <= this.radius + TARGET_RANGE;
+        if (inRange === this.targetsActive) return;
+        
+        this.targetsActive = inRange;
+        this.targetBodies.forEach(body => {
+            if (inRange) {
+                this.physicsSystem.addTarget(body);
+            } else {
+                this.physicsSystem.removeTarget(body);
+            }
+        });
+    }
+    
     handleCollision(asteroid, other) {
         // Handle collision effects
         if (other.collisionGroup === this.physicsSystem.collisionGroups.spacecraft) {
@@ -219,6 +324,102 @@ export class AsteroidField {
         }
     }
     
+    /**
+     * Weapons fire chips away at an asteroid until it breaks up. Mining lasers do far more
+     * damage to rock, and break what they destroy into smaller fragments to mine in turn.
+     * @param {Object} asteroid - The asteroid hit
+     * @param {number} amount - Damage dealt
+     * @param {Object} source - Projectile that hit it, if any
+     * @returns {boolean} Whether the asteroid was destroyed
+     */
+    damageAsteroid(asteroid, amount, source = null) {
+        const body = asteroid.physicsBody;
+        if (!body || body.health <= 0) return false;
+        
+        const miningDamage = source && source.config ? source.config.miningDamage : 0;
+        if (miningDamage > 0) {
+            amount = miningDamage;
+        }
+        
+        body.health = Math.max(0, body.health - amount);
+        if (body.health > 0) return false;
+        
+        asteroid.mined = miningDamage > 0;
+        this.createExplosion(asteroid.position);
+        this.removeAsteroid(asteroid);
+        
+        if (asteroid.mined) {
+            this.fragmentAsteroid(asteroid);
+        }
+        return true;
+    }
+    
+    // Split a mined asteroid into two or three smaller ones of the same ore
+    fragmentAsteroid(asteroid) {
+        const radius = asteroid.radius * 0.5;
+        if (radius < MIN_FRAGMENT_RADIUS) return;
+        
+        const count = Math.random() < 0.5 ? 2 : 3;
+        const dummy = new THREE.Object3D();
+        const color = new THREE.Color(ORE_TYPES[asteroid.composition].color);
+        
+        for (let i = 0; i < count; i++) {
+            const instancedMesh = this.instancedMeshes[asteroid.meshIndex];
+            const instanceId = this.allocateFragmentSlot(asteroid.meshIndex);
+            if (instanceId === -1) return;
+            
+            const direction = new THREE.Vector3().randomDirection();
+            const fragment = {
+                position: asteroid.position.clone().addScaledVector(direction, asteroid.radius * 0.5),
+                radius: radius,
+                velocity: asteroid.velocity.clone().addScaledVector(direction, 2 + Math.random() * 3),
+                rotation: new THREE.Vector3(
+                    (Math.random() - 0.5) * 0.5,
+                    (Math.random() - 0.5) * 0.5,
+                    (Math.random() - 0.5) * 0.5
+                ),
+                instanceId: instanceId,
+                meshIndex: asteroid.meshIndex,
+                composition: asteroid.composition,
+                isFragment: true
+            };
+            
+            dummy.position.copy(fragment.position);
+            dummy.rotation.set(Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, Math.random() * Math.PI * 2);
+            dummy.scale.set(radius, radius, radius);
+            dummy.updateMatrix();
+            instancedMesh.setMatrixAt(instanceId, dummy.matrix);
+            instancedMesh.setColorAt(instanceId, color);
+            instancedMesh.instanceMatrix.needsUpdate = true;
+            instancedMesh.instanceColor.needsUpdate = true;
+            
+            this.asteroids.push(fragment);
+            
+            // Fragments are always solid, so they can be mined in turn
+            if (this.physicsSystem) {
+                this.addPhysicsBody(fragment);
+            }
+        }
+    }
+    
+    /**
+     * Find a spare instance for a fragment
+     * @param {number} meshIndex - Instanced mesh the fragment uses
+     * @returns {number} Instance id, or -1 if the mesh has no room left
+     */
+    allocateFragmentSlot(meshIndex) {
+        const freeSlots = this.freeFragmentSlots[meshIndex];
+        if (freeSlots.length > 0) {
+            return freeSlots.pop();
+        }
+        
+        const instancedMesh = this.instancedMeshes[meshIndex];
+        if (instancedMesh.count < instancedMesh.instanceMatrix.count) {
+            return instancedMesh.count++;
+        }
+        return -1;
+    }
+    
     createExplosion(position) {
         // PERFORMANCE: Skip explosion effects in low detail mode
         if (this.lowDetail) return;
@@ -292,7 +493,8 @@ export class AsteroidField {
         }
     }
     
-    removeAsteroid(asteroid) {
+    // destroyed: false when just taking out an asteroid destroyed in an earlier visit
+    removeAsteroid(asteroid, destroyed = true) {
         try {
             // Find the asteroid in our array
             const index = this.asteroids.findIndex(a => 
@@ -303,8 +505,23 @@ export class AsteroidField {
             const removedAsteroid = this.asteroids[index];
             
             // Remove from physics system if available
-            if (this.physicsSystem) {
-                this.physicsSystem.removeObject(asteroid);
+            const body = removedAsteroid.physicsBody;
+            if (this.physicsSystem && body) {
+                this.physicsSystem.removeObject(body);
+                this.physicsSystem.removeTarget(body);
+                
+                const targetIndex = this.targetBodies.indexOf(body);
+                if (targetIndex !== -1) {
+                    this.targetBodies.splice(targetIndex, 1);
+                }
+            }
+            
+            // Remember it so it stays gone if the field is rebuilt. Fragments aren't
+            // rebuilt at all, so their instance just goes back to the pool.
+            if (removedAsteroid.isFragment) {
+                this.freeFragmentSlots[removedAsteroid.meshIndex].push(removedAsteroid.instanceId);
+            } else {
+                this.destroyedAsteroids.add(this.getAsteroidKey(removedAsteroid));
             }
             
             // Hide the instance by scaling it to zero
@@ -318,6 +535,10 @@ export class AsteroidField {
             
             // Remove from our array
             this.asteroids.splice(index, 1);
+            
+            if (destroyed && this.onAsteroidDestroyed) {
+                this.onAsteroidDestroyed(removedAsteroid);
+            }
         } catch (error) {
             console.error("Error removing asteroid:", error);
         }
@@ -485,9 +706,19 @@ export class AsteroidField {
                 }
             }
             
+            // Remove physics bodies
+            if (this.physicsSystem) {
+                this.physicsBodies.forEach(body => this.physicsSystem.removeObject(body));
+                this.targetBodies.forEach(body => this.physicsSystem.removeTarget(body));
+            }
+            
             // Clear arrays
             this.instancedMeshes = [];
+            this.physicsBodies = [];
+            this.targetBodies = [];
+            this.targetsActive = false;
             this.asteroids = [];
+            this.freeFragmentSlots = [];
             
             console.log("Asteroid field disposed");
         } catch (error) {
@@ -17,6 +17,7 @@ export class Mothership extends THREE.Object3D {
         this.dockingBayDirection = new THREE.Vector3(0, -1, 0); // Launch direction (downward)
         this.isDocked = false;
         this.dockedSpacecraft = null;
+        this.onSpacecraftDocked = null; // Callback fired once each time a spacecraft docks
         
         // Create the mothership model
         this.createModel();
@@ -155,6 +156,9 @@ export class Mothership extends THREE.Object3D {
     
     dockSpacecraft(spacecraft) {
         if (spacecraft) {
+            // Collisions keep calling this while docked, so note whether this is a new docking
+            const alreadyDocked = this.isDocked && this.dockedSpacecraft === spacecraft;
+            
             this.dockedSpacecraft = spacecraft;
             this.isDocked = true;
             
@@ -162,8 +166,17 @@ export class Mothership extends THREE.Object3D {
             spacecraft.position.copy(this.position).add(this.dockingBayPosition);
             spacecraft.velocity.set(0, 0, 0); // Stop any movement
             spacecraft.rotation.set(0, 0, 0); // Reset rotation
+            if (spacecraft.flightModel) {
+                spacecraft.flightModel.angularVelocity.set(0, 0, 0); // And any spin
+            }
             
-            console.log('Spacecraft docked with mothership');
+            if (!alreadyDocked) {
+                console.log('Spacecraft docked with mothership');
+                
+                if (this.onSpacecraftDocked) {
+                    this.onSpacecraftDocked(spacecraft);
+                }
+            }
             
             return true;
         }
@@ -727,19 +727,21 @@ export class Planet extends THREE.Object3D {
     // Clean up resources
     dispose() {
         try {
-            // Remove from scene
+            // Remove from scene, along with the surface features and light attached to the mesh
             if (this.mesh) {
                 this.scene.remove(this.mesh);
-                if (this.mesh.geometry) {
-                    this.mesh.geometry.dispose();
-                }
-                if (this.mesh.material) {
-                    if (Array.isArray(this.mesh.material)) {
-                        this.mesh.material.forEach(material => material.dispose());
-                    } else {
-                        this.mesh.material.dispose();
+                this.mesh.traverse(child => {
+                    if (child.geometry) {
+                        child.geometry.dispose();
                     }
-                }
+                    if (child.material) {
+                        if (Array.isArray(child.material)) {
+                            child.material.forEach(material => material.dispose());
+                        } else {
+                            child.material.dispose();
+                        }
+                    }
+                });
             }
             
             // Clean up rings
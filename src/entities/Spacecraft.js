@@ -1,6 +1,11 @@
 import * as THREE from 'three';
 import { VoxelModel } from '../utils/VoxelModel.js';
-import { Weapon } from '../components/Weapon.js';
+import { Reactor } from '../components/Reactor.js';
+import { StatusEffects } from '../components/StatusEffects.js';
+import { Countermeasures } from '../components/Countermeasures.js';
+import { Subsystems } from '../components/Subsystems.js';
+import { Inventory, getItemType } from '../components/Inventory.js';
+import { FlightModel } from '../components/FlightModel.js';
 
 export class Spacecraft extends THREE.Object3D {
     constructor(config) {
@@ -13,14 +18,64 @@ export class Spacecraft extends THREE.Object3D {
         
         // Spacecraft properties
         this.maxSpeed = 100;
-        this.acceleration = 10;
-        this.rotationSpeed = 1.5;
         this.velocity = new THREE.Vector3(0, 0, 0);
+        
+        // Flight model (see FlightModel). Thrust is given as what it does to an empty ship:
+        // cargo and heavier fittings add to the mass and take the edge off all of it.
+        this.dryMass = 20;              // Tonnes, without cargo or upgrades
+        this.upgradeMass = 0;           // Tonnes added by installed upgrades
+        this.acceleration = 25;         // Main engine, units per second per second
+        this.deceleration = 40;         // Braking and the speed limiter
+        this.turnSpeed = 6;             // Angular acceleration, radians per second per second
+        this.rotationSpeed = 2;         // Turn rate the stick asks for at full deflection
+        this.afterburnerMultiplier = 1.25; // Top speed with the afterburner lit
         this.health = 100;
         this.maxHealth = 100;
         this.ammo = 100;
         this.maxAmmo = 100;
         
+        // Cargo hold for ore, salvage and anything else picked up in space
+        this.inventory = new Inventory(40);
+        
+        // Shields soak up damage before the hull and recharge after a few seconds without a hit
+        this.shield = 100;
+        this.maxShield = 100;
+        this.shieldRegenRate = 3;       // Shield points per second
+        this.shieldRegenDelay = 3;      // Seconds after a hit before recharging starts
+        this.shieldEnergyCost = 0.5;    // Energy per shield point recharged
+        this.timeSinceDamage = Infinity;
+        
+        // Hull upgrades
+        this.hullRepairRate = 0;        // Health points per second
+        this.damageReduction = 0;       // Fraction of hull damage ignored
+        
+        // Energy comes from the reactor; boost, weapons and shield recharging all draw on it
+        this.energy = 100;
+        this.maxEnergy = 100;
+        this.energyRegenRate = 20;          // Energy per second
+        this.afterburnerEnergyCost = 15;    // Energy per second of boost
+        this.reactor = new Reactor(this);
+        
+        // Stun, burn, EMP and slow, sized to sit just outside the shield bubble
+        this.statusEffects = new StatusEffects(this, { radius: 8 });
+        
+        // Flares and chaff against guided missiles
+        this.countermeasures = new Countermeasures(this, { flare: 12, chaff: 6 });
+        
+        // Thrusters, inertia and flight assist
+        this.flightModel = new FlightModel(this);
+        
+        // What the ship is being flown by: an input snapshot (see InputManager's
+        // createInputSnapshot()) from the player or anything else at the stick
+        this.controls = null;
+        
+        // Autopilot state (null when flying manually)
+        this.autopilot = null;
+        this.onAutopilotArrived = null; // Callback when the autopilot reaches its target
+        
+        // Called when the hull gives out, whatever did it (weapons fire, burning, collisions)
+        this.onDestroyed = null;
+        
         // Set initial position if provided
         if (config.position) {
             this.position.copy(config.position);
@@ -28,6 +83,7 @@ export class Spacecraft extends THREE.Object3D {
         
         // Create spacecraft model
         this.createModel();
+        this.createShieldEffect();
         
         // Add the spacecraft to the scene
         if (this.scene) {
@@ -36,8 +92,8 @@ export class Spacecraft extends THREE.Object3D {
             console.error("Scene is undefined in Spacecraft constructor");
         }
         
-        // Initialize weapons
-        this.initWeapons();
+        // Weapon mounts; the weapons themselves come from the combat system
+        this.initHardpoints();
         
         // Set up camera
         this.setupCamera();
@@ -56,18 +112,25 @@ export class Spacecraft extends THREE.Object3D {
                 { position: [4, 0, 0], size: [3, 1, 4], color: 0x3366cc },
                 
                 // Cockpit
-                { position: [0, 1, 2], size: [3, 1, 2], color: 0x88ccff },
+                { position: [0, 1, 2], size: [3, 1, 2], color: 0x88ccff, subsystem: 'cockpit' },
+                
+                // Shield generator behind the cockpit, reactor underneath
+                { position: [0, 1.5, -2], size: [2, 1, 2], color: 0x66ccff, subsystem: 'shieldGenerator' },
+                { position: [0, -1.5, -1], size: [2, 1, 3], color: 0xffcc33, subsystem: 'reactor' },
                 
                 // Engines (thrusters)
-                { position: [-2, 0, -4], size: [1, 1, 2], color: 0xcc3333 },
-                { position: [2, 0, -4], size: [1, 1, 2], color: 0xcc3333 },
+                { position: [-2, 0, -4], size: [1, 1, 2], color: 0xcc3333, subsystem: 'engines' },
+                { position: [2, 0, -4], size: [1, 1, 2], color: 0xcc3333, subsystem: 'engines' },
                 
                 // Weapons
-                { position: [-3, 0, 2], size: [1, 1, 3], color: 0x999999 },
-                { position: [3, 0, 2], size: [1, 1, 3], color: 0x999999 }
+                { position: [-3, 0, 2], size: [1, 1, 3], color: 0x999999, subsystem: 'weapons' },
+                { position: [3, 0, 2], size: [1, 1, 3], color: 0x999999, subsystem: 'weapons' }
             ]
         });
         
+        // Hull damage that lands on a part knocks that part out too
+        this.subsystems = new Subsystems(this, this.voxelModel);
+        
         this.add(this.voxelModel);
         
         // Add engine glow effects
@@ -105,34 +168,56 @@ export class Spacecraft extends THREE.Object3D {
         this.rightEngineGlow = rightEngineGlow;
     }
     
-    initWeapons() {
-        // Check if scene exists before initializing weapons
-        if (!this.scene) {
-            console.error("Scene is undefined in initWeapons");
-            return;
-        }
+    createShieldEffect() {
+        // Bubble that lights up when the shield takes a hit
+        this.shieldBubble = new THREE.Mesh(
+            new THREE.SphereGeometry(8, 16, 12),
+            new THREE.MeshBasicMaterial({
+                color: 0x33ccff,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false,
+                blending: THREE.AdditiveBlending
+            })
+        );
+        this.shieldBubble.visible = false;
+        this.add(this.shieldBubble);
         
-        // Primary weapon (laser)
-        this.primaryWeapon = new Weapon({
-            type: 'laser',
-            damage: 10,
-            cooldown: 0.2,
-            speed: 500,
-            color: 0xff0000,
-            size: 0.5,
-            scene: this.scene
-        });
+        // Bright spot where the hit landed
+        this.shieldImpact = new THREE.Mesh(
+            new THREE.SphereGeometry(1.5, 8, 6),
+            new THREE.MeshBasicMaterial({
+                color: 0xaaeeff,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false,
+                blending: THREE.AdditiveBlending
+            })
+        );
+        this.shieldImpact.visible = false;
+        this.add(this.shieldImpact);
         
-        // Secondary weapon (missile)
-        this.secondaryWeapon = new Weapon({
-            type: 'missile',
-            damage: 30,
-            cooldown: 1,
-            speed: 300,
-            color: 0xffaa00,
-            size: 1,
-            scene: this.scene
-        });
+        this.shieldHitTimer = 0;
+    }
+    
+    initHardpoints() {
+        // Each hardpoint holds a weapon type from the CombatSystem roster (or null when empty).
+        // Offsets are in local space, where the guns point along +Z.
+        this.hardpoints = [
+            { name: 'Port Gun', offset: new THREE.Vector3(-3, 0, 4), weaponType: 'laser' },
+            { name: 'Starboard Gun', offset: new THREE.Vector3(3, 0, 4), weaponType: 'dualLaser' },
+            { name: 'Nose', offset: new THREE.Vector3(0, 0, 5), weaponType: null },
+            { name: 'Missile Bay', offset: new THREE.Vector3(0, -1, 3), weaponType: 'missile', secondary: true },
+            { name: 'Mining Laser', offset: new THREE.Vector3(0, -1, 5), weaponType: 'miningLaser' },
+            { name: 'Port Wing', offset: new THREE.Vector3(-5, 0, 2), weaponType: null },
+            { name: 'Starboard Wing', offset: new THREE.Vector3(5, 0, 2), weaponType: null }
+        ];
+        
+        this.combatSystem = null;
+        this.weaponCooldowns = {};
+        this.activeWeaponIndex = 0;
+        this.currentWeapon = null;
+        this.weaponRange = 0;
     }
     
     setupCamera() {
@@ -168,8 +253,20 @@ export class Spacecraft extends THREE.Object3D {
     
     update(delta) {
         try {
-            // Update position based on velocity
-            this.position.add(this.velocity.clone().multiplyScalar(delta));
+            this.statusEffects.update(delta);
+            this.countermeasures.update(delta);
+            
+            if (this.controls) {
+                this.applyControls(delta);
+            }
+            
+            // Let the autopilot steer before moving (not while stunned)
+            if (this.autopilot && !this.isStunned()) {
+                this.updateAutopilot(delta);
+            }
+            
+            // Fire the thrusters, then turn and move
+            this.flightModel.update(delta);
             
             // Update camera position to follow the spacecraft
             if (this.camera && this.cameraRig) {
@@ -182,7 +279,7 @@ export class Spacecraft extends THREE.Object3D {
                     // In third-person mode, look at the ship
                     if (this.cameraMode === 'first-person' || this.cameraMode === 'cockpit') {
                         // Get the forward direction of the spacecraft
-                        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.quaternion);
+                        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
                         const target = this.position.clone().add(forward.multiplyScalar(100));
                         this.camera.lookAt(target);
                     } else {
@@ -196,14 +293,9 @@ export class Spacecraft extends THREE.Object3D {
             // Update engine glow effects
             this.updateEngineEffects(delta);
             
-            // Update weapons
-            if (this.primaryWeapon) {
-                this.primaryWeapon.update(delta, this);
-            }
-            
-            if (this.secondaryWeapon) {
-                this.secondaryWeapon.update(delta, this);
-            }
+            // Regenerate energy, then recharge shields and fade the hit effect
+            this.reactor.update(delta);
+            this.updateShields(delta);
             
             // Update pilot character animation if it exists
             if (this.pilotCharacter && this.pilotBobbing) {
@@ -274,77 +366,330 @@ export class Spacecraft extends THREE.Object3D {
         this.rightEngineGlow.scale.set(engineScale, engineScale, 1 + enginePower * 2);
     }
     
-    accelerate(direction, delta) {
-        // Add acceleration in the direction the spacecraft is facing
-        // Note: In THREE.js, the default forward direction is negative Z
-        const forwardDirection = new THREE.Vector3(0, 0, -1);
+    /**
+     * Fly by a set of controls from the next update on, until they're replaced
+     * @param {Object} controls - Input snapshot with axes, look and buttons, or null to let go
+     */
+    setControls(controls) {
+        this.controls = controls;
+    }
+    
+    // Turn, thrust and fire as the controls say
+    applyControls(delta) {
+        const { axes, look, buttons } = this.controls;
         
-        // Apply the spacecraft's current rotation to the forward vector
-        // This ensures we move in the direction the spacecraft is actually facing
-        const accelerationVector = forwardDirection
-            .clone() // Clone to avoid modifying the original vector
-            .applyQuaternion(this.quaternion)
-            .multiplyScalar(this.acceleration * direction * delta);
-            
-        this.velocity.add(accelerationVector);
+        // Mouse look is a turn for this frame, so as a turn rate it's spread over the frame
+        const lookRate = (amount) => (amount && delta > 0 ? amount / delta : 0);
+        const pitch = axes.pitch + lookRate(look ? look.pitch : 0);
+        const yaw = axes.yaw + lookRate(look ? look.yaw : 0);
+        
+        this.flightModel.setInput(
+            { strafe: axes.strafe, lift: axes.lift || 0, throttle: axes.throttle },
+            { pitch, yaw, roll: axes.roll },
+            buttons.boost,
+            buttons.brake
+        );
+        
+        if (buttons.fire) this.firePrimary();
+        if (buttons.altFire) this.fireSecondary();
+    }
+    
+    // Engine output from the power distribution
+    getEnginePower() {
+        const power = this.reactor ? this.reactor.getMultiplier('engines') : 1;
         
-        // Cap the velocity at max speed
-        if (this.velocity.length() > this.maxSpeed) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed);
+        // Shot-up engines still give a little thrust
+        return power * Math.max(0.3, this.subsystems.getEfficiency('engines'));
+    }
+    
+    /**
+     * Total mass, which the thrusters have to push around
+     * @returns {number} Tonnes
+     */
+    getMass() {
+        return this.dryMass + this.upgradeMass + this.inventory.getMass();
+    }
+    
+    /**
+     * Top speed right now. Engine power, damage and slows bring it down.
+     * @param {boolean} afterburning - Whether the afterburner is lit
+     * @returns {number} Units per second
+     */
+    getMaxSpeed(afterburning = false) {
+        const afterburner = afterburning ? this.afterburnerMultiplier : 1;
+        return this.maxSpeed * afterburner * this.getEnginePower() * this.statusEffects.getSpeedMultiplier();
+    }
+    
+    // Stuns knock out the flight controls and weapons
+    isStunned() {
+        return this.statusEffects ? this.statusEffects.isStunned() : false;
+    }
+    
+    brake(delta) {
+        if (this.isStunned()) return;
+        
+        this.flightModel.brake(delta);
+    }
+    
+    // Engage the autopilot towards a target
+    // getTargetPosition: function returning the current target position (targets can move)
+    // options.arrivalDistance: how close to get before braking to a stop
+    // options.gameWorld: used to look up planets to steer around
+    // options.targetObject: the object being flown to, so it isn't avoided
+    engageAutopilot(getTargetPosition, options = {}) {
+        if (typeof getTargetPosition !== 'function') {
+            console.error("Autopilot needs a target position function");
+            return false;
         }
         
-        // Debug info
-        console.log("Moving spacecraft forward in direction:", 
-            forwardDirection.clone().applyQuaternion(this.quaternion));
+        this.autopilot = {
+            getTargetPosition: getTargetPosition,
+            arrivalDistance: options.arrivalDistance || 50,
+            gameWorld: options.gameWorld || null,
+            targetObject: options.targetObject || null,
+            obstacles: [],
+            obstacleScanTimer: 0,
+            arriving: false
+        };
+        
+        console.log("Autopilot engaged");
+        return true;
+    }
+    
+    disengageAutopilot() {
+        if (this.autopilot) {
+            this.autopilot = null;
+            console.log("Autopilot disengaged");
+        }
+    }
+    
+    isAutopilotEngaged() {
+        return this.autopilot !== null;
     }
     
-    strafe(direction, delta) {
-        // Add acceleration for strafing left/right
-        const accelerationVector = new THREE.Vector3(1, 0, 0)
-            .applyQuaternion(this.quaternion)
-            .multiplyScalar(this.acceleration * 0.7 * direction * delta);
+    updateAutopilot(delta) {
+        try {
+            const autopilot = this.autopilot;
+            const target = autopilot.getTargetPosition();
+            
+            if (!target) {
+                this.disengageAutopilot();
+                return;
+            }
+            
+            // The autopilot turns the ship itself, so it first stops any spin it was left with
+            this.flightModel.angularVelocity.set(0, 0, 0);
             
-        this.velocity.add(accelerationVector);
+            const toTarget = new THREE.Vector3().subVectors(target, this.position);
+            const distance = toTarget.length();
+            const speed = this.velocity.length();
+            const maxSpeed = this.getMaxSpeed();
+            
+            // Arrived: brake to a stop, then hand control back
+            if (distance <= autopilot.arrivalDistance || autopilot.arriving) {
+                autopilot.arriving = true;
+                this.brake(delta);
+                
+                if (this.velocity.length() < 1) {
+                    this.velocity.set(0, 0, 0);
+                    this.disengageAutopilot();
+                    
+                    if (this.onAutopilotArrived) {
+                        this.onAutopilotArrived();
+                    }
+                }
+                return;
+            }
+            
+            const desiredDirection = toTarget.clone().normalize();
+            
+            // Refresh the list of nearby planets a couple of times per second
+            autopilot.obstacleScanTimer -= delta;
+            if (autopilot.obstacleScanTimer <= 0 && autopilot.gameWorld &&
+                typeof autopilot.gameWorld.getNearbyObjects === 'function') {
+                autopilot.obstacleScanTimer = 0.5;
+                autopilot.obstacles = autopilot.gameWorld.getNearbyObjects(this.position, 2000)
+                    .filter(nearby => nearby.type === 'planet' && nearby.object && nearby.object !== autopilot.targetObject);
+            }
+            
+            // Steer around planets that sit between us and the target
+            for (const obstacle of autopilot.obstacles) {
+                const planet = obstacle.object;
+                const clearance = (planet.radius || 100) + 150;
+                const toPlanet = new THREE.Vector3().subVectors(planet.position, this.position);
+                const along = toPlanet.dot(desiredDirection);
+                
+                // Ignore planets behind us or beyond the target
+                if (along <= 0 || along > distance) continue;
+                
+                // Closest point of our straight-line path to the planet centre
+                const closestPoint = this.position.clone().addScaledVector(desiredDirection, along);
+                const offset = closestPoint.sub(planet.position);
+                const missDistance = offset.length();
+                
+                if (missDistance < clearance) {
+                    // Head for the edge of the planet, harder the closer the path comes
+                    if (missDistance < 0.001) {
+                        offset.set(0, 1, 0);
+                    }
+                    const push = (clearance - missDistance) / clearance;
+                    desiredDirection.addScaledVector(offset.normalize(), push * 2).normalize();
+                }
+            }
+            
+            // Turn the nose towards the desired heading at the normal turn rate
+            const lookTarget = this.position.clone().add(desiredDirection);
+            const currentQuaternion = this.quaternion.clone();
+            this.lookAt(lookTarget);
+            const targetQuaternion = this.quaternion.clone();
+            this.quaternion.copy(currentQuaternion).rotateTowards(targetQuaternion, this.rotationSpeed * delta);
+            
+            // Slow down on approach so we can stop at the arrival distance
+            const remaining = distance - autopilot.arrivalDistance;
+            const desiredSpeed = Math.min(maxSpeed, remaining * 0.5 + 5);
+            
+            // Only thrust once roughly lined up with the heading
+            const nose = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+            if (nose.dot(desiredDirection) > 0.9 && speed < desiredSpeed) {
+                const thrust = this.acceleration * this.getEnginePower() * this.flightModel.getMassRatio();
+                this.velocity.addScaledVector(nose, thrust * delta);
+            } else if (speed > desiredSpeed * 1.1) {
+                this.brake(delta);
+            }
+            
+            // The flight computer bleeds off sideways drift
+            const forwardSpeed = this.velocity.dot(desiredDirection);
+            const drift = this.velocity.clone().addScaledVector(desiredDirection, -forwardSpeed);
+            this.velocity.addScaledVector(drift, -Math.min(1, 1.5 * delta));
+            
+            // Cap the velocity at max speed
+            if (this.velocity.length() > maxSpeed) {
+                this.velocity.setLength(maxSpeed);
+            }
+        } catch (error) {
+            console.error("Error updating autopilot:", error);
+            this.disengageAutopilot();
+        }
+    }
+    
+    /**
+     * Hook the ship up to the combat system, which owns the weapon roster and fires for us
+     * @param {CombatSystem} combatSystem - The game's combat system
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+        this.selectWeapon(this.activeWeaponIndex);
+    }
+    
+    // Hardpoints with a weapon that the primary trigger can cycle through
+    getPrimaryHardpoints() {
+        return this.hardpoints.filter(hardpoint => !hardpoint.secondary && hardpoint.weaponType);
+    }
+    
+    getSecondaryHardpoint() {
+        return this.hardpoints.find(hardpoint => hardpoint.secondary && hardpoint.weaponType) || null;
+    }
+    
+    getActiveHardpoint() {
+        return this.getPrimaryHardpoints()[this.activeWeaponIndex] || null;
+    }
+    
+    /**
+     * Make one of the primary hardpoints the active weapon
+     * @param {number} index - Index into the primary hardpoints, wraps around
+     */
+    selectWeapon(index) {
+        const primaries = this.getPrimaryHardpoints();
+        if (primaries.length === 0) {
+            this.activeWeaponIndex = 0;
+            this.currentWeapon = null;
+            return;
+        }
+        
+        this.activeWeaponIndex = ((index % primaries.length) + primaries.length) % primaries.length;
         
-        // Cap the velocity at max speed
-        if (this.velocity.length() > this.maxSpeed) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed);
+        const weaponType = primaries[this.activeWeaponIndex].weaponType;
+        this.currentWeapon = this.combatSystem ? this.combatSystem.weaponTypes[weaponType] || null : null;
+        
+        if (this.currentWeapon) {
+            this.weaponRange = this.currentWeapon.speed * this.currentWeapon.lifespan;
         }
     }
     
-    rotate(axis, amount, delta) {
-        // Rotate the spacecraft on different axes
-        // axis: 'x', 'y', or 'z'
-        const rotation = new THREE.Euler();
-        rotation[axis] = amount * this.rotationSpeed * delta;
-        this.rotateOnAxis(new THREE.Vector3(
-            axis === 'x' ? 1 : 0,
-            axis === 'y' ? 1 : 0,
-            axis === 'z' ? 1 : 0
-        ), rotation[axis]);
+    nextWeapon() {
+        this.selectWeapon(this.activeWeaponIndex + 1);
+        return this.currentWeapon;
     }
     
-    brake(delta) {
-        // Apply braking (deceleration)
-        if (this.velocity.length() > 0.1) {
-            this.velocity.multiplyScalar(1 - 2 * delta);
-        } else {
-            this.velocity.set(0, 0, 0);
+    prevWeapon() {
+        this.selectWeapon(this.activeWeaponIndex - 1);
+        return this.currentWeapon;
+    }
+    
+    /**
+     * Fit a weapon from the roster to a hardpoint
+     * @param {number} hardpointIndex - Index into this.hardpoints
+     * @param {string|null} weaponType - Roster key, or null to empty the hardpoint
+     * @returns {boolean} Whether the weapon was fitted
+     */
+    equipWeapon(hardpointIndex, weaponType) {
+        const hardpoint = this.hardpoints[hardpointIndex];
+        if (!hardpoint) {
+            console.warn(`Spacecraft: No hardpoint ${hardpointIndex}`);
+            return false;
         }
+        
+        if (weaponType !== null && (!this.combatSystem || !this.combatSystem.weaponTypes[weaponType])) {
+            console.warn(`Spacecraft: Unknown weapon type ${weaponType}`);
+            return false;
+        }
+        
+        // Keep the same hardpoint selected if it's still armed
+        const active = this.getActiveHardpoint();
+        hardpoint.weaponType = weaponType;
+        const activeIndex = this.getPrimaryHardpoints().indexOf(active);
+        this.selectWeapon(activeIndex === -1 ? 0 : activeIndex);
+        
+        return true;
+    }
+    
+    // Whether a weapon is fitted to any of the hardpoints
+    hasWeapon(weaponType) {
+        return this.hardpoints.some(hardpoint => hardpoint.weaponType === weaponType);
     }
     
-    boost(delta) {
-        // Apply temporary speed boost
-        this.accelerate(3, delta);
+    /**
+     * Fit a weapon to the first empty primary hardpoint
+     * @param {string} weaponType - Roster key
+     * @returns {boolean} Whether there was room for it
+     */
+    mountWeapon(weaponType) {
+        const index = this.hardpoints.findIndex(hardpoint => !hardpoint.secondary && !hardpoint.weaponType);
+        return index !== -1 && this.equipWeapon(index, weaponType);
+    }
+    
+    // Damage multiplier from the power distribution
+    getWeaponPower() {
+        return this.reactor ? this.reactor.getMultiplier('weapons') : 1;
+    }
+    
+    fireHardpoint(hardpoint) {
+        if (!hardpoint || !this.combatSystem || this.isStunned()) return false;
+        if (!this.subsystems.isOperational('weapons')) return false;
+        
+        const origin = hardpoint.offset.clone().applyQuaternion(this.quaternion).add(this.position);
+        const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+        
+        return this.combatSystem.fireWeapon(this, hardpoint.weaponType, direction, origin);
     }
     
     firePrimary() {
-        return this.primaryWeapon.fire(this);
+        return this.fireHardpoint(this.getActiveHardpoint());
     }
     
     fireSecondary() {
         if (this.ammo > 0) {
-            const fired = this.secondaryWeapon.fire(this);
+            const fired = this.fireHardpoint(this.getSecondaryHardpoint());
             if (fired) {
                 this.ammo--;
                 return true;
@@ -353,15 +698,107 @@ export class Spacecraft extends THREE.Object3D {
         return false;
     }
     
-    takeDamage(amount) {
-        this.health = Math.max(0, this.health - amount);
+    /**
+     * Drop a flare or chaff
+     * @param {string} type - 'flare' or 'chaff'
+     * @returns {boolean} Whether one was launched
+     */
+    deployCountermeasure(type) {
+        if (this.isStunned()) return false;
+        return this.countermeasures.deploy(type);
+    }
+    
+    takeDamage(amount, hitPoint = null) {
+        if (amount <= 0) return this.health <= 0;
         
-        // Visual feedback for taking damage
-        this.flash(0xff0000, 0.5);
+        this.timeSinceDamage = 0;
+        
+        // Shields take the hit first
+        const absorbed = Math.min(this.shield, amount);
+        if (absorbed > 0) {
+            this.shield -= absorbed;
+            this.showShieldHit(hitPoint);
+        }
+        
+        // Whatever gets through hits the hull
+        const hullDamage = (amount - absorbed) * (1 - this.damageReduction);
+        if (hullDamage > 0) {
+            this.health = Math.max(0, this.health - hullDamage);
+            this.subsystems.applyDamage(hullDamage, hitPoint);
+            
+            // Visual feedback for taking damage
+            this.flash(0xff0000, 0.5);
+        }
         
         return this.health <= 0; // Return true if destroyed
     }
     
+    /**
+     * Light up the shield bubble, with a bright spot facing the hit
+     * @param {THREE.Vector3} hitPoint - World position of the hit, if known
+     */
+    showShieldHit(hitPoint) {
+        if (!this.shieldBubble) return;
+        
+        this.shieldHitTimer = 0.5;
+        this.shieldBubble.visible = true;
+        
+        if (hitPoint) {
+            const localHit = this.worldToLocal(hitPoint.clone());
+            if (localHit.lengthSq() > 0.0001) {
+                this.shieldImpact.position.copy(localHit.setLength(8));
+                this.shieldImpact.visible = true;
+            }
+        }
+    }
+    
+    updateShields(delta) {
+        this.timeSinceDamage += delta;
+        
+        // Recharge once we've gone long enough without a hit
+        if (this.shield < this.maxShield && this.shieldRegenRate > 0 &&
+            this.timeSinceDamage >= this.shieldRegenDelay) {
+            const shieldPower = (this.reactor ? this.reactor.getMultiplier('shields') : 1) *
+                this.subsystems.getEfficiency('shieldGenerator');
+            let recharge = Math.min(this.shieldRegenRate * shieldPower * delta, this.maxShield - this.shield);
+            
+            // Recharging draws on ship energy when there is an energy supply
+            if (typeof this.energy === 'number' && this.shieldEnergyCost > 0) {
+                recharge = Math.max(0, Math.min(recharge, this.energy / this.shieldEnergyCost));
+                this.energy -= recharge * this.shieldEnergyCost;
+            }
+            
+            this.shield += recharge;
+        }
+        
+        // Auto-repair upgrade
+        if (this.hullRepairRate > 0 && this.health > 0 && this.health < this.maxHealth) {
+            this.health = Math.min(this.maxHealth, this.health + this.hullRepairRate * delta);
+        }
+        
+        // Fade the hit effect
+        if (this.shieldHitTimer > 0) {
+            this.shieldHitTimer = Math.max(0, this.shieldHitTimer - delta);
+            const strength = this.shieldHitTimer / 0.5;
+            
+            this.shieldBubble.material.opacity = 0.35 * strength;
+            this.shieldImpact.material.opacity = 0.9 * strength;
+            
+            if (this.shieldHitTimer === 0) {
+                this.shieldBubble.visible = false;
+                this.shieldImpact.visible = false;
+            }
+        }
+    }
+    
+    /**
+     * Check whether the shield is waiting to recharge after a hit
+     * @returns {boolean} True while recharging is on hold
+     */
+    isShieldRechargeDelayed() {
+        return this.shield < this.maxShield && this.timeSinceDamage < this.shieldRegenDelay;
+    }
+    
     flash(color, duration = 0.3) {
         // Flash the spacecraft model as visual feedback
         const originalMaterials = [];
@@ -390,21 +827,44 @@ export class Spacecraft extends THREE.Object3D {
     
     repairDamage(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
+        this.subsystems.repair(amount);
     }
     
     replenishAmmo(amount) {
         this.ammo = Math.min(this.maxAmmo, this.ammo + amount);
     }
     
+    /**
+     * Use a consumable from the cargo hold
+     * @param {string} id - Item id
+     * @returns {boolean} Whether it was used (it isn't if it would do nothing)
+     */
+    useItem(id) {
+        const type = getItemType(id);
+        if (!type || !type.use || this.inventory.getCount(id) <= 0) return false;
+        if (!type.use(this)) return false;
+        
+        this.inventory.remove(id, 1);
+        return true;
+    }
+    
     reset() {
         // Reset spacecraft to initial state
-        this.velocity.set(0, 0, 0);
+        this.flightModel.stop();
         this.position.set(0, 0, 0);
         this.quaternion.set(0, 0, 0, 1); // Reset rotation
         
         // Reset health, ammo, etc.
         this.health = this.maxHealth;
+        this.shield = this.maxShield;
+        this.timeSinceDamage = Infinity;
+        this.energy = this.maxEnergy;
+        this.reactor.balance();
         this.ammo = this.maxAmmo;
+        this.weaponCooldowns = {};
+        this.statusEffects.clear();
+        this.countermeasures.reset();
+        this.subsystems.repairAll();
         
         // Reset any other properties that need resetting
         console.log("Spacecraft reset to initial state");
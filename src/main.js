@@ -8,7 +8,10 @@ import { LODManager } from './systems/LODManager.js';
 import { CombatSystem } from './systems/CombatSystem.js';
 import { UpgradeSystem } from './systems/UpgradeSystem.js';
 import { InputManager } from './systems/InputManager.js';
-import { InputHandler } from './systems/InputHandler.js';
+import { SaveSystem } from './systems/SaveSystem.js';
+import { NavigationSystem } from './systems/NavigationSystem.js';
+import { LootSystem } from './systems/LootSystem.js';
+import { MarketSystem } from './systems/MarketSystem.js';
 
 // Add global emergency functions
 window.fixControls = function() {
@@ -85,6 +88,7 @@ class Game {
         // Game state
         this.initialized = false;
         this.isRunning = false;
+        this.isGameOver = false;
         this.debugMode = false;
         this.initStartTime = 0;
         this.initWarningShown = false;
@@ -113,13 +117,15 @@ class Game {
         this.spacecraft = null;
         this.mothership = null;
         this.uiManager = null;
+        this.combatSystem = null;
+        this.upgradeSystem = null;
+        this.saveSystem = null;
+        this.navigationSystem = null;
+        this.lootSystem = null;
+        this.marketSystem = null;
         
         // UI elements
-        this.healthBar = null;
-        this.shieldBar = null;
-        this.energyBar = null;
         this.fpsCounter = null;
-        this.sectorInfo = null;
         
         // Performance monitoring
         this.frameCount = 0;
@@ -1139,6 +1145,42 @@ class Game {
             });
         }
         
+        // Scan for motherships
+        if (this.gameWorld.motherships) {
+            this.gameWorld.motherships.forEach(mothership => {
+                if (!mothership || !mothership.position) return;
+                
+                const distance = position.distanceTo(mothership.position);
+                if (distance <= scanRadius) {
+                    scanResults.push({
+                        type: 'mothership',
+                        name: mothership.name || 'Mothership',
+                        distance: distance,
+                        position: mothership.position.clone(),
+                        object: mothership
+                    });
+                }
+            });
+        }
+        
+        // Scan for anomalies
+        if (this.gameWorld.anomalies) {
+            this.gameWorld.anomalies.forEach(anomaly => {
+                if (!anomaly || !anomaly.position) return;
+                
+                const distance = position.distanceTo(anomaly.position);
+                if (distance <= scanRadius) {
+                    scanResults.push({
+                        type: anomaly.anomalyType || 'anomaly',
+                        name: anomaly.name || 'Unknown Anomaly',
+                        distance: distance,
+                        position: anomaly.position.clone(),
+                        object: anomaly
+                    });
+                }
+            });
+        }
+        
         // Sort results by distance
         scanResults.sort((a, b) => a.distance - b.distance);
         
@@ -1159,6 +1201,7 @@ class Game {
                     Distance: ${result.distance.toFixed(0)} units<br>
                     Position: (${result.position.x.toFixed(0)}, ${result.position.y.toFixed(0)}, ${result.position.z.toFixed(0)})
                     <button class="goto-button" data-name="${result.name}" style="background: #44cc44; border: none; color: white; padding: 2px 5px; border-radius: 3px; cursor: pointer; margin-left: 5px; font-size: 12px;">Go To</button>
+                    <button class="waypoint-button" data-name="${result.name}" style="background: #ccaa00; border: none; color: white; padding: 2px 5px; border-radius: 3px; cursor: pointer; margin-left: 5px; font-size: 12px;">Set Waypoint</button>
                 </li>`;
             });
             
@@ -1218,6 +1261,26 @@ class Game {
                 });
             });
             
+            // Add event listeners to "Set Waypoint" buttons
+            const waypointButtons = modal.querySelectorAll('.waypoint-button');
+            waypointButtons.forEach(button => {
+                button.addEventListener('click', () => {
+                    const objectName = button.getAttribute('data-name');
+                    const result = scanResults.find(r => r.name === objectName);
+                    
+                    if (result && this.navigationSystem) {
+                        this.navigationSystem.setWaypoint({
+                            name: result.name,
+                            type: result.type,
+                            object: result.object
+                        });
+                        
+                        // Close the modal
+                        document.body.removeChild(modal);
+                    }
+                });
+            });
+            
             // Show notification
             this.showNotification(`Scan complete. Found ${scanResults.length} objects.`, "info", 3000);
         } else {
@@ -1283,23 +1346,13 @@ class Game {
             // Apply damage and gravitational pull based on intensity
             const damage = 10 * (anomaly.intensity || 1);
             
-            // Apply damage to shields first, then to hull
-            if (this.spacecraft.shields > 0) {
-                this.spacecraft.shields -= damage;
-                if (this.spacecraft.shields < 0) {
-                    // Overflow damage to hull
-                    this.spacecraft.hull += this.spacecraft.shields;
-                    this.spacecraft.shields = 0;
-                }
-            } else {
-                this.spacecraft.hull -= damage;
-            }
-            
-            // Update UI
-            this.updateHealthUI();
+            // Shields take it first, then the hull
+            const destroyed = this.spacecraft.takeDamage(damage);
             
             // Show warning
-            this.showNotification(`WARNING: Black hole gravitational forces damaging spacecraft! Shields: ${Math.round(this.spacecraft.shields)}%, Hull: ${Math.round(this.spacecraft.hull)}%`, 'danger', 3000);
+            const shieldPercent = Math.round((this.spacecraft.shield / this.spacecraft.maxShield) * 100);
+            const hullPercent = Math.round((this.spacecraft.health / this.spacecraft.maxHealth) * 100);
+            this.showNotification(`WARNING: Black hole gravitational forces damaging spacecraft! Shields: ${shieldPercent}%, Hull: ${hullPercent}%`, 'danger', 3000);
             
             // Apply gravitational pull
             const pullDirection = new THREE.Vector3().subVectors(anomaly.position, this.spacecraft.position).normalize();
@@ -1308,8 +1361,11 @@ class Game {
             // Apply force to spacecraft
             this.spacecraft.velocity.add(pullDirection.multiplyScalar(pullStrength * (delta / 1000)));
             
+            // Tidal drag keeps the engines from pulling clear at full speed
+            this.spacecraft.statusEffects.apply('slow', { duration: 2 });
+            
             // If hull reaches 0, destroy spacecraft
-            if (this.spacecraft.hull <= 0) {
+            if (destroyed) {
                 this.destroySpacecraft();
             }
         }
@@ -1358,6 +1414,10 @@ class Game {
     
     // Destroy spacecraft (game over)
     destroySpacecraft() {
+        // Several things can finish the ship off in the same frame
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+        
         // Show explosion effect
         if (this.spacecraft && this.spacecraft.position) {
             // Create explosion at spacecraft position
@@ -1762,6 +1822,15 @@ class Game {
                 return;
             }
             
+            // Menus and the map take over the keys and mouse from the flight controls
+            InputManager.getInstance().setContext(this.getInputContext());
+            
+            // Keep drawing the scene behind the pause menu but freeze the simulation
+            if (this.uiManager && this.uiManager.isPaused()) {
+                this.renderScene();
+                return;
+            }
+            
             // Performance monitoring
             const startTime = performance.now();
             
@@ -1770,11 +1839,45 @@ class Game {
                 this.physicsSystem.update(delta);
             }
             
+            // Read the controls and hand them to the spacecraft (every frame)
+            if (this.spacecraft) {
+                this.updateInput();
+            }
+            
             // Update spacecraft (every frame)
             if (this.spacecraft) {
                 this.spacecraft.update(delta);
             }
             
+            // Scoop up any wreckage within reach
+            if (this.physicsSystem && this.spacecraft) {
+                this.collectSalvage();
+            }
+            
+            // Drift loot containers and pull in any within reach of the ship's magnet
+            if (this.lootSystem) {
+                this.lootSystem.update(delta);
+            }
+            
+            // Update weapon cooldowns, projectiles, targeting and the missile lock (every frame)
+            if (this.combatSystem) {
+                this.combatSystem.update(delta);
+                
+                if (this.uiManager) {
+                    this.uiManager.updateTargeting(this.combatSystem);
+                    this.uiManager.updateLockReticle();
+                }
+            }
+            
+            // Update waypoint tracking and its HUD marker (every frame so the marker doesn't lag)
+            if (this.navigationSystem) {
+                this.navigationSystem.update();
+                
+                if (this.uiManager) {
+                    this.uiManager.updateWaypointMarker();
+                }
+            }
+            
             // Update game world (less frequently for better performance)
             if (this.gameWorld && this.frameCount % 2 === 0) {
                 const playerPosition = this.spacecraft ? this.spacecraft.position : this.camera.position;
@@ -1810,6 +1913,59 @@ class Game {
         }
     }
     
+    // One snapshot of the player's input a frame, which the spacecraft flies by. Button presses
+    // bound with onAction() fire while it's taken.
+    updateInput() {
+        try {
+            const controls = InputManager.getInstance().update();
+            this.spacecraft.setControls(controls);
+            
+            // Any flight input takes control back from the autopilot (the mouse alone doesn't,
+            // so nudging it doesn't cancel a long trip)
+            const { axes, buttons } = controls;
+            const flying = Object.keys(axes).some(axis => axes[axis] !== 0) || buttons.boost || buttons.brake;
+            if (flying && this.navigationSystem && this.navigationSystem.isAutopilotEngaged()) {
+                this.navigationSystem.disengageAutopilot();
+            }
+        } catch (error) {
+            console.error("Error updating input:", error);
+        }
+    }
+    
+    /**
+     * Which input context the open screens call for (see INPUT_CONTEXTS)
+     * @returns {string} 'menu', 'map', 'docked' or 'flight'
+     */
+    getInputContext() {
+        const ui = this.uiManager;
+        if ((ui && ui.isPaused()) || (this.saveSystem && this.saveSystem.isMenuOpen())) {
+            return 'menu';
+        }
+        if (ui && ui.isMapOpen) {
+            return 'map';
+        }
+        if ((this.marketSystem && this.marketSystem.isOpen()) || (this.upgradeSystem && this.upgradeSystem.isMenuOpen())) {
+            return 'docked';
+        }
+        return 'flight';
+    }
+    
+    // Wreckage is worth credits; a tractor beam reaches much further than the hull
+    collectSalvage() {
+        try {
+            const range = this.spacecraft.hasTractorBeam ? this.spacecraft.tractorBeamRange : 15;
+            const salvage = this.physicsSystem.collectSalvage(this.spacecraft, range);
+            if (salvage.length === 0) return;
+            
+            const value = salvage.reduce((total, piece) => total + piece.salvageValue, 0);
+            if (this.upgradeSystem) {
+                this.upgradeSystem.addCredits(value);
+            }
+        } catch (error) {
+            console.error("Error collecting salvage:", error);
+        }
+    }
+    
     // Animation loop
     animate() {
         try {
@@ -2013,7 +2169,7 @@ class Game {
     initInputManager() {
         try {
             console.log("Initializing input manager...");
-            this.inputManager = new InputHandler(this.spacecraft);
+            this.inputManager = InputManager.getInstance();
             
             // Add a global reference for emergency access
             window.gameInputManager = this.inputManager;
@@ -2035,36 +2191,14 @@ class Game {
         }
     }
 
-    // Add this new method for emergency input reset
+    // Emergency input reset: forget any keys or buttons the browser never told us were released
     reinitializeInputSystem() {
         try {
             console.log("Reinitializing input system...");
             
-            // First try to reinitialize the existing input manager
-            if (this.inputManager && typeof this.inputManager.reinitialize === 'function') {
-                this.inputManager.reinitialize();
-            } else {
-                // If that fails, create a new input manager
-                console.log("Creating new input manager...");
-                if (this.inputManager) {
-                    // Try to clean up old event listeners (not perfect but helps)
-                    this.inputManager = null;
-                }
-                
-                // Force garbage collection if possible
-                if (window.gc) window.gc();
-                
-                // Create new input manager
-                this.inputManager = new InputHandler(this.spacecraft);
-                
-                // Update global reference
-                window.gameInputManager = this.inputManager;
-            }
-            
-            // Make sure spacecraft reference is set
-            if (this.spacecraft && this.inputManager) {
-                this.inputManager.setSpacecraft(this.spacecraft);
-            }
+            this.inputManager = InputManager.getInstance();
+            this.inputManager.clearInputState();
+            window.gameInputManager = this.inputManager;
             
             // Show notification to user
             this.showNotification("Controls have been reset. Try moving now.", "info", 5000);
@@ -2121,20 +2255,33 @@ class Game {
             // PERFORMANCE: Check device capability for adaptive loading
             const isLowEndDevice = this.detectLowEndDevice();
             
+            // A shared seed (?seed=...) recreates the same galaxy; otherwise GameWorld picks one
+            const seed = new URLSearchParams(window.location.search).get('seed');
+            
             // Create game world with proper error handling
             try {
                 // PERFORMANCE: Pass device capability to GameWorld for adaptive loading
                 this.gameWorld = new GameWorld(this.scene, this.loadingManager, this.physicsSystem, {
-                    lowEndDevice: isLowEndDevice
+                    lowEndDevice: isLowEndDevice,
+                    seed: seed
                 });
                 
                 // CRITICAL FIX: Set up callbacks for game world events
                 this.gameWorld.onSectorDiscovered = this.onSectorDiscovered.bind(this);
                 this.gameWorld.onPlanetDiscovered = this.onPlanetDiscovered.bind(this);
                 this.gameWorld.onAnomalyDiscovered = this.onAnomalyDiscovered.bind(this);
-                this.gameWorld.onEnemyDestroyed = (type, position) => {
+                this.gameWorld.onEnemyDestroyed = (type, position, details) => {
                     this.createExplosion(position, type === 'cruiser' ? 2 : 1);
                     this.showNotification(`Enemy ${type} destroyed!`, 'success');
+                    
+                    if (this.lootSystem && details) {
+                        this.lootSystem.dropShipLoot(details.ship, details.difficulty);
+                    }
+                };
+                this.gameWorld.onAsteroidDestroyed = (asteroid, difficulty) => {
+                    if (this.lootSystem) {
+                        this.lootSystem.dropAsteroidLoot(asteroid, difficulty);
+                    }
                 };
                 
                 // PERFORMANCE: Load solar system with progressive detail
@@ -2343,6 +2490,7 @@ class Game {
             // Get mothership if available
             let startPosition;
             let mothership = null;
+            let earth = null;
             
             if (this.gameWorld && this.gameWorld.motherships && this.gameWorld.motherships.length > 0) {
                 mothership = this.gameWorld.motherships[0];
@@ -2359,7 +2507,7 @@ class Game {
                 console.log(`Starting near mothership: ${startPosition.x}, ${startPosition.y}, ${startPosition.z}`);
             } else {
                 // Fallback to starting above Earth
-                const earth = this.gameWorld ? 
+                earth = this.gameWorld ? 
                     this.gameWorld.planets.find(planet => planet.name === "Earth") : null;
                 
                 if (earth) {
@@ -2381,6 +2529,9 @@ class Game {
                 position: startPosition
             });
             
+            // However the ship is destroyed, it's game over
+            this.spacecraft.onDestroyed = () => this.destroySpacecraft();
+            
             // Add to physics system
             if (this.physicsSystem) {
                 this.physicsSystem.addObject(this.spacecraft);
@@ -2414,6 +2565,9 @@ class Game {
                 }, 6000);
             }
             
+            // Connect UI, upgrades and saving to the new spacecraft
+            this.initPlayerSystems();
+            
             console.log("Player spacecraft created successfully");
             return this.spacecraft;
         } catch (error) {
@@ -2428,16 +2582,18 @@ class Game {
         try {
             console.log("Initializing UI...");
             
-            // Get UI elements
-            this.healthBar = document.getElementById('health');
-            this.shieldBar = document.getElementById('shield');
-            this.energyBar = document.getElementById('energy');
-            this.fpsElement = document.getElementById('fps');
-            this.sectorInfo = document.getElementById('sector');
-            
             // Create exploration UI
             this.createExplorationUI();
             
+            // Create the HUD and the systems it depends on
+            this.uiManager = new UIManager(this.spacecraft, this.gameWorld);
+            this.combatSystem = new CombatSystem(this.scene, this.physicsSystem);
+            this.saveSystem = new SaveSystem(this);
+            this.uiManager.setSaveSystem(this.saveSystem);
+            
+            // The spacecraft may already exist if the fallback world was used
+            this.initPlayerSystems();
+            
             console.log("UI initialized");
             return true;
         } catch (error) {
@@ -2445,29 +2601,185 @@ class Game {
             return false;
         }
     }
+    
+    // Set up the systems that need both the UI and the player's spacecraft
+    initPlayerSystems() {
+        try {
+            // Wait until both exist, and only do this once
+            if (!this.spacecraft || !this.uiManager || this.upgradeSystem) {
+                return;
+            }
+            
+            this.uiManager.setSpacecraft(this.spacecraft);
+            
+            if (this.combatSystem) {
+                this.combatSystem.setPlayerShip(this.spacecraft);
+                this.spacecraft.setCombatSystem(this.combatSystem);
+            }
+            
+            this.upgradeSystem = new UpgradeSystem(this.spacecraft, this.combatSystem, this.uiManager);
+            this.lootSystem = new LootSystem(this.scene, this.spacecraft, this.upgradeSystem, this.uiManager);
+            this.marketSystem = new MarketSystem(this.spacecraft, this.upgradeSystem, this.uiManager);
+            this.uiManager.setLootSystem(this.lootSystem);
+            
+            this.navigationSystem = new NavigationSystem(this.spacecraft, this.gameWorld, this.uiManager);
+            this.uiManager.setNavigationSystem(this.navigationSystem);
+            
+            if (this.gameWorld) {
+                this.gameWorld.setPlayerShip(this.spacecraft);
+                if (this.combatSystem) {
+                    this.gameWorld.setCombatSystem(this.combatSystem);
+                }
+            }
+            
+            this.setupInterfaceControls();
+            this.setupPowerControls();
+            this.setupWeaponControls();
+            this.setupCargoControls();
+            this.setupGamepadNotifications();
+            
+            // Autosave whenever the player docks with a mothership
+            if (this.gameWorld && this.gameWorld.motherships) {
+                this.gameWorld.motherships.forEach(mothership => {
+                    mothership.onSpacecraftDocked = () => {
+                        if (this.saveSystem) {
+                            this.saveSystem.autosave();
+                        }
+                    };
+                });
+            }
+            
+            // Offer to continue from a save before play starts
+            if (this.saveSystem) {
+                this.saveSystem.showLoadScreen();
+            }
+            
+            console.log("Player systems initialized");
+        } catch (error) {
+            console.error("Error initializing player systems:", error);
+        }
+    }
 
-    // Update UI elements
-    updateUI() {
-        // Update health, shield, energy if spacecraft exists
-        if (this.spacecraft) {
-            if (this.healthBar) this.healthBar.textContent = Math.round(this.spacecraft.hull);
-            if (this.shieldBar) this.shieldBar.textContent = Math.round(this.spacecraft.shields);
-            if (this.energyBar) this.energyBar.textContent = Math.round(this.spacecraft.energy);
+    // Camera views, the galactic map, autopilot and the menus
+    setupInterfaceControls() {
+        try {
+            const input = InputManager.getInstance();
+            const spacecraft = this.spacecraft;
+            
+            // Switch to a camera mode, or back to third-person if already in it
+            const toggleCameraMode = (mode) => {
+                spacecraft.switchCameraMode(spacecraft.cameraMode === mode ? 'third-person' : mode);
+            };
+            
+            input.onAction('cycleCamera', () => spacecraft.cycleCameraMode());
+            input.onAction('cockpitView', () => toggleCameraMode('cockpit'));
+            input.onAction('firstPersonView', () => toggleCameraMode('first-person'));
+            input.onAction('toggleControls', () => this.uiManager.toggleControlsPanel());
+            input.onAction('toggleMap', () => this.toggleGalacticMap());
+            input.onAction('toggleAutopilot', () => this.navigationSystem.toggleAutopilot());
+            input.onAction('toggleFlightAssist', () => this.toggleFlightAssist());
+            input.onAction('toggleMenu', () => this.toggleMenu());
+        } catch (error) {
+            console.error("Error setting up interface controls:", error);
         }
+    }
+    
+    // Switch between assisted and fully Newtonian flight
+    toggleFlightAssist() {
+        const enabled = this.spacecraft.flightModel.toggleFlightAssist();
+        this.uiManager.showNotification(`FLIGHT ASSIST ${enabled ? 'ON' : 'OFF'}`, enabled ? 'info' : 'warning');
+    }
+    
+    // Escape backs out of whatever is open, one screen at a time, before pausing
+    toggleMenu() {
+        const ui = this.uiManager;
         
-        // Update sector info
-        if (this.sectorInfo && this.gameWorld) {
-            const currentSector = this.gameWorld.getCurrentSector();
-            if (currentSector && currentSector.name) {
-                this.sectorInfo.textContent = currentSector.name;
-            } else {
-                this.sectorInfo.textContent = "Unknown Sector";
-            }
+        // Leave the startup load screen alone, it has its own buttons
+        if (this.saveSystem && this.saveSystem.isStartupScreen) {
+            return;
         }
         
-        // Update FPS counter
-        if (this.fpsElement) {
-            this.fpsElement.textContent = this.fps;
+        if (ui.isMapOpen) {
+            ui.closeGalacticMap();
+        } else if (ui.isControlsMenuOpen()) {
+            ui.closeControlsMenu();
+        } else if (this.marketSystem && this.marketSystem.isOpen()) {
+            this.marketSystem.hideMarket();
+        } else if (this.upgradeSystem && this.upgradeSystem.isMenuOpen()) {
+            this.upgradeSystem.hideUpgradeMenu();
+        } else {
+            ui.togglePause();
+        }
+    }
+
+    // Bind the power distribution keys to the spacecraft's reactor
+    setupPowerControls() {
+        try {
+            const input = InputManager.getInstance();
+            const reactor = this.spacecraft.reactor;
+            
+            const divert = (system) => {
+                if (reactor.divertPower(system)) {
+                    this.uiManager.updatePowerPanel();
+                }
+            };
+            
+            input.onAction('powerToWeapons', () => divert('weapons'));
+            input.onAction('powerToShields', () => divert('shields'));
+            input.onAction('powerToEngines', () => divert('engines'));
+            input.onAction('balancePower', () => {
+                reactor.balance();
+                this.uiManager.updatePowerPanel();
+            });
+        } catch (error) {
+            console.error("Error setting up power controls:", error);
+        }
+    }
+
+    // Bind weapon cycling to the spacecraft's hardpoints (the weapon panel shows the selection)
+    setupWeaponControls() {
+        try {
+            const input = InputManager.getInstance();
+            
+            input.onAction('nextWeapon', () => this.spacecraft.nextWeapon());
+            input.onAction('prevWeapon', () => this.spacecraft.prevWeapon());
+            input.onAction('cycleTarget', () => this.combatSystem.cycleTarget());
+            input.onAction('cycleSubsystem', () => this.combatSystem.cycleSubsystem());
+            input.onAction('deployFlare', () => this.spacecraft.deployCountermeasure('flare'));
+            input.onAction('deployChaff', () => this.spacecraft.deployCountermeasure('chaff'));
+        } catch (error) {
+            console.error("Error setting up weapon controls:", error);
+        }
+    }
+
+    // Let the player know when a controller is picked up or lost
+    setupGamepadNotifications() {
+        window.addEventListener('gamepadconnected', (event) => {
+            this.uiManager.showNotification(`CONTROLLER CONNECTED: ${event.gamepad.id.toUpperCase()}`, 'success');
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.uiManager.showNotification(`CONTROLLER DISCONNECTED: ${event.gamepad.id.toUpperCase()}`, 'warning');
+        });
+    }
+    
+    // The cargo hold panel opens anywhere; the market (and upgrades through it) only at a
+    // mothership's docking bay
+    setupCargoControls() {
+        try {
+            const input = InputManager.getInstance();
+            
+            input.onAction('toggleInventory', () => this.uiManager.toggleInventory());
+            input.onAction('dockServices', () => {
+                if (this.marketSystem.isOpen()) {
+                    this.marketSystem.hideMarket();
+                } else if (this.gameWorld && this.gameWorld.isNearMothershipDockingBay(this.spacecraft)) {
+                    this.marketSystem.showMarket();
+                } else {
+                    this.uiManager.showNotification('FLY TO A MOTHERSHIP DOCKING BAY TO TRADE', 'warning');
+                }
+            });
+        } catch (error) {
+            console.error("Error setting up cargo controls:", error);
         }
     }
 
@@ -3122,398 +3434,6 @@ window.addEventListener('load', () => {
 // Export the Game class for module bundling
 export default Game; 
 
-// Add this after the global emergency functions
-
-// Add direct keyboard controls as a fallback
-window.addEventListener('DOMContentLoaded', () => {
-    console.log("Setting up direct keyboard controls");
-    
-    // Wait a bit to ensure the game is initialized
-    setTimeout(() => {
-        // Get the game instance
-        const game = window.game;
-        
-        if (!game || !game.spacecraft) {
-            console.error("Game or spacecraft not available for direct controls");
-            return;
-        }
-        
-        // Set up direct keyboard controls
-        document.addEventListener('keydown', (event) => {
-            const key = event.key.toLowerCase();
-            const spacecraft = game.spacecraft;
-            const delta = 1/60; // Approximate delta time
-            
-            // Skip if spacecraft is not available
-            if (!spacecraft) return;
-            
-            console.log(`Direct key press: ${key}`);
-            
-            switch (key) {
-                case 'w': // Forward
-                    spacecraft.accelerate(1, delta);
-                    break;
-                case 's': // Backward
-                    spacecraft.accelerate(-0.5, delta);
-                    break;
-                case 'a': // Strafe left
-                    spacecraft.strafe(-1, delta);
-                    break;
-                case 'd': // Strafe right
-                    spacecraft.strafe(1, delta);
-                    break;
-                case 'v': // Toggle camera view
-                    if (spacecraft.cycleCameraMode) {
-                        spacecraft.cycleCameraMode();
-                        console.log(`Camera mode switched to: ${spacecraft.cameraMode}`);
-                    }
-                    break;
-                case 'c': // Toggle cockpit view
-                    if (spacecraft.switchCameraMode) {
-                        const newMode = spacecraft.cameraMode === 'cockpit' ? 'third-person' : 'cockpit';
-                        spacecraft.switchCameraMode(newMode);
-                    }
-                    break;
-                case 'f': // Toggle first-person view
-                    if (spacecraft.switchCameraMode) {
-                        const newMode = spacecraft.cameraMode === 'first-person' ? 'third-person' : 'first-person';
-                        spacecraft.switchCameraMode(newMode);
-                    }
-                    break;
-                case ' ': // Boost
-                    spacecraft.boost(delta);
-                    break;
-                case 'shift': // Brake
-                    spacecraft.brake(delta);
-                    break;
-                case 'arrowleft': // Rotate left
-                    spacecraft.rotate('y', -1, delta);
-                    break;
-                case 'arrowright': // Rotate right
-                    spacecraft.rotate('y', 1, delta);
-                    break;
-                case 'arrowup': // Pitch up
-                    spacecraft.rotate('x', -1, delta);
-                    break;
-                case 'arrowdown': // Pitch down
-                    spacecraft.rotate('x', 1, delta);
-                    break;
-                case 'q': // Roll left
-                    spacecraft.rotate('z', -1, delta);
-                    break;
-                case 'e': // Roll right
-                    spacecraft.rotate('z', 1, delta);
-                    break;
-            }
-        });
-        
-        // Add mouse controls for aiming
-        document.addEventListener('mousemove', (event) => {
-            if (!game.spacecraft) return;
-            
-            // Only if pointer is locked
-            if (document.pointerLockElement) {
-                const sensitivity = 0.002;
-                const delta = 1/60;
-                
-                if (event.movementX) {
-                    game.spacecraft.rotate('y', -event.movementX * sensitivity, delta);
-                }
-                
-                if (event.movementY) {
-                    game.spacecraft.rotate('x', -event.movementY * sensitivity, delta);
-                }
-            }
-        });
-        
-        // Add click for pointer lock
-        document.addEventListener('click', () => {
-            if (!document.pointerLockElement) {
-                document.body.requestPointerLock();
-            }
-        });
-        
-        console.log("Direct keyboard controls set up successfully");
-    }, 2000); // Wait 2 seconds for game to initialize
-}); 
-
-// Add this after the direct keyboard controls
-
-// Add a simple visible controls panel
-window.addEventListener('DOMContentLoaded', () => {
-    console.log("Setting up visible controls panel");
-    
-    // Wait a bit to ensure the game is initialized
-    setTimeout(() => {
-        // Create a controls panel
-        const controlsPanel = document.createElement('div');
-        controlsPanel.style.position = 'fixed';
-        controlsPanel.style.bottom = '10px';
-        controlsPanel.style.right = '10px';
-        controlsPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        controlsPanel.style.color = 'white';
-        controlsPanel.style.padding = '10px';
-        controlsPanel.style.borderRadius = '5px';
-        controlsPanel.style.fontFamily = 'Arial, sans-serif';
-        controlsPanel.style.fontSize = '14px';
-        controlsPanel.style.zIndex = '1000';
-        controlsPanel.style.maxWidth = '300px';
-        
-        // Add controls information
-        controlsPanel.innerHTML = `
-            <h3 style="margin-top: 0; color: #00aaff;">Spacecraft Controls</h3>
-            <div style="margin-bottom: 10px;">
-                <strong>Movement:</strong>
-                <ul style="margin: 5px 0; padding-left: 20px;">
-                    <li>W - Forward</li>
-                    <li>S - Backward</li>
-                    <li>A - Strafe Left</li>
-                    <li>D - Strafe Right</li>
-                    <li>Space - Boost</li>
-                    <li>Shift - Brake</li>
-                </ul>
-            </div>
-            <div style="margin-bottom: 10px;">
-                <strong>Camera:</strong>
-                <ul style="margin: 5px 0; padding-left: 20px;">
-                    <li>V - Cycle Camera Views</li>
-                    <li>C - Toggle Cockpit View</li>
-                    <li>F - Toggle First-Person</li>
-                </ul>
-            </div>
-            <div>
-                <strong>Rotation:</strong>
-                <ul style="margin: 5px 0; padding-left: 20px;">
-                    <li>Mouse - Aim</li>
-                    <li>Arrow Keys - Rotate</li>
-                    <li>Q/E - Roll Left/Right</li>
-                </ul>
-            </div>
-            <div style="margin-top: 10px; font-size: 12px; color: #aaaaaa;">
-                Click anywhere to lock mouse pointer for controls
-            </div>
-        `;
-        
-        // Add to document
-        document.body.appendChild(controlsPanel);
-        
-        console.log("Visible controls panel added");
-    }, 1000); // Wait 1 second for game to initialize
-}); 
-
-// Add this after the visible controls panel
-
-// Add a continuous key checker
-window.addEventListener('DOMContentLoaded', () => {
-    console.log("Setting up continuous key checker");
-    
-    // Wait a bit to ensure the game is initialized
-    setTimeout(() => {
-        // Get the game instance
-        const game = window.game;
-        
-        if (!game) {
-            console.error("Game not available for continuous key checker");
-            return;
-        }
-        
-        // Create a key state tracker
-        const keyState = {};
-        
-        // Set up key listeners
-        document.addEventListener('keydown', (event) => {
-            keyState[event.key.toLowerCase()] = true;
-        });
-        
-        document.addEventListener('keyup', (event) => {
-            keyState[event.key.toLowerCase()] = false;
-        });
-        
-        // Set up continuous update loop
-        const updateInterval = setInterval(() => {
-            // Skip if game or spacecraft is not available
-            if (!game || !game.spacecraft) {
-                return;
-            }
-            
-            const spacecraft = game.spacecraft;
-            const delta = 1/60; // Approximate delta time
-            
-            // Handle movement
-            if (keyState['w']) {
-                spacecraft.accelerate(1, delta);
-            }
-            
-            if (keyState['s']) {
-                spacecraft.accelerate(-0.5, delta);
-            }
-            
-            if (keyState['a']) {
-                spacecraft.strafe(-1, delta);
-            }
-            
-            if (keyState['d']) {
-                spacecraft.strafe(1, delta);
-            }
-            
-            // Handle rotation
-            if (keyState['arrowleft']) {
-                spacecraft.rotate('y', -1, delta);
-            }
-            
-            if (keyState['arrowright']) {
-                spacecraft.rotate('y', 1, delta);
-            }
-            
-            if (keyState['arrowup']) {
-                spacecraft.rotate('x', -1, delta);
-            }
-            
-            if (keyState['arrowdown']) {
-                spacecraft.rotate('x', 1, delta);
-            }
-            
-            // Handle special actions
-            if (keyState[' ']) { // Space
-                spacecraft.boost(delta);
-            }
-            
-            if (keyState['shift']) {
-                spacecraft.brake(delta);
-            }
-            
-            if (keyState['q']) {
-                spacecraft.rotate('z', -1, delta);
-            }
-            
-            if (keyState['e']) {
-                spacecraft.rotate('z', 1, delta);
-            }
-        }, 16); // ~60fps
-        
-        // Store the interval for cleanup
-        window.continuousKeyCheckerInterval = updateInterval;
-        
-        console.log("Continuous key checker set up successfully");
-    }, 3000); // Wait 3 seconds for game to initialize
-}); 
-
-// Add this after the continuous key checker
-
-// Add a direct control system that hooks into the game update loop
-window.addEventListener('DOMContentLoaded', () => {
-    console.log("Setting up direct control system in game loop");
-    
-    // Wait a bit to ensure the game is initialized
-    setTimeout(() => {
-        // Get the game instance
-        const game = window.game;
-        
-        if (!game) {
-            console.error("Game not available for direct control system");
-            return;
-        }
-        
-        // Create a key state tracker that will be used by the game loop
-        window.directControlKeyState = {};
-        
-        // Set up key listeners
-        document.addEventListener('keydown', (event) => {
-            window.directControlKeyState[event.key.toLowerCase()] = true;
-            console.log(`Key down: ${event.key.toLowerCase()}`);
-        });
-        
-        document.addEventListener('keyup', (event) => {
-            window.directControlKeyState[event.key.toLowerCase()] = false;
-            console.log(`Key up: ${event.key.toLowerCase()}`);
-        });
-        
-        // Override the game's update method to include our direct controls
-        const originalUpdate = game.update;
-        game.update = function(time, delta) {
-            // First, apply our direct controls
-            if (this.spacecraft && window.directControlKeyState) {
-                const spacecraft = this.spacecraft;
-                
-                // Movement controls
-                if (window.directControlKeyState['w']) {
-                    spacecraft.accelerate(1, delta);
-                    console.log("Moving forward");
-                }
-                
-                if (window.directControlKeyState['s']) {
-                    spacecraft.accelerate(-0.5, delta);
-                    console.log("Moving backward");
-                }
-                
-                if (window.directControlKeyState['a']) {
-                    spacecraft.strafe(-1, delta);
-                    console.log("Strafing left");
-                }
-                
-                if (window.directControlKeyState['d']) {
-                    spacecraft.strafe(1, delta);
-                    console.log("Strafing right");
-                }
-                
-                // Special actions
-                if (window.directControlKeyState[' ']) {
-                    spacecraft.boost(delta);
-                    console.log("Boosting");
-                }
-                
-                if (window.directControlKeyState['shift']) {
-                    spacecraft.brake(delta);
-                    console.log("Braking");
-                }
-                
-                // Rotation controls
-                if (window.directControlKeyState['arrowleft']) {
-                    spacecraft.rotate('y', -1, delta);
-                    console.log("Rotating left");
-                }
-                
-                if (window.directControlKeyState['arrowright']) {
-                    spacecraft.rotate('y', 1, delta);
-                    console.log("Rotating right");
-                }
-                
-                if (window.directControlKeyState['arrowup']) {
-                    spacecraft.rotate('x', -1, delta);
-                    console.log("Rotating up");
-                }
-                
-                if (window.directControlKeyState['arrowdown']) {
-                    spacecraft.rotate('x', 1, delta);
-                    console.log("Rotating down");
-                }
-                
-                if (window.directControlKeyState['q']) {
-                    spacecraft.rotate('z', -1, delta);
-                    console.log("Rolling left");
-                }
-                
-                if (window.directControlKeyState['e']) {
-                    spacecraft.rotate('z', 1, delta);
-                    console.log("Rolling right");
-                }
-            }
-            
-            // Then call the original update method
-            return originalUpdate.call(this, time, delta);
-        };
-        
-        console.log("Direct control system in game loop set up successfully");
-        
-        // Add a notification to the user
-        if (game.showNotification) {
-            game.showNotification("Direct control system activated. Try using WASD to move the spacecraft.", "info", 5000);
-        }
-    }, 4000); // Wait 4 seconds for game to initialize
-}); 
-
-// Add this after the direct control system
-
 // Add a navigation system to help explore the solar system
 window.addEventListener('DOMContentLoaded', () => {
     console.log("Setting up navigation system");
@@ -4220,16 +4140,8 @@ setTimeout(() => {
             console.log("Solar system already exists with " + game.gameWorld.planets.length + " planets");
         }
         
-        // Fix inverted controls if spacecraft exists
+        // Enhance thruster effects if spacecraft exists
         if (game.spacecraft) {
-            // Override the accelerate method to fix inverted controls
-            const originalAccelerate = game.spacecraft.accelerate;
-            
-            game.spacecraft.accelerate = function(direction, delta) {
-                // Invert the direction to fix the controls
-                originalAccelerate.call(this, -direction, delta);
-            };
-            
             // Enhance thruster effects
             const originalUpdateEngineEffects = game.spacecraft.updateEngineEffects;
             
@@ -4265,10 +4177,10 @@ setTimeout(() => {
                 }
             };
             
-            console.log("Fixed inverted controls and enhanced thruster effects");
-            showEmergencyNotification("Controls fixed and thrusters enhanced", "info");
+            console.log("Enhanced thruster effects");
+            showEmergencyNotification("Thrusters enhanced", "info");
         } else {
-            console.log("Spacecraft not available to fix controls");
+            console.log("Spacecraft not available to enhance thrusters");
         }
     } catch (error) {
         console.error("Error creating emergency solar system:", error);
@@ -4329,6 +4241,7 @@ setTimeout(() => {
         // Create planets in other sectors
         game.gameWorld.sectors.forEach((sector, index) => {
             if (index === 0) return; // Skip Solar System, already populated
+            if (sector.generated) return; // Seeded sectors are populated by GameWorld when entered
             
             if (!sector.isPopulated) {
                 console.log(`Populating sector: ${sector.name}`);
@@ -1,10 +1,12 @@
 import * as THREE from 'three';
 import { Planet } from '../entities/Planet.js';
 import { AlienShip } from '../entities/AlienShip.js';
-import { AsteroidField } from '../components/AsteroidField.js';
+import { AsteroidField } from '../entities/AsteroidField.js';
 import { Nebula } from '../components/Nebula.js';
 import { Mothership } from '../entities/Mothership.js';
 import { SpaceAnomaly } from '../entities/SpaceAnomaly.js';
+import { UniverseGenerator } from './UniverseGenerator.js';
+import { Squadron } from '../components/Squadron.js';
 
 // Fallback classes in case of import failures
 class FallbackAlienShip extends THREE.Object3D {
@@ -30,12 +32,25 @@ export class GameWorld {
         // Game world state
         this.planets = [];
         this.aliens = [];
+        this.squadrons = []; // Alien wings flying in formation
         this.motherships = [];
         this.asteroidFields = [];
         this.nebulae = [];
         this.sectors = [];
+        this.sectorsByKey = new Map(); // Generated sectors by grid key ("x,z")
+        
+        // Sector streaming: the objects each loaded sector built, and what the player
+        // changed in each sector (destroyed aliens, mined asteroids) so it survives unloading
+        this.sectorContents = new Map(); // key -> { planets, asteroidFields, nebulae, aliens, squadrons }
+        this.sectorStates = new Map();   // key -> { destroyedAliens, destroyedAsteroids }
+        this.streamingTimer = 0;
         this.anomalies = []; // Track space anomalies
         this.currentSector = null;
+        this.playerShip = null; // Set by setPlayerShip() so aliens have someone to fight
+        this.combatSystem = null; // Set by setCombatSystem() so aliens can launch missiles
+        
+        // The world seed decides the whole galaxy; share it to get the same sectors
+        this.seed = options.seed ? String(options.seed) : UniverseGenerator.createRandomSeed();
         
         // PERFORMANCE: Store options for adaptive loading
         this.options = {
@@ -58,12 +73,17 @@ export class GameWorld {
         
         // Configuration
         this.config = {
-            numSectors: 4,  // Limit the number of sectors for better performance
-            sectorSize: 2000
+            sectorSize: 5000,           // Distance between sector centres
+            sectorGenerationRange: 1,   // Sectors around the player to generate ahead of time
+            sectorUnloadRange: 1,       // Sectors more than this many cells from the player are unloaded
+            streamingInterval: 2        // Seconds between checks for sectors to unload
         };
         
+        this.universe = new UniverseGenerator(this.seed, { sectorSize: this.config.sectorSize });
+        
         // Callbacks
-        this.onEnemyDestroyed = null;
+        this.onEnemyDestroyed = null;       // (type, position, { ship, difficulty })
+        this.onAsteroidDestroyed = null;    // (asteroid, difficulty)
         this.onSectorDiscovered = null;
         this.onPlanetDiscovered = null;
         this.onAnomalyDiscovered = null;
@@ -78,7 +98,7 @@ export class GameWorld {
         // Initialize with a delay to prevent blocking
         setTimeout(() => this.initialize(), 0);
         
-        console.log("GameWorld constructor completed with options:", this.options);
+        console.log("GameWorld constructor completed with options:", this.options, "seed:", this.seed);
     }
     
     async initialize() {
@@ -107,22 +127,15 @@ export class GameWorld {
             this.createMothership(mothershipPosition);
             this.loadingState.mothershipsCreated = true;
             
-            // Create sectors with predefined data instead of dynamic generation
-            this.sectors = [
-                { name: "Solar System", position: new THREE.Vector3(0, 0, 0), difficulty: 1, radius: 3000, isPopulated: true },
-                { name: "Alpha Centauri", position: new THREE.Vector3(5000, 0, 0), difficulty: 2, radius: 1500, isPopulated: false },
-                { name: "Sirius System", position: new THREE.Vector3(0, 0, 5000), difficulty: 3, radius: 1800, isPopulated: false },
-                { name: "Orion Nebula", position: new THREE.Vector3(5000, 0, 5000), difficulty: 4, radius: 2000, isPopulated: false }
-            ];
-            
-            // Set initial sector
-            this.setActiveSector(this.sectors[0]);
+            // Generate the home sector and its neighbours from the world seed
+            const homeSector = this.getSector(0, 0);
+            this.generateSectorsAround(homeSector.position);
             
             // Create some wormholes and black holes
             this.createSpaceAnomalies();
             
-            // Populate initial sector (origin)
-            this.populateSector(this.sectors[0]);
+            // Set initial sector (this populates it)
+            this.setActiveSector(homeSector);
             
             console.log("Game world initialization complete");
             return true;
@@ -141,10 +154,53 @@ export class GameWorld {
     
     // Simplified sector creation - no async to avoid loading issues
     createSector(index) {
-        // Use predefined sector data instead of dynamic generation
         return this.sectors[index];
     }
     
+    // Get the sector at a grid cell, generating it from the seed the first time
+    getSector(gridX, gridZ) {
+        const key = this.universe.getSectorKey(gridX, gridZ);
+        
+        let sector = this.sectorsByKey.get(key);
+        if (!sector) {
+            sector = this.universe.generateSector(gridX, gridZ);
+            this.sectorsByKey.set(key, sector);
+            this.sectors.push(sector);
+            console.log(`Generated sector ${sector.name} at ${key} (difficulty ${sector.difficulty})`);
+        }
+        
+        return sector;
+    }
+    
+    // Make sure the sectors around a position exist so they show up on the map
+    generateSectorsAround(position, range = this.config.sectorGenerationRange) {
+        const { gridX, gridZ } = this.universe.getGridCoordinates(position);
+        
+        for (let x = gridX - range; x <= gridX + range; x++) {
+            for (let z = gridZ - range; z <= gridZ + range; z++) {
+                this.getSector(x, z);
+            }
+        }
+    }
+    
+    // Let the aliens know who they're hunting
+    setPlayerShip(ship) {
+        this.playerShip = ship;
+    }
+    
+    /**
+     * Give aliens the combat system, which their guided missiles are launched through
+     * @param {CombatSystem} combatSystem
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+        this.aliens.forEach(alien => {
+            if (typeof alien.setCombatSystem === 'function') {
+                alien.setCombatSystem(combatSystem);
+            }
+        });
+    }
+    
     setActiveSector(sector) {
         this.currentSector = sector;
         console.log(`Entered sector: ${sector.name}`);
@@ -164,36 +220,86 @@ export class GameWorld {
             
             console.log(`Populating sector: ${sector.name}`);
             
-            // PERFORMANCE: Limit the number of objects based on device capability
-            const planetCount = this.options.lowEndDevice ? 1 : 2;
-            const asteroidFieldCount = this.options.lowEndDevice ? 1 : 2;
-            const alienCount = this.options.lowEndDevice ? 1 : 3;
+            // PERFORMANCE: Limit the number of objects based on device capability.
+            // Layouts are cut short rather than re-rolled so the seed still decides what's left
+            const planets = sector.planets || [];
+            const asteroidFields = sector.asteroidFields || [];
+            const nebulae = sector.nebulae || [];
+            const aliens = sector.aliens || [];
+            
+            const planetCount = this.options.lowEndDevice ? Math.min(planets.length, 1) : planets.length;
+            const asteroidFieldCount = this.options.lowEndDevice ? Math.min(asteroidFields.length, 1) : asteroidFields.length;
+            const nebulaCount = this.options.lowEndDevice ? 0 : nebulae.length;
+            const alienCount = Math.min(aliens.length, this.options.maxVisibleAliens);
+            
+            // Everything built here is tracked so the sector can be unloaded later,
+            // and the stored state re-applies what the player did on earlier visits
+            const contents = { planets: [], asteroidFields: [], nebulae: [], aliens: [], squadrons: [] };
+            this.sectorContents.set(sector.key, contents);
+            const state = this.getSectorState(sector);
+            
+            // The home sector's Sun comes from createSolarSystem()
+            if (sector.star && !sector.isHome) {
+                const star = this.createStar(sector);
+                if (star) {
+                    this.planets.push(star);
+                    contents.planets.push(star);
+                }
+            }
             
             // Add planets to the sector
             for (let i = 0; i < planetCount; i++) {
-                const planetPosition = this.getRandomPositionInSector(sector);
-                const planet = this.createPlanet(planetPosition);
+                const planet = this.createPlanet(planets[i].position, planets[i]);
                 if (planet) {
                     this.planets.push(planet);
+                    contents.planets.push(planet);
                 }
             }
             
-            // Add asteroid fields
+            // Add asteroid fields. Each is seeded so it rebuilds with the same asteroids
             for (let i = 0; i < asteroidFieldCount; i++) {
-                const asteroidField = this.createAsteroidField(sector);
+                const asteroidField = this.createAsteroidField(sector, asteroidFields[i], {
+                    seed: `${this.seed}:${sector.key}:asteroids:${i}`,
+                    destroyedAsteroids: state.destroyedAsteroids[i]
+                });
                 if (asteroidField) {
+                    asteroidField.fieldIndex = i;
                     this.asteroidFields.push(asteroidField);
+                    contents.asteroidFields.push(asteroidField);
                 }
             }
             
-            // Add alien ships
-            for (let i = 0; i < alienCount; i++) {
-                const alien = this.createAlienShip(sector);
-                if (alien) {
-                    this.aliens.push(alien);
+            // Add nebulae
+            for (let i = 0; i < nebulaCount; i++) {
+                const nebula = this.createNebula(sector, nebulae[i]);
+                if (nebula) {
+                    this.nebulae.push(nebula);
+                    contents.nebulae.push(nebula);
                 }
             }
             
+            // Add alien ships, skipping any the player has already destroyed
+            const spawnedAliens = [];
+            for (let i = 0; i < alienCount; i++) {
+                if (state.destroyedAliens.has(i)) continue;
+                
+                spawnedAliens[i] = this.spawnSectorAlien(sector, i);
+            }
+            
+            // A boss stays dead once beaten
+            if (sector.boss && !state.bossDefeated) {
+                this.spawnSectorBoss(sector);
+            }
+            
+            // Group them into squadrons
+            (sector.squadrons || []).forEach(layout => {
+                const squadron = this.createSquadron(layout, spawnedAliens);
+                if (squadron) {
+                    this.squadrons.push(squadron);
+                    contents.squadrons.push(squadron);
+                }
+            });
+            
             // Mark sector as populated
             sector.isPopulated = true;
             
@@ -203,6 +309,248 @@ export class GameWorld {
         }
     }
     
+    // Create one of a sector's layout aliens and track it with the sector
+    spawnSectorAlien(sector, spawnIndex) {
+        const alien = this.createAlienShip(sector, sector.aliens[spawnIndex]);
+        if (!alien) return null;
+        
+        alien.spawnIndex = spawnIndex;
+        this.aliens.push(alien);
+        
+        const contents = this.sectorContents.get(sector.key);
+        if (contents) {
+            contents.aliens.push(alien);
+        }
+        
+        return alien;
+    }
+    
+    // Create a sector's boss and let it call in escorts as the fight goes on
+    spawnSectorBoss(sector) {
+        const boss = this.createAlienShip(sector, {
+            type: 'boss',
+            name: sector.boss.name,
+            position: sector.boss.position,
+            patrolRadius: sector.boss.patrolRadius,
+            maxSpeed: 25
+        });
+        if (!boss) return null;
+        
+        boss.onSpawnEscorts = (count, type) => this.spawnBossEscorts(sector, boss, count, type);
+        
+        this.aliens.push(boss);
+        const contents = this.sectorContents.get(sector.key);
+        if (contents) {
+            contents.aliens.push(boss);
+        }
+        
+        return boss;
+    }
+    
+    // Escorts form up on the boss; they don't respawn or outlive the sector
+    spawnBossEscorts(sector, boss, count, type) {
+        const contents = this.sectorContents.get(sector.key);
+        const escorts = [];
+        
+        for (let i = 0; i < count; i++) {
+            const offset = new THREE.Vector3(
+                (Math.random() - 0.5) * 120,
+                (Math.random() - 0.5) * 40,
+                (Math.random() - 0.5) * 120
+            );
+            
+            const escort = this.createAlienShip(sector, {
+                type: type,
+                position: boss.position.clone().add(offset),
+                patrolRadius: 200,
+                maxSpeed: 40
+            });
+            if (!escort) continue;
+            
+            escort.isEscort = true;
+            this.aliens.push(escort);
+            if (contents) {
+                contents.aliens.push(escort);
+            }
+            escorts.push(escort);
+        }
+        
+        if (escorts.length === 0) return;
+        
+        if (boss.squadron) {
+            escorts.forEach(escort => boss.squadron.addWingman(escort));
+        } else {
+            const squadron = new Squadron({
+                leader: boss,
+                wingmen: escorts,
+                formation: 'v',
+                tactic: 'pincer',
+                spacing: 60
+            });
+            this.squadrons.push(squadron);
+            if (contents) {
+                contents.squadrons.push(squadron);
+            }
+        }
+        
+        console.log(`${boss.bossEncounter ? boss.bossEncounter.name : 'Boss'} called in ${escorts.length} ${type} escorts`);
+    }
+    
+    /**
+     * Find the boss the player is currently fighting, if any
+     * @returns {AlienShip|null} Engaged boss ship
+     */
+    getActiveBoss() {
+        return this.aliens.find(alien =>
+            alien.bossEncounter && alien.bossEncounter.isEngaged && alien.parent) || null;
+    }
+    
+    // Build a squadron from a sector layout. Squadrons whose leader is gone
+    // (destroyed on an earlier visit, or cut by the alien cap) aren't formed
+    createSquadron(layout, aliens) {
+        const leader = aliens[layout.leader];
+        const wingmen = layout.wingmen.map(index => aliens[index]).filter(Boolean);
+        
+        if (!leader || wingmen.length === 0) {
+            return null;
+        }
+        
+        return new Squadron({
+            leader: leader,
+            wingmen: wingmen,
+            formation: layout.formation,
+            tactic: layout.tactic,
+            spacing: layout.spacing
+        });
+    }
+    
+    // Changes the player has made to a sector, kept while the sector is unloaded
+    getSectorState(sector) {
+        let state = this.sectorStates.get(sector.key);
+        if (!state) {
+            state = {
+                destroyedAliens: new Set(),  // Layout indices of destroyed aliens
+                bossDefeated: false,
+                destroyedAsteroids: []       // Per asteroid field: keys of destroyed asteroids
+            };
+            this.sectorStates.set(sector.key, state);
+        }
+        
+        return state;
+    }
+    
+    // Remove everything a sector built from the scene and physics, keeping its state
+    unloadSector(sector) {
+        const contents = this.sectorContents.get(sector.key);
+        if (!contents) return;
+        
+        try {
+            const state = this.getSectorState(sector);
+            const removeFrom = (array, object) => {
+                const index = array.indexOf(object);
+                if (index !== -1) {
+                    array.splice(index, 1);
+                }
+            };
+            
+            contents.planets.forEach(planet => {
+                if (this.physicsSystem) {
+                    this.physicsSystem.removeObject(planet);
+                }
+                planet.dispose();
+                removeFrom(this.planets, planet);
+            });
+            
+            contents.asteroidFields.forEach(field => {
+                // Remember mined asteroids before the field is thrown away
+                state.destroyedAsteroids[field.fieldIndex] = Array.from(field.destroyedAsteroids);
+                field.dispose();
+                removeFrom(this.asteroidFields, field);
+            });
+            
+            contents.nebulae.forEach(nebula => {
+                this.disposeObject(nebula);
+                removeFrom(this.nebulae, nebula);
+            });
+            
+            contents.aliens.forEach(alien => {
+                if (this.physicsSystem) {
+                    this.physicsSystem.removeObject(alien);
+                }
+                this.disposeObject(alien);
+                removeFrom(this.aliens, alien);
+            });
+            
+            contents.squadrons.forEach(squadron => {
+                removeFrom(this.squadrons, squadron);
+            });
+            
+            this.sectorContents.delete(sector.key);
+            sector.isPopulated = false;
+            
+            console.log(`Unloaded sector: ${sector.name}`);
+        } catch (error) {
+            console.error(`Error unloading sector ${sector.name}:`, error);
+        }
+    }
+    
+    // Key of the loaded sector that built an object, or null for objects that aren't streamed
+    // (the Solar System, motherships, anomalies)
+    getObjectSectorKey(object) {
+        for (const [key, contents] of this.sectorContents) {
+            if (Object.values(contents).some(list => list.includes(object))) {
+                return key;
+            }
+        }
+        
+        return null;
+    }
+    
+    // The planet or star a sector built at a position, or null while the sector is unloaded.
+    // Sectors rebuild from the seed, so a reloaded planet is back exactly where it was
+    findSectorPlanet(key, position) {
+        const contents = this.sectorContents.get(key);
+        if (!contents || !position) return null;
+        
+        return contents.planets.find(planet => planet.position.distanceToSquared(position) < 1) || null;
+    }
+    
+    // Unload loaded sectors that are too far from the player
+    unloadDistantSectors(position) {
+        const { gridX, gridZ } = this.universe.getGridCoordinates(position);
+        const range = this.config.sectorUnloadRange;
+        
+        for (const key of Array.from(this.sectorContents.keys())) {
+            const sector = this.sectorsByKey.get(key);
+            if (!sector || sector === this.currentSector) continue;
+            
+            const cellDistance = Math.max(Math.abs(sector.gridX - gridX), Math.abs(sector.gridZ - gridZ));
+            if (cellDistance > range) {
+                this.unloadSector(sector);
+            }
+        }
+    }
+    
+    // Remove an object from the scene and free its geometries and materials
+    disposeObject(object) {
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+        
+        object.traverse(child => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(material => material.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
+    
     clearWorld() {
         // Remove all objects from the scene
         this.planets.forEach(planet => {
@@ -235,6 +583,10 @@ export class GameWorld {
         this.asteroidFields = [];
         this.nebulae = [];
         this.sectors = [];
+        this.sectorsByKey.clear();
+        this.sectorContents.clear();
+        this.squadrons = [];
+        this.sectorStates.clear();
         this.currentSector = null;
     }
     
@@ -267,7 +619,8 @@ export class GameWorld {
         this.scene.add(this.starField);
     }
     
-    createPlanet(positionOrSector) {
+    // properties: optional { name, radius, type, hasRings, moonCount } from a sector layout
+    createPlanet(positionOrSector, properties = {}) {
         try {
             let position;
             
@@ -291,12 +644,13 @@ export class GameWorld {
                 position = new THREE.Vector3(0, 0, 0);
             }
             
-            // Random size and features
-            const radius = 50 + Math.random() * 150;
-            const hasRings = Math.random() > 0.7;
+            // Size and features from the layout, or random if none was given
+            const radius = properties.radius || 50 + Math.random() * 150;
+            const hasRings = properties.hasRings !== undefined ? properties.hasRings : Math.random() > 0.7;
             
             // PERFORMANCE: Reduce complexity on low-end devices
-            const moonCount = this.options.lowEndDevice ? 0 : 
+            const moonCount = this.options.lowEndDevice ? 0 :
+                properties.moonCount !== undefined ? properties.moonCount :
                 (Math.random() > 0.5 ? Math.floor(Math.random() * 3) + 1 : 0);
             
             // Random planet type
@@ -308,7 +662,7 @@ export class GameWorld {
                 'lava',
                 'ocean'
             ];
-            const type = planetTypes[Math.floor(Math.random() * planetTypes.length)];
+            const type = properties.type || planetTypes[Math.floor(Math.random() * planetTypes.length)];
             
             // Create planet with error handling
             try {
@@ -324,6 +678,10 @@ export class GameWorld {
                     lowDetail: this.options.lowEndDevice
                 });
                 
+                if (properties.name) {
+                    planet.name = properties.name;
+                }
+                
                 // Add to physics system if available
                 if (this.physicsSystem) {
                     try {
@@ -348,7 +706,44 @@ export class GameWorld {
         }
     }
     
-    createAsteroidField(sector) {
+    // Create the star at the centre of a generated sector
+    createStar(sector) {
+        try {
+            const star = new Planet({
+                scene: this.scene,
+                position: sector.position.clone(),
+                radius: sector.star.radius,
+                textureType: 'sun',
+                rotationSpeed: 0.005,
+                gravityFactor: sector.star.radius * 15,
+                loadingManager: this.loadingManager,
+                lowDetail: this.options.lowEndDevice
+            });
+            
+            star.name = `${sector.name} (${sector.star.name})`;
+            
+            // Tint the sun material to the star's class
+            if (star.mesh && star.mesh.material && star.mesh.material.color) {
+                star.mesh.material.color.setHex(sector.star.color);
+            }
+            
+            if (this.physicsSystem) {
+                this.physicsSystem.addObject(star);
+                if (this.physicsSystem.collisionGroups) {
+                    star.collisionGroup = this.physicsSystem.collisionGroups.planet;
+                }
+            }
+            
+            return star;
+        } catch (error) {
+            console.error("Error creating star:", error);
+            return null;
+        }
+    }
+    
+    // layout: optional { position, radius, density } from a sector layout
+    // fieldOptions: extra AsteroidField options, e.g. { seed, destroyedAsteroids }
+    createAsteroidField(sector, layout = null, fieldOptions = {}) {
         try {
             // Validate sector
             if (!sector) {
@@ -368,19 +763,20 @@ export class GameWorld {
                 });
             }
             
-            // Random position within sector
-            const position = this.getRandomPositionInSector(sector);
+            // Position within sector
+            const position = layout ? layout.position.clone() : this.getRandomPositionInSector(sector);
             
-            // Random field properties
-            const radius = 200 + Math.random() * 400;
+            // Field properties
+            const radius = layout ? layout.radius : 200 + Math.random() * 400;
             
             // PERFORMANCE: Reduce density on low-end devices
-            const density = this.options.lowEndDevice ? 
-                (0.2 + Math.random() * 0.3) : // Lower density for low-end
-                (0.5 + Math.random() * 1.0);  // Normal density
+            let density = layout ? layout.density : 0.5 + Math.random() * 1.0;
+            if (this.options.lowEndDevice) {
+                density *= 0.4; // Lower density for low-end
+            }
             
             // Create asteroid field
-            const asteroidField = new AsteroidField({
+            const asteroidField = new AsteroidField(Object.assign({
                 scene: this.scene,
                 position: position,
                 radius: radius,
@@ -388,8 +784,13 @@ export class GameWorld {
                 physicsSystem: this.physicsSystem,
                 loadingManager: this.loadingManager,
                 // PERFORMANCE: Pass low detail flag
-                lowDetail: this.options.lowEndDevice
-            });
+                lowDetail: this.options.lowEndDevice,
+                onAsteroidDestroyed: (asteroid) => {
+                    if (this.onAsteroidDestroyed) {
+                        this.onAsteroidDestroyed(asteroid, sector.difficulty || 1);
+                    }
+                }
+            }, fieldOptions));
             
             return asteroidField;
         } catch (error) {
@@ -398,7 +799,8 @@ export class GameWorld {
         }
     }
     
-    createNebula(sector) {
+    // layout: optional { position, radius, density } from a sector layout
+    createNebula(sector, layout = null) {
         try {
             // Validate sector
             if (!sector) {
@@ -416,14 +818,14 @@ export class GameWorld {
                 });
             }
             
-            // Random position within sector
-            const position = this.getRandomPositionInSector(sector);
+            // Position within sector
+            const position = layout ? layout.position.clone() : this.getRandomPositionInSector(sector);
             
-            // Random nebula properties
-            const radius = 300 + Math.random() * 600;
-            const density = 0.3 + Math.random() * 0.7;
+            // Nebula properties
+            const radius = layout ? layout.radius : 300 + Math.random() * 600;
+            const density = layout ? layout.density : 0.3 + Math.random() * 0.7;
             
-            // Random color based on sector difficulty level
+            // Color based on sector difficulty level
             let color;
             const difficulty = sector.difficulty || 1;
             
@@ -451,6 +853,7 @@ export class GameWorld {
                 radius: radius,
                 density: density,
                 color: color,
+                ionStorm: difficulty >= 3, // The nebulae of dangerous sectors are ion storms
                 loadingManager: this.loadingManager
             });
             
@@ -461,7 +864,8 @@ export class GameWorld {
         }
     }
     
-    createAlienShip(sector) {
+    // spawn: optional { type, position, patrolRadius, maxSpeed } from a sector layout
+    createAlienShip(sector, spawn = null) {
         try {
             // Handle missing AlienShip class
             const ShipClass = typeof AlienShip === 'function' ? AlienShip : FallbackAlienShip;
@@ -493,14 +897,16 @@ export class GameWorld {
                 return alien;
             }
             
-            // Random position within sector
-            const position = this.getRandomPositionInSector(sector);
+            // Position within sector
+            const position = spawn ? spawn.position.clone() : this.getRandomPositionInSector(sector);
             
             // Enemy type based on sector difficulty
             let enemyType;
             const difficulty = sector.difficulty || 1;
             
-            if (difficulty === 1) {
+            if (spawn) {
+                enemyType = spawn.type;
+            } else if (difficulty === 1) {
                 enemyType = 'scout';
             } else if (difficulty === 2) {
                 enemyType = Math.random() > 0.3 ? 'scout' : 'fighter';
@@ -515,14 +921,16 @@ export class GameWorld {
                 scene: this.scene,
                 position: position,
                 type: enemyType,
+                name: spawn ? spawn.name : null,
                 physicsSystem: this.physicsSystem,
+                combatSystem: this.combatSystem,
                 loadingManager: this.loadingManager
             });
             
             // Set enemy properties - use try/catch for each method call
             try {
                 if (typeof alien.setPatrolRadius === 'function') {
-                    alien.setPatrolRadius(200 + Math.random() * 300);
+                    alien.setPatrolRadius(spawn ? spawn.patrolRadius : 200 + Math.random() * 300);
                 }
             } catch (error) {
                 console.warn('Error setting patrol radius:', error);
@@ -530,7 +938,7 @@ export class GameWorld {
             
             try {
                 if (typeof alien.setMaxSpeed === 'function') {
-                    alien.setMaxSpeed(1 + Math.random() * difficulty);
+                    alien.setMaxSpeed(spawn ? spawn.maxSpeed : 1 + Math.random() * difficulty);
                 }
             } catch (error) {
                 console.warn('Error setting max speed:', error);
@@ -553,7 +961,16 @@ export class GameWorld {
                 alien.onDestroyed = (position) => {
                     try {
                         if (this.onEnemyDestroyed) {
-                            this.onEnemyDestroyed(enemyType, position);
+                            // PhysicsSystem doesn't pass a position, so fall back to where the ship was
+                            this.onEnemyDestroyed(enemyType, position || alien.position.clone(), {
+                                ship: alien,
+                                difficulty: sector.difficulty || 1
+                            });
+                        }
+                        
+                        // Losing the leader breaks up the squadron
+                        if (alien.squadron) {
+                            alien.squadron.onMemberDestroyed(alien);
                         }
                         
                         // Remove from tracking arrays
@@ -562,9 +979,39 @@ export class GameWorld {
                             this.aliens.splice(alienIndex, 1);
                         }
                         
+                        // Bosses and their escorts never come back
+                        if (alien.bossEncounter || alien.isEscort) {
+                            if (alien.bossEncounter && sector.key) {
+                                this.getSectorState(sector).bossDefeated = true;
+                            }
+                            
+                            const contents = this.sectorContents.get(sector.key);
+                            if (contents && contents.aliens.includes(alien)) {
+                                contents.aliens.splice(contents.aliens.indexOf(alien), 1);
+                            }
+                            return;
+                        }
+                        
+                        // Layout aliens stay destroyed if the sector is unloaded before they respawn
+                        const isLayoutAlien = alien.spawnIndex !== undefined && sector.key;
+                        if (isLayoutAlien) {
+                            this.getSectorState(sector).destroyedAliens.add(alien.spawnIndex);
+                            
+                            const contents = this.sectorContents.get(sector.key);
+                            if (contents && contents.aliens.includes(alien)) {
+                                contents.aliens.splice(contents.aliens.indexOf(alien), 1);
+                            }
+                        }
+                        
                         // Respawn a new enemy after a delay in the same sector
                         setTimeout(() => {
-                            if (this.sectors.includes(sector)) {
+                            if (isLayoutAlien) {
+                                // Bring the same layout alien back, now or when the sector next loads
+                                this.getSectorState(sector).destroyedAliens.delete(alien.spawnIndex);
+                                if (this.sectorContents.has(sector.key)) {
+                                    this.spawnSectorAlien(sector, alien.spawnIndex);
+                                }
+                            } else if (this.sectors.includes(sector)) {
                                 try {
                                     const newAlien = this.createAlienShip(sector);
                                     if (newAlien) {
@@ -717,12 +1164,18 @@ export class GameWorld {
     }
     
     getSectorAt(position) {
-        // Find which sector the position is in
-        for (const sector of this.sectors) {
-            const distance = position.distanceTo(sector.position);
-            if (distance <= sector.radius) {
-                // Position is in this sector
-                return { name: sector.name, sector: sector };
+        // Find which sector the position is in. The home sector is wider than a
+        // grid cell, so the neighbouring cells are checked as well
+        const { gridX, gridZ } = this.universe.getGridCoordinates(position);
+        
+        for (let x = gridX - 1; x <= gridX + 1; x++) {
+            for (let z = gridZ - 1; z <= gridZ + 1; z++) {
+                const sector = this.getSector(x, z);
+                const distance = position.distanceTo(sector.position);
+                if (distance <= sector.radius) {
+                    // Position is in this sector
+                    return { name: sector.name, sector: sector };
+                }
             }
         }
         
@@ -794,8 +1247,28 @@ export class GameWorld {
                 anomaly.position.distanceTo(playerPosition) < anomaly.radius * 3) {
                 // We'll handle the actual interaction in the Game class
             }
+            
+            // Trigger anomaly discovery when the player gets within scanning range
+            if (playerPosition && 
+                anomaly.position.distanceTo(playerPosition) < 1000 && 
+                this.onAnomalyDiscovered) {
+                this.onAnomalyDiscovered({
+                    name: anomaly.name || 'Unknown Anomaly',
+                    type: anomaly.anomalyType,
+                    position: anomaly.position
+                });
+            }
         }
         
+        // Aliens leave a docked player alone
+        const playerDocked = this.motherships.some(mothership =>
+            mothership.isDocked && mothership.dockedSpacecraft === this.playerShip);
+        const alienTarget = playerDocked ? null : this.playerShip;
+        
+        // Update squadrons first so wingmen see fresh shared targets
+        this.squadrons = this.squadrons.filter(squadron => !squadron.isBroken);
+        this.squadrons.forEach(squadron => squadron.update(delta));
+        
         // Update all aliens
         for (const alien of this.aliens) {
             // PERFORMANCE: Skip distant aliens
@@ -803,11 +1276,16 @@ export class GameWorld {
                 continue;
             }
             
-            alien.update(delta);
+            alien.update(delta, alienTarget, this.aliens);
         }
         
         // Update all asteroid fields
         for (const field of this.asteroidFields) {
+            // Every asteroid can be shot near the player, not just the solid ones
+            if (playerPosition) {
+                field.updateTargets(playerPosition);
+            }
+            
             // PERFORMANCE: Skip distant asteroid fields
             if (playerPosition && field.position.distanceTo(playerPosition) > viewDistance) {
                 continue;
@@ -824,12 +1302,30 @@ export class GameWorld {
             }
             
             nebula.update(delta);
+            
+            // Ion storms drain the player's shields and energy
+            if (nebula.ionStorm) {
+                nebula.applyIonStorm(this.playerShip);
+            }
         }
         
         // Check if player has entered a new sector
         if (playerPosition) {
             const currentSectorInfo = this.getSectorAt(playerPosition);
             
+            // Entering a sector builds its contents (again, if it was unloaded)
+            if (currentSectorInfo.sector && currentSectorInfo.sector !== this.currentSector) {
+                this.setActiveSector(currentSectorInfo.sector);
+                this.generateSectorsAround(currentSectorInfo.sector.position);
+            }
+            
+            // Stream out sectors the player has left behind
+            this.streamingTimer -= delta;
+            if (this.streamingTimer <= 0) {
+                this.streamingTimer = this.config.streamingInterval;
+                this.unloadDistantSectors(playerPosition);
+            }
+            
             // If player entered a new sector, trigger discovery
             if (currentSectorInfo && 
                 currentSectorInfo.name !== "Deep Space" && 
@@ -1068,6 +1564,9 @@ export class GameWorld {
     createSpaceAnomalies() {
         console.log("Creating space anomalies...");
         
+        // Destinations come from the seed so every galaxy is wired up differently
+        const random = this.universe.createRandom(0, 0, 'anomalies');
+        
         // Create a wormhole near Jupiter
         const jupiter = this.planets.find(planet => planet.name === "Jupiter");
         if (jupiter) {
@@ -1077,20 +1576,26 @@ export class GameWorld {
                 jupiter.position.z + 500
             );
             
-            // This wormhole leads to Alpha Centauri
-            const destination = new THREE.Vector3(5000, 0, 0);
+            // This wormhole leads to one of the neighbouring sectors
+            const neighbour = random.pick([[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]);
             
-            this.createWormhole(wormholePosition, destination);
+            this.createWormhole(wormholePosition, this.getWormholeDestination(this.getSector(neighbour[0], neighbour[1])));
         }
         
         // Create a black hole in the outer solar system
         const blackholePosition = new THREE.Vector3(2500, 0, -2500);
         this.createBlackhole(blackholePosition, 2);
         
-        // Create another wormhole that leads to Orion Nebula
+        // Create another wormhole that leads further out, into more dangerous space
         const wormholePosition = new THREE.Vector3(-2000, 0, 2000);
-        const destination = new THREE.Vector3(5000, 0, 5000);
-        this.createWormhole(wormholePosition, destination);
+        const farSector = this.getSector(random.int(-3, 3), random.pick([-3, 3]));
+        this.createWormhole(wormholePosition, this.getWormholeDestination(farSector));
+    }
+    
+    // Where a wormhole into a sector comes out - clear of the sector's star
+    getWormholeDestination(sector) {
+        const starRadius = sector.star ? sector.star.radius : 0;
+        return sector.position.clone().add(new THREE.Vector3(0, 0, starRadius + 600));
     }
     
     // Create a wormhole
@@ -1141,12 +1646,8 @@ export class GameWorld {
     
     // Helper method to get destination name
     getDestinationName(position) {
-        for (const sector of this.sectors) {
-            if (position.distanceTo(sector.position) < 100) {
-                return sector.name;
-            }
-        }
-        return "Unknown Location";
+        const sectorInfo = this.getSectorAt(position);
+        return sectorInfo.sector ? sectorInfo.sector.name : "Unknown Location";
     }
     
     // Add this method to get nearby objects including anomalies
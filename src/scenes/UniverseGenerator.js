@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// Star classes, roughly weighted by how common they are
+const STAR_TYPES = [
+    { type: 'red-dwarf', name: 'Red Dwarf', color: 0xff6644, radius: 120, weight: 40 },
+    { type: 'orange-dwarf', name: 'Orange Dwarf', color: 0xffaa55, radius: 180, weight: 25 },
+    { type: 'yellow-dwarf', name: 'Yellow Dwarf', color: 0xffee66, radius: 240, weight: 18 },
+    { type: 'white-star', name: 'White Star', color: 0xeeeeff, radius: 280, weight: 9 },
+    { type: 'blue-giant', name: 'Blue Giant', color: 0x88aaff, radius: 400, weight: 5 },
+    { type: 'neutron-star', name: 'Neutron Star', color: 0xccffff, radius: 60, weight: 3 }
+];
+
+// Same planet types GameWorld.createPlanet() picks from
+const PLANET_TYPES = ['terrestrial', 'gas-giant', 'ice-giant', 'desert', 'lava', 'ocean'];
+
+// Alien factions that can claim a sector
+const FACTIONS = [
+    { id: 'xeno-swarm', name: 'Xeno Swarm' },
+    { id: 'void-armada', name: 'Void Armada' },
+    { id: 'rim-raiders', name: 'Rim Raiders' }
+];
+
+// Syllables for sector names
+const NAME_STARTS = ['Al', 'Be', 'Cor', 'Dra', 'Ka', 'Lu', 'Mor', 'Ny', 'Or', 'Pra', 'Rig', 'Sol', 'Tau', 'Vel', 'Xan', 'Zeph'];
+const NAME_MIDDLES = ['a', 'e', 'i', 'o', 'ra', 'ri', 'the', 'na', 'lo', 'ga'];
+const NAME_ENDS = ['nis', 'rion', 'lux', 'tar', 'ros', 'dra', 'mon', 'thys', 'vex', 'lia', 'gon', 'ris'];
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI'];
+
+// Boss ships are named after their class
+const BOSS_CLASSES = ['Dreadnought', 'Leviathan', 'Behemoth', 'Warlord', 'Devourer'];
+
+// Lowest sector difficulty a boss can appear at, and how often
+const BOSS_MIN_DIFFICULTY = 4;
+const BOSS_CHANCE = 0.35;
+
+export const MAX_SECTOR_DIFFICULTY = 5;
+
+// How aliens group into squadrons at each sector difficulty.
+// chance: odds that a spare alien starts a squadron, maxSize includes the leader,
+// spacing is the gap between formation slots
+export const SQUADRON_SETTINGS = {
+    1: { chance: 0.4, maxSize: 2, spacing: 50, formations: ['line'], tactics: ['focusFire'] },
+    2: { chance: 0.6, maxSize: 3, spacing: 45, formations: ['v', 'line'], tactics: ['focusFire'] },
+    3: { chance: 0.7, maxSize: 4, spacing: 40, formations: ['v', 'line', 'diamond'], tactics: ['focusFire', 'pincer'] },
+    4: { chance: 0.8, maxSize: 4, spacing: 40, formations: ['v', 'diamond'], tactics: ['focusFire', 'pincer'] },
+    5: { chance: 0.9, maxSize: 5, spacing: 35, formations: ['v', 'diamond'], tactics: ['pincer', 'focusFire'] }
+};
+
+export class UniverseGenerator {
+    constructor(seed, options = {}) {
+        // Seeds are kept as strings so they can be typed in and shared
+        this.seed = String(seed);
+
+        // Distance between neighbouring sector centres
+        this.sectorSize = options.sectorSize || 5000;
+
+        // The grid cell the player starts in keeps the hand-built Solar System
+        this.homeSector = { gridX: 0, gridZ: 0 };
+    }
+
+    // Make a short random seed for a new galaxy
+    static createRandomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36).toUpperCase();
+    }
+
+    getSectorKey(gridX, gridZ) {
+        return `${gridX},${gridZ}`;
+    }
+
+    // Grid cell whose centre is closest to a world position
+    getGridCoordinates(position) {
+        return {
+            gridX: Math.round(position.x / this.sectorSize),
+            gridZ: Math.round(position.z / this.sectorSize)
+        };
+    }
+
+    isHomeSector(gridX, gridZ) {
+        return gridX === this.homeSector.gridX && gridZ === this.homeSector.gridZ;
+    }
+
+    // Each sector (and each part of it) gets its own random stream, so
+    // generating sectors in a different order never changes their contents
+    createRandom(gridX, gridZ, stream) {
+        return new SeededRandom(`${this.seed}:${gridX}:${gridZ}:${stream}`);
+    }
+
+    /**
+     * Generate the description of a sector. No scene objects are created here;
+     * GameWorld.populateSector() builds them from the returned layout.
+     * @param {number} gridX - Sector column
+     * @param {number} gridZ - Sector row
+     * @returns {Object} Sector description
+     */
+    generateSector(gridX, gridZ) {
+        const position = new THREE.Vector3(gridX * this.sectorSize, 0, gridZ * this.sectorSize);
+        const isHome = this.isHomeSector(gridX, gridZ);
+        const random = this.createRandom(gridX, gridZ, 'sector');
+
+        // Sectors get more dangerous the further they are from home
+        const distance = Math.hypot(gridX - this.homeSector.gridX, gridZ - this.homeSector.gridZ);
+        const difficulty = isHome ? 1 :
+            THREE.MathUtils.clamp(1 + Math.floor(distance / 2) + random.int(0, 1), 1, MAX_SECTOR_DIFFICULTY);
+
+        const star = isHome ?
+            STAR_TYPES.find(starType => starType.type === 'yellow-dwarf') :
+            random.weightedPick(STAR_TYPES);
+
+        const sector = {
+            key: this.getSectorKey(gridX, gridZ),
+            gridX: gridX,
+            gridZ: gridZ,
+            name: isHome ? 'Solar System' : this.generateName(random),
+            position: position,
+            // Home has to fit the whole Solar System out to Neptune
+            radius: isHome ? 3000 : Math.round(random.range(1200, 2000)),
+            difficulty: difficulty,
+            star: {
+                type: star.type,
+                name: star.name,
+                color: star.color,
+                radius: star.radius
+            },
+            faction: this.generateFaction(gridX, gridZ, difficulty),
+            generated: true,
+            isHome: isHome,
+            isPopulated: false
+        };
+
+        // The home sector's planets are created by GameWorld.createSolarSystem()
+        sector.planets = isHome ? [] : this.generatePlanets(sector);
+        sector.asteroidFields = this.generateAsteroidFields(sector);
+        sector.nebulae = isHome ? [] : this.generateNebulae(sector);
+        sector.aliens = this.generateAliens(sector);
+        sector.squadrons = this.generateSquadrons(sector);
+        sector.boss = this.generateBoss(sector);
+
+        return sector;
+    }
+
+    generateName(random) {
+        let name = random.pick(NAME_STARTS);
+
+        if (random.chance(0.5)) {
+            name += random.pick(NAME_MIDDLES);
+        }
+
+        name += random.pick(NAME_ENDS);
+
+        // Some sectors get a catalogue-style suffix
+        if (random.chance(0.3)) {
+            name += ` ${random.pick(['Prime', 'Major', 'Minor', 'Reach', 'Expanse'])}`;
+        } else if (random.chance(0.2)) {
+            name += `-${random.int(2, 99)}`;
+        }
+
+        return name;
+    }
+
+    generateFaction(gridX, gridZ, difficulty) {
+        const random = this.createRandom(gridX, gridZ, 'faction');
+        const faction = random.pick(FACTIONS);
+
+        // Presence is 0-1 and mostly follows difficulty
+        const presence = THREE.MathUtils.clamp(
+            difficulty / MAX_SECTOR_DIFFICULTY + random.range(-0.2, 0.1), 0, 1);
+
+        if (presence < 0.15) {
+            return { id: 'unclaimed', name: 'Unclaimed', presence: 0 };
+        }
+
+        return { id: faction.id, name: faction.name, presence: presence };
+    }
+
+    generatePlanets(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'planets');
+        const count = random.int(1, 4);
+        const planets = [];
+
+        // Space the orbits out from the star towards the sector edge
+        let orbit = sector.star.radius + random.range(300, 500);
+
+        for (let i = 0; i < count && orbit < sector.radius * 0.9; i++) {
+            const angle = random.range(0, Math.PI * 2);
+
+            planets.push({
+                name: `${sector.name} ${ROMAN_NUMERALS[i]}`,
+                position: new THREE.Vector3(
+                    sector.position.x + Math.cos(angle) * orbit,
+                    sector.position.y + random.range(-50, 50),
+                    sector.position.z + Math.sin(angle) * orbit
+                ),
+                radius: Math.round(random.range(50, 200)),
+                type: random.pick(PLANET_TYPES),
+                hasRings: random.chance(0.3),
+                moonCount: random.chance(0.5) ? random.int(1, 3) : 0
+            });
+
+            orbit += random.range(250, 500);
+        }
+
+        return planets;
+    }
+
+    generateAsteroidFields(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'asteroids');
+        const count = sector.isHome ? 2 : random.int(0, 3);
+        const fields = [];
+
+        for (let i = 0; i < count; i++) {
+            fields.push({
+                position: this.getPointInSector(random, sector),
+                radius: Math.round(random.range(200, 600)),
+                density: random.range(0.5, 1.5)
+            });
+        }
+
+        return fields;
+    }
+
+    generateNebulae(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'nebulae');
+        const count = random.chance(0.4) ? random.int(1, 2) : 0;
+        const nebulae = [];
+
+        for (let i = 0; i < count; i++) {
+            nebulae.push({
+                position: this.getPointInSector(random, sector),
+                radius: Math.round(random.range(300, 900)),
+                density: random.range(0.3, 1.0)
+            });
+        }
+
+        return nebulae;
+    }
+
+    generateAliens(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'aliens');
+        const difficulty = sector.difficulty;
+
+        // Home always has a few scouts to fight; elsewhere it's down to the faction
+        const count = sector.isHome ? 3 : Math.round(sector.faction.presence * 6);
+        const aliens = [];
+
+        for (let i = 0; i < count; i++) {
+            // Same type mix GameWorld.createAlienShip() uses for each difficulty
+            let type;
+            if (difficulty === 1) {
+                type = 'scout';
+            } else if (difficulty === 2) {
+                type = random.chance(0.7) ? 'scout' : 'fighter';
+            } else if (difficulty === 3) {
+                type = random.chance(0.4) ? 'fighter' : 'cruiser';
+            } else {
+                type = random.chance(0.3) ? 'cruiser' : 'fighter';
+            }
+
+            aliens.push({
+                type: type,
+                position: this.getPointInSector(random, sector),
+                patrolRadius: random.range(200, 500),
+                maxSpeed: 1 + random.next() * difficulty
+            });
+        }
+
+        return aliens;
+    }
+
+    // Group the sector's aliens into squadrons. Each squadron is
+    // { leader, wingmen, formation, tactic, spacing } using indices into sector.aliens
+    generateSquadrons(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'squadrons');
+        const settings = SQUADRON_SETTINGS[sector.difficulty] || SQUADRON_SETTINGS[1];
+        const squadrons = [];
+        let index = 0;
+
+        while (index < sector.aliens.length - 1) {
+            if (!random.chance(settings.chance)) {
+                index++;
+                continue;
+            }
+
+            const size = Math.min(random.int(2, settings.maxSize), sector.aliens.length - index);
+            const leader = index;
+            const wingmen = [];
+
+            for (let i = 1; i < size; i++) {
+                // Wingmen start next to their leader instead of across the sector
+                const wingman = sector.aliens[index + i];
+                wingman.position = sector.aliens[leader].position.clone().add(new THREE.Vector3(
+                    random.range(-1, 1) * settings.spacing * 2,
+                    random.range(-0.5, 0.5) * settings.spacing,
+                    random.range(-1, 1) * settings.spacing * 2
+                ));
+                wingmen.push(index + i);
+            }
+
+            squadrons.push({
+                leader: leader,
+                wingmen: wingmen,
+                formation: random.pick(settings.formations),
+                tactic: random.pick(settings.tactics),
+                spacing: settings.spacing
+            });
+
+            index += size;
+        }
+
+        return squadrons;
+    }
+
+    // Dangerous sectors held by a faction may have a boss guarding them
+    generateBoss(sector) {
+        const random = this.createRandom(sector.gridX, sector.gridZ, 'boss');
+
+        if (sector.difficulty < BOSS_MIN_DIFFICULTY || sector.faction.id === 'unclaimed' ||
+            !random.chance(BOSS_CHANCE)) {
+            return null;
+        }
+
+        return {
+            name: `${sector.faction.name} ${random.pick(BOSS_CLASSES)}`,
+            position: this.getPointInSector(random, sector),
+            patrolRadius: random.range(150, 300)
+        };
+    }
+
+    // Point inside the sector, kept fairly flat and clear of the star
+    getPointInSector(random, sector) {
+        const angle = random.range(0, Math.PI * 2);
+        const distance = random.range(sector.star.radius + 200, sector.radius);
+
+        return new THREE.Vector3(
+            sector.position.x + Math.cos(angle) * distance,
+            sector.position.y + random.range(-0.15, 0.15) * sector.radius,
+            sector.position.z + Math.sin(angle) * distance
+        );
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { MissileLock, LockState } from '../components/MissileLock.js';
 
 export class CombatSystem {
     constructor(scene, physicsSystem) {
@@ -8,8 +9,25 @@ export class CombatSystem {
         this.targets = [];
         this.currentTargetIndex = -1;
         this.currentTarget = null;
+        this.targetedSubsystem = null;  // Part of the current target to aim at, or null for the whole ship
         this.maxTargetingDistance = 3000; // Maximum distance to auto-target
+        this.targetUpdateInterval = 0.25; // Seconds between target list refreshes
+        this.targetUpdateTimer = 0;
         this.weaponTypes = this.initializeWeaponTypes();
+        this.projectiles = [];
+        this.missileLock = null;    // Player's seeker, created with the player ship
+        
+        // Gunnery assist for the player: unguided shots aimed close to a target's
+        // lead point are bent part of the way onto it
+        this.aimAssist = false;
+        this.aimAssistAngle = THREE.MathUtils.degToRad(5);
+        this.aimAssistStrength = 0.5;
+        
+        // Each weapon knows its own roster key, so ships can hold a reference to it
+        Object.entries(this.weaponTypes).forEach(([type, weapon]) => {
+            weapon.type = type;
+        });
+        
         this.effectsPool = this.initializeEffectsPool();
     }
     
@@ -19,6 +37,15 @@ export class CombatSystem {
      */
     setPlayerShip(spacecraft) {
         this.playerShip = spacecraft;
+        this.missileLock = new MissileLock(spacecraft);
+    }
+    
+    /**
+     * Turn the player's aim assist on or off
+     * @param {boolean} enabled
+     */
+    setAimAssist(enabled) {
+        this.aimAssist = !!enabled;
     }
     
     /**
@@ -54,6 +81,20 @@ export class CombatSystem {
                 projectileCount: 2,
                 spread: 0.1
             },
+            miningLaser: {
+                name: 'Mining Laser',
+                damage: 2,
+                miningDamage: 12,           // Used instead of damage against asteroids
+                speed: 600,
+                cooldown: 0.1,
+                energyCost: 3,
+                color: 0x33ff99,
+                size: 1.5,
+                lifespan: 0.6,
+                sound: 'laser',
+                effectType: 'beam',
+                projectileCount: 1
+            },
             plasma: {
                 name: 'Plasma Cannon',
                 damage: 25,
@@ -65,13 +106,18 @@ export class CombatSystem {
                 lifespan: 4.0,
                 sound: 'plasma',
                 effectType: 'energy',
-                projectileCount: 1
+                projectileCount: 1,
+                statusEffect: {
+                    type: 'burn',           // Each hit adds a stack, up to the effect's limit
+                    duration: 3.0
+                }
             },
             missile: {
                 name: 'Homing Missile',
                 damage: 50,
                 speed: 200,
                 acceleration: 50,
+                maxSpeed: 400,
                 cooldown: 2.0,
                 energyCost: 25,
                 color: 0xffff00,
@@ -80,7 +126,10 @@ export class CombatSystem {
                 sound: 'missile',
                 effectType: 'missile',
                 homing: true,
-                homingStrength: 0.1,
+                fuel: 5.0,                  // Seconds of motor burn; after that it coasts unguided
+                navigationConstant: 4,      // Proportional navigation gain
+                turnRate: 2.5,              // Radians per second
+                seekerAngle: Math.PI / 3,   // Target lost once it's further off the nose than this
                 blastRadius: 50
             },
             railgun: {
@@ -94,7 +143,9 @@ export class CombatSystem {
                 lifespan: 2.0,
                 sound: 'railgun',
                 effectType: 'beam',
-                penetrating: true
+                penetrating: true,
+                penetrationFalloff: 0.6,   // Damage kept after passing through each target
+                maxPenetrations: 3
             },
             ionCannon: {
                 name: 'Ion Cannon',
@@ -225,17 +276,19 @@ export class CombatSystem {
      * @param {Object} source - The object firing the weapon
      * @param {string} weaponType - Type of weapon to fire
      * @param {THREE.Vector3} direction - Direction to fire in
+     * @param {THREE.Vector3} origin - Where the shot leaves from, e.g. a hardpoint (defaults to just ahead of the source)
+     * @returns {boolean} Whether the weapon fired
      */
-    fireWeapon(source, weaponType, direction) {
-        if (!source || !weaponType) return;
+    fireWeapon(source, weaponType, direction, origin = null) {
+        if (!source || !weaponType) return false;
         
         // Get weapon properties
         const weapon = this.weaponTypes[weaponType];
-        if (!weapon) return;
+        if (!weapon) return false;
         
         // Check if weapon is on cooldown
         if (source.weaponCooldowns && source.weaponCooldowns[weaponType] > 0) {
-            return;
+            return false;
         }
         
         // Check energy cost
@@ -246,7 +299,7 @@ export class CombatSystem {
                 console.log("Not enough energy!");
                 // TODO: Add UI feedback
             }
-            return;
+            return false;
         }
         
         // Set weapon on cooldown
@@ -263,6 +316,15 @@ export class CombatSystem {
         // Normalize direction
         direction.normalize();
         
+        const muzzle = origin ? origin.clone() : source.position.clone().add(direction.clone().multiplyScalar(10));
+        
+        if (this.aimAssist && source === this.playerShip && !weapon.homing) {
+            this.applyAimAssist(direction, muzzle, weapon);
+        }
+        
+        // Ships with a power distribution hit harder with power in weapons
+        const damage = weapon.damage * (typeof source.getWeaponPower === 'function' ? source.getWeaponPower() : 1);
+        
         // Handle multiple projectiles (e.g., spread weapons)
         const projectileCount = weapon.projectileCount || 1;
         
@@ -277,33 +339,42 @@ export class CombatSystem {
             }
             
             // Determine projectile position offset based on spread
-            const offsetDistance = (projectileCount > 1) ? 5 : 0;
-            const offsetDirection = new THREE.Vector3(0, 1, 0).cross(projectileDirection).normalize();
-            const offset = offsetDirection.multiplyScalar((i / (projectileCount - 1) - 0.5) * offsetDistance * 2);
+            const offset = new THREE.Vector3();
+            if (projectileCount > 1) {
+                const offsetDistance = 5;
+                const offsetDirection = new THREE.Vector3(0, 1, 0).cross(projectileDirection).normalize();
+                offset.copy(offsetDirection.multiplyScalar((i / (projectileCount - 1) - 0.5) * offsetDistance * 2));
+            }
             
             // Create projectile
             const projectile = this.createProjectile(
                 source,
                 weapon,
-                source.position.clone().add(projectileDirection.clone().multiplyScalar(10)).add(offset),
-                projectileDirection
+                muzzle.clone().add(offset),
+                projectileDirection,
+                damage
             );
+            this.projectiles.push(projectile);
             
             // Add to physics system
             if (this.physicsSystem) {
                 this.physicsSystem.addProjectile(projectile);
                 
-                // Set collision group
+                // The collision group is what the projectile is allowed to hit;
+                // the owner group is the shooter's side, for the friendly-fire rules
+                const groups = this.physicsSystem.collisionGroups;
                 if (source === this.playerShip) {
-                    projectile.collisionGroup = this.physicsSystem.collisionGroups.projectile;
+                    projectile.collisionGroup = groups.alien | groups.planet | groups.satellite;
+                    projectile.ownerGroup = groups.spacecraft;
                 } else {
-                    projectile.collisionGroup = this.physicsSystem.collisionGroups.alien;
+                    projectile.collisionGroup = groups.spacecraft | groups.planet | groups.satellite;
+                    projectile.ownerGroup = groups.alien;
                 }
             }
             
-            // For missiles, set target
-            if (weapon.homing && this.currentTarget) {
-                projectile.homingTarget = this.currentTarget;
+            // Guided missiles home on whatever the seeker has locked; without a lock they fly straight
+            if (weapon.homing) {
+                this.setMissileTarget(projectile, this.getMissileTarget(source));
             }
         }
         
@@ -311,6 +382,8 @@ export class CombatSystem {
         if (weapon.sound && source.playSound) {
             source.playSound(weapon.sound);
         }
+        
+        return true;
     }
     
     /**
@@ -319,9 +392,10 @@ export class CombatSystem {
      * @param {Object} weapon - Weapon type configuration
      * @param {THREE.Vector3} position - Starting position
      * @param {THREE.Vector3} direction - Direction of travel
+     * @param {number} damage - Damage on hit (defaults to the weapon's)
      * @returns {Object} The created projectile
      */
-    createProjectile(source, weapon, position, direction) {
+    createProjectile(source, weapon, position, direction, damage = weapon.damage) {
         // Create geometry based on weapon type
         let geometry, material;
         
@@ -363,6 +437,7 @@ export class CombatSystem {
         
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.copy(position);
+        mesh.lookAt(position.clone().add(direction));
         
         // Create point light for glow
         const light = new THREE.PointLight(weapon.color, 1, weapon.size * 10);
@@ -376,14 +451,29 @@ export class CombatSystem {
             position: mesh.position,
             velocity: direction.clone().multiplyScalar(weapon.speed),
             acceleration: weapon.acceleration || 0,
+            fuel: weapon.fuel || 0,
+            homingTarget: null,
             lifespan: weapon.lifespan,
-            damage: weapon.damage,
+            damage: damage,
             owner: source,
             createdTime: Date.now(),
             weapon: weapon,
+            statusEffect: weapon.statusEffect || null,
             
             // Physics properties
             collisionRadius: weapon.size,
+            hasHit: false,
+            
+            // PhysicsSystem reads these for hit detection and damage
+            config: {
+                size: weapon.size,
+                damage: damage,
+                penetrating: !!weapon.penetrating,
+                penetrationFalloff: weapon.penetrationFalloff,
+                maxPenetrations: weapon.maxPenetrations,
+                blastRadius: weapon.blastRadius || 0,
+                miningDamage: weapon.miningDamage || 0
+            },
             
             // Method to check if projectile has expired
             hasExpired: function() {
@@ -392,33 +482,6 @@ export class CombatSystem {
             
             // Update method
             update: function(delta) {
-                // If it's a homing projectile, adjust direction
-                if (weapon.homing && this.homingTarget && this.homingTarget.position) {
-                    const targetDir = new THREE.Vector3().subVectors(
-                        this.homingTarget.position,
-                        this.position
-                    ).normalize();
-                    
-                    // Gradually steer towards target
-                    this.velocity.lerp(
-                        targetDir.multiplyScalar(this.velocity.length()),
-                        weapon.homingStrength * delta
-                    );
-                    
-                    // Apply acceleration for missiles
-                    if (this.acceleration) {
-                        this.velocity.add(
-                            this.velocity.clone().normalize().multiplyScalar(this.acceleration * delta)
-                        );
-                    }
-                    
-                    // Orient mesh to velocity direction
-                    if (this.mesh) {
-                        const dir = this.velocity.clone().normalize();
-                        this.mesh.lookAt(this.position.clone().add(dir));
-                    }
-                }
-                
                 // Update position
                 this.position.add(this.velocity.clone().multiplyScalar(delta));
                 
@@ -437,7 +500,7 @@ export class CombatSystem {
             onHit: function(target) {
                 // Apply damage
                 if (target.takeDamage) {
-                    const destroyed = target.takeDamage(this.damage);
+                    const destroyed = target.takeDamage(this.damage, this.position.clone());
                     
                     // Callback to owner if target destroyed
                     if (destroyed && this.owner && this.owner.onTargetDestroyed) {
@@ -449,6 +512,15 @@ export class CombatSystem {
                 // TODO: Implement this
             },
             
+            // Called by PhysicsSystem when the projectile hits something
+            explode: () => {
+                if (weapon.blastRadius) {
+                    this.createExplosion(projectile.position.clone(), weapon.blastRadius, weapon.color);
+                } else {
+                    this.createImpact(projectile.position.clone(), undefined, weapon.color);
+                }
+            },
+            
             // Handle removal
             dispose: function() {
                 if (this.mesh) {
@@ -466,6 +538,74 @@ export class CombatSystem {
         return projectile;
     }
     
+    /**
+     * Where to aim so a projectile meets a moving target, assuming the target holds its course
+     * @param {THREE.Vector3} origin - Where the shot leaves from
+     * @param {Object} target - Object with a position and, if it moves, a velocity
+     * @param {number} projectileSpeed - Speed of the shot
+     * @returns {Object|null} { point, time }, or null if the shot can never catch the target
+     */
+    getInterceptPoint(origin, target, projectileSpeed) {
+        const offset = new THREE.Vector3().subVectors(target.position, origin);
+        const velocity = target.velocity || new THREE.Vector3();
+        
+        // Solve |offset + velocity * t| = projectileSpeed * t for the earliest t > 0
+        const a = velocity.lengthSq() - projectileSpeed * projectileSpeed;
+        const b = 2 * offset.dot(velocity);
+        const c = offset.lengthSq();
+        
+        let time;
+        if (Math.abs(a) < 0.0001) {
+            // Target as fast as the shot: only catchable if it's coming towards us
+            time = b < 0 ? -c / b : -1;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            
+            const root = Math.sqrt(discriminant);
+            const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+            time = times.length > 0 ? Math.min(...times) : -1;
+        }
+        
+        if (!(time > 0)) return null;
+        
+        return {
+            point: target.position.clone().addScaledVector(velocity, time),
+            time: time
+        };
+    }
+    
+    /**
+     * Bend a shot towards the nearest lead point inside the assist cone
+     * @param {THREE.Vector3} direction - Normalized aim, modified in place
+     * @param {THREE.Vector3} origin - Where the shot leaves from
+     * @param {Object} weapon - Weapon type configuration
+     */
+    applyAimAssist(direction, origin, weapon) {
+        // Stick to the selected target when there is one
+        const candidates = this.currentTarget ? [this.currentTarget] : this.targets.map(entry => entry.object);
+        
+        let lead = null;
+        let leadAngle = this.aimAssistAngle;
+        
+        candidates.forEach(target => {
+            const intercept = this.getInterceptPoint(origin, this.getAimTarget(target), weapon.speed);
+            if (!intercept || intercept.time > weapon.lifespan) return;
+            
+            const toLead = intercept.point.sub(origin);
+            const angle = direction.angleTo(toLead);
+            if (angle <= leadAngle) {
+                lead = toLead;
+                leadAngle = angle;
+            }
+        });
+        
+        if (!lead || leadAngle < 0.00001) return;
+        
+        const axis = direction.clone().cross(lead).normalize();
+        direction.applyAxisAngle(axis, leadAngle * this.aimAssistStrength);
+    }
+    
     /**
      * Find potential targets around the player
      */
@@ -491,12 +631,16 @@ export class CombatSystem {
         // Sort by distance
         this.targets.sort((a, b) => a.distance - b.distance);
         
-        // Update current target if needed
-        if (this.currentTargetIndex >= 0 && this.currentTargetIndex < this.targets.length) {
-            this.currentTarget = this.targets[this.currentTargetIndex].object;
-        } else {
+        // Keep the same ship selected as the list re-sorts; drop it once it's gone
+        this.currentTargetIndex = this.currentTarget ?
+            this.targets.findIndex(entry => entry.object === this.currentTarget) : -1;
+        if (this.currentTargetIndex === -1) {
             this.currentTarget = null;
-            this.currentTargetIndex = -1;
+        }
+        
+        // Let go of parts that have been shot away
+        if (!this.currentTarget || (this.targetedSubsystem && this.targetedSubsystem.isDestroyed)) {
+            this.targetedSubsystem = null;
         }
     }
     
@@ -508,15 +652,75 @@ export class CombatSystem {
         if (this.targets.length === 0) {
             this.currentTarget = null;
             this.currentTargetIndex = -1;
+            this.targetedSubsystem = null;
             return null;
         }
         
         this.currentTargetIndex = (this.currentTargetIndex + 1) % this.targets.length;
         this.currentTarget = this.targets[this.currentTargetIndex].object;
+        this.targetedSubsystem = null;
         
         return this.currentTarget;
     }
     
+    /**
+     * Target a particular ship, if it's one of the ships in range
+     * @param {Object} object - The ship to target
+     * @returns {boolean} Whether it was targeted
+     */
+    selectTarget(object) {
+        const index = this.targets.findIndex(entry => entry.object === object);
+        if (index === -1) return false;
+        
+        if (this.currentTarget !== object) {
+            this.targetedSubsystem = null;
+        }
+        this.currentTargetIndex = index;
+        this.currentTarget = object;
+        return true;
+    }
+    
+    /**
+     * Parts of a ship that can be targeted on their own
+     * @param {Object} target - Ship to look at
+     * @returns {Array} Working subsystems (or a boss's destructible components)
+     */
+    getSubsystems(target) {
+        if (!target) return [];
+        if (target.subsystems) return target.subsystems.getAlive();
+        if (target.bossEncounter) return target.bossEncounter.getAliveComponents();
+        return [];
+    }
+    
+    /**
+     * Step through the current target's subsystems, then back to the whole ship
+     * @returns {Object|null} The targeted subsystem, or null for the whole ship
+     */
+    cycleSubsystem() {
+        const subsystems = this.getSubsystems(this.currentTarget);
+        const index = subsystems.indexOf(this.targetedSubsystem);
+        
+        this.targetedSubsystem = index + 1 < subsystems.length ? subsystems[index + 1] : null;
+        return this.targetedSubsystem;
+    }
+    
+    /**
+     * What to aim at on a target: its targeted subsystem, if that's the one selected, or its centre
+     * @param {Object} target - Ship being aimed at
+     * @returns {Object} { position, velocity } for getInterceptPoint
+     */
+    getAimTarget(target) {
+        if (target === this.currentTarget && this.targetedSubsystem) {
+            const part = this.targetedSubsystem.anchor || this.targetedSubsystem.mesh;
+            return {
+                position: part.getWorldPosition(new THREE.Vector3()),
+                velocity: target.velocity
+            };
+        }
+        
+        return target;
+    }
+    
     /**
      * Get the current target information including distance and direction
      * @returns {Object|null} Target information or null if no target
@@ -530,11 +734,21 @@ export class CombatSystem {
             this.playerShip.position
         ).normalize();
         
+        // Lead point for the selected gun, on the targeted subsystem if there is one
+        const aimTarget = this.getAimTarget(this.currentTarget);
+        const weapon = this.playerShip.currentWeapon;
+        const intercept = weapon ?
+            this.getInterceptPoint(this.playerShip.position, aimTarget, weapon.speed) : null;
+        
         return {
             target: this.currentTarget,
             distance: distance,
             direction: direction,
-            inRange: distance < this.playerShip.weaponRange
+            inRange: distance < this.playerShip.weaponRange,
+            aimPoint: aimTarget.position,
+            leadPoint: intercept ? intercept.point : null,
+            timeToIntercept: intercept ? intercept.time : null,
+            subsystem: this.targetedSubsystem
         };
     }
     
@@ -544,7 +758,14 @@ export class CombatSystem {
      */
     update(delta) {
         // Update target list periodically
-        this.updateTargets();
+        this.targetUpdateTimer -= delta;
+        if (this.targetUpdateTimer <= 0) {
+            this.targetUpdateTimer = this.targetUpdateInterval;
+            this.updateTargets();
+        }
+        
+        this.updateMissileLock(delta);
+        this.updateProjectiles(delta);
         
         // Update weapon cooldowns for player
         if (this.playerShip && this.playerShip.weaponCooldowns) {
@@ -559,6 +780,161 @@ export class CombatSystem {
         this.updateEffects(delta);
     }
     
+    /**
+     * Move projectiles and clear out ones that have hit something or run out of time
+     * @param {number} delta - Time elapsed since last frame
+     */
+    updateProjectiles(delta) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            
+            if (projectile.hasHit || projectile.hasExpired()) {
+                this.removeProjectile(i);
+                continue;
+            }
+            
+            if (projectile.weapon.homing) {
+                this.guideMissile(projectile, delta);
+            }
+            
+            projectile.update(delta);
+        }
+    }
+    
+    /**
+     * Remove a projectile from the scene and physics
+     * @param {number} index - Index into this.projectiles
+     */
+    removeProjectile(index) {
+        const projectile = this.projectiles[index];
+        this.projectiles.splice(index, 1);
+        
+        if (projectile.homingTarget) {
+            this.setMissileTarget(projectile, null);
+        }
+        
+        if (this.physicsSystem) {
+            this.physicsSystem.removeProjectile(projectile);
+        }
+        projectile.dispose();
+    }
+    
+    /**
+     * Run the player's missile seeker while a guided weapon is in the missile bay
+     * @param {number} delta - Time elapsed since last frame
+     */
+    updateMissileLock(delta) {
+        const ship = this.playerShip;
+        const lock = this.missileLock;
+        if (!ship || !lock) return;
+        
+        const hardpoint = typeof ship.getSecondaryHardpoint === 'function' ? ship.getSecondaryHardpoint() : null;
+        const weapon = hardpoint ? this.weaponTypes[hardpoint.weaponType] : null;
+        const stunned = typeof ship.isStunned === 'function' && ship.isStunned();
+        
+        if (!weapon || !weapon.homing || ship.ammo <= 0 || ship.health <= 0 || stunned) {
+            if (lock.state !== LockState.IDLE) {
+                lock.release();
+            }
+            return;
+        }
+        
+        lock.update(delta, this.targets.map(entry => entry.object), this.currentTarget);
+    }
+    
+    /**
+     * What a guided missile fired by this source should home on. The player's seeker is kept
+     * here; aliens that carry missiles have their own (see AlienShip.updateMissiles()).
+     * @param {Object} source - The object firing the missile
+     * @returns {Object|null} Locked target, or null to fly straight
+     */
+    getMissileTarget(source) {
+        const lock = source === this.playerShip ? this.missileLock : source.missileLock;
+        return lock ? lock.getLockedTarget() : null;
+    }
+    
+    /**
+     * Point a missile at a new target, keeping the targets' incoming-missile lists in step
+     * @param {Object} projectile - Guided missile
+     * @param {Object|null} target - New target, or null to stop homing
+     */
+    setMissileTarget(projectile, target) {
+        const previous = projectile.homingTarget;
+        if (previous && previous.countermeasures) {
+            previous.countermeasures.untrackMissile(projectile);
+        }
+        
+        projectile.homingTarget = target || null;
+        
+        if (target && target.countermeasures) {
+            target.countermeasures.trackMissile(projectile);
+        }
+    }
+    
+    /**
+     * Steer a missile with proportional navigation while its motor burns.
+     * The turn command is N times the rotation rate of the line of sight, which
+     * flies a collision course rather than a tail chase.
+     * @param {Object} projectile - Guided missile
+     * @param {number} delta - Time elapsed since last frame
+     */
+    guideMissile(projectile, delta) {
+        const weapon = projectile.weapon;
+        const velocity = projectile.velocity;
+        
+        // Burnt out missiles coast in a straight line
+        if (projectile.fuel <= 0) return;
+        
+        projectile.fuel -= delta;
+        if (projectile.fuel <= 0) {
+            this.setMissileTarget(projectile, null);
+            return;
+        }
+        
+        if (projectile.acceleration) {
+            const speed = velocity.length() + projectile.acceleration * delta;
+            velocity.setLength(Math.min(speed, weapon.maxSpeed || speed));
+        }
+        
+        const target = projectile.homingTarget;
+        if (!target) return;
+        
+        // Lose targets that are gone or have slipped out of the seeker's view
+        const lineOfSight = new THREE.Vector3().subVectors(target.position, projectile.position);
+        const lost = !target.parent || target.health <= 0 ||
+            velocity.angleTo(lineOfSight) > (weapon.seekerAngle || Math.PI);
+        if (lost) {
+            this.setMissileTarget(projectile, null);
+            return;
+        }
+        
+        // Decoys can't be hit, so missiles that reach one go off next to it
+        if (target.isDecoy && lineOfSight.length() < weapon.size * 3) {
+            projectile.explode();
+            projectile.hasHit = true;
+            return;
+        }
+        
+        const distanceSq = lineOfSight.lengthSq();
+        if (distanceSq < 0.0001) return;
+        
+        const relativeVelocity = (target.velocity ? target.velocity.clone() : new THREE.Vector3()).sub(velocity);
+        const lineOfSightRate = lineOfSight.clone().cross(relativeVelocity).divideScalar(distanceSq);
+        const command = lineOfSightRate.cross(velocity).multiplyScalar(weapon.navigationConstant || 3);
+        
+        // Turn towards the commanded heading, no faster than the airframe allows
+        const desired = velocity.clone().addScaledVector(command, delta);
+        const turn = velocity.angleTo(desired);
+        if (turn > 0.00001) {
+            const axis = velocity.clone().cross(desired).normalize();
+            velocity.applyAxisAngle(axis, Math.min(turn, (weapon.turnRate || Infinity) * delta));
+        }
+        
+        if (projectile.mesh) {
+            projectile.mesh.lookAt(projectile.position.clone().add(velocity));
+        }
+    }
+    
     /**
      * Update visual effects
      * @param {number} delta - Time elapsed since last frame
@@ -707,8 +1083,17 @@ export class CombatSystem {
         this.targets = [];
         this.currentTargetIndex = -1;
         this.currentTarget = null;
+        this.targetedSubsystem = null;
+        
+        if (this.missileLock) {
+            this.missileLock.release();
+        }
         
         // Clear any active weapons or effects
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            this.removeProjectile(i);
+        }
+        
         // Reset any other combat system state
         
         console.log("Combat system reset");
@@ -0,0 +1,407 @@
+import { ACTION_GROUPS, getBindingLabel } from './InputManager.js';
+
+const HINT = 'CLICK A BINDING TO CHANGE IT, OR + TO ADD ONE. RIGHT-CLICK A BINDING TO REMOVE IT.';
+
+/**
+ * Controls settings screen, opened from the pause menu. Lists every action with its bindings,
+ * rebinds them from the next key, mouse button or gamepad input, and manages the named control
+ * profiles InputManager keeps. Like the market, it borrows the upgrade menu's look.
+ */
+export class ControlsMenu {
+    /**
+     * @param {InputManager} inputManager - Holds the bindings and profiles
+     * @param {UIManager} uiManager - For notifications
+     */
+    constructor(inputManager, uiManager) {
+        this.input = inputManager;
+        this.uiManager = uiManager;
+
+        // Binding being changed ({ action, index }, index -1 for a new one), and a captured
+        // binding waiting on the player to confirm it may replace another action's
+        this.editing = null;
+        this.pendingConflict = null;
+
+        this.initializeUI();
+
+        this.input.onBindingsChanged(() => {
+            if (this.isOpen()) this.refresh();
+        });
+    }
+
+    initializeUI() {
+        this.menu = document.createElement('div');
+        this.menu.className = 'upgrade-menu controls-menu';
+        this.menu.innerHTML = `
+            <div class="upgrade-header">
+                <h2>CONTROLS</h2>
+                <button class="close-button">✕</button>
+            </div>
+            <div class="upgrade-categories controls-profiles">
+                <select class="profile-select"></select>
+                <button class="category-button delete-profile-button">DELETE</button>
+                <button class="category-button reset-button">RESET TO DEFAULTS</button>
+                <input class="profile-name" type="text" maxlength="24" placeholder="New profile name">
+                <button class="category-button new-profile-button">SAVE AS NEW</button>
+            </div>
+            <div class="controls-status"></div>
+            <div class="controls-list-full"></div>
+        `;
+        document.body.appendChild(this.menu);
+
+        this.menu.style.display = 'none';
+
+        this.profileSelect = this.menu.querySelector('.profile-select');
+        this.deleteButton = this.menu.querySelector('.delete-profile-button');
+        this.nameInput = this.menu.querySelector('.profile-name');
+        this.statusElement = this.menu.querySelector('.controls-status');
+        this.listContainer = this.menu.querySelector('.controls-list-full');
+
+        this.menu.querySelector('.close-button').addEventListener('click', () => this.hide());
+
+        this.profileSelect.addEventListener('change', () => {
+            this.stopEditing();
+            this.input.setActiveProfile(this.profileSelect.value);
+        });
+        this.deleteButton.addEventListener('click', () => {
+            const name = this.input.getActiveProfile();
+            if (this.input.deleteProfile(name)) {
+                this.notify(`DELETED CONTROL PROFILE ${name.toUpperCase()}`, 'info');
+            }
+        });
+        this.menu.querySelector('.reset-button').addEventListener('click', () => {
+            this.stopEditing();
+            this.input.resetBindings();
+            this.notify('CONTROLS RESET TO DEFAULTS', 'info');
+        });
+        this.menu.querySelector('.new-profile-button').addEventListener('click', () => this.createProfile());
+
+        // Typing a profile name mustn't also fly the ship or open the map
+        this.nameInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') this.createProfile();
+        });
+
+        // One handler for every binding button, as the list is redrawn on each change
+        this.listContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.role === 'replace') {
+                this.confirmConflict();
+            } else if (button.dataset.role === 'cancel') {
+                this.stopEditing();
+            } else {
+                this.startEditing(button.dataset.action, parseInt(button.dataset.index));
+            }
+        });
+        this.listContainer.addEventListener('contextmenu', (event) => {
+            const button = event.target.closest('.binding-button');
+            if (!button) return;
+
+            event.preventDefault();
+            this.stopEditing();
+            this.input.removeBinding(button.dataset.action, parseInt(button.dataset.index));
+        });
+
+        this.addStyles();
+    }
+
+    refresh() {
+        this.refreshProfiles();
+        this.refreshStatus();
+        this.listContainer.innerHTML = '';
+
+        ACTION_GROUPS.forEach(group => {
+            const header = document.createElement('div');
+            header.className = 'controls-group';
+            header.textContent = group.name.toUpperCase();
+            this.listContainer.appendChild(header);
+
+            group.actions.forEach(action => {
+                this.listContainer.appendChild(this.createActionRow(action));
+            });
+        });
+    }
+
+    refreshProfiles() {
+        const active = this.input.getActiveProfile();
+        const names = this.input.getProfileNames();
+
+        this.profileSelect.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === active;
+            this.profileSelect.appendChild(option);
+        });
+
+        this.deleteButton.disabled = names.length <= 1;
+    }
+
+    refreshStatus() {
+        this.statusElement.classList.toggle('active', !!this.editing);
+
+        if (this.pendingConflict) {
+            const { binding, conflicts } = this.pendingConflict;
+            this.statusElement.textContent = `${getBindingLabel(binding)} IS ALREADY USED FOR ` +
+                `${conflicts.map(id => this.getActionLabel(id).toUpperCase()).join(', ')}. REPLACE IT?`;
+        } else if (this.editing) {
+            const action = this.getAction(this.editing.action);
+            this.statusElement.textContent = action.axis
+                ? `MOVE A GAMEPAD AXIS FOR ${action.label.toUpperCase()} (${action.positive.toUpperCase()})... ESC TO CANCEL`
+                : `PRESS A KEY, MOUSE BUTTON OR GAMEPAD BUTTON FOR ${action.label.toUpperCase()}... ESC TO CANCEL`;
+        } else {
+            this.statusElement.textContent = HINT;
+        }
+    }
+
+    createActionRow(action) {
+        const bindings = this.input.keyBindings[action.id] || [];
+
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+
+        const label = document.createElement('div');
+        label.className = 'controls-label';
+        label.textContent = action.label;
+        row.appendChild(label);
+
+        const bindingList = document.createElement('div');
+        bindingList.className = 'controls-bindings';
+
+        bindings.forEach((binding, index) => {
+            const button = this.createButton('binding-button', getBindingLabel(binding), action.id, index);
+            if (this.input.findConflicts(binding, action.id).length > 0) {
+                button.classList.add('conflict');
+            }
+            bindingList.appendChild(button);
+        });
+        bindingList.appendChild(this.createButton('binding-button add-binding', '+', action.id, -1));
+
+        // The binding being changed shows where the new input will go
+        if (this.editing && this.editing.action === action.id) {
+            const editingButton = bindingList.children[this.editing.index >= 0 ? this.editing.index : bindings.length];
+            if (editingButton) {
+                editingButton.classList.add('editing');
+                editingButton.textContent = '...';
+            }
+
+            if (this.pendingConflict) {
+                bindingList.appendChild(this.createButton('purchase-button', 'REPLACE', action.id, -1, 'replace'));
+                bindingList.appendChild(this.createButton('purchase-button', 'CANCEL', action.id, -1, 'cancel'));
+            }
+        }
+
+        row.appendChild(bindingList);
+        return row;
+    }
+
+    createButton(className, text, action, index, role = 'bind') {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.dataset.action = action;
+        button.dataset.index = index;
+        button.dataset.role = role;
+        return button;
+    }
+
+    getAction(id) {
+        for (const group of ACTION_GROUPS) {
+            const action = group.actions.find(entry => entry.id === id);
+            if (action) return action;
+        }
+        return { id, label: id };
+    }
+
+    getActionLabel(id) {
+        return this.getAction(id).label;
+    }
+
+    /**
+     * Wait for the input to bind to an action
+     * @param {string} action - The action name
+     * @param {number} index - Binding to replace, or -1 to add one
+     */
+    startEditing(action, index) {
+        this.stopEditing();
+        this.editing = { action, index };
+
+        this.input.captureBinding(!!this.getAction(action).axis, (binding) => {
+            if (!binding) {
+                this.stopEditing();
+                return;
+            }
+
+            const conflicts = this.input.findConflicts(binding, action);
+            if (conflicts.length > 0) {
+                this.pendingConflict = { binding, conflicts };
+                this.refresh();
+                return;
+            }
+
+            this.editing = null;
+            this.input.setBinding(action, binding, index);
+        });
+
+        this.refresh();
+    }
+
+    // Take the binding away from the actions using it and give it to the one being edited
+    confirmConflict() {
+        if (!this.editing || !this.pendingConflict) return;
+
+        const { action, index } = this.editing;
+        const { binding } = this.pendingConflict;
+        this.editing = null;
+        this.pendingConflict = null;
+        this.input.setBinding(action, binding, index);
+    }
+
+    stopEditing() {
+        this.input.cancelCapture();
+
+        const wasEditing = !!this.editing;
+        this.editing = null;
+        this.pendingConflict = null;
+        if (wasEditing && this.isOpen()) this.refresh();
+    }
+
+    createProfile() {
+        const name = this.nameInput.value.trim();
+        if (!name) return;
+
+        if (this.input.createProfile(name)) {
+            this.nameInput.value = '';
+            this.notify(`CREATED CONTROL PROFILE ${name.toUpperCase()}`, 'success');
+        } else {
+            this.notify('A PROFILE WITH THAT NAME ALREADY EXISTS', 'warning');
+        }
+    }
+
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.showNotification(message, type);
+        }
+    }
+
+    show() {
+        this.refresh();
+        this.menu.style.display = 'flex';
+    }
+
+    hide() {
+        this.stopEditing();
+        this.menu.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.menu.style.display !== 'none';
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .controls-menu {
+                z-index: 1100;
+            }
+
+            .controls-profiles select,
+            .controls-profiles input {
+                background-color: rgba(0, 40, 80, 0.5);
+                border: 1px solid #8af7ff;
+                border-radius: 5px;
+                color: #fff;
+                padding: 8px;
+                font-family: 'Orbitron', sans-serif;
+                font-size: 14px;
+            }
+
+            .controls-profiles .category-button:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+
+            .controls-status {
+                padding: 10px 20px;
+                font-size: 12px;
+                color: #aaa;
+                border-bottom: 1px solid #345;
+            }
+
+            .controls-status.active {
+                color: #ffcc00;
+            }
+
+            .controls-list-full {
+                flex: 1;
+                overflow-y: auto;
+                padding: 10px 20px 20px;
+            }
+
+            .controls-group {
+                color: #8af7ff;
+                font-size: 14px;
+                margin: 15px 0 5px;
+                border-bottom: 1px solid #345;
+                padding-bottom: 3px;
+            }
+
+            .controls-row {
+                display: grid;
+                grid-template-columns: 200px 1fr;
+                align-items: center;
+                padding: 4px 0;
+            }
+
+            .controls-label {
+                font-size: 14px;
+            }
+
+            .controls-bindings {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+
+            .binding-button {
+                min-width: 50px;
+                background-color: rgba(0, 30, 60, 0.7);
+                border: 1px solid #8af7ff;
+                border-radius: 3px;
+                color: #fff;
+                padding: 4px 8px;
+                font-family: 'Orbitron', sans-serif;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .binding-button:hover {
+                background-color: rgba(0, 60, 120, 0.7);
+            }
+
+            .binding-button.add-binding {
+                min-width: 30px;
+                color: #8af7ff;
+            }
+
+            .binding-button.conflict {
+                border-color: #ff3366;
+                color: #ff3366;
+            }
+
+            .binding-button.editing {
+                border-color: #ffcc00;
+                color: #ffcc00;
+            }
+
+            .controls-bindings .purchase-button {
+                padding: 4px 8px;
+                font-size: 12px;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
@@ -1,9 +1,252 @@
 /**
- * InputManager - Singleton class for managing keyboard and mouse input in the game.
+ * InputManager - Singleton class for managing keyboard, mouse and gamepad input in the game.
  * 
- * This manager handles all input events, key bindings, and provides a consistent
- * interface for the rest of the game systems to check input states.
+ * This manager handles all input events and key bindings. Once a frame, update() turns them
+ * into a snapshot of the flight controls (axes and held buttons) that the spacecraft flies
+ * by, while one-shot actions such as cycling targets go to onAction() callbacks. The input
+ * context (flight, menu, map or docked) decides which actions are live.
+ * 
+ * Besides key names, bindings can name mouse buttons ('mouse0'), the wheel ('wheel1'/'wheel-1')
+ * and gamepad inputs. Controllers with the browser's standard layout use 'padN' for buttons
+ * and 'axisN' for axes; flight sticks, throttles and other devices without it use 'joyN' and
+ * 'stickN'. An axis binding ending in '~' is inverted, and '@N' limits any gamepad binding to
+ * the device at navigator.getGamepads()[N], e.g. 'stick2~@1' for a separate throttle.
+ *
+ * Players rebind actions from the controls screen (ControlsMenu). Bindings belong to named
+ * control profiles, which are saved to localStorage under PROFILE_STORAGE_KEY.
+ */
+// Where control profiles are kept between sessions
+const PROFILE_STORAGE_KEY = 'starflight.controls';
+const DEFAULT_PROFILE = 'Default';
+
+// Which actions each input context lets through (null for all of them). Anything else reads
+// as idle, so a menu can use the mouse and keys without also flying the ship.
+export const INPUT_CONTEXTS = {
+    flight: null,
+    menu: ['toggleMenu'],
+    map: ['toggleMap', 'toggleMenu', 'toggleAutopilot'],
+    docked: ['dockServices', 'toggleInventory', 'toggleMenu']
+};
+
+// Held-button actions copied into each frame's snapshot
+const SNAPSHOT_BUTTONS = ['boost', 'brake', 'fire', 'altFire'];
+
+/**
+ * Flight controls with nothing pressed. update() fills one in from the player's input each
+ * frame; autopilots, AI pilots or replays can build their own to fly a Spacecraft the same way.
+ * Axes run from -1 to 1: pitch up, yaw right, roll right, thrust forward, strafe right and lift
+ * up are positive. look is the extra turn from the mouse this frame, in seconds of full axis.
+ * @returns {Object} { context, axes, look, buttons }
  */
+export function createInputSnapshot() {
+    return {
+        context: 'flight',
+        axes: { pitch: 0, yaw: 0, roll: 0, throttle: 0, strafe: 0, lift: 0 },
+        look: { pitch: 0, yaw: 0 },
+        buttons: { boost: false, brake: false, fire: false, altFire: false }
+    };
+}
+
+// Bindings for the standard game actions before the player changes anything
+const DEFAULT_KEY_BINDINGS = {
+    // Movement (thrust, strafe and vertical thrusters)
+    moveForward: ['w'],
+    moveBackward: ['s'],
+    moveLeft: ['a'],
+    moveRight: ['d'],
+    moveUp: ['r'],
+    moveDown: ['b'],
+    boost: ['Space', 'pad5'],
+    brake: ['Shift', 'pad4'],
+    toggleFlightAssist: ['k', 'pad11'],
+    
+    // Rotation
+    pitchUp: ['ArrowDown'],
+    pitchDown: ['ArrowUp'],
+    yawLeft: ['ArrowLeft'],
+    yawRight: ['ArrowRight'],
+    rollLeft: ['q'],
+    rollRight: ['e'],
+    
+    // Analog flight axes, read with getAxis(). Defaults suit a standard controller (right
+    // stick steers, left stick rolls and throttles) and a flight stick with a twist grip.
+    pitch: ['axis3', 'stick1'],
+    yaw: ['axis2', 'stick5'],
+    roll: ['axis0', 'stick0'],
+    throttle: ['axis1~', 'stick2~'],
+    strafe: [],
+    lift: [],
+    
+    // Weapons (left mouse, right trigger / right mouse, left trigger)
+    fire: ['mouse0', 'pad7', 'joy0'],
+    altFire: ['mouse2', 'pad6', 'joy1'],
+    nextWeapon: [']', 'wheel1', 'pad15'],
+    prevWeapon: ['[', 'wheel-1', 'pad14'],
+    
+    // Targeting
+    cycleTarget: ['t', 'pad3', 'joy2'],
+    cycleSubsystem: ['y', 'pad12'],
+    
+    // Countermeasures
+    deployFlare: ['x', 'pad1', 'joy3'],
+    deployChaff: ['z', 'pad2'],
+    
+    // Power distribution
+    powerToWeapons: ['1'],
+    powerToShields: ['2'],
+    powerToEngines: ['3'],
+    balancePower: ['4'],
+    
+    // Camera
+    cycleCamera: ['v'],
+    cockpitView: ['c'],
+    firstPersonView: ['f'],
+    
+    // Navigation, the cargo hold, and the mothership market while at a docking bay
+    toggleAutopilot: ['n'],
+    toggleMap: ['m'],
+    toggleInventory: ['i'],
+    dockServices: ['g'],
+    
+    // Interface
+    toggleControls: ['h'],
+    toggleMenu: ['Escape']
+};
+
+// Every standard action, grouped as the controls screen lists them. Axis actions take a
+// gamepad axis rather than a button; positive is the way to move it for a positive reading.
+export const ACTION_GROUPS = [
+    {
+        name: 'Flight',
+        actions: [
+            { id: 'moveForward', label: 'Thrust Forward' },
+            { id: 'moveBackward', label: 'Thrust Reverse' },
+            { id: 'moveLeft', label: 'Strafe Left' },
+            { id: 'moveRight', label: 'Strafe Right' },
+            { id: 'moveUp', label: 'Thrust Up' },
+            { id: 'moveDown', label: 'Thrust Down' },
+            { id: 'boost', label: 'Boost' },
+            { id: 'brake', label: 'Brake' },
+            { id: 'toggleFlightAssist', label: 'Flight Assist' },
+            { id: 'pitchUp', label: 'Pitch Up' },
+            { id: 'pitchDown', label: 'Pitch Down' },
+            { id: 'yawLeft', label: 'Yaw Left' },
+            { id: 'yawRight', label: 'Yaw Right' },
+            { id: 'rollLeft', label: 'Roll Left' },
+            { id: 'rollRight', label: 'Roll Right' }
+        ]
+    },
+    {
+        name: 'Analog Axes',
+        actions: [
+            { id: 'pitch', label: 'Pitch', axis: true, positive: 'pull back' },
+            { id: 'yaw', label: 'Yaw', axis: true, positive: 'push right' },
+            { id: 'roll', label: 'Roll', axis: true, positive: 'push right' },
+            { id: 'throttle', label: 'Throttle', axis: true, positive: 'push forward' },
+            { id: 'strafe', label: 'Strafe', axis: true, positive: 'push right' },
+            { id: 'lift', label: 'Vertical Thrust', axis: true, positive: 'push up' }
+        ]
+    },
+    {
+        name: 'Combat',
+        actions: [
+            { id: 'fire', label: 'Fire Primary' },
+            { id: 'altFire', label: 'Fire Secondary' },
+            { id: 'nextWeapon', label: 'Next Weapon' },
+            { id: 'prevWeapon', label: 'Previous Weapon' },
+            { id: 'cycleTarget', label: 'Cycle Target' },
+            { id: 'cycleSubsystem', label: 'Cycle Subsystem' },
+            { id: 'deployFlare', label: 'Deploy Flares' },
+            { id: 'deployChaff', label: 'Deploy Chaff' }
+        ]
+    },
+    {
+        name: 'Power',
+        actions: [
+            { id: 'powerToWeapons', label: 'Power to Weapons' },
+            { id: 'powerToShields', label: 'Power to Shields' },
+            { id: 'powerToEngines', label: 'Power to Engines' },
+            { id: 'balancePower', label: 'Balance Power' }
+        ]
+    },
+    {
+        name: 'Camera',
+        actions: [
+            { id: 'cycleCamera', label: 'Cycle Camera' },
+            { id: 'cockpitView', label: 'Cockpit View' },
+            { id: 'firstPersonView', label: 'First Person View' }
+        ]
+    },
+    {
+        name: 'Navigation & Interface',
+        actions: [
+            { id: 'toggleAutopilot', label: 'Autopilot' },
+            { id: 'toggleMap', label: 'Galactic Map' },
+            { id: 'toggleInventory', label: 'Cargo Hold' },
+            { id: 'dockServices', label: 'Market (Docked)' },
+            { id: 'toggleControls', label: 'Controls Panel' },
+            { id: 'toggleMenu', label: 'Pause / Save' }
+        ]
+    }
+];
+
+// Button names for controllers with the browser's standard layout (Xbox naming)
+const PAD_BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'BACK', 'START',
+    'L-STICK', 'R-STICK', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME'];
+const PAD_AXIS_LABELS = ['LEFT X', 'LEFT Y', 'RIGHT X', 'RIGHT Y'];
+
+const KEY_LABELS = {
+    Space: 'SPACE',
+    Escape: 'ESC',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Control: 'CTRL',
+    mouse0: 'LMB',
+    mouse1: 'MMB',
+    mouse2: 'RMB',
+    'wheel-1': 'WHEEL UP',
+    wheel1: 'WHEEL DOWN'
+};
+
+function cloneBindings(bindings) {
+    const copy = {};
+    Object.keys(bindings).forEach(action => {
+        if (Array.isArray(bindings[action])) {
+            copy[action] = bindings[action].slice();
+        }
+    });
+    return copy;
+}
+
+/**
+ * Short name for a binding, as shown on the controls screen and HUD
+ * @param {string} binding - A key name or mouse/gamepad binding, e.g. 'ArrowUp', 'pad7', 'axis1~@1'
+ * @returns {string} Display label
+ */
+export function getBindingLabel(binding) {
+    if (KEY_LABELS[binding]) return KEY_LABELS[binding];
+    
+    const gamepad = /^(pad|joy|axis|stick)(\d+)(~?)(?:@(\d+))?$/.exec(binding);
+    if (gamepad) {
+        const index = parseInt(gamepad[2]);
+        const names = {
+            pad: PAD_BUTTON_LABELS[index] || `PAD ${index}`,
+            joy: `BTN ${index + 1}`,
+            axis: PAD_AXIS_LABELS[index] || `AXIS ${index}`,
+            stick: `AXIS ${index}`
+        };
+        let label = names[gamepad[1]];
+        if (gamepad[3]) label += ' (INV)';
+        if (gamepad[4] !== undefined) label += ` #${parseInt(gamepad[4]) + 1}`;
+        return label;
+    }
+    
+    if (binding.startsWith('mouse')) return `MOUSE ${binding.substring(5)}`;
+    return binding.toUpperCase();
+}
+
 export class InputManager {
     // Singleton instance
     static instance = null;
@@ -35,32 +278,57 @@ export class InputManager {
         this.mouseDelta = { x: 0, y: 0 };     // Mouse movement since last frame
         this.mouseWheel = 0;      // Wheel delta
         
-        // Key bindings for actions (customizable)
-        this.keyBindings = {
-            // Movement
-            moveForward: ['w', 'ArrowUp'],
-            moveBackward: ['s', 'ArrowDown'],
-            moveLeft: ['a', 'ArrowLeft'],
-            moveRight: ['d', 'ArrowRight'],
-            
-            // Actions
-            fire: ['Space', 'mouse0'], // Primary fire (spacebar or left mouse)
-            altFire: ['mouse2'],       // Secondary fire (right mouse)
-            boost: ['Shift'],          // Boost/sprint
-            brake: ['b', 'x'],         // Brake/stop
-            
-            // UI Controls
-            toggleMenu: ['Escape'],
-            toggleMap: ['m'],
-            
-            // Weapon selection
-            nextWeapon: ['e', 'wheel1'],
-            prevWeapon: ['q', 'wheel-1'],
-            
-            // Custom action bindings (populated via registerKeyBinding)
-            actions: {}
+        // Mouse aim: movement while the pointer is locked, gathered up until the next snapshot
+        this.lookDelta = { x: 0, y: 0 };
+        this.mouseSensitivity = 0.002 / 60; // Seconds of full pitch/yaw per pixel
+        
+        // The current input context (see INPUT_CONTEXTS) and the last frame's snapshot
+        this.context = 'flight';
+        this.snapshot = createInputSnapshot();
+        
+        // On-screen controls (see TouchControls) drive actions directly instead of through
+        // bindings: axis actions take a value, other actions are held down or let go
+        this.virtualAxes = {};
+        this.virtualButtons = {};
+        
+        // Touch screens can't lock the pointer, and tapping them shouldn't try to
+        this.pointerLockEnabled = true;
+        
+        // Gamepads are polled by pollGamepads() rather than sending events
+        this.gamepads = [];       // Snapshot of each connected device from the last poll
+        this.gamepadButtons = {}; // Gamepad buttons held down at the last poll, e.g. 'pad0', 'joy3@1'
+        this.buttonThreshold = 0.5; // How far an analog button (a trigger) goes down before it counts as pressed
+        
+        // How raw axis readings are shaped, by axis action. Readings inside the deadzone count as
+        // zero, and the rest is rescaled to 0-1 and raised to the exponent for finer control near
+        // the centre.
+        this.axisSettings = {
+            default: { deadzone: 0.15, exponent: 2 },
+            throttle: { deadzone: 0.05, exponent: 1 }
         };
         
+        // Key bindings for actions. The active control profile's bindings, which the player
+        // can change from the controls screen; see loadProfiles() and setBinding().
+        this.keyBindings = cloneBindings(DEFAULT_KEY_BINDINGS);
+        
+        // Custom action bindings (populated via registerKeyBinding)
+        this.keyBindings.actions = {};
+        
+        // Named control profiles, each a full set of bindings, and the one in use
+        this.profiles = { [DEFAULT_PROFILE]: cloneBindings(DEFAULT_KEY_BINDINGS) };
+        this.activeProfile = DEFAULT_PROFILE;
+        this.loadProfiles();
+        
+        // Functions to call when a bound action is triggered, looked up by the current
+        // bindings on every press so rebinding takes effect straight away
+        this.actionCallbacks = {};
+        
+        // Functions to call whenever bindings or profiles change
+        this.bindingListeners = [];
+        
+        // Set while the controls screen waits for the player to press something
+        this.pendingCapture = null;
+        
         // Functions to call when keys are pressed/released
         this.keyCallbacks = {
             keydown: {},
@@ -92,6 +360,196 @@ export class InputManager {
         
         // Handle focus loss (release all keys when window loses focus)
         window.addEventListener('blur', () => this.onBlur());
+        
+        // Clicking into the game captures the mouse for aiming, but not while a menu needs it
+        window.addEventListener('click', () => {
+            if (this.pointerLockEnabled && this.context === 'flight' && !document.pointerLockElement &&
+                document.body.requestPointerLock) {
+                document.body.requestPointerLock();
+            }
+        });
+        
+        // Gamepads only report state when polled, but say when they come and go
+        window.addEventListener('gamepadconnected', (event) => {
+            console.log(`Gamepad ${event.gamepad.index} connected: ${event.gamepad.id}`);
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`Gamepad ${event.gamepad.index} disconnected: ${event.gamepad.id}`);
+        });
+    }
+    
+    /**
+     * Read this frame's input. Call once a frame, before anything flies by it: polls gamepads,
+     * then combines keys, mouse and gamepads into a snapshot of the flight controls. Actions the
+     * current context doesn't allow read as idle.
+     * @returns {Object} The snapshot (see createInputSnapshot())
+     */
+    update() {
+        this.pollGamepads();
+        
+        const snapshot = createInputSnapshot();
+        snapshot.context = this.context;
+        
+        const axes = snapshot.axes;
+        axes.pitch = this.combineAxis('pitch', 'pitchUp', 'pitchDown');
+        axes.yaw = this.combineAxis('yaw', 'yawRight', 'yawLeft');
+        axes.roll = this.combineAxis('roll', 'rollRight', 'rollLeft');
+        axes.throttle = this.combineAxis('throttle', 'moveForward', 'moveBackward');
+        axes.strafe = this.combineAxis('strafe', 'moveRight', 'moveLeft');
+        axes.lift = this.combineAxis('lift', 'moveUp', 'moveDown');
+        
+        // Moving the mouse up pitches the nose up
+        if (this.isActionLive('pitch')) {
+            snapshot.look.pitch = -this.lookDelta.y * this.mouseSensitivity;
+            snapshot.look.yaw = this.lookDelta.x * this.mouseSensitivity;
+        }
+        this.lookDelta = { x: 0, y: 0 };
+        
+        SNAPSHOT_BUTTONS.forEach(action => {
+            snapshot.buttons[action] = this.isActionActive(action);
+        });
+        
+        this.snapshot = snapshot;
+        return snapshot;
+    }
+    
+    /**
+     * The snapshot made by the last update()
+     * @returns {Object} The snapshot (see createInputSnapshot())
+     */
+    getSnapshot() {
+        return this.snapshot;
+    }
+    
+    // An analog axis plus a pair of digital actions pushing it either way, kept within -1 to 1
+    combineAxis(axisAction, positiveAction, negativeAction) {
+        let value = this.isActionLive(axisAction) ? this.getAxis(axisAction) : 0;
+        if (this.isActionActive(positiveAction)) value += 1;
+        if (this.isActionActive(negativeAction)) value -= 1;
+        return Math.max(-1, Math.min(1, value));
+    }
+    
+    /**
+     * Switch input context. Leaving flight frees the mouse pointer for the menu.
+     * @param {string} context - A key of INPUT_CONTEXTS
+     */
+    setContext(context) {
+        if (!(context in INPUT_CONTEXTS)) {
+            console.warn(`Unknown input context: ${context}`);
+            return;
+        }
+        if (context === this.context) return;
+        
+        this.context = context;
+        if (context !== 'flight' && document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+    
+    getContext() {
+        return this.context;
+    }
+    
+    /**
+     * Whether the current context lets an action through
+     * @param {string} action - The action name
+     * @returns {boolean} True if it's live
+     */
+    isActionLive(action) {
+        const allowed = INPUT_CONTEXTS[this.context];
+        return !allowed || allowed.includes(action);
+    }
+    
+    /**
+     * Poll connected gamepads: button presses and releases fire the same callbacks as keys,
+     * and getAxis() reads the axes as they were at the last poll
+     */
+    pollGamepads() {
+        const pads = this.getConnectedGamepads();
+        const pressed = {};
+        
+        this.gamepads = pads.map(pad => {
+            const standard = pad.mapping === 'standard';
+            const prefix = standard ? 'pad' : 'joy';
+            
+            pad.buttons.forEach((button, index) => {
+                const value = typeof button === 'number' ? button : button.value;
+                if ((button && button.pressed) || value >= this.buttonThreshold) {
+                    pressed[`${prefix}${index}`] = true;
+                    pressed[`${prefix}${index}@${pad.index}`] = true;
+                }
+            });
+            
+            return { index: pad.index, id: pad.id, standard: standard, axes: Array.from(pad.axes) };
+        });
+        
+        const previous = this.gamepadButtons;
+        this.gamepadButtons = pressed;
+        
+        if (this.pendingCapture) {
+            this.pollCapture(previous);
+            return;
+        }
+        
+        Object.keys(pressed).forEach(key => {
+            if (!previous[key]) {
+                this.triggerCallbacks('keydown', key, { key });
+                this.triggerActions(key, { key });
+            }
+        });
+        Object.keys(previous).forEach(key => {
+            if (!pressed[key]) this.triggerCallbacks('keyup', key, { key });
+        });
+    }
+    
+    /**
+     * The gamepads the browser currently reports as connected
+     * @returns {Array} Gamepad objects
+     */
+    getConnectedGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        
+        // Chrome fills the list with nulls for empty slots
+        return Array.from(navigator.getGamepads() || [])
+            .filter(pad => pad && pad.connected !== false);
+    }
+    
+    /**
+     * Whether any gamepad was connected at the last poll
+     * @returns {boolean} True if there's at least one
+     */
+    hasGamepad() {
+        return this.gamepads.length > 0;
+    }
+    
+    // Call the callbacks registered for a key or gamepad button
+    triggerCallbacks(eventType, key, event) {
+        if (this.keyCallbacks[eventType][key]) {
+            this.keyCallbacks[eventType][key].forEach(callback => callback(event));
+        }
+    }
+    
+    // Call the onAction() callbacks of every live action the key is currently bound to
+    triggerActions(key, event) {
+        Object.keys(this.actionCallbacks).filter(action => this.isActionLive(action)).forEach(action => {
+            const bindings = this.keyBindings[action];
+            if (Array.isArray(bindings) && bindings.includes(key)) {
+                this.actionCallbacks[action].forEach(callback => callback(event));
+            }
+        });
+    }
+    
+    /**
+     * Name a keyboard key the way bindings do: letters in lower case whatever the shift
+     * state, and the space bar as 'Space'
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string} The binding name
+     */
+    normalizeKey(key) {
+        if (key === ' ' || key === 'Spacebar') return 'Space';
+        return key.length === 1 ? key.toLowerCase() : key;
     }
     
     /**
@@ -99,7 +557,7 @@ export class InputManager {
      * @param {KeyboardEvent} event - The keyboard event
      */
     onKeyDown(event) {
-        const key = event.key;
+        const key = this.normalizeKey(event.key);
         
         // Don't handle repeated keydown events (when key is held)
         if (this.keys[key]) return;
@@ -110,6 +568,7 @@ export class InputManager {
         if (this.keyCallbacks.keydown[key]) {
             this.keyCallbacks.keydown[key].forEach(callback => callback(event));
         }
+        this.triggerActions(key, event);
         
         // Check if this key is bound to an action
         for (const action in this.keyBindings.actions) {
@@ -130,7 +589,7 @@ export class InputManager {
      * @param {KeyboardEvent} event - The keyboard event
      */
     onKeyUp(event) {
-        const key = event.key;
+        const key = this.normalizeKey(event.key);
         this.keys[key] = false;
         
         // Call any registered callbacks for this key
@@ -155,6 +614,12 @@ export class InputManager {
         // Update delta for this frame
         this.mouseDelta.x = deltaX;
         this.mouseDelta.y = deltaY;
+        
+        // While the pointer is locked the cursor stays put, and only movementX/Y change
+        if (document.pointerLockElement) {
+            this.lookDelta.x += event.movementX || 0;
+            this.lookDelta.y += event.movementY || 0;
+        }
     }
     
     /**
@@ -169,6 +634,7 @@ export class InputManager {
         if (this.keyCallbacks.keydown[key]) {
             this.keyCallbacks.keydown[key].forEach(callback => callback(event));
         }
+        this.triggerActions(key, event);
         
         // Check if this mouse button is bound to an action
         for (const action in this.keyBindings.actions) {
@@ -205,6 +671,7 @@ export class InputManager {
         if (this.keyCallbacks.keydown[key]) {
             this.keyCallbacks.keydown[key].forEach(callback => callback(event));
         }
+        this.triggerActions(key, event);
         
         // Reset wheel value after a short delay
         setTimeout(() => {
@@ -219,6 +686,7 @@ export class InputManager {
         // Reset all input states
         this.keys = {};
         this.mouseButtons = {};
+        this.virtualButtons = {};
         this.mouseDelta = { x: 0, y: 0 };
         this.mouseWheel = 0;
     }
@@ -262,6 +730,35 @@ export class InputManager {
         return name; // Return the action name for reference
     }
     
+    /**
+     * Call a function whenever any key bound to a standard game action is pressed. Follows the
+     * action's bindings as they are at the time, so the callback survives rebinding.
+     * @param {string} action - The action name, e.g. 'nextWeapon'
+     * @param {Function} callback - The function to call
+     */
+    onAction(action, callback) {
+        if (!Array.isArray(this.keyBindings[action])) {
+            console.warn(`Unknown action: ${action}`);
+            return;
+        }
+        
+        if (!this.actionCallbacks[action]) {
+            this.actionCallbacks[action] = [];
+        }
+        this.actionCallbacks[action].push(callback);
+    }
+    
+    /**
+     * The standard actions a key is bound to
+     * @param {string} key - A KeyboardEvent.key or binding name
+     * @returns {Array} Action names
+     */
+    getActionsForKey(key) {
+        const binding = this.normalizeKey(key);
+        return Object.keys(this.keyBindings).filter(action =>
+            Array.isArray(this.keyBindings[action]) && this.keyBindings[action].includes(binding));
+    }
+    
     /**
      * Unregister a key binding
      * @param {string} actionName - The name of the action to unbind
@@ -273,15 +770,21 @@ export class InputManager {
     }
     
     /**
-     * Check if an action is currently active
+     * Check if an action is currently active (always false if the context doesn't allow it)
      * @param {string} action - The action to check
      * @returns {boolean} Whether the action is active
      */
     isActionActive(action) {
         // Handle standard game actions
-        if (this.keyBindings[action]) {
+        if (this.keyBindings[action] && this.isActionLive(action)) {
+            if (this.virtualButtons[action]) return true;
+            
             // Check if any of the bound keys are pressed
             return this.keyBindings[action].some(key => {
+                // Check if key is a gamepad button
+                if (this.isGamepadButton(key)) {
+                    return !!this.gamepadButtons[key];
+                }
                 // Check if key is a mouse button
                 if (key.startsWith('mouse')) {
                     return this.mouseButtons[key];
@@ -299,6 +802,422 @@ export class InputManager {
         return false;
     }
     
+    isGamepadButton(key) {
+        return /^(pad|joy)\d+(@\d+)?$/.test(key);
+    }
+    
+    // Gamepad buttons and axes
+    isGamepadInput(key) {
+        return /^(pad|joy|axis|stick)\d+~?(@\d+)?$/.test(key);
+    }
+    
+    /**
+     * Hold an action down, or let it go, from an on-screen control. Pressing it fires its
+     * onAction() callbacks as a key would.
+     * @param {string} action - The action name
+     * @param {boolean} pressed - Whether it's held
+     */
+    setVirtualButton(action, pressed) {
+        const wasPressed = !!this.virtualButtons[action];
+        this.virtualButtons[action] = pressed;
+        
+        if (pressed && !wasPressed && this.actionCallbacks[action] && this.isActionLive(action)) {
+            this.actionCallbacks[action].forEach(callback => callback({ action }));
+        }
+    }
+    
+    /**
+     * Set an axis action from an on-screen control. The value is used as it is, with no
+     * deadzone or curve, and wins over bound axes pushed less far.
+     * @param {string} action - The axis action
+     * @param {number} value - From -1 to 1
+     */
+    setVirtualAxis(action, value) {
+        this.virtualAxes[action] = Math.max(-1, Math.min(1, value));
+    }
+    
+    /**
+     * Read an analog axis action, e.g. 'pitch', from whichever bound axis is pushed furthest
+     * @param {string} action - The axis action
+     * @returns {number} Shaped value from -1 to 1
+     */
+    getAxis(action) {
+        const bindings = this.keyBindings[action];
+        if (!Array.isArray(bindings)) return 0;
+        
+        const settings = this.axisSettings[action] || this.axisSettings.default;
+        let value = this.virtualAxes[action] || 0;
+        
+        bindings.forEach(binding => {
+            const shaped = this.shapeAxis(this.readAxisBinding(binding), settings);
+            if (Math.abs(shaped) > Math.abs(value)) {
+                value = shaped;
+            }
+        });
+        
+        return value;
+    }
+    
+    /**
+     * Raw reading of an axis binding such as 'axis1~' or 'stick2@1'
+     * @param {string} binding - The binding
+     * @returns {number} Reading from -1 to 1, or 0 if nothing matches
+     */
+    readAxisBinding(binding) {
+        const match = /^(axis|stick)(\d+)(~?)(?:@(\d+))?$/.exec(binding);
+        if (!match) return 0;
+        
+        const standard = match[1] === 'axis';
+        const axisIndex = parseInt(match[2]);
+        const deviceIndex = match[4] !== undefined ? parseInt(match[4]) : null;
+        let value = 0;
+        
+        this.gamepads.forEach(pad => {
+            if (pad.standard !== standard || (deviceIndex !== null && pad.index !== deviceIndex)) return;
+            
+            const reading = pad.axes[axisIndex] || 0;
+            if (Math.abs(reading) > Math.abs(value)) {
+                value = reading;
+            }
+        });
+        
+        return match[3] ? -value : value;
+    }
+    
+    /**
+     * Apply a deadzone and response curve to a raw axis reading
+     * @param {number} value - Raw reading from -1 to 1
+     * @param {Object} settings - deadzone and exponent
+     * @returns {number} Shaped value from -1 to 1
+     */
+    shapeAxis(value, settings) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= settings.deadzone) return 0;
+        
+        const scaled = Math.min(1, (magnitude - settings.deadzone) / (1 - settings.deadzone));
+        return Math.sign(value) * Math.pow(scaled, settings.exponent);
+    }
+    
+    /**
+     * Change how an axis action responds
+     * @param {string} action - Axis action, or 'default' for any without their own settings
+     * @param {Object} settings - deadzone and/or exponent
+     */
+    setAxisSettings(action, settings) {
+        const current = this.axisSettings[action] || this.axisSettings.default;
+        this.axisSettings[action] = Object.assign({}, current, settings);
+    }
+    
+    /**
+     * Bindings for the standard actions, without custom registerKeyBinding() actions
+     * @returns {Object} Copy of the binding arrays keyed by action
+     */
+    getBindings() {
+        return cloneBindings(this.keyBindings);
+    }
+    
+    /**
+     * Actions other than the given one that a binding is already used by
+     * @param {string} binding - The binding to look for
+     * @param {string} exceptAction - Action to leave out, usually the one being rebound
+     * @returns {Array} Action names
+     */
+    findConflicts(binding, exceptAction = null) {
+        return this.getActionsForKey(binding).filter(action => action !== exceptAction);
+    }
+    
+    /**
+     * Bind an action to a key, button or axis, in place of one of its current bindings or
+     * as an extra one. Any other action using the binding loses it.
+     * @param {string} action - The action name
+     * @param {string} binding - The new binding
+     * @param {number} index - Binding to replace, or -1 to add
+     */
+    setBinding(action, binding, index = -1) {
+        const bindings = this.keyBindings[action];
+        if (!Array.isArray(bindings)) {
+            console.warn(`Unknown action: ${action}`);
+            return;
+        }
+        
+        this.findConflicts(binding, action).forEach(other => {
+            this.keyBindings[other] = this.keyBindings[other].filter(key => key !== binding);
+        });
+        
+        if (index >= 0 && index < bindings.length) {
+            bindings[index] = binding;
+        } else {
+            bindings.push(binding);
+        }
+        
+        // Binding the same key twice to one action does nothing useful
+        this.keyBindings[action] = bindings.filter((key, i) => bindings.indexOf(key) === i);
+        this.commitBindings();
+    }
+    
+    /**
+     * Remove one of an action's bindings
+     * @param {string} action - The action name
+     * @param {number} index - Binding to remove
+     */
+    removeBinding(action, index) {
+        const bindings = this.keyBindings[action];
+        if (!Array.isArray(bindings) || index < 0 || index >= bindings.length) return;
+        
+        bindings.splice(index, 1);
+        this.commitBindings();
+    }
+    
+    /**
+     * Put every action in the active profile back to its default bindings
+     */
+    resetBindings() {
+        Object.assign(this.keyBindings, cloneBindings(DEFAULT_KEY_BINDINGS));
+        this.commitBindings();
+    }
+    
+    getProfileNames() {
+        return Object.keys(this.profiles);
+    }
+    
+    getActiveProfile() {
+        return this.activeProfile;
+    }
+    
+    /**
+     * Switch to another control profile
+     * @param {string} name - Profile name
+     * @returns {boolean} Whether the profile exists
+     */
+    setActiveProfile(name) {
+        if (!this.profiles[name]) return false;
+        
+        this.activeProfile = name;
+        Object.assign(this.keyBindings, cloneBindings(this.profiles[name]));
+        this.commitBindings();
+        return true;
+    }
+    
+    /**
+     * Make a new profile from the current bindings and switch to it
+     * @param {string} name - Profile name
+     * @returns {boolean} False if the name is empty or taken
+     */
+    createProfile(name) {
+        const trimmed = String(name || '').trim().substring(0, 24);
+        if (!trimmed || this.profiles[trimmed]) return false;
+        
+        this.profiles[trimmed] = this.getBindings();
+        this.activeProfile = trimmed;
+        this.commitBindings();
+        return true;
+    }
+    
+    /**
+     * Delete a profile. There's always at least one, so the last can't be deleted.
+     * @param {string} name - Profile name
+     * @returns {boolean} Whether it was deleted
+     */
+    deleteProfile(name) {
+        if (!this.profiles[name] || this.getProfileNames().length <= 1) return false;
+        
+        delete this.profiles[name];
+        if (this.activeProfile === name) {
+            this.setActiveProfile(this.getProfileNames()[0]);
+        } else {
+            this.commitBindings();
+        }
+        return true;
+    }
+    
+    /**
+     * Call a function whenever bindings or profiles change
+     * @param {Function} callback - The function to call
+     */
+    onBindingsChanged(callback) {
+        this.bindingListeners.push(callback);
+    }
+    
+    // Store the active bindings in their profile, save, and tell anyone listening
+    commitBindings() {
+        this.profiles[this.activeProfile] = this.getBindings();
+        this.saveProfiles();
+        this.bindingListeners.forEach(callback => callback());
+    }
+    
+    /**
+     * Load saved control profiles and switch to the one last used. Actions missing from a
+     * saved profile, e.g. ones added since it was saved, keep their defaults.
+     */
+    loadProfiles() {
+        try {
+            const raw = window.localStorage.getItem(PROFILE_STORAGE_KEY);
+            if (!raw) return;
+            
+            const saved = JSON.parse(raw);
+            const profiles = {};
+            Object.keys(saved.profiles || {}).forEach(name => {
+                const bindings = cloneBindings(DEFAULT_KEY_BINDINGS);
+                const stored = saved.profiles[name] || {};
+                Object.keys(bindings).forEach(action => {
+                    if (Array.isArray(stored[action])) {
+                        bindings[action] = stored[action].filter(key => typeof key === 'string');
+                    }
+                });
+                profiles[name] = bindings;
+            });
+            
+            if (Object.keys(profiles).length === 0) return;
+            
+            this.profiles = profiles;
+            this.activeProfile = profiles[saved.active] ? saved.active : Object.keys(profiles)[0];
+            Object.assign(this.keyBindings, cloneBindings(this.profiles[this.activeProfile]));
+        } catch (error) {
+            console.warn("InputManager: Couldn't load control profiles, using defaults", error);
+        }
+    }
+    
+    saveProfiles() {
+        try {
+            window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({
+                active: this.activeProfile,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            console.warn("InputManager: Couldn't save control profiles", error);
+        }
+    }
+    
+    /**
+     * Wait for the player to press a key, mouse button or gamepad button, or for an axis
+     * action to move a gamepad axis, and hand back its binding. Nothing else sees that
+     * input. Escape cancels, handing back null.
+     * @param {boolean} axis - Whether to wait for an axis instead of a button
+     * @param {Function} callback - Called with the binding, or null if cancelled
+     */
+    captureBinding(axis, callback) {
+        this.cancelCapture();
+        
+        const capture = { axis, callback, baseline: null, frame: null };
+        
+        // Registered for the capture phase on window so the game's own key handlers never see it
+        capture.onKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.repeat) return;
+            
+            if (event.key === 'Escape') {
+                this.finishCapture(null);
+            } else if (!axis) {
+                this.finishCapture(this.normalizeKey(event.key));
+            }
+        };
+        capture.onMouseDown = (event) => {
+            if (axis) return;
+            event.preventDefault();
+            event.stopPropagation();
+            this.swallowNextClick();
+            this.finishCapture(`mouse${event.button}`);
+        };
+        capture.onWheel = (event) => {
+            if (axis || !event.deltaY) return;
+            event.stopPropagation();
+            this.finishCapture(`wheel${Math.sign(event.deltaY)}`);
+        };
+        
+        window.addEventListener('keydown', capture.onKeyDown, true);
+        window.addEventListener('mousedown', capture.onMouseDown, true);
+        window.addEventListener('wheel', capture.onWheel, true);
+        
+        // The game loop stops polling while paused, so poll gamepads here until done
+        const poll = () => {
+            this.pollGamepads();
+            if (this.pendingCapture === capture) {
+                capture.frame = requestAnimationFrame(poll);
+            }
+        };
+        
+        this.pendingCapture = capture;
+        capture.frame = requestAnimationFrame(poll);
+    }
+    
+    /**
+     * Stop waiting for a binding without calling back
+     */
+    cancelCapture() {
+        const capture = this.pendingCapture;
+        if (!capture) return;
+        
+        this.pendingCapture = null;
+        cancelAnimationFrame(capture.frame);
+        window.removeEventListener('keydown', capture.onKeyDown, true);
+        window.removeEventListener('mousedown', capture.onMouseDown, true);
+        window.removeEventListener('wheel', capture.onWheel, true);
+    }
+    
+    isCapturing() {
+        return this.pendingCapture !== null;
+    }
+    
+    finishCapture(binding) {
+        const capture = this.pendingCapture;
+        this.cancelCapture();
+        if (capture) capture.callback(binding);
+    }
+    
+    // Look for a gamepad button that went down or, for an axis action, an axis pushed well away
+    // from where it rested when capturing started. The first poll only takes that reading, as
+    // the last one may be from before the game was paused.
+    pollCapture(previous) {
+        const capture = this.pendingCapture;
+        
+        if (!capture.baseline) {
+            capture.baseline = {};
+            this.gamepads.forEach(pad => {
+                capture.baseline[pad.index] = pad.axes.slice();
+            });
+            return;
+        }
+        
+        if (!capture.axis) {
+            const key = Object.keys(this.gamepadButtons).find(pressed => !previous[pressed] && !pressed.includes('@'));
+            if (key) this.finishCapture(key);
+            return;
+        }
+        
+        // Some axes rest at -1 (many triggers and throttles), hence comparing with the baseline
+        for (const pad of this.gamepads) {
+            const rest = capture.baseline[pad.index] || [];
+            const axisIndex = pad.axes.findIndex((value, i) =>
+                Math.abs(value) > 0.5 && Math.abs(value - (rest[i] || 0)) > 0.5);
+            
+            if (axisIndex >= 0) {
+                const prefix = pad.standard ? 'axis' : 'stick';
+                const inverted = pad.axes[axisIndex] < 0 ? '~' : '';
+                this.finishCapture(`${prefix}${axisIndex}${inverted}`);
+                return;
+            }
+        }
+    }
+    
+    // The click that follows a captured mouse button shouldn't also press whatever is under the cursor
+    swallowNextClick() {
+        const swallow = (event) => {
+            event.stopPropagation();
+            event.preventDefault();
+            done();
+        };
+        const done = () => {
+            window.removeEventListener('click', swallow, true);
+            window.removeEventListener('auxclick', swallow, true);
+            window.removeEventListener('mousedown', done, true);
+        };
+        
+        window.addEventListener('click', swallow, true);
+        window.addEventListener('auxclick', swallow, true);
+        window.addEventListener('mousedown', done, true);
+    }
+    
     /**
      * Get the current mouse position
      * @returns {Object} The current mouse position {x, y}
@@ -351,7 +1270,11 @@ export class InputManager {
     clearInputState() {
         this.keys = {};
         this.mouseButtons = {};
+        this.gamepadButtons = {};
         this.mouseDelta = { x: 0, y: 0 };
+        this.lookDelta = { x: 0, y: 0 };
+        this.virtualAxes = {};
+        this.virtualButtons = {};
         this.mouseWheel = 0;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,357 @@
+import * as THREE from 'three';
+import { MAX_SECTOR_DIFFICULTY } from '../scenes/UniverseGenerator.js';
+import { ITEM_TYPES } from '../components/Inventory.js';
+
+// What a container can hold
+export const LOOT_TYPES = {
+    credits: { name: 'Credits', color: 0xffdd33 },
+    ammo: { name: 'Ammo', color: 0xff6633 },
+    repairKit: { name: 'Repair Kit', color: 0x33ff88 },
+    ore: { name: 'Ore', color: 0xaa8866 },           // Whatever the asteroid it came from is made of
+    item: { name: 'Cargo', color: 0x88aacc },        // An item for the cargo hold, coloured by its type
+    upgradePart: { name: 'Upgrade Part', color: 0xcc66ff }
+};
+
+// Each entry is rolled separately when something is destroyed. Harder sectors raise
+// the amounts and make rare drops (chance below RARE_CHANCE) more likely.
+export const LOOT_TABLES = {
+    standard: [
+        { type: 'credits', chance: 0.9, min: 20, max: 50 },
+        { type: 'ammo', chance: 0.3, min: 3, max: 8 },
+        { type: 'repairKit', chance: 0.2, min: 10, max: 20 },
+        { type: 'item', item: 'scrapMetal', chance: 0.4, min: 1, max: 3 },
+        { type: 'upgradePart', chance: 0.02, min: 1, max: 1 }
+    ],
+    elite: [
+        { type: 'credits', chance: 1, min: 60, max: 120 },
+        { type: 'ammo', chance: 0.5, min: 5, max: 12 },
+        { type: 'repairKit', chance: 0.4, min: 15, max: 30 },
+        { type: 'item', item: 'alienAlloy', chance: 0.3, min: 1, max: 2 },
+        { type: 'item', item: 'repairPack', chance: 0.2, min: 1, max: 1 },
+        { type: 'item', item: 'medicalSupplies', chance: 0.15, min: 2, max: 5 },
+        { type: 'upgradePart', chance: 0.08, min: 1, max: 1 }
+    ],
+    boss: [
+        { type: 'credits', chance: 1, min: 400, max: 800 },
+        { type: 'ammo', chance: 1, min: 15, max: 30 },
+        { type: 'repairKit', chance: 1, min: 40, max: 60 },
+        { type: 'item', item: 'alienAlloy', chance: 1, min: 3, max: 6 },
+        { type: 'item', item: 'luxuryGoods', chance: 0.5, min: 1, max: 3 },
+        { type: 'item', item: 'alienDataCore', chance: 1, min: 1, max: 1 },
+        { type: 'upgradePart', chance: 1, min: 1, max: 3 }
+    ],
+    asteroid: [
+        { type: 'ore', chance: 0.8, min: 2, max: 6 },
+        { type: 'credits', chance: 0.1, min: 5, max: 15 },
+        { type: 'upgradePart', chance: 0.005, min: 1, max: 1 }
+    ]
+};
+
+const RARE_CHANCE = 0.1;
+
+const CONTAINER_LIFETIME = 120;   // Seconds before an uncollected container is gone
+const COLLECT_RADIUS = 6;         // Containers this close to the ship are picked up
+const MAGNET_RANGE = 40;          // Reach of the ship's standard cargo magnet
+const PULL_SPEED = 60;            // Speed containers are drawn in at, on top of the ship's own
+const JETTISON_DELAY = 3;         // Seconds before a jettisoned container can be picked up again
+
+export class LootSystem {
+    constructor(scene, spacecraft, upgradeSystem, uiManager) {
+        this.scene = scene;
+        this.spacecraft = spacecraft;
+        this.upgradeSystem = upgradeSystem;
+        this.uiManager = uiManager;
+
+        this.containers = [];
+        this.geometry = new THREE.BoxGeometry(2, 2, 2);
+    }
+
+    /**
+     * Roll a loot table
+     * @param {string} tableId - Key into LOOT_TABLES
+     * @param {number} difficulty - Sector difficulty (1 - MAX_SECTOR_DIFFICULTY)
+     * @param {number} amountScale - Extra multiplier on amounts, e.g. for bigger asteroids
+     * @returns {Array} { type, amount } for each drop, plus item for cargo items
+     */
+    rollLoot(tableId, difficulty = 1, amountScale = 1) {
+        const table = LOOT_TABLES[tableId];
+        if (!table) {
+            console.warn(`LootSystem: Unknown loot table ${tableId}`);
+            return [];
+        }
+
+        const level = THREE.MathUtils.clamp(difficulty, 1, MAX_SECTOR_DIFFICULTY) - 1;
+        const amountMultiplier = (1 + level * 0.25) * amountScale;
+        const rareMultiplier = 1 + level * 0.5;
+
+        const drops = [];
+        table.forEach(entry => {
+            const chance = entry.chance < RARE_CHANCE ? entry.chance * rareMultiplier : entry.chance;
+            if (Math.random() >= chance) return;
+
+            const baseAmount = entry.min + Math.random() * (entry.max - entry.min);
+
+            // Upgrade parts and mission items get more likely in harder sectors, not more plentiful
+            const fixedAmount = entry.type === 'upgradePart' ||
+                (entry.item && ITEM_TYPES[entry.item].category === 'mission');
+            const amount = fixedAmount ?
+                Math.round(baseAmount) :
+                Math.max(1, Math.round(baseAmount * amountMultiplier));
+
+            const drop = { type: entry.type, amount: amount };
+            if (entry.item) {
+                drop.item = entry.item;
+            }
+            drops.push(drop);
+        });
+
+        return drops;
+    }
+
+    /**
+     * Drop loot from a destroyed alien ship
+     * @param {Object} ship - The alien ship (its config.type picks the loot table)
+     * @param {number} difficulty - Difficulty of the sector it was destroyed in
+     */
+    dropShipLoot(ship, difficulty) {
+        try {
+            const tableId = ship.config && LOOT_TABLES[ship.config.type] ? ship.config.type : 'standard';
+            this.dropLoot(this.rollLoot(tableId, difficulty), ship.position, ship.velocity);
+        } catch (error) {
+            console.error('LootSystem: Error dropping ship loot', error);
+        }
+    }
+
+    /**
+     * Drop loot from a destroyed asteroid; bigger asteroids give more ore. Mining one
+     * always yields its ore, where blasting it apart leaves it to the loot table.
+     * @param {Object} asteroid - The asteroid ({ position, radius, composition, mined })
+     * @param {number} difficulty - Sector difficulty
+     */
+    dropAsteroidLoot(asteroid, difficulty) {
+        try {
+            const oreType = asteroid.composition || 'iron';
+            const drops = asteroid.mined ?
+                [{ type: 'ore', amount: Math.max(1, Math.round(asteroid.radius * 0.5)) }] :
+                this.rollLoot('asteroid', difficulty, asteroid.radius / 10);
+
+            drops.forEach(drop => {
+                if (drop.type === 'ore') {
+                    drop.type = 'item';
+                    drop.item = oreType;
+                }
+            });
+
+            this.dropLoot(drops, asteroid.position);
+        } catch (error) {
+            console.error('LootSystem: Error dropping asteroid loot', error);
+        }
+    }
+
+    /**
+     * Throw cargo out of the hold in a container behind the ship
+     * @param {string} id - Item id
+     * @param {number} amount - Units to throw out
+     * @returns {number} Units jettisoned
+     */
+    jettison(id, amount) {
+        const ship = this.spacecraft;
+        const type = ITEM_TYPES[id];
+        if (!type) return 0;
+
+        if (type.category === 'mission') {
+            if (this.uiManager) {
+                this.uiManager.showNotification(`CAN'T JETTISON ${type.name.toUpperCase()}`, 'warning');
+            }
+            return 0;
+        }
+
+        const removed = ship.inventory.remove(id, amount);
+        if (removed <= 0) return 0;
+
+        // Guns point along +Z, so behind the ship is -Z
+        const behind = new THREE.Vector3(0, 0, -1).applyQuaternion(ship.quaternion);
+        const container = this.createContainer({ type: 'item', item: id, amount: removed });
+        container.position.copy(ship.position).addScaledVector(behind, 8);
+        container.velocity = ship.velocity.clone().addScaledVector(behind, 10);
+
+        // The magnet leaves it alone, so it has to be flown into to get it back
+        container.jettisoned = true;
+        container.pickupDelay = JETTISON_DELAY;
+
+        this.scene.add(container);
+        this.containers.push(container);
+        return removed;
+    }
+
+    // One container per drop, thrown out from where the loot came from
+    dropLoot(drops, position, velocity = null) {
+        drops.forEach(drop => {
+            const container = this.createContainer(drop);
+            const scatter = new THREE.Vector3().randomDirection();
+
+            container.position.copy(position).addScaledVector(scatter, 3);
+            container.velocity = scatter.multiplyScalar(5 + Math.random() * 10);
+            if (velocity) {
+                container.velocity.add(velocity);
+            }
+
+            this.scene.add(container);
+            this.containers.push(container);
+        });
+    }
+
+    createContainer(loot) {
+        const color = loot.item ? ITEM_TYPES[loot.item].color : LOOT_TYPES[loot.type].color;
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.9
+        });
+
+        const container = new THREE.Mesh(this.geometry, material);
+        container.loot = loot;
+        container.remaining = CONTAINER_LIFETIME;
+        container.pickupDelay = 0;
+        container.jettisoned = false;
+        container.spin = new THREE.Vector3(Math.random(), Math.random(), Math.random()).multiplyScalar(2);
+        return container;
+    }
+
+    // Reach of the ship's magnet; a tractor beam pulls from much further out
+    getMagnetRange() {
+        const ship = this.spacecraft;
+        return ship && ship.hasTractorBeam ? ship.tractorBeamRange : MAGNET_RANGE;
+    }
+
+    update(delta) {
+        const ship = this.spacecraft;
+        const shipAlive = ship && ship.health > 0;
+        const magnetRange = this.getMagnetRange();
+
+        for (let i = this.containers.length - 1; i >= 0; i--) {
+            const container = this.containers[i];
+            container.remaining -= delta;
+
+            if (container.remaining <= 0) {
+                this.removeContainer(i);
+                continue;
+            }
+
+            container.pickupDelay = Math.max(0, container.pickupDelay - delta);
+
+            // Cargo stays put while there's no room for it in the hold
+            if (shipAlive && container.pickupDelay <= 0 && !this.isHoldFullFor(container)) {
+                const toShip = new THREE.Vector3().subVectors(ship.position, container.position);
+                const distance = toShip.length();
+
+                if (distance <= COLLECT_RADIUS) {
+                    // A container only partly emptied into the hold keeps the rest
+                    if (this.collect(container)) {
+                        this.removeContainer(i);
+                        continue;
+                    }
+                } else if (distance <= magnetRange && !container.jettisoned) {
+                    // Draw containers in, faster the closer they get
+                    const pull = toShip.multiplyScalar(PULL_SPEED * (2 - distance / magnetRange) / distance)
+                        .add(ship.velocity);
+                    container.velocity.lerp(pull, Math.min(1, 3 * delta));
+                }
+            }
+
+            // Loose containers slowly come to rest
+            container.velocity.multiplyScalar(Math.max(0, 1 - 0.2 * delta));
+            container.position.addScaledVector(container.velocity, delta);
+            container.rotation.x += container.spin.x * delta;
+            container.rotation.y += container.spin.y * delta;
+            container.rotation.z += container.spin.z * delta;
+
+            // Blink for the last ten seconds
+            container.visible = container.remaining > 10 || Math.floor(container.remaining * 4) % 2 === 0;
+        }
+    }
+
+    /**
+     * Whether a container holds cargo the ship has no room for; tells the player the
+     * first time they come near it
+     * @param {THREE.Mesh} container - The container
+     * @returns {boolean} True if it should be left where it is
+     */
+    isHoldFullFor(container) {
+        if (container.loot.type !== 'item' || this.spacecraft.inventory.getRoomFor(container.loot.item) > 0) {
+            container.warnedFull = false;
+            return false;
+        }
+
+        if (!container.warnedFull &&
+            container.position.distanceTo(this.spacecraft.position) <= this.getMagnetRange()) {
+            container.warnedFull = true;
+            if (this.uiManager) {
+                this.uiManager.showNotification('CARGO HOLD FULL', 'warning');
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Hand the contents of a container to the player
+     * @param {THREE.Mesh} container - The container
+     * @returns {boolean} Whether it was emptied
+     */
+    collect(container) {
+        const { type, amount } = container.loot;
+        const ship = this.spacecraft;
+
+        switch (type) {
+            case 'credits':
+                if (this.upgradeSystem) {
+                    this.upgradeSystem.addCredits(amount);
+                }
+                return true;
+            case 'ammo':
+                ship.replenishAmmo(amount);
+                this.notify(`+${amount} AMMO`);
+                return true;
+            case 'repairKit':
+                ship.repairDamage(amount);
+                this.notify(`REPAIR KIT: +${amount} HULL`);
+                return true;
+            case 'item': {
+                const item = container.loot.item;
+                const stored = ship.inventory.add(item, amount);
+                if (stored > 0) {
+                    this.notify(`+${stored} ${ITEM_TYPES[item].name.toUpperCase()}`);
+                }
+                container.loot.amount -= stored;
+                return container.loot.amount <= 0;
+            }
+            case 'upgradePart':
+                if (this.upgradeSystem) {
+                    this.upgradeSystem.addParts(amount);
+                }
+                return true;
+        }
+        return true;
+    }
+
+    notify(message) {
+        if (this.uiManager) {
+            this.uiManager.showNotification(message, 'success');
+        }
+    }
+
+    removeContainer(index) {
+        const container = this.containers[index];
+        this.containers.splice(index, 1);
+
+        this.scene.remove(container);
+        container.material.dispose();
+    }
+
+    // Take every container out of the world, e.g. when a game is loaded
+    clear() {
+        for (let i = this.containers.length - 1; i >= 0; i--) {
+            this.removeContainer(i);
+        }
+    }
+}
@@ -0,0 +1,203 @@
+import { ORE_TYPES, REFINE_RATIO } from '../components/Ore.js';
+import { getItemType } from '../components/Inventory.js';
+
+/**
+ * Mothership trade services: sell what's in the hold, or refine ore into goods worth more.
+ * The panel borrows the upgrade menu's look, so it relies on UpgradeSystem's styles.
+ */
+export class MarketSystem {
+    constructor(spacecraft, upgradeSystem, uiManager) {
+        this.spacecraft = spacecraft;
+        this.upgradeSystem = upgradeSystem;
+        this.uiManager = uiManager;
+
+        this.initializeUI();
+    }
+
+    initializeUI() {
+        this.marketMenu = document.createElement('div');
+        this.marketMenu.className = 'upgrade-menu market-menu';
+        this.marketMenu.innerHTML = `
+            <div class="upgrade-header">
+                <h2>MOTHERSHIP MARKET</h2>
+                <div class="credits-display">CREDITS: <span class="credits-value">0</span> | HOLD: <span class="hold-value">0/0</span></div>
+                <button class="close-button">✕</button>
+            </div>
+            <div class="upgrade-categories">
+                <button class="category-button sell-all-button">SELL ALL</button>
+                <button class="category-button upgrades-button">UPGRADES</button>
+            </div>
+            <div class="market-list"></div>
+        `;
+        document.body.appendChild(this.marketMenu);
+
+        this.marketMenu.style.display = 'none';
+
+        this.creditsElement = this.marketMenu.querySelector('.credits-value');
+        this.holdElement = this.marketMenu.querySelector('.hold-value');
+        this.listContainer = this.marketMenu.querySelector('.market-list');
+
+        this.marketMenu.querySelector('.close-button').addEventListener('click', () => {
+            this.hideMarket();
+        });
+        this.marketMenu.querySelector('.sell-all-button').addEventListener('click', () => {
+            this.sellAll();
+        });
+        this.marketMenu.querySelector('.upgrades-button').addEventListener('click', () => {
+            this.hideMarket();
+            if (this.upgradeSystem) {
+                this.upgradeSystem.showUpgradeMenu();
+            }
+        });
+
+        this.addStyles();
+    }
+
+    // List what's in the hold that the market will take, one row per kind of goods
+    refresh() {
+        const inventory = this.spacecraft.inventory;
+        const totals = inventory.getTotals();
+        this.creditsElement.textContent = this.upgradeSystem ? this.upgradeSystem.credits.toLocaleString() : '0';
+        this.holdElement.textContent = `${inventory.getVolumeUsed()}/${inventory.capacity}`;
+        this.listContainer.innerHTML = '';
+
+        const items = Object.keys(totals).filter(id => getItemType(id).value > 0);
+        if (items.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'no-upgrades-message';
+            message.textContent = 'Nothing to sell. Mine asteroids for ore, or salvage wrecks.';
+            this.listContainer.appendChild(message);
+            return;
+        }
+
+        items.forEach(id => {
+            const item = getItemType(id);
+            const amount = totals[id];
+            const canRefine = item.category === 'ore' && amount >= REFINE_RATIO;
+
+            const row = document.createElement('div');
+            row.className = 'market-row';
+            row.innerHTML = `
+                <div class="upgrade-name">${item.name}</div>
+                <div class="market-amount">x${amount}</div>
+                <div class="upgrade-cost">${item.value} CR each</div>
+                <button class="purchase-button sell-button">SELL (${(item.value * amount).toLocaleString()})</button>
+                ${item.category === 'ore' ? `<button class="purchase-button refine-button" ${canRefine ? '' : 'disabled'}>REFINE</button>` : ''}
+            `;
+
+            row.querySelector('.sell-button').addEventListener('click', () => this.sell(id));
+            if (canRefine) {
+                row.querySelector('.refine-button').addEventListener('click', () => this.refine(id));
+            }
+
+            this.listContainer.appendChild(row);
+        });
+    }
+
+    /**
+     * Sell everything of one kind in the hold
+     * @param {string} id - Item id
+     * @returns {number} Credits earned
+     */
+    sell(id) {
+        const item = getItemType(id);
+        if (!item || item.value <= 0) return 0;
+
+        const inventory = this.spacecraft.inventory;
+        const amount = inventory.remove(id, inventory.getCount(id));
+        const earned = amount * item.value;
+        if (earned > 0 && this.upgradeSystem) {
+            this.upgradeSystem.addCredits(earned);
+        }
+
+        this.refresh();
+        return earned;
+    }
+
+    sellAll() {
+        const earned = Object.keys(this.spacecraft.inventory.getTotals())
+            .reduce((total, id) => total + this.sell(id), 0);
+        this.refresh();
+        return earned;
+    }
+
+    /**
+     * Refine as much of one ore as possible, REFINE_RATIO units at a time
+     * @param {string} oreType - Key into ORE_TYPES
+     * @returns {number} Units of refined goods made
+     */
+    refine(oreType) {
+        if (!ORE_TYPES[oreType]) return 0;
+
+        const inventory = this.spacecraft.inventory;
+        const batches = Math.floor(inventory.getCount(oreType) / REFINE_RATIO);
+        if (batches <= 0) return 0;
+
+        // Refining only ever frees up space, so the goods always fit
+        const refined = ORE_TYPES[oreType].refined;
+        inventory.remove(oreType, batches * REFINE_RATIO);
+        inventory.add(refined.id, batches);
+
+        if (this.uiManager) {
+            this.uiManager.showNotification(`REFINED ${batches} ${refined.name.toUpperCase()}`, 'success');
+        }
+
+        this.refresh();
+        return batches;
+    }
+
+    showMarket() {
+        this.refresh();
+        this.marketMenu.style.display = 'flex';
+    }
+
+    hideMarket() {
+        this.marketMenu.style.display = 'none';
+    }
+
+    isOpen() {
+        return this.marketMenu.style.display !== 'none';
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .market-list {
+                flex: 1;
+                overflow-y: auto;
+                padding: 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+            }
+
+            .market-row {
+                display: grid;
+                grid-template-columns: 1fr 60px 120px 150px 100px;
+                align-items: center;
+                gap: 10px;
+                background-color: rgba(0, 30, 60, 0.7);
+                border: 1px solid #8af7ff;
+                border-radius: 8px;
+                padding: 10px 15px;
+            }
+
+            .market-row .upgrade-name,
+            .market-row .upgrade-cost {
+                margin-bottom: 0;
+            }
+
+            .market-amount {
+                color: #ccc;
+                font-size: 14px;
+            }
+
+            .market-row .purchase-button:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+
+export class NavigationSystem {
+    constructor(spacecraft, gameWorld, uiManager) {
+        this.spacecraft = spacecraft;
+        this.gameWorld = gameWorld;
+        this.uiManager = uiManager;
+
+        // Current waypoint: { name, type, object, point, sectorKey, radius }
+        // Objects are followed as they move, with point kept at their last position; map
+        // points use a fixed position. Planets in streamed sectors remember their sector, as
+        // the planet object is thrown away when the sector unloads and rebuilt when it loads
+        this.waypoint = null;
+
+        // Extra distance to stop short of each kind of target
+        this.arrivalMargins = {
+            planet: 200,
+            mothership: 150,
+            wormhole: 150,
+            blackhole: 600, // Stay well clear of the gravity well
+            anomaly: 200,
+            point: 50
+        };
+
+        // Let the navigation system know when the autopilot gets there
+        if (this.spacecraft) {
+            this.spacecraft.onAutopilotArrived = () => this.onArrived();
+        }
+    }
+
+    /**
+     * Set the current waypoint
+     * @param {Object} target - { name, type, object?, position? }
+     * @returns {boolean} Whether the waypoint was set
+     */
+    setWaypoint(target) {
+        if (!target || (!target.object && !target.position)) {
+            console.warn('NavigationSystem: Invalid waypoint target');
+            return false;
+        }
+
+        // Retargeting while the autopilot is flying keeps it engaged
+        const wasAutopilotEngaged = this.isAutopilotEngaged();
+
+        const object = target.object || null;
+        const position = target.position || (object && object.position);
+
+        this.waypoint = {
+            name: target.name || 'Waypoint',
+            type: target.type || 'point',
+            object: object,
+            point: position ? position.clone() : null,
+            sectorKey: object && this.gameWorld && typeof this.gameWorld.getObjectSectorKey === 'function' ?
+                this.gameWorld.getObjectSectorKey(object) : null,
+            radius: object && typeof object.radius === 'number' ? object.radius : 0
+        };
+
+        console.log(`Waypoint set: ${this.waypoint.name}`);
+        this.notify(`WAYPOINT SET: ${this.waypoint.name.toUpperCase()}`, 'info');
+
+        if (wasAutopilotEngaged) {
+            this.engageAutopilot();
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the current waypoint and stop the autopilot
+     */
+    clearWaypoint() {
+        if (!this.waypoint) return;
+
+        this.waypoint = null;
+        this.disengageAutopilot();
+        console.log('Waypoint cleared');
+    }
+
+    /**
+     * Get the world position of the current waypoint
+     * @returns {THREE.Vector3|null} Waypoint position
+     */
+    getWaypointPosition() {
+        if (!this.waypoint) return null;
+
+        if (this.waypoint.object && this.waypoint.object.position) {
+            return this.waypoint.object.position;
+        }
+
+        return this.waypoint.point;
+    }
+
+    /**
+     * Distance from the waypoint at which the ship counts as arrived
+     * @returns {number} Arrival distance
+     */
+    getArrivalDistance() {
+        if (!this.waypoint) return 0;
+
+        const margin = this.arrivalMargins[this.waypoint.type] || this.arrivalMargins.point;
+
+        return this.waypoint.radius + margin;
+    }
+
+    /**
+     * Get display information about the current waypoint
+     * @returns {Object|null} { name, type, position, distance, eta, autopilot }
+     */
+    getWaypointInfo() {
+        const position = this.getWaypointPosition();
+        if (!position || !this.spacecraft) return null;
+
+        const toTarget = new THREE.Vector3().subVectors(position, this.spacecraft.position);
+        const distance = Math.max(0, toTarget.length() - this.getArrivalDistance());
+
+        // ETA from the speed we're actually closing at; null when not closing
+        let eta = null;
+        if (this.spacecraft.velocity && toTarget.lengthSq() > 0) {
+            const closingSpeed = this.spacecraft.velocity.dot(toTarget.normalize());
+            if (closingSpeed > 0.5) {
+                eta = distance / closingSpeed;
+            }
+        }
+
+        return {
+            name: this.waypoint.name,
+            type: this.waypoint.type,
+            position: position,
+            distance: distance,
+            eta: eta,
+            autopilot: this.isAutopilotEngaged()
+        };
+    }
+
+    /**
+     * Check if the autopilot is flying the ship
+     * @returns {boolean} True if engaged
+     */
+    isAutopilotEngaged() {
+        return !!(this.spacecraft && this.spacecraft.autopilot);
+    }
+
+    /**
+     * Engage the autopilot towards the current waypoint
+     * @returns {boolean} Whether the autopilot was engaged
+     */
+    engageAutopilot() {
+        if (!this.spacecraft || typeof this.spacecraft.engageAutopilot !== 'function') {
+            return false;
+        }
+
+        if (!this.waypoint) {
+            this.notify('NO WAYPOINT SET', 'warning');
+            return false;
+        }
+
+        const engaged = this.spacecraft.engageAutopilot(() => this.getWaypointPosition(), {
+            arrivalDistance: this.getArrivalDistance(),
+            gameWorld: this.gameWorld,
+            targetObject: this.waypoint.object
+        });
+
+        if (engaged) {
+            this.notify('AUTOPILOT ENGAGED', 'info');
+        }
+
+        return engaged;
+    }
+
+    /**
+     * Hand control back to the pilot
+     */
+    disengageAutopilot() {
+        if (this.isAutopilotEngaged()) {
+            this.spacecraft.disengageAutopilot();
+            this.notify('AUTOPILOT DISENGAGED', 'warning');
+        }
+    }
+
+    /**
+     * Toggle the autopilot on or off
+     */
+    toggleAutopilot() {
+        if (this.isAutopilotEngaged()) {
+            this.disengageAutopilot();
+        } else {
+            this.engageAutopilot();
+        }
+    }
+
+    /**
+     * Called when the ship reaches the waypoint
+     */
+    onArrived() {
+        if (!this.waypoint) return;
+
+        this.notify(`ARRIVED AT ${this.waypoint.name.toUpperCase()}`, 'success');
+        this.waypoint = null;
+    }
+
+    /**
+     * Check for arrival while flying manually
+     */
+    update() {
+        if (!this.waypoint || !this.spacecraft) return;
+
+        // The waypoint object may have been removed from the world
+        if (!this.resolveWaypointObject()) {
+            this.notify('WAYPOINT LOST', 'warning');
+            this.clearWaypoint();
+            return;
+        }
+
+        // The autopilot reports its own arrival once it has stopped
+        if (this.isAutopilotEngaged()) return;
+
+        const position = this.getWaypointPosition();
+        if (position && this.spacecraft.position.distanceTo(position) <= this.getArrivalDistance()) {
+            this.onArrived();
+        }
+    }
+
+    /**
+     * Keep the waypoint bound to its object. While a streamed sector is unloaded its planet
+     * waypoints point at where the planet was, and bind to the rebuilt planet when it loads
+     * @returns {boolean} False if the waypoint object is gone for good
+     */
+    resolveWaypointObject() {
+        const waypoint = this.waypoint;
+
+        if (waypoint.object && this.isObjectInWorld(waypoint.object)) {
+            if (waypoint.point) waypoint.point.copy(waypoint.object.position);
+            return true;
+        }
+
+        if (!waypoint.sectorKey) {
+            return !waypoint.object;
+        }
+
+        const object = this.gameWorld.findSectorPlanet(waypoint.sectorKey, waypoint.point);
+        if (object !== waypoint.object) {
+            waypoint.object = object;
+
+            // Otherwise the autopilot would steer around the planet it's flying to
+            if (object && this.isAutopilotEngaged()) {
+                this.spacecraft.autopilot.targetObject = object;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether an object is still part of the game world
+     * @param {THREE.Object3D} object - Object to look for
+     * @returns {boolean} True if the object still exists
+     */
+    isObjectInWorld(object) {
+        // Planets only add their meshes to the scene, so check the world's lists too
+        if (object.parent) return true;
+        if (!this.gameWorld) return true;
+
+        const lists = [this.gameWorld.planets, this.gameWorld.motherships, this.gameWorld.anomalies];
+        return lists.some(list => Array.isArray(list) && list.includes(object));
+    }
+
+    /**
+     * Show a notification through the UI manager
+     * @param {string} message - Notification text
+     * @param {string} type - Notification type
+     */
+    notify(message, type) {
+        if (this.uiManager) {
+            this.uiManager.showNotification(message, type);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { NavigationSystem } from './NavigationSystem.js';
+import { GameWorld } from '../scenes/GameWorld.js';
+
+function makePlanet(x) {
+    return { position: new THREE.Vector3(x, 0, 0), radius: 100 };
+}
+
+// Just enough of GameWorld for sector streaming: a planet list and what each sector built
+function makeWorld() {
+    return {
+        planets: [],
+        motherships: [],
+        anomalies: [],
+        sectorContents: new Map(),
+        getObjectSectorKey: GameWorld.prototype.getObjectSectorKey,
+        findSectorPlanet: GameWorld.prototype.findSectorPlanet,
+
+        loadSector(key, planet) {
+            this.sectorContents.set(key, { planets: [planet], asteroidFields: [], nebulae: [], aliens: [], squadrons: [] });
+            this.planets.push(planet);
+        },
+
+        unloadSector(key) {
+            const contents = this.sectorContents.get(key);
+            this.planets = this.planets.filter(planet => !contents.planets.includes(planet));
+            this.sectorContents.delete(key);
+        }
+    };
+}
+
+describe('NavigationSystem waypoints in streamed sectors', () => {
+    let world;
+    let ship;
+    let navigation;
+    let notifications;
+
+    beforeEach(() => {
+        world = makeWorld();
+        ship = { position: new THREE.Vector3(), velocity: new THREE.Vector3() };
+        notifications = [];
+        navigation = new NavigationSystem(ship, world, { showNotification: message => notifications.push(message) });
+    });
+
+    it('keeps a planet waypoint while its sector is unloaded, and binds to the rebuilt planet', () => {
+        world.loadSector('3,0', makePlanet(15000));
+        navigation.setWaypoint({ name: 'Kepler', type: 'planet', object: world.planets[0] });
+
+        world.unloadSector('3,0');
+        navigation.update();
+
+        expect(notifications).not.toContain('WAYPOINT LOST');
+        expect(navigation.waypoint.object).toBeNull();
+        expect(navigation.getWaypointPosition().x).toBe(15000);
+        expect(navigation.getArrivalDistance()).toBe(100 + navigation.arrivalMargins.planet);
+
+        const rebuilt = makePlanet(15000);
+        world.loadSector('3,0', rebuilt);
+        navigation.update();
+
+        expect(navigation.waypoint.object).toBe(rebuilt);
+    });
+
+    it('still loses waypoints on objects that aren\'t streamed once they\'re gone', () => {
+        const mothership = makePlanet(500);
+        world.motherships.push(mothership);
+        navigation.setWaypoint({ name: 'Mothership', type: 'mothership', object: mothership });
+
+        world.motherships = [];
+        navigation.update();
+
+        expect(notifications).toContain('WAYPOINT LOST');
+        expect(navigation.waypoint).toBeNull();
+    });
+});
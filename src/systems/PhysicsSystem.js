@@ -6,6 +6,8 @@ export class PhysicsSystem {
         this.gravity = 0; // Zero gravity in space
         this.planets = []; // Will store planets and their gravitational influence
         this.projectiles = []; // Track projectiles separately for optimized collision detection
+        this.debris = []; // Blocks knocked off ships and wreckage, drifting until they fade or are salvaged
+        this.targets = []; // Things weapons can hit that aren't solid: nothing collides with them
         this.collisionGroups = {
             spacecraft: 1,
             alien: 2,
@@ -13,6 +15,9 @@ export class PhysicsSystem {
             satellite: 8,
             projectile: 16
         };
+        
+        // Whether projectiles can damage ships in the same collision group as whoever fired them
+        this.friendlyFire = false;
     }
     
     addObject(object) {
@@ -32,6 +37,33 @@ export class PhysicsSystem {
         return false;
     }
     
+    /**
+     * Make something shootable without making it solid. Projectiles and blasts hit it like any
+     * other object, but it takes no part in collisions, so it costs far less to have around.
+     * @param {Object} target - Needs position and takeDamage(), and collisionRadius or bounds
+     */
+    addTarget(target) {
+        if (!this.targets.includes(target)) {
+            this.targets.push(target);
+            return true;
+        }
+        return false;
+    }
+    
+    removeTarget(target) {
+        const index = this.targets.indexOf(target);
+        if (index !== -1) {
+            this.targets.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+    
+    // Everything projectiles can hit, solid or not
+    getShootableObjects() {
+        return this.targets.length > 0 ? this.objects.concat(this.targets) : this.objects.slice();
+    }
+    
     addPlanet(planet) {
         if (!this.planets.includes(planet)) {
             this.planets.push(planet);
@@ -57,6 +89,86 @@ export class PhysicsSystem {
         return false;
     }
     
+    /**
+     * Let a piece of debris drift. It needs velocity, angularVelocity and remaining (seconds to live).
+     * @param {THREE.Object3D} piece - Mesh or group already in the scene
+     */
+    addDebris(piece) {
+        if (!this.debris.includes(piece)) {
+            this.debris.push(piece);
+            return true;
+        }
+        return false;
+    }
+    
+    removeDebris(piece) {
+        const index = this.debris.indexOf(piece);
+        if (index === -1) return false;
+        
+        this.debris.splice(index, 1);
+        if (piece.parent) {
+            piece.parent.remove(piece);
+        }
+        piece.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        return true;
+    }
+    
+    updateDebris(delta) {
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            const piece = this.debris[i];
+            piece.remaining -= delta;
+            
+            if (piece.remaining <= 0) {
+                this.removeDebris(piece);
+                continue;
+            }
+            
+            // Nothing slows debris down in space, but planets still pull on it
+            this.applyPlanetaryGravity(piece, delta);
+            piece.position.addScaledVector(piece.velocity, delta);
+            piece.rotation.x += piece.angularVelocity.x * delta;
+            piece.rotation.y += piece.angularVelocity.y * delta;
+            piece.rotation.z += piece.angularVelocity.z * delta;
+            
+            // Fade out over the last second
+            if (piece.remaining < 1) {
+                piece.traverse(child => {
+                    if (!child.material) return;
+                    if (!child.material.transparent) {
+                        child.material.transparent = true;
+                        child.material.needsUpdate = true;
+                    }
+                    child.material.opacity = piece.remaining;
+                });
+            }
+        }
+    }
+    
+    /**
+     * Pick up any wreckage within reach of a ship
+     * @param {THREE.Object3D} collector - Ship doing the collecting
+     * @param {number} range - Distance from the ship to the edge of the wreckage
+     * @returns {Array} The wreckage collected (already removed from the scene), each with a salvageValue
+     */
+    collectSalvage(collector, range) {
+        const collected = [];
+        
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            const piece = this.debris[i];
+            if (!piece.isSalvage) continue;
+            
+            if (piece.position.distanceTo(collector.position) <= range + (piece.salvageRadius || 0)) {
+                collected.push(piece);
+                this.removeDebris(piece);
+            }
+        }
+        
+        return collected;
+    }
+    
     update(delta) {
         try {
             // Apply gravity to all objects
@@ -78,6 +190,9 @@ export class PhysicsSystem {
             // Check projectile collisions
             this.checkProjectileCollisions();
             
+            // Move and fade debris
+            this.updateDebris(delta);
+            
             // Remove expired projectiles
             for (let i = this.projectiles.length - 1; i >= 0; i--) {
                 const projectile = this.projectiles[i];
@@ -129,6 +244,8 @@ export class PhysicsSystem {
     }
     
     checkProjectileCollisions() {
+        const shootable = this.getShootableObjects();
+        
         // Optimized collision detection for projectiles
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
@@ -144,24 +261,17 @@ export class PhysicsSystem {
                 projectile.config.size * 0.8
             );
             
-            // Check against all physical objects
+            // Check against all physical objects and targets
             let hasCollided = false;
             
-            for (const object of this.objects) {
-                // Skip objects without position
-                if (!object.position) {
-                    continue;
-                }
-                
-                // Skip friendly fire if that logic exists
-                if (projectile.owner && projectile.owner === object) {
+            for (const object of shootable) {
+                // Skip the owner, friendlies, wrecks and anything outside the projectile's collision groups
+                if (!this.canProjectileHit(projectile, object)) {
                     continue;
                 }
                 
-                // Skip based on collision groups
-                if (projectile.collisionGroup && 
-                    object.collisionGroup && 
-                    !(projectile.collisionGroup & object.collisionGroup)) {
+                // Penetrating rounds only hit each object once
+                if (projectile.hitObjects && projectile.hitObjects.has(object)) {
                     continue;
                 }
                 
@@ -195,6 +305,12 @@ export class PhysicsSystem {
                     if (projectileBox.intersectsBox(objectBounds)) {
                         // Handle collision
                         this.handleProjectileImpact(projectile, object);
+                        
+                        // Penetrating rounds carry on through ships until they run out of punch
+                        if (this.canPenetrate(projectile, object)) {
+                            continue;
+                        }
+                        
                         hasCollided = true;
                         break;
                     }
@@ -208,27 +324,155 @@ export class PhysicsSystem {
         }
     }
     
+    /**
+     * Whether a projectile is allowed to hit an object, applying the friendly-fire rules
+     * @param {Object} projectile - The projectile
+     * @param {Object} object - A physics object
+     * @returns {boolean} Whether the object can be hit
+     */
+    canProjectileHit(projectile, object) {
+        // Skip objects without position, and never hit whoever fired
+        if (!object || !object.position || (projectile.owner && projectile.owner === object)) {
+            return false;
+        }
+        
+        // Wrecks stay in the physics list until their sector unloads
+        if (typeof object.health === 'number' && object.health <= 0) {
+            return false;
+        }
+        
+        // Ships on the same side as the shooter
+        if (projectile.ownerGroup && object.collisionGroup === projectile.ownerGroup) {
+            return this.friendlyFire;
+        }
+        
+        // Skip based on collision groups
+        if (projectile.collisionGroup &&
+            object.collisionGroup &&
+            !(projectile.collisionGroup & object.collisionGroup)) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Record a hit on a penetrating projectile and decide whether it keeps going.
+     * Solid objects that can't be damaged (planets) always stop it.
+     * @param {Object} projectile - The projectile that just hit
+     * @param {Object} object - What it hit
+     * @returns {boolean} Whether the projectile carries on
+     */
+    canPenetrate(projectile, object) {
+        if (!projectile.config.penetrating || !object.takeDamage) {
+            return false;
+        }
+        
+        if (!projectile.hitObjects) {
+            projectile.hitObjects = new Set();
+        }
+        projectile.hitObjects.add(object);
+        
+        const maxPenetrations = projectile.config.maxPenetrations || 3;
+        return projectile.hitObjects.size < maxPenetrations;
+    }
+    
+    /**
+     * Damage for the next hit; penetrating rounds lose some with each target they pass through
+     * @param {Object} projectile - The projectile
+     * @returns {number} Damage to deal
+     */
+    getImpactDamage(projectile) {
+        const damage = projectile.config.damage;
+        const hits = projectile.hitObjects ? projectile.hitObjects.size : 0;
+        
+        if (!projectile.config.penetrating || hits === 0) {
+            return damage;
+        }
+        
+        const falloff = projectile.config.penetrationFalloff !== undefined ? projectile.config.penetrationFalloff : 0.6;
+        return damage * Math.pow(falloff, hits);
+    }
+    
+    /**
+     * Splash damage for a target at a distance from the blast, falling off linearly to nothing at the edge
+     * @param {number} damage - Damage at the centre of the blast
+     * @param {number} distance - Distance from the blast to the target
+     * @param {number} blastRadius - Radius of the blast
+     * @returns {number} Damage to deal
+     */
+    getSplashDamage(damage, distance, blastRadius) {
+        if (blastRadius <= 0 || distance >= blastRadius) return 0;
+        return damage * (1 - Math.max(0, distance) / blastRadius);
+    }
+    
     handleProjectileImpact(projectile, object) {
         // Calculate damage based on projectile properties
-        let damage = projectile.config.damage;
+        const damage = this.getImpactDamage(projectile);
+        const impactPoint = projectile.position.clone();
         
         // Apply damage if the object can take damage
         if (object.takeDamage) {
-            const destroyed = object.takeDamage(damage);
-            
-            // Trigger explosion effect
-            if (projectile.explode) {
-                projectile.explode();
+            this.applyProjectileDamage(projectile, object, damage, impactPoint);
+        }
+        
+        // Blast weapons also hit everything around the impact
+        if (projectile.config.blastRadius > 0) {
+            this.applySplashDamage(projectile, object, damage, impactPoint);
+        }
+        
+        // Trigger explosion effect
+        if (projectile.explode && (object.takeDamage || projectile.config.blastRadius > 0)) {
+            projectile.explode();
+        }
+    }
+    
+    /**
+     * Damage every ship and asteroid within the projectile's blast radius, except the one hit directly
+     * @param {Object} projectile - The exploding projectile
+     * @param {Object} directHit - The object the projectile hit (already damaged)
+     * @param {number} damage - Damage at the centre of the blast
+     * @param {THREE.Vector3} impactPoint - Centre of the blast
+     */
+    applySplashDamage(projectile, directHit, damage, impactPoint) {
+        const blastRadius = projectile.config.blastRadius;
+        
+        // A copy of the lists, since destroyed objects may remove themselves
+        for (const object of this.getShootableObjects()) {
+            if (object === directHit || !object.takeDamage || !this.canProjectileHit(projectile, object)) {
+                continue;
             }
             
-            // Handle object destruction
-            if (destroyed) {
-                // Trigger any destruction effects the object might have
-                if (object.onDestroyed) {
-                    object.onDestroyed();
-                }
+            // Measure to the object's surface where we can, so big ships aren't under-hit
+            const bounds = this.getBoundingBox(object);
+            const distance = bounds ? bounds.distanceToPoint(impactPoint) : object.position.distanceTo(impactPoint);
+            
+            const splashDamage = this.getSplashDamage(damage, distance, blastRadius);
+            if (splashDamage > 0) {
+                this.applyProjectileDamage(projectile, object, splashDamage, impactPoint);
+            }
+        }
+    }
+    
+    applyProjectileDamage(projectile, object, damage, hitPoint) {
+        // Pass the hit position so ships with separate parts know what was hit, and the
+        // projectile for targets that care what hit them (mining lasers against rock)
+        const destroyed = object.takeDamage(damage, hitPoint.clone(), projectile);
+        
+        // Some weapons leave a lasting effect on what they hit
+        if (!destroyed && projectile.statusEffect && object.statusEffects) {
+            object.statusEffects.apply(projectile.statusEffect.type, projectile.statusEffect);
+        }
+        
+        // Handle object destruction
+        if (destroyed) {
+            // Trigger any destruction effects the object might have
+            if (object.onDestroyed) {
+                object.onDestroyed();
             }
         }
+        
+        return destroyed;
     }
     
     checkCollisions(object) {
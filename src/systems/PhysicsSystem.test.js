@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { PhysicsSystem } from './PhysicsSystem.js';
+
+// A damageable box centred on a point, recording every hit it takes
+function makeTarget(x, { size = 2, collisionGroup, health = 100 } = {}) {
+    const position = new THREE.Vector3(x, 0, 0);
+    const target = {
+        position,
+        collisionGroup,
+        health,
+        hits: [],
+        getCollisionBounds() {
+            return new THREE.Box3().setFromCenterAndSize(position, new THREE.Vector3(size, size, size));
+        },
+        takeDamage(amount) {
+            this.hits.push(amount);
+            this.health -= amount;
+            return this.health <= 0;
+        }
+    };
+    return target;
+}
+
+// Solid, but can't be damaged
+function makePlanet(x, collisionGroup) {
+    const position = new THREE.Vector3(x, 0, 0);
+    return {
+        position,
+        collisionGroup,
+        getCollisionBounds() {
+            return new THREE.Box3().setFromCenterAndSize(position, new THREE.Vector3(10, 10, 10));
+        }
+    };
+}
+
+describe('PhysicsSystem projectile damage', () => {
+    let physics;
+    let groups;
+    let shooter;
+
+    // A player round, aimed like CombatSystem aims them
+    function makeProjectile(config, x = 0) {
+        return {
+            position: new THREE.Vector3(x, 0, 0),
+            config: { size: 0.5, damage: 10, ...config },
+            owner: shooter,
+            ownerGroup: groups.spacecraft,
+            collisionGroup: groups.alien | groups.planet | groups.satellite
+        };
+    }
+
+    // Put a projectile inside each target in turn, as it would be flying through them
+    function flyThrough(projectile, targets) {
+        physics.addProjectile(projectile);
+        for (const target of targets) {
+            projectile.position.copy(target.position);
+            physics.checkProjectileCollisions();
+            if (projectile.hasHit) break;
+        }
+    }
+
+    beforeEach(() => {
+        physics = new PhysicsSystem();
+        groups = physics.collisionGroups;
+        shooter = makeTarget(-100, { collisionGroup: groups.spacecraft });
+        physics.addObject(shooter);
+    });
+
+    describe('canProjectileHit', () => {
+        it('never hits the shooter or a wreck', () => {
+            const projectile = makeProjectile({});
+            const wreck = makeTarget(0, { collisionGroup: groups.alien, health: 0 });
+
+            expect(physics.canProjectileHit(projectile, shooter)).toBe(false);
+            expect(physics.canProjectileHit(projectile, wreck)).toBe(false);
+        });
+
+        it('hits enemies but skips groups outside the projectile mask', () => {
+            const projectile = makeProjectile({});
+            projectile.collisionGroup = groups.planet;
+
+            expect(physics.canProjectileHit(projectile, makeTarget(0, { collisionGroup: groups.alien }))).toBe(false);
+            expect(physics.canProjectileHit(projectile, makePlanet(0, groups.planet))).toBe(true);
+        });
+
+        it('only hits friendlies with friendly fire on', () => {
+            const projectile = makeProjectile({});
+            const wingman = makeTarget(0, { collisionGroup: groups.spacecraft });
+
+            expect(physics.canProjectileHit(projectile, wingman)).toBe(false);
+
+            physics.friendlyFire = true;
+            expect(physics.canProjectileHit(projectile, wingman)).toBe(true);
+        });
+    });
+
+    describe('penetration', () => {
+        it('loses damage with each target passed through', () => {
+            const config = { penetrating: true, maxPenetrations: 5, penetrationFalloff: 0.5 };
+            const targets = [10, 20, 30].map(x => makeTarget(x, { collisionGroup: groups.alien }));
+            targets.forEach(target => physics.addObject(target));
+
+            const projectile = makeProjectile(config);
+            flyThrough(projectile, targets);
+
+            expect(targets.map(target => target.hits)).toEqual([[10], [5], [2.5]]);
+            expect(projectile.hasHit).toBeUndefined();
+        });
+
+        it('uses the default falloff when none is configured', () => {
+            const projectile = makeProjectile({ penetrating: true });
+            projectile.hitObjects = new Set([{}, {}]);
+
+            expect(physics.getImpactDamage(projectile)).toBeCloseTo(10 * 0.6 * 0.6);
+        });
+
+        it('stops after maxPenetrations targets', () => {
+            const targets = [10, 20, 30].map(x => makeTarget(x, { collisionGroup: groups.alien }));
+            targets.forEach(target => physics.addObject(target));
+
+            const projectile = makeProjectile({ penetrating: true, maxPenetrations: 2 });
+            flyThrough(projectile, targets);
+
+            expect(targets[0].hits).toHaveLength(1);
+            expect(targets[1].hits).toHaveLength(1);
+            expect(targets[2].hits).toHaveLength(0);
+            expect(projectile.hasHit).toBe(true);
+        });
+
+        it('only hits each target once', () => {
+            const target = makeTarget(10, { collisionGroup: groups.alien });
+            physics.addObject(target);
+
+            const projectile = makeProjectile({ penetrating: true });
+            flyThrough(projectile, [target, target]);
+
+            expect(target.hits).toHaveLength(1);
+        });
+
+        it('hits targets that aren\'t solid', () => {
+            const asteroid = makeTarget(10);
+            physics.addTarget(asteroid);
+
+            const projectile = makeProjectile({});
+            flyThrough(projectile, [asteroid]);
+
+            expect(asteroid.hits).toEqual([10]);
+            expect(projectile.hasHit).toBe(true);
+        });
+
+        it('stops at planets', () => {
+            const planet = makePlanet(10, groups.planet);
+            const behind = makeTarget(20, { collisionGroup: groups.alien });
+            physics.addObject(planet);
+            physics.addObject(behind);
+
+            const projectile = makeProjectile({ penetrating: true });
+            flyThrough(projectile, [planet, behind]);
+
+            expect(projectile.hasHit).toBe(true);
+            expect(behind.hits).toHaveLength(0);
+        });
+
+        it('never carries on through anything if not penetrating', () => {
+            const target = makeTarget(10, { collisionGroup: groups.alien });
+
+            expect(physics.canPenetrate(makeProjectile({}), target)).toBe(false);
+        });
+    });
+
+    describe('splash damage', () => {
+        it('falls off linearly to nothing at the blast radius', () => {
+            expect(physics.getSplashDamage(100, 0, 20)).toBe(100);
+            expect(physics.getSplashDamage(100, 5, 20)).toBe(75);
+            expect(physics.getSplashDamage(100, 10, 20)).toBe(50);
+            expect(physics.getSplashDamage(100, 20, 20)).toBe(0);
+            expect(physics.getSplashDamage(100, 30, 20)).toBe(0);
+            expect(physics.getSplashDamage(100, 5, 0)).toBe(0);
+        });
+
+        it('measures to the edge of each object rather than its centre', () => {
+            // Centre 12 away, but the 10-unit box reaches to within 7 of the blast
+            const big = makeTarget(12, { size: 10, collisionGroup: groups.alien });
+            physics.addObject(big);
+
+            const projectile = makeProjectile({ damage: 100, blastRadius: 10 });
+            physics.applySplashDamage(projectile, null, 100, new THREE.Vector3());
+
+            expect(big.hits).toHaveLength(1);
+            expect(big.hits[0]).toBeCloseTo(30);
+        });
+
+        it('hits every ship and asteroid inside the blast radius, and nothing outside', () => {
+            const directHit = makeTarget(0, { collisionGroup: groups.alien });
+            const alien = makeTarget(6, { collisionGroup: groups.alien });
+            const asteroid = makeTarget(-6);
+            const farAlien = makeTarget(30, { collisionGroup: groups.alien });
+            [directHit, alien, asteroid, farAlien].forEach(object => physics.addObject(object));
+
+            const projectile = makeProjectile({ damage: 100, blastRadius: 10 });
+            physics.handleProjectileImpact(projectile, directHit);
+
+            // Each box reaches to within 5 of the blast
+            expect(directHit.hits).toEqual([100]);
+            expect(alien.hits).toEqual([50]);
+            expect(asteroid.hits).toEqual([50]);
+            expect(farAlien.hits).toEqual([]);
+        });
+
+        it('hits targets that aren\'t solid', () => {
+            const asteroid = makeTarget(6);
+            physics.addTarget(asteroid);
+
+            const projectile = makeProjectile({ damage: 100, blastRadius: 10 });
+            physics.applySplashDamage(projectile, null, 100, new THREE.Vector3());
+            expect(asteroid.hits).toEqual([50]);
+
+            physics.removeTarget(asteroid);
+            physics.applySplashDamage(projectile, null, 100, new THREE.Vector3());
+            expect(asteroid.hits).toEqual([50]);
+        });
+
+        it('spares the shooter and friendlies unless friendly fire is on', () => {
+            const wingman = makeTarget(6, { collisionGroup: groups.spacecraft });
+            physics.addObject(wingman);
+            shooter.position.set(-6, 0, 0);
+
+            const projectile = makeProjectile({ damage: 100, blastRadius: 10 });
+            physics.applySplashDamage(projectile, null, 100, new THREE.Vector3());
+            expect(wingman.hits).toEqual([]);
+
+            physics.friendlyFire = true;
+            physics.applySplashDamage(projectile, null, 100, new THREE.Vector3());
+            expect(wingman.hits).toEqual([50]);
+            expect(shooter.hits).toEqual([]);
+        });
+    });
+});
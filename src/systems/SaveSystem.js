@@ -0,0 +1,878 @@
+import { getItemType } from '../components/Inventory.js';
+
+// Current version of the save format. Bump this whenever the layout of the
+// save data changes and add a matching step to SaveSystem.migrateSaveData().
+export const SAVE_FORMAT_VERSION = 4;
+
+// Imported save files are untrusted, so escape any text shown in the menu
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Ship stats that have to be finite numbers when a save includes them
+const SHIP_NUMBER_FIELDS = ['health', 'maxHealth', 'shield', 'maxShield', 'energy', 'maxEnergy', 'ammo', 'maxAmmo'];
+
+function isMissing(value) {
+    return value === undefined || value === null;
+}
+
+// Whether a saved vector or quaternion has a finite number for each component
+function hasFiniteComponents(value, components) {
+    return !!value && typeof value === 'object' && components.every(key => Number.isFinite(value[key]));
+}
+
+/**
+ * Check the numbers in a saved ship, so a corrupt or hand-edited file can't put the ship
+ * at NaN and break the physics and camera. Missing fields are fine, they're left as they are.
+ * @param {Object|null} ship - Saved spacecraft section
+ * @returns {boolean} Whether the ship can be loaded
+ */
+function isValidShipData(ship) {
+    if (isMissing(ship)) return true;
+    if (typeof ship !== 'object') return false;
+
+    if (!isMissing(ship.position) && !hasFiniteComponents(ship.position, ['x', 'y', 'z'])) return false;
+    if (!isMissing(ship.quaternion)) {
+        if (!hasFiniteComponents(ship.quaternion, ['x', 'y', 'z', 'w'])) return false;
+
+        const { x, y, z, w } = ship.quaternion;
+        if (x * x + y * y + z * z + w * w === 0) return false;
+    }
+
+    return SHIP_NUMBER_FIELDS.every(key => isMissing(ship[key]) || Number.isFinite(ship[key]));
+}
+
+export class SaveSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Storage settings
+        this.storagePrefix = 'starflight.save.';
+        this.autosaveSlot = 'autosave';
+
+        // Slot to load after restarting in another galaxy (kept for this tab only)
+        this.pendingLoadKey = 'starflight.pendingLoad';
+        this.manualSlots = ['slot1', 'slot2', 'slot3'];
+
+        // Menu state
+        this.menu = null;
+        this.menuMode = 'load';
+        this.isStartupScreen = false;
+
+        // Check that local storage is usable (private browsing can block it)
+        this.storageAvailable = this.checkStorage();
+
+        // Initialize UI
+        this.initializeUI();
+    }
+
+    /**
+     * Check whether localStorage can be written to
+     * @returns {boolean} True if saves can be persisted
+     */
+    checkStorage() {
+        try {
+            const testKey = this.storagePrefix + '__test__';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            console.warn('SaveSystem: localStorage unavailable, saves will not persist', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get every slot id, autosave first
+     * @returns {Array} List of slot ids
+     */
+    getSlotIds() {
+        return [this.autosaveSlot, ...this.manualSlots];
+    }
+
+    /**
+     * Get a display name for a slot
+     * @param {string} slotId - Slot id
+     * @returns {string} Human readable slot name
+     */
+    getSlotName(slotId) {
+        if (slotId === this.autosaveSlot) {
+            return 'AUTOSAVE';
+        }
+
+        return `SLOT ${this.manualSlots.indexOf(slotId) + 1}`;
+    }
+
+    /**
+     * Collect the current game state into a plain save object
+     * @returns {Object} Save data
+     */
+    createSaveData() {
+        const game = this.game;
+        const spacecraft = game.spacecraft;
+        const upgradeSystem = game.upgradeSystem;
+
+        // Use the current sector name as the slot label
+        let sectorName = 'Unknown Sector';
+        if (game.gameWorld && typeof game.gameWorld.getCurrentSector === 'function') {
+            const currentSector = game.gameWorld.getCurrentSector();
+            if (currentSector && currentSector.name) {
+                sectorName = currentSector.name;
+            }
+        }
+
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            sectorName: sectorName,
+            seed: game.gameWorld ? game.gameWorld.seed : null,
+            spacecraft: spacecraft ? {
+                health: spacecraft.health,
+                maxHealth: spacecraft.maxHealth,
+                shield: spacecraft.shield,
+                maxShield: spacecraft.maxShield,
+                energy: spacecraft.energy,
+                maxEnergy: spacecraft.maxEnergy,
+                power: spacecraft.reactor ? spacecraft.reactor.getDistribution() : null,
+                flightAssist: spacecraft.flightModel ? spacecraft.flightModel.flightAssist : true,
+                loadout: spacecraft.hardpoints ? spacecraft.hardpoints.map(hardpoint => hardpoint.weaponType) : null,
+                ammo: spacecraft.ammo,
+                maxAmmo: spacecraft.maxAmmo,
+                cargo: spacecraft.inventory ? spacecraft.inventory.getTotals() : null,
+                countermeasures: spacecraft.countermeasures ? {
+                    flare: spacecraft.countermeasures.getCount('flare'),
+                    chaff: spacecraft.countermeasures.getCount('chaff')
+                } : null,
+                position: {
+                    x: spacecraft.position.x,
+                    y: spacecraft.position.y,
+                    z: spacecraft.position.z
+                },
+                quaternion: {
+                    x: spacecraft.quaternion.x,
+                    y: spacecraft.quaternion.y,
+                    z: spacecraft.quaternion.z,
+                    w: spacecraft.quaternion.w
+                }
+            } : null,
+            upgrades: {
+                credits: upgradeSystem ? upgradeSystem.credits : 0,
+                history: upgradeSystem ? upgradeSystem.upgradeHistory.slice() : [],
+                parts: upgradeSystem ? upgradeSystem.parts : 0
+            },
+            exploration: {
+                discoveredSectors: Array.from(game.discoveredSectors || []),
+                discoveredPlanets: Array.from(game.discoveredPlanets || []),
+                discoveredAnomalies: Array.from(game.discoveredAnomalies || []),
+                explorationScore: game.explorationScore || 0
+            }
+        };
+    }
+
+    /**
+     * Bring save data from an older version up to the current format and
+     * fill in any missing sections
+     * @param {Object} data - Parsed save data
+     * @returns {Object|null} Migrated save data, or null if it can't be used
+     */
+    migrateSaveData(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            console.warn('SaveSystem: Save data has no version, ignoring');
+            return null;
+        }
+
+        if (data.version > SAVE_FORMAT_VERSION) {
+            console.warn(`SaveSystem: Save version ${data.version} is newer than supported version ${SAVE_FORMAT_VERSION}`);
+            return null;
+        }
+
+        // Version 2 added the galaxy seed. Older saves were made before the galaxy
+        // was seeded, so they load into whatever galaxy is running.
+        if (data.version < 2) {
+            data = Object.assign({}, data, { seed: null, version: 2 });
+        }
+
+        // Version 3 typed the ore in the cargo hold and fitted a mining laser to the
+        // empty nose hardpoint. Untyped ore is taken to be iron.
+        if (data.version < 3) {
+            const ship = data.spacecraft ? Object.assign({}, data.spacecraft) : null;
+            if (ship && ship.cargo && ship.cargo.ore) {
+                ship.cargo = Object.assign({}, ship.cargo, { iron: (ship.cargo.iron || 0) + ship.cargo.ore });
+                delete ship.cargo.ore;
+            }
+            if (ship && Array.isArray(ship.loadout) && ship.loadout[2] === null) {
+                ship.loadout = ship.loadout.slice();
+                ship.loadout[2] = 'miningLaser';
+            }
+            data = Object.assign({}, data, { spacecraft: ship, version: 3 });
+        }
+
+        // Version 4 moved the mining laser from the nose to a hardpoint of its own,
+        // freeing the nose for the plasma cannon
+        if (data.version < 4) {
+            const ship = data.spacecraft ? Object.assign({}, data.spacecraft) : null;
+            if (ship && Array.isArray(ship.loadout) && ship.loadout[2] === 'miningLaser') {
+                ship.loadout = ship.loadout.slice();
+                ship.loadout[2] = null;
+            }
+            data = Object.assign({}, data, { spacecraft: ship, version: 4 });
+        }
+
+        // Future steps go here, e.g. if (data.version < 5) { ...; data.version = 5; }
+
+        if (!isValidShipData(data.spacecraft)) {
+            console.warn('SaveSystem: Save has an invalid ship position or stats, ignoring');
+            return null;
+        }
+
+        const exploration = data.exploration || {};
+        const upgrades = data.upgrades || {};
+
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: data.savedAt || null,
+            sectorName: data.sectorName || 'Unknown Sector',
+            seed: data.seed ? String(data.seed) : null,
+            spacecraft: data.spacecraft || null,
+            upgrades: {
+                credits: Number(upgrades.credits) || 0,
+                history: Array.isArray(upgrades.history) ? upgrades.history : [],
+                parts: Number(upgrades.parts) || 0
+            },
+            exploration: {
+                discoveredSectors: Array.isArray(exploration.discoveredSectors) ? exploration.discoveredSectors : [],
+                discoveredPlanets: Array.isArray(exploration.discoveredPlanets) ? exploration.discoveredPlanets : [],
+                discoveredAnomalies: Array.isArray(exploration.discoveredAnomalies) ? exploration.discoveredAnomalies : [],
+                explorationScore: Number(exploration.explorationScore) || 0
+            }
+        };
+    }
+
+    /**
+     * Read and migrate the save stored in a slot
+     * @param {string} slotId - Slot id
+     * @returns {Object|null} Save data, or null if the slot is empty or unreadable
+     */
+    readSlot(slotId) {
+        if (!this.storageAvailable) return null;
+
+        try {
+            const raw = window.localStorage.getItem(this.storagePrefix + slotId);
+            if (!raw) return null;
+
+            return this.migrateSaveData(JSON.parse(raw));
+        } catch (error) {
+            console.error(`SaveSystem: Failed to read slot ${slotId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write save data to a slot
+     * @param {string} slotId - Slot id
+     * @param {Object} data - Save data
+     * @returns {boolean} Whether the write succeeded
+     */
+    writeSlot(slotId, data) {
+        if (!this.storageAvailable) return false;
+
+        try {
+            window.localStorage.setItem(this.storagePrefix + slotId, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error(`SaveSystem: Failed to write slot ${slotId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if any slot holds a save
+     * @returns {boolean} True if at least one save exists
+     */
+    hasSaves() {
+        return this.getSlotIds().some(slotId => this.readSlot(slotId) !== null);
+    }
+
+    /**
+     * Save the current game to a slot
+     * @param {string} slotId - Slot id
+     * @returns {boolean} Whether the save succeeded
+     */
+    saveToSlot(slotId) {
+        try {
+            if (!this.game.spacecraft) {
+                console.warn('SaveSystem: No spacecraft to save');
+                return false;
+            }
+
+            const saved = this.writeSlot(slotId, this.createSaveData());
+
+            if (saved) {
+                console.log(`Game saved to ${slotId}`);
+                this.notify(`GAME SAVED: ${this.getSlotName(slotId)}`, 'success');
+            } else {
+                this.notify('SAVE FAILED', 'danger');
+            }
+
+            return saved;
+        } catch (error) {
+            console.error('SaveSystem: Error saving game:', error);
+            this.notify('SAVE FAILED', 'danger');
+            return false;
+        }
+    }
+
+    /**
+     * Load a slot into the running game
+     * @param {string} slotId - Slot id
+     * @returns {boolean} Whether the load succeeded
+     */
+    loadFromSlot(slotId) {
+        const data = this.readSlot(slotId);
+
+        if (!data) {
+            this.notify('NO VALID SAVE IN THIS SLOT', 'warning');
+            return false;
+        }
+
+        // Sectors come from the galaxy seed, so a save from another galaxy
+        // needs a restart in that galaxy before it can be applied
+        const gameWorld = this.game.gameWorld;
+        if (data.seed && gameWorld && gameWorld.seed !== data.seed) {
+            return this.restartInGalaxy(data.seed, slotId);
+        }
+
+        const loaded = this.applySaveData(data);
+
+        if (loaded) {
+            console.log(`Game loaded from ${slotId}`);
+            this.notify(`GAME LOADED: ${this.getSlotName(slotId)}`, 'success');
+        } else {
+            this.notify('LOAD FAILED', 'danger');
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Reload the page with another galaxy seed and load a slot once it's back
+     * @param {string} seed - Galaxy seed
+     * @param {string} slotId - Slot to load after the restart
+     * @returns {boolean} Whether the restart was started
+     */
+    restartInGalaxy(seed, slotId) {
+        try {
+            window.sessionStorage.setItem(this.pendingLoadKey, slotId);
+        } catch (error) {
+            console.error('SaveSystem: Could not remember the slot to load:', error);
+            this.notify(`RESTART WITH ?seed=${seed} TO LOAD THIS SAVE`, 'warning');
+            return false;
+        }
+
+        console.log(`Restarting in galaxy ${seed} to load ${slotId}`);
+        this.notify(`TRAVELLING TO GALAXY ${seed}...`, 'info');
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        window.location.href = url.toString();
+        return true;
+    }
+
+    /**
+     * Get and clear the slot left by restartInGalaxy()
+     * @returns {string|null} Slot id, or null if there isn't one
+     */
+    takePendingLoad() {
+        try {
+            const slotId = window.sessionStorage.getItem(this.pendingLoadKey);
+            window.sessionStorage.removeItem(this.pendingLoadKey);
+            return slotId;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save to the autosave slot without any menu interaction
+     * @returns {boolean} Whether the autosave succeeded
+     */
+    autosave() {
+        return this.saveToSlot(this.autosaveSlot);
+    }
+
+    /**
+     * Remove the save stored in a slot
+     * @param {string} slotId - Slot id
+     */
+    deleteSlot(slotId) {
+        if (!this.storageAvailable) return;
+
+        try {
+            window.localStorage.removeItem(this.storagePrefix + slotId);
+            console.log(`Save slot ${slotId} deleted`);
+        } catch (error) {
+            console.error(`SaveSystem: Failed to delete slot ${slotId}:`, error);
+        }
+    }
+
+    /**
+     * Apply save data to the running game
+     * @param {Object} data - Migrated save data
+     * @returns {boolean} Whether the state was applied
+     */
+    applySaveData(data) {
+        try {
+            const game = this.game;
+            const spacecraft = game.spacecraft;
+
+            // Upgrades first so restored health isn't clamped by the base maximums
+            if (game.upgradeSystem) {
+                game.upgradeSystem.restoreUpgrades(data.upgrades.credits, data.upgrades.history, data.upgrades.parts);
+            }
+
+            if (spacecraft && data.spacecraft) {
+                const ship = data.spacecraft;
+
+                // Release the ship from the docking bay so it can be moved
+                if (game.mothership && game.mothership.dockedSpacecraft === spacecraft) {
+                    game.mothership.launchSpacecraft();
+                }
+
+                if (typeof ship.maxHealth === 'number') spacecraft.maxHealth = ship.maxHealth;
+                if (typeof ship.health === 'number') spacecraft.health = Math.min(ship.health, spacecraft.maxHealth);
+                if (typeof ship.maxShield === 'number') spacecraft.maxShield = ship.maxShield;
+                if (typeof ship.shield === 'number') spacecraft.shield = Math.min(ship.shield, spacecraft.maxShield);
+                if (typeof ship.maxEnergy === 'number') spacecraft.maxEnergy = ship.maxEnergy;
+                if (typeof ship.energy === 'number') spacecraft.energy = Math.min(ship.energy, spacecraft.maxEnergy);
+                if (ship.power && spacecraft.reactor) spacecraft.reactor.setDistribution(ship.power);
+                if (typeof ship.flightAssist === 'boolean' && spacecraft.flightModel) {
+                    spacecraft.flightModel.setFlightAssist(ship.flightAssist);
+                }
+                if (Array.isArray(ship.loadout) && spacecraft.hardpoints) {
+                    ship.loadout.forEach((weaponType, index) => {
+                        if (index < spacecraft.hardpoints.length) spacecraft.equipWeapon(index, weaponType);
+                    });
+
+                    // Older saves had no free hardpoint for some unlocked weapons, so fit them now
+                    (spacecraft.unlockedWeapons || []).forEach(weaponType => {
+                        if (!spacecraft.hasWeapon(weaponType)) spacecraft.mountWeapon(weaponType);
+                    });
+                }
+                if (typeof ship.maxAmmo === 'number') spacecraft.maxAmmo = ship.maxAmmo;
+                if (typeof ship.ammo === 'number') spacecraft.ammo = Math.min(ship.ammo, spacecraft.maxAmmo);
+                if (ship.countermeasures && spacecraft.countermeasures) spacecraft.countermeasures.setCounts(ship.countermeasures);
+                if (ship.cargo && typeof ship.cargo === 'object' && spacecraft.inventory) {
+                    // Refill the hold item by item, so its capacity still applies
+                    spacecraft.inventory.clear();
+                    Object.keys(ship.cargo).forEach(id => {
+                        if (getItemType(id)) spacecraft.inventory.add(id, Number(ship.cargo[id]) || 0);
+                    });
+                }
+
+                if (ship.position) {
+                    spacecraft.position.set(ship.position.x, ship.position.y, ship.position.z);
+                }
+
+                if (ship.quaternion) {
+                    spacecraft.quaternion.set(ship.quaternion.x, ship.quaternion.y, ship.quaternion.z, ship.quaternion.w).normalize();
+                }
+
+                if (spacecraft.flightModel) {
+                    spacecraft.flightModel.stop();
+                } else if (spacecraft.velocity) {
+                    spacecraft.velocity.set(0, 0, 0);
+                }
+            }
+
+            // Loot left floating around belongs to the game being replaced
+            if (game.lootSystem) {
+                game.lootSystem.clear();
+            }
+
+            // Restore exploration progress
+            game.discoveredSectors = new Set(data.exploration.discoveredSectors);
+            game.discoveredPlanets = new Set(data.exploration.discoveredPlanets);
+            game.discoveredAnomalies = new Set(data.exploration.discoveredAnomalies);
+            game.explorationScore = data.exploration.explorationScore;
+
+            if (typeof game.updateExplorationUI === 'function') {
+                game.updateExplorationUI();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('SaveSystem: Error applying save data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Download the save in a slot as a JSON file
+     * @param {string} slotId - Slot id
+     */
+    exportSlot(slotId) {
+        try {
+            const data = this.readSlot(slotId);
+            if (!data) {
+                this.notify('NOTHING TO EXPORT', 'warning');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const date = (data.savedAt || new Date().toISOString()).slice(0, 10);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `starflight-${slotId}-${date}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            // Give the browser a moment to start the download before revoking
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('SaveSystem: Error exporting save:', error);
+            this.notify('EXPORT FAILED', 'danger');
+        }
+    }
+
+    /**
+     * Read a JSON save file chosen by the player into a slot
+     * @param {File} file - File picked from the import input
+     * @param {string} slotId - Slot to import into
+     * @returns {Promise<boolean>} Whether the import succeeded
+     */
+    async importFile(file, slotId) {
+        try {
+            const text = await file.text();
+            const data = this.migrateSaveData(JSON.parse(text));
+
+            if (!data) {
+                this.notify('INVALID SAVE FILE', 'danger');
+                return false;
+            }
+
+            const imported = this.writeSlot(slotId, data);
+            this.notify(imported ? `SAVE IMPORTED TO ${this.getSlotName(slotId)}` : 'IMPORT FAILED', imported ? 'success' : 'danger');
+            return imported;
+        } catch (error) {
+            console.error('SaveSystem: Error importing save file:', error);
+            this.notify('INVALID SAVE FILE', 'danger');
+            return false;
+        }
+    }
+
+    /**
+     * Show a notification through the UI manager if one is available
+     * @param {string} message - Notification text
+     * @param {string} type - Notification type
+     */
+    notify(message, type = 'info') {
+        if (this.game.uiManager) {
+            this.game.uiManager.showNotification(message, type, { duration: 3000, priority: 2 });
+        } else if (typeof this.game.showNotification === 'function') {
+            this.game.showNotification(message, type, 3000);
+        }
+    }
+
+    /**
+     * Initialize the save/load menu
+     */
+    initializeUI() {
+        this.menu = document.createElement('div');
+        this.menu.className = 'save-menu';
+        this.menu.innerHTML = `
+            <div class="save-menu-panel">
+                <div class="save-menu-header">LOAD GAME</div>
+                <div class="save-slot-list"></div>
+                <div class="save-menu-footer">
+                    <button class="save-menu-button new-game-button">NEW GAME</button>
+                    <button class="save-menu-button close-button">CLOSE</button>
+                </div>
+            </div>
+            <input class="save-import-input" type="file" accept=".json,application/json">
+        `;
+        document.body.appendChild(this.menu);
+
+        // Hide by default
+        this.menu.style.display = 'none';
+
+        // Store references to elements
+        this.menuHeader = this.menu.querySelector('.save-menu-header');
+        this.slotList = this.menu.querySelector('.save-slot-list');
+        this.newGameButton = this.menu.querySelector('.new-game-button');
+        this.closeButton = this.menu.querySelector('.close-button');
+        this.importInput = this.menu.querySelector('.save-import-input');
+        this.importInput.style.display = 'none';
+
+        this.newGameButton.addEventListener('click', () => this.hideMenu());
+        this.closeButton.addEventListener('click', () => this.hideMenu());
+
+        // Slot buttons are re-rendered, so handle clicks on the list
+        this.slotList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) {
+                this.handleSlotAction(button.dataset.action, button.dataset.slot);
+            }
+        });
+
+        this.importInput.addEventListener('change', async () => {
+            const file = this.importInput.files && this.importInput.files[0];
+            const slotId = this.importInput.dataset.slot;
+            this.importInput.value = '';
+
+            if (file && slotId) {
+                await this.importFile(file, slotId);
+                this.renderSlots();
+            }
+        });
+
+        // Add styles
+        this.addStyles();
+    }
+
+    /**
+     * Run a button action for a slot
+     * @param {string} action - save, load, export, import or delete
+     * @param {string} slotId - Slot id
+     */
+    handleSlotAction(action, slotId) {
+        switch (action) {
+            case 'save':
+                this.saveToSlot(slotId);
+                this.renderSlots();
+                break;
+
+            case 'load':
+                if (this.loadFromSlot(slotId)) {
+                    this.hideMenu();
+
+                    // Loading from the pause menu resumes play
+                    if (this.game.uiManager && this.game.uiManager.isPaused()) {
+                        this.game.uiManager.setPaused(false);
+                    }
+                }
+                break;
+
+            case 'export':
+                this.exportSlot(slotId);
+                break;
+
+            case 'import':
+                this.importInput.dataset.slot = slotId;
+                this.importInput.click();
+                break;
+
+            case 'delete':
+                if (window.confirm(`Delete the save in ${this.getSlotName(slotId)}?`)) {
+                    this.deleteSlot(slotId);
+                    this.renderSlots();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Rebuild the slot list for the current menu mode
+     */
+    renderSlots() {
+        this.slotList.innerHTML = '';
+
+        if (!this.storageAvailable) {
+            this.slotList.innerHTML = '<div class="save-slot-empty">SAVING IS UNAVAILABLE IN THIS BROWSER</div>';
+            return;
+        }
+
+        this.getSlotIds().forEach(slotId => {
+            const data = this.readSlot(slotId);
+            const slot = document.createElement('div');
+            slot.className = 'save-slot';
+
+            let details = '<div class="save-slot-empty">EMPTY</div>';
+            if (data) {
+                const savedAt = data.savedAt ? new Date(data.savedAt).toLocaleString() : 'Unknown date';
+                details = `
+                    <div class="save-slot-sector">${escapeHTML(data.sectorName)}</div>
+                    <div class="save-slot-meta">${savedAt}</div>
+                    <div class="save-slot-meta">CREDITS: ${data.upgrades.credits.toLocaleString()} | SCORE: ${data.exploration.explorationScore}</div>
+                    ${data.seed ? `<div class="save-slot-meta">GALAXY: ${escapeHTML(data.seed)}</div>` : ''}
+                `;
+            }
+
+            // The autosave slot is only written on docking
+            const canSave = this.menuMode === 'save' && slotId !== this.autosaveSlot;
+
+            slot.innerHTML = `
+                <div class="save-slot-name">${this.getSlotName(slotId)}</div>
+                <div class="save-slot-details">${details}</div>
+                <div class="save-slot-actions">
+                    ${canSave ? `<button class="save-menu-button" data-action="save" data-slot="${slotId}">SAVE</button>` : ''}
+                    ${data && this.menuMode === 'load' ? `<button class="save-menu-button" data-action="load" data-slot="${slotId}">LOAD</button>` : ''}
+                    ${data ? `<button class="save-menu-button" data-action="export" data-slot="${slotId}">EXPORT</button>` : ''}
+                    <button class="save-menu-button" data-action="import" data-slot="${slotId}">IMPORT</button>
+                    ${data ? `<button class="save-menu-button" data-action="delete" data-slot="${slotId}">DELETE</button>` : ''}
+                </div>
+            `;
+
+            this.slotList.appendChild(slot);
+        });
+    }
+
+    /**
+     * Show the slot menu
+     * @param {string} mode - 'save' or 'load'
+     * @param {boolean} isStartupScreen - True when shown before play begins
+     */
+    showMenu(mode = 'load', isStartupScreen = false) {
+        this.menuMode = mode;
+        this.isStartupScreen = isStartupScreen;
+
+        this.menuHeader.textContent = isStartupScreen ? 'CONTINUE YOUR JOURNEY' : (mode === 'save' ? 'SAVE GAME' : 'LOAD GAME');
+        this.newGameButton.style.display = isStartupScreen ? 'inline-block' : 'none';
+        this.closeButton.style.display = isStartupScreen ? 'none' : 'inline-block';
+
+        this.renderSlots();
+
+        // Release the mouse so the menu can be used
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+
+        this.menu.style.display = 'flex';
+    }
+
+    /**
+     * Hide the slot menu
+     */
+    hideMenu() {
+        this.menu.style.display = 'none';
+        this.isStartupScreen = false;
+    }
+
+    /**
+     * Check if the slot menu is visible
+     * @returns {boolean} True if the menu is open
+     */
+    isMenuOpen() {
+        return this.menu !== null && this.menu.style.display !== 'none';
+    }
+
+    /**
+     * Show the load screen at startup if there is anything to load
+     * @returns {boolean} True if the load screen was shown
+     */
+    showLoadScreen() {
+        // Coming back from a galaxy restart: load straight away
+        const pendingSlot = this.takePendingLoad();
+        if (pendingSlot) {
+            this.loadFromSlot(pendingSlot);
+            return true;
+        }
+
+        if (!this.hasSaves()) {
+            return false;
+        }
+
+        this.showMenu('load', true);
+        return true;
+    }
+
+    /**
+     * Add CSS styles for the save menu
+     */
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .save-menu {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                background-color: rgba(0, 0, 0, 0.8);
+                font-family: 'Courier New', monospace;
+                color: #00ff00;
+                text-shadow: 0 0 5px rgba(0, 255, 0, 0.7);
+                z-index: 1100;
+            }
+
+            .save-menu-panel {
+                width: 90%;
+                max-width: 640px;
+                max-height: 85vh;
+                overflow-y: auto;
+                background-color: rgba(0, 20, 40, 0.9);
+                border: 1px solid #00ff00;
+                border-radius: 5px;
+                padding: 20px;
+            }
+
+            .save-menu-header {
+                font-size: 24px;
+                font-weight: bold;
+                text-align: center;
+                margin-bottom: 15px;
+                border-bottom: 1px solid #00ff00;
+                padding-bottom: 10px;
+            }
+
+            .save-slot {
+                display: grid;
+                grid-template-columns: 110px 1fr;
+                gap: 5px 10px;
+                padding: 10px;
+                margin-bottom: 10px;
+                border: 1px solid rgba(0, 255, 0, 0.4);
+                border-radius: 3px;
+            }
+
+            .save-slot-name {
+                font-weight: bold;
+            }
+
+            .save-slot-meta,
+            .save-slot-empty {
+                font-size: 0.85em;
+                opacity: 0.8;
+            }
+
+            .save-slot-actions {
+                grid-column: 1 / -1;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 5px;
+            }
+
+            .save-menu-button {
+                background-color: rgba(0, 50, 0, 0.5);
+                border: 1px solid #00ff00;
+                border-radius: 3px;
+                color: #00ff00;
+                font-family: 'Courier New', monospace;
+                padding: 4px 10px;
+                cursor: pointer;
+            }
+
+            .save-menu-button:hover {
+                background-color: rgba(0, 100, 0, 0.7);
+            }
+
+            .save-menu-footer {
+                display: flex;
+                justify-content: center;
+                gap: 10px;
+                margin-top: 10px;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { SaveSystem, SAVE_FORMAT_VERSION } from './SaveSystem.js';
+
+// migrateSaveData doesn't touch storage or the menu, so skip the constructor
+const saveSystem = Object.create(SaveSystem.prototype);
+
+function makeSave(ship) {
+    return {
+        version: SAVE_FORMAT_VERSION,
+        spacecraft: {
+            health: 80,
+            maxHealth: 100,
+            position: { x: 10, y: -5, z: 200 },
+            quaternion: { x: 0, y: 0, z: 0, w: 1 },
+            ...ship
+        }
+    };
+}
+
+describe('SaveSystem.migrateSaveData', () => {
+    it('accepts a well-formed save', () => {
+        const data = saveSystem.migrateSaveData(makeSave({}));
+
+        expect(data).not.toBeNull();
+        expect(data.spacecraft.position).toEqual({ x: 10, y: -5, z: 200 });
+    });
+
+    it('accepts a ship without a position, stats or cargo', () => {
+        const data = saveSystem.migrateSaveData({ version: SAVE_FORMAT_VERSION, spacecraft: { cargo: null } });
+
+        expect(data).not.toBeNull();
+    });
+
+    it('rejects positions and rotations that aren\'t finite numbers', () => {
+        expect(saveSystem.migrateSaveData(makeSave({ position: { x: 'NaN', y: 0, z: 0 } }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ position: { x: 0, y: 0 } }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ position: { x: 1e400, y: 0, z: 0 } }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ position: 'origin' }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ quaternion: { x: 0, y: 0, z: 0, w: null } }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ quaternion: { x: 0, y: 0, z: 0, w: 0 } }))).toBeNull();
+    });
+
+    it('rejects stats that aren\'t finite numbers', () => {
+        expect(saveSystem.migrateSaveData(makeSave({ health: '100' }))).toBeNull();
+        expect(saveSystem.migrateSaveData(makeSave({ maxEnergy: -Infinity }))).toBeNull();
+    });
+});
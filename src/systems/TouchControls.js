@@ -0,0 +1,414 @@
+// Stick travel from the centre, in pixels, for a full-strength pitch or yaw
+const STICK_RADIUS = 50;
+
+// A touch on the game view this short and this still is a tap, which picks a target
+const TAP_TIME = 250;
+const TAP_MOVE = 15;
+
+// How close to a ship a tap has to land, in pixels, to target it
+const TAP_TARGET_RADIUS = 80;
+
+// The throttle snaps to zero when let go this close to the middle
+const THROTTLE_DETENT = 0.1;
+
+// Each on-screen button holds one action down while pressed
+const BUTTONS = [
+    { action: 'fire', label: 'FIRE', className: 'touch-fire' },
+    { action: 'altFire', label: 'MSL', className: 'touch-alt-fire' },
+    { action: 'boost', label: 'BOOST', className: 'touch-boost' },
+    { action: 'toggleMenu', label: '❚❚', className: 'touch-pause' }
+];
+
+/**
+ * On-screen flight controls for phones and tablets: a stick for pitch and yaw, a throttle
+ * slider, fire, missile and boost buttons, and tapping a ship to target it. Everything goes
+ * into InputManager as virtual actions, so the ship reads it like any other input.
+ */
+export class TouchControls {
+    /**
+     * Whether the device's main pointer is a finger, so the game should show touch controls.
+     * Laptops with touch screens still have a mouse, so they're left alone.
+     * @returns {boolean}
+     */
+    static isTouchDevice() {
+        if (typeof window === 'undefined') return false;
+
+        if (window.matchMedia) {
+            return window.matchMedia('(pointer: coarse)').matches;
+        }
+        return 'ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0;
+    }
+
+    /**
+     * @param {InputManager} inputManager - Receives the virtual actions
+     * @param {UIManager} uiManager - Holds the layer, and the spacecraft and camera for tap-to-target
+     */
+    constructor(inputManager, uiManager) {
+        this.input = inputManager;
+        this.uiManager = uiManager;
+
+        // Fingers on each control, by pointer id, so several can be used at once
+        this.stickPointer = null;
+        this.throttlePointer = null;
+        this.buttonPointers = {}; // pointer id -> action
+        this.tap = null;          // { id, x, y, time } of a touch on the game view
+
+        this.throttle = 0;
+        this.visible = true;
+
+        // There's no pointer to lock, and a tap shouldn't ask for it
+        this.input.pointerLockEnabled = false;
+
+        this.initializeUI();
+    }
+
+    initializeUI() {
+        this.layer = document.createElement('div');
+        this.layer.className = 'touch-controls';
+        this.layer.innerHTML = `
+            <div class="touch-stick">
+                <div class="touch-stick-knob"></div>
+            </div>
+            <div class="touch-throttle">
+                <div class="touch-throttle-fill"></div>
+                <div class="touch-throttle-handle"></div>
+            </div>
+            ${BUTTONS.map(button => `
+                <div class="touch-button ${button.className}" data-action="${button.action}">${button.label}</div>
+            `).join('')}
+        `;
+        this.uiManager.container.appendChild(this.layer);
+
+        this.stick = this.layer.querySelector('.touch-stick');
+        this.stickKnob = this.layer.querySelector('.touch-stick-knob');
+        this.throttleTrack = this.layer.querySelector('.touch-throttle');
+        this.throttleFill = this.layer.querySelector('.touch-throttle-fill');
+        this.throttleHandle = this.layer.querySelector('.touch-throttle-handle');
+
+        this.stick.addEventListener('pointerdown', (event) => this.onStickDown(event));
+        this.throttleTrack.addEventListener('pointerdown', (event) => this.onThrottleDown(event));
+        this.layer.querySelectorAll('.touch-button').forEach(button => {
+            button.addEventListener('pointerdown', (event) => this.onButtonDown(event, button));
+        });
+
+        // Moves and releases are followed on the window, as fingers drift off the controls
+        window.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        window.addEventListener('pointerup', (event) => this.onPointerUp(event));
+        window.addEventListener('pointercancel', (event) => this.onPointerUp(event, true));
+
+        // Taps on the game view itself, rather than on the HUD or a menu, pick targets
+        window.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'mouse' || !this.visible) return;
+            if (event.target.tagName !== 'CANVAS' || event.target.closest('.game-ui')) return;
+
+            // Stops the browser following up with a mouse click, which would also fire
+            event.preventDefault();
+            this.tap = { id: event.pointerId, x: event.clientX, y: event.clientY, time: performance.now() };
+        });
+
+        // Long presses would otherwise bring up the browser's menu over the controls
+        this.layer.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        this.setThrottle(0);
+        this.addStyles();
+    }
+
+    onStickDown(event) {
+        event.preventDefault();
+        if (this.stickPointer !== null) return;
+
+        this.stickPointer = event.pointerId;
+        this.moveStick(event);
+    }
+
+    // Pulling the stick down pitches the nose up, as on a flight stick
+    moveStick(event) {
+        const bounds = this.stick.getBoundingClientRect();
+        let x = event.clientX - (bounds.left + bounds.width / 2);
+        let y = event.clientY - (bounds.top + bounds.height / 2);
+
+        const distance = Math.hypot(x, y);
+        if (distance > STICK_RADIUS) {
+            x *= STICK_RADIUS / distance;
+            y *= STICK_RADIUS / distance;
+        }
+
+        this.stickKnob.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px))`;
+        this.input.setVirtualAxis('yaw', x / STICK_RADIUS);
+        this.input.setVirtualAxis('pitch', y / STICK_RADIUS);
+    }
+
+    releaseStick() {
+        this.stickPointer = null;
+        this.stickKnob.style.transform = 'translate(-50%, -50%)';
+        this.input.setVirtualAxis('yaw', 0);
+        this.input.setVirtualAxis('pitch', 0);
+    }
+
+    onThrottleDown(event) {
+        event.preventDefault();
+        if (this.throttlePointer !== null) return;
+
+        this.throttlePointer = event.pointerId;
+        this.moveThrottle(event);
+    }
+
+    // Top of the track is full ahead, the bottom full reverse
+    moveThrottle(event) {
+        const bounds = this.throttleTrack.getBoundingClientRect();
+        const fraction = (event.clientY - bounds.top) / bounds.height;
+        this.setThrottle(1 - 2 * Math.max(0, Math.min(1, fraction)));
+    }
+
+    /**
+     * Set the throttle, which stays where it's left until moved again
+     * @param {number} value - From -1 (full reverse) to 1 (full ahead)
+     */
+    setThrottle(value) {
+        this.throttle = Math.max(-1, Math.min(1, value));
+        this.input.setVirtualAxis('throttle', this.throttle);
+
+        // The fill grows from the middle of the track towards the handle
+        const position = (1 - this.throttle) / 2 * 100;
+        this.throttleHandle.style.top = `${position}%`;
+        this.throttleFill.style.top = `${Math.min(position, 50)}%`;
+        this.throttleFill.style.height = `${Math.abs(position - 50)}%`;
+        this.throttleFill.classList.toggle('reverse', this.throttle < 0);
+    }
+
+    onButtonDown(event, button) {
+        event.preventDefault();
+
+        const action = button.dataset.action;
+        this.buttonPointers[event.pointerId] = action;
+        button.classList.add('pressed');
+        this.input.setVirtualButton(action, true);
+    }
+
+    releaseButton(pointerId) {
+        const action = this.buttonPointers[pointerId];
+        delete this.buttonPointers[pointerId];
+
+        // Another finger may still be holding the same button
+        if (Object.values(this.buttonPointers).includes(action)) return;
+
+        this.input.setVirtualButton(action, false);
+        const button = this.layer.querySelector(`[data-action="${action}"]`);
+        if (button) button.classList.remove('pressed');
+    }
+
+    onPointerMove(event) {
+        if (event.pointerId === this.stickPointer) {
+            this.moveStick(event);
+        } else if (event.pointerId === this.throttlePointer) {
+            this.moveThrottle(event);
+        } else if (this.tap && event.pointerId === this.tap.id &&
+            Math.hypot(event.clientX - this.tap.x, event.clientY - this.tap.y) > TAP_MOVE) {
+            // A drag across the view isn't a tap
+            this.tap = null;
+        }
+    }
+
+    onPointerUp(event, cancelled = false) {
+        if (event.pointerId === this.stickPointer) {
+            this.releaseStick();
+        } else if (event.pointerId === this.throttlePointer) {
+            this.throttlePointer = null;
+            if (Math.abs(this.throttle) < THROTTLE_DETENT) this.setThrottle(0);
+        } else if (event.pointerId in this.buttonPointers) {
+            this.releaseButton(event.pointerId);
+        } else if (this.tap && event.pointerId === this.tap.id) {
+            const tap = this.tap;
+            this.tap = null;
+            if (!cancelled && performance.now() - tap.time <= TAP_TIME) {
+                this.targetAt(event.clientX, event.clientY);
+            }
+        }
+    }
+
+    /**
+     * Target the ship nearest a point on the screen, if one is close enough
+     * @param {number} x - Screen x, in pixels
+     * @param {number} y - Screen y, in pixels
+     * @returns {boolean} Whether a ship was targeted
+     */
+    targetAt(x, y) {
+        const spacecraft = this.uiManager.spacecraft;
+        const combatSystem = spacecraft ? spacecraft.combatSystem : null;
+        if (!combatSystem || !spacecraft.camera) return false;
+
+        let nearest = null;
+        let nearestDistance = TAP_TARGET_RADIUS;
+
+        combatSystem.targets.forEach(entry => {
+            if (!entry.object || !entry.object.position) return;
+
+            const screen = this.uiManager.projectToScreen(entry.object.position, spacecraft.camera);
+            if (!screen.onScreen) return;
+
+            const distance = Math.hypot(screen.x - x, screen.y - y);
+            if (distance < nearestDistance) {
+                nearest = entry.object;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest ? combatSystem.selectTarget(nearest) : false;
+    }
+
+    // Let go of everything held, e.g. when a menu opens over the controls
+    releaseAll() {
+        if (this.stickPointer !== null) this.releaseStick();
+        this.throttlePointer = null;
+        Object.keys(this.buttonPointers).forEach(pointerId => this.releaseButton(pointerId));
+        this.tap = null;
+    }
+
+    /**
+     * Show the controls only while flying, and keep the throttle applied. InputManager
+     * forgets virtual input when it's reset, so the throttle is set again each update.
+     */
+    update() {
+        const visible = this.input.getContext() === 'flight';
+        if (visible !== this.visible) {
+            this.visible = visible;
+            this.layer.style.display = visible ? 'block' : 'none';
+            if (!visible) this.releaseAll();
+        }
+
+        this.input.setVirtualAxis('throttle', this.throttle);
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            /* Dragging on the game view mustn't scroll or zoom the page */
+            canvas {
+                touch-action: none;
+            }
+
+            .touch-controls {
+                position: absolute;
+                inset: 0;
+                pointer-events: none;
+                user-select: none;
+                -webkit-user-select: none;
+                -webkit-touch-callout: none;
+            }
+
+            .touch-stick,
+            .touch-throttle,
+            .touch-button {
+                position: absolute;
+                pointer-events: auto;
+                touch-action: none;
+                background-color: rgba(0, 20, 40, 0.4);
+                border: 1px solid rgba(0, 255, 0, 0.6);
+            }
+
+            .touch-stick {
+                left: calc(20px + env(safe-area-inset-left, 0px));
+                bottom: calc(20px + env(safe-area-inset-bottom, 0px));
+                width: 140px;
+                height: 140px;
+                border-radius: 50%;
+            }
+
+            .touch-stick-knob {
+                position: absolute;
+                left: 50%;
+                top: 50%;
+                width: 60px;
+                height: 60px;
+                border-radius: 50%;
+                background-color: rgba(0, 255, 0, 0.3);
+                border: 1px solid #00ff00;
+                transform: translate(-50%, -50%);
+            }
+
+            .touch-throttle {
+                right: calc(20px + env(safe-area-inset-right, 0px));
+                bottom: calc(190px + env(safe-area-inset-bottom, 0px));
+                width: 44px;
+                height: 140px;
+                border-radius: 5px;
+            }
+
+            .touch-throttle::after {
+                content: '';
+                position: absolute;
+                left: 0;
+                right: 0;
+                top: 50%;
+                border-top: 1px dashed rgba(0, 255, 0, 0.6);
+            }
+
+            .touch-throttle-fill {
+                position: absolute;
+                left: 0;
+                right: 0;
+                background-color: rgba(0, 255, 0, 0.3);
+            }
+
+            .touch-throttle-fill.reverse {
+                background-color: rgba(255, 149, 0, 0.3);
+            }
+
+            .touch-throttle-handle {
+                position: absolute;
+                left: -4px;
+                right: -4px;
+                height: 8px;
+                border-radius: 3px;
+                background-color: #00ff00;
+                transform: translateY(-50%);
+            }
+
+            .touch-button {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                width: 64px;
+                height: 64px;
+                border-radius: 50%;
+                font-size: 0.75em;
+                font-weight: bold;
+            }
+
+            .touch-button.pressed {
+                background-color: rgba(0, 255, 0, 0.35);
+            }
+
+            .touch-fire {
+                right: calc(20px + env(safe-area-inset-right, 0px));
+                bottom: calc(20px + env(safe-area-inset-bottom, 0px));
+                width: 90px;
+                height: 90px;
+                color: #ff9500;
+                border-color: rgba(255, 149, 0, 0.8);
+            }
+
+            .touch-alt-fire {
+                right: calc(125px + env(safe-area-inset-right, 0px));
+                bottom: calc(20px + env(safe-area-inset-bottom, 0px));
+            }
+
+            .touch-boost {
+                right: calc(20px + env(safe-area-inset-right, 0px));
+                bottom: calc(120px + env(safe-area-inset-bottom, 0px));
+                width: 56px;
+                height: 56px;
+            }
+
+            .touch-pause {
+                top: calc(10px + env(safe-area-inset-top, 0px));
+                right: calc(10px + env(safe-area-inset-right, 0px));
+                width: 44px;
+                height: 44px;
+                border-radius: 5px;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+}
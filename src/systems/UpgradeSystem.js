@@ -1,3 +1,23 @@
+// Each salvaged upgrade part takes this much off the price of an upgrade
+const PART_DISCOUNT = 0.25;
+
+// Spacecraft properties the upgrades change. Loading a save puts these back to how the ship
+// was built before replaying the saved upgrades.
+const UPGRADEABLE_STATS = [
+    'maxSpeed', 'acceleration', 'deceleration', 'turnSpeed', 'rotationSpeed', 'upgradeMass',
+    'hasAfterburner', 'afterburnerMultiplier', 'afterburnerEnergyCost', 'afterburnerDuration', 'afterburnerCooldown',
+    'maxShield', 'shieldRegenRate', 'shieldEnergyCost',
+    'maxHealth', 'hullRepairRate', 'damageReduction',
+    'maxEnergy', 'energyRegenRate', 'unlockedWeapons',
+    'scannerRange', 'enhancedScanner',
+    'hasCloakingDevice', 'cloakingEnergyCost', 'cloakingDuration', 'cloakingCooldown',
+    'hasTractorBeam', 'tractorBeamRange', 'tractorBeamEnergyCost',
+    'hasTimeWarper', 'timeWarperEnergyCost', 'timeWarperDuration', 'timeWarperCooldown', 'timeWarperRatio'
+];
+
+// Weapon roster stats the upgrades change
+const UPGRADEABLE_WEAPON_STATS = ['damage', 'cooldown', 'energyCost'];
+
 export class UpgradeSystem {
     constructor(spacecraft, combatSystem, uiManager) {
         this.spacecraft = spacecraft;
@@ -5,9 +25,13 @@ export class UpgradeSystem {
         this.uiManager = uiManager;
         
         this.credits = 0;
+        this.parts = 0; // Rare upgrade parts from loot, used up one per purchase for a discount
         this.availableUpgrades = this.initializeUpgrades();
         this.upgradeHistory = []; // Track purchased upgrades
         
+        // The ship and weapons as built, before any upgrades
+        this.baseStats = this.captureBaseStats();
+        
         // Define upgrade categories
         this.categories = [
             { id: 'engine', name: 'Engines', icon: '🚀' },
@@ -15,6 +39,7 @@ export class UpgradeSystem {
             { id: 'hull', name: 'Hull', icon: '🔧' },
             { id: 'weapon', name: 'Weapons', icon: '⚔️' },
             { id: 'energy', name: 'Energy Systems', icon: '⚡' },
+            { id: 'cargo', name: 'Cargo', icon: '📦' },
             { id: 'special', name: 'Special Systems', icon: '✨' }
         ];
         
@@ -60,6 +85,7 @@ export class UpgradeSystem {
                 cost: 800,
                 prerequisites: [],
                 apply: (spacecraft) => {
+                    spacecraft.rotationSpeed *= 1.25;
                     spacecraft.turnSpeed *= 1.25;
                     this.uiManager.showNotification('Improved Maneuvering System Installed');
                 }
@@ -77,7 +103,7 @@ export class UpgradeSystem {
             },
             'engine_afterburner': {
                 name: 'Afterburner System',
-                description: 'Adds temporary speed boost capability',
+                description: 'Boost takes you 80% past top speed instead of 25%, using twice the energy',
                 category: 'engine',
                 cost: 2000,
                 prerequisites: ['engine_thrust_1'],
@@ -118,7 +144,7 @@ export class UpgradeSystem {
             },
             'shield_regen_1': {
                 name: 'Shield Regenerator',
-                description: 'Adds automatic shield regeneration',
+                description: 'Faster shield regeneration',
                 category: 'shield',
                 cost: 1800,
                 prerequisites: ['shield_capacity_1'],
@@ -142,25 +168,27 @@ export class UpgradeSystem {
             // Hull upgrades
             'hull_armor_1': {
                 name: 'Reinforced Hull I',
-                description: 'Increases max hull health by 30%',
+                description: 'Increases max hull health by 30% (adds 4 tonnes)',
                 category: 'hull',
                 cost: 800,
                 prerequisites: [],
                 apply: (spacecraft) => {
                     spacecraft.maxHealth *= 1.3;
                     spacecraft.health = spacecraft.maxHealth; // Repair hull
+                    spacecraft.upgradeMass += 4; // Armour plate weighs the ship down
                     this.uiManager.showNotification('Reinforced Hull Plates Installed');
                 }
             },
             'hull_armor_2': {
                 name: 'Reinforced Hull II',
-                description: 'Increases max hull health by additional 30%',
+                description: 'Increases max hull health by additional 30% (adds 4 tonnes)',
                 category: 'hull',
                 cost: 1600,
                 prerequisites: ['hull_armor_1'],
                 apply: (spacecraft) => {
                     spacecraft.maxHealth *= 1.3;
                     spacecraft.health = spacecraft.maxHealth; // Repair hull
+                    spacecraft.upgradeMass += 4; // Armour plate weighs the ship down
                     this.uiManager.showNotification('Advanced Hull Reinforcement Installed');
                 }
             },
@@ -209,10 +237,7 @@ export class UpgradeSystem {
                 cost: 2000,
                 prerequisites: ['weapon_laser_1'],
                 apply: (spacecraft) => {
-                    // Unlock plasma weapon
-                    spacecraft.unlockedWeapons = spacecraft.unlockedWeapons || [];
-                    spacecraft.unlockedWeapons.push('plasma');
-                    this.uiManager.showNotification('Plasma Cannon System Installed');
+                    this.installWeapon(spacecraft, 'plasma', 'Plasma Cannon');
                 }
             },
             'weapon_missiles': {
@@ -251,10 +276,17 @@ export class UpgradeSystem {
                 cost: 5000,
                 prerequisites: ['weapon_plasma'],
                 apply: (spacecraft) => {
-                    // Unlock railgun weapon
-                    spacecraft.unlockedWeapons = spacecraft.unlockedWeapons || [];
-                    spacecraft.unlockedWeapons.push('railgun');
-                    this.uiManager.showNotification('Railgun System Installed');
+                    this.installWeapon(spacecraft, 'railgun', 'Railgun');
+                }
+            },
+            'weapon_ion': {
+                name: 'Ion Cannon',
+                description: 'Adds ion cannon that stuns the ships it hits',
+                category: 'weapon',
+                cost: 2500,
+                prerequisites: ['weapon_laser_1'],
+                apply: (spacecraft) => {
+                    this.installWeapon(spacecraft, 'ionCannon', 'Ion Cannon');
                 }
             },
             
@@ -320,6 +352,43 @@ export class UpgradeSystem {
                 }
             },
             
+            // Cargo upgrades
+            'cargo_expansion_1': {
+                name: 'Cargo Bay Expansion I',
+                description: 'Increases cargo hold volume by 20 (adds 1 tonne)',
+                category: 'cargo',
+                cost: 400,
+                prerequisites: [],
+                apply: (spacecraft) => {
+                    spacecraft.inventory.capacity += 20;
+                    spacecraft.upgradeMass += 1;
+                    this.uiManager.showNotification('Cargo Bay Expansion Installed');
+                }
+            },
+            'cargo_expansion_2': {
+                name: 'Cargo Bay Expansion II',
+                description: 'Increases cargo hold volume by an additional 40 (adds 2 tonnes)',
+                category: 'cargo',
+                cost: 1200,
+                prerequisites: ['cargo_expansion_1'],
+                apply: (spacecraft) => {
+                    spacecraft.inventory.capacity += 40;
+                    spacecraft.upgradeMass += 2;
+                    this.uiManager.showNotification('Extended Cargo Bay Installed');
+                }
+            },
+            'cargo_expansion_3': {
+                name: 'Compressed Cargo Storage',
+                description: 'Doubles cargo hold volume',
+                category: 'cargo',
+                cost: 3500,
+                prerequisites: ['cargo_expansion_2', 'energy_capacity_1'],
+                apply: (spacecraft) => {
+                    spacecraft.inventory.capacity *= 2;
+                    this.uiManager.showNotification('Compressed Cargo Storage Installed');
+                }
+            },
+            
             // Special upgrades
             'special_scanner': {
                 name: 'Advanced Scanner',
@@ -388,7 +457,7 @@ export class UpgradeSystem {
         this.upgradeMenu.innerHTML = `
             <div class="upgrade-header">
                 <h2>SPACECRAFT UPGRADES</h2>
-                <div class="credits-display">CREDITS: <span class="credits-value">0</span></div>
+                <div class="credits-display">CREDITS: <span class="credits-value">0</span> | PARTS: <span class="parts-value">0</span></div>
                 <button class="close-button">✕</button>
             </div>
             <div class="upgrade-categories"></div>
@@ -401,6 +470,7 @@ export class UpgradeSystem {
         
         // Store references to elements
         this.creditsElement = this.upgradeMenu.querySelector('.credits-value');
+        this.partsElement = this.upgradeMenu.querySelector('.parts-value');
         this.categoryContainer = this.upgradeMenu.querySelector('.upgrade-categories');
         this.upgradeListContainer = this.upgradeMenu.querySelector('.upgrade-list');
         
@@ -468,7 +538,8 @@ export class UpgradeSystem {
         upgrades.forEach(([id, upgrade]) => {
             const isPurchased = this.upgradeHistory.includes(id);
             const hasPrereqs = this.checkPrerequisites(upgrade.prerequisites);
-            const canAfford = this.credits >= upgrade.cost;
+            const cost = this.getCost(upgrade);
+            const canAfford = this.credits >= cost;
             
             const card = document.createElement('div');
             card.className = `upgrade-card ${isPurchased ? 'purchased' : ''} ${!hasPrereqs ? 'locked' : ''} ${!canAfford && !isPurchased ? 'unaffordable' : ''}`;
@@ -494,7 +565,7 @@ export class UpgradeSystem {
             card.innerHTML = `
                 <div class="upgrade-name">${upgrade.name}</div>
                 <div class="upgrade-description">${upgrade.description}</div>
-                <div class="upgrade-cost">Cost: ${upgrade.cost.toLocaleString()} Credits</div>
+                <div class="upgrade-cost">Cost: ${cost.toLocaleString()} Credits${cost < upgrade.cost ? ' + 1 Part' : ''}</div>
                 <div class="upgrade-status ${statusClass}">${statusText}</div>
                 ${!isPurchased && hasPrereqs && canAfford ? '<button class="purchase-button">Purchase</button>' : ''}
                 ${!hasPrereqs ? '<div class="prereq-message">Prerequisites not met</div>' : ''}
@@ -799,6 +870,10 @@ export class UpgradeSystem {
         }
     }
     
+    isMenuOpen() {
+        return this.upgradeMenu.style.display !== 'none';
+    }
+    
     /**
      * Check if all prerequisites for an upgrade are met
      * @param {Array} prerequisites - List of prerequisite upgrade IDs
@@ -812,6 +887,28 @@ export class UpgradeSystem {
         return prerequisites.every(prereq => this.upgradeHistory.includes(prereq));
     }
     
+    /**
+     * Unlock a weapon and fit it to a free hardpoint, unless it's fitted already
+     * @param {Spacecraft} spacecraft - Ship getting the weapon
+     * @param {string} weaponType - Roster key
+     * @param {string} name - Weapon name for the notification
+     * @returns {boolean} Whether the weapon is fitted
+     */
+    installWeapon(spacecraft, weaponType, name) {
+        spacecraft.unlockedWeapons = spacecraft.unlockedWeapons || [];
+        if (!spacecraft.unlockedWeapons.includes(weaponType)) {
+            spacecraft.unlockedWeapons.push(weaponType);
+        }
+        
+        if (spacecraft.hasWeapon(weaponType) || spacecraft.mountWeapon(weaponType)) {
+            this.uiManager.showNotification(`${name} System Installed`);
+            return true;
+        }
+        
+        this.uiManager.showNotification(`NO FREE HARDPOINT FOR ${name.toUpperCase()}`, 'warning');
+        return false;
+    }
+    
     /**
      * Purchase an upgrade
      * @param {string} upgradeId - ID of the upgrade to purchase
@@ -839,13 +936,18 @@ export class UpgradeSystem {
         }
         
         // Check if enough credits
-        if (this.credits < upgrade.cost) {
+        const cost = this.getCost(upgrade);
+        if (this.credits < cost) {
             console.log(`Not enough credits for upgrade ${upgradeId}`);
             return false;
         }
         
-        // Deduct credits
-        this.credits -= upgrade.cost;
+        // Deduct credits, and the part that paid for the discount
+        this.credits -= cost;
+        if (cost < upgrade.cost) {
+            this.parts--;
+            this.partsElement.textContent = this.parts;
+        }
         
         // Add to purchase history
         this.upgradeHistory.push(upgradeId);
@@ -860,6 +962,28 @@ export class UpgradeSystem {
         return true;
     }
     
+    /**
+     * Price of an upgrade, less the discount from an upgrade part if there's one to use
+     * @param {Object} upgrade - Upgrade definition
+     * @returns {number} Cost in credits
+     */
+    getCost(upgrade) {
+        return this.parts > 0 ? Math.round(upgrade.cost * (1 - PART_DISCOUNT)) : upgrade.cost;
+    }
+    
+    /**
+     * Add upgrade parts, e.g. salvaged from loot
+     * @param {number} amount - Number of parts
+     */
+    addParts(amount) {
+        this.parts += amount;
+        this.partsElement.textContent = this.parts;
+        
+        if (this.uiManager) {
+            this.uiManager.showNotification(`+${amount} UPGRADE PART${amount > 1 ? 'S' : ''}`, 'success');
+        }
+    }
+    
     /**
      * Add credits to player's account
      * @param {number} amount - Amount of credits to add
@@ -877,4 +1001,105 @@ export class UpgradeSystem {
             this.uiManager.showNotification(`+${amount} CREDITS`, 'success');
         }
     }
-} 
\ No newline at end of file
+
+    /**
+     * Record the upgradeable ship and weapon stats as they are now
+     * @returns {Object} Snapshot for resetUpgrades()
+     */
+    captureBaseStats() {
+        const ship = this.spacecraft;
+        const stats = { ship: {}, weapons: {}, cargoCapacity: ship.inventory.capacity };
+        
+        UPGRADEABLE_STATS.forEach(key => {
+            stats.ship[key] = Array.isArray(ship[key]) ? ship[key].slice() : ship[key];
+        });
+        
+        if (this.combatSystem) {
+            Object.entries(this.combatSystem.weaponTypes).forEach(([type, weapon]) => {
+                stats.weapons[type] = {};
+                UPGRADEABLE_WEAPON_STATS.forEach(key => {
+                    stats.weapons[type][key] = weapon[key];
+                });
+            });
+        }
+        
+        return stats;
+    }
+    
+    /**
+     * Take out every installed upgrade, putting the ship and weapons back to their base stats.
+     * Weapons already mounted on hardpoints stay where they are.
+     */
+    resetUpgrades() {
+        const ship = this.spacecraft;
+        const base = this.baseStats;
+        
+        UPGRADEABLE_STATS.forEach(key => {
+            const value = base.ship[key];
+            if (value === undefined) {
+                delete ship[key];
+            } else {
+                ship[key] = Array.isArray(value) ? value.slice() : value;
+            }
+        });
+        
+        ship.health = Math.min(ship.health, ship.maxHealth);
+        ship.shield = Math.min(ship.shield, ship.maxShield);
+        ship.energy = Math.min(ship.energy, ship.maxEnergy);
+        ship.inventory.capacity = base.cargoCapacity;
+        
+        if (this.combatSystem) {
+            Object.entries(base.weapons).forEach(([type, stats]) => {
+                const weapon = this.combatSystem.weaponTypes[type];
+                if (weapon) Object.assign(weapon, stats);
+            });
+        }
+        
+        this.upgradeHistory = [];
+    }
+    
+    /**
+     * Restore credits and upgrades from a saved game. Whatever is installed now is taken out
+     * first, so the ship ends up exactly as saved.
+     * @param {number} credits - Saved credit balance
+     * @param {Array} upgradeIds - Saved upgrade IDs in purchase order
+     * @param {number} parts - Saved upgrade parts
+     */
+    restoreUpgrades(credits, upgradeIds, parts = 0) {
+        // Upgrade effects are multiplicative, so replay them from the base stats
+        this.resetUpgrades();
+        
+        const uiManager = this.uiManager;
+
+        // Silence the per-upgrade "installed" notifications while restoring
+        this.uiManager = { showNotification: () => {} };
+
+        try {
+            (upgradeIds || []).forEach(upgradeId => {
+                const upgrade = this.availableUpgrades[upgradeId];
+
+                if (!upgrade) {
+                    console.warn(`Saved upgrade ${upgradeId} no longer exists, skipping`);
+                    return;
+                }
+
+                // Saves shouldn't list an upgrade twice, but never apply one twice if they do
+                if (this.upgradeHistory.includes(upgradeId)) {
+                    return;
+                }
+
+                this.upgradeHistory.push(upgradeId);
+                upgrade.apply(this.spacecraft);
+            });
+        } catch (error) {
+            console.error('Error restoring upgrades:', error);
+        } finally {
+            this.uiManager = uiManager;
+        }
+
+        this.credits = credits;
+        this.creditsElement.textContent = this.credits.toLocaleString();
+        this.parts = parts;
+        this.partsElement.textContent = this.parts;
+    }
+}
\ No newline at end of file
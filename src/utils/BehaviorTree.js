@@ -0,0 +1,128 @@
+// Minimal behaviour tree used by the alien AI.
+// Trees are described as plain data and built against a table of named
+// conditions and actions, so new behaviours don't need new node classes.
+
+export const BehaviorStatus = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+};
+
+// Runs children in order until one doesn't fail
+export class Selector {
+    constructor(children) {
+        this.children = children;
+    }
+
+    tick(context) {
+        for (const child of this.children) {
+            const status = child.tick(context);
+            if (status !== BehaviorStatus.FAILURE) {
+                return status;
+            }
+        }
+        return BehaviorStatus.FAILURE;
+    }
+}
+
+// Runs children in order until one doesn't succeed
+export class Sequence {
+    constructor(children) {
+        this.children = children;
+    }
+
+    tick(context) {
+        for (const child of this.children) {
+            const status = child.tick(context);
+            if (status !== BehaviorStatus.SUCCESS) {
+                return status;
+            }
+        }
+        return BehaviorStatus.SUCCESS;
+    }
+}
+
+// Succeeds when the child fails and vice versa
+export class Inverter {
+    constructor(child) {
+        this.child = child;
+    }
+
+    tick(context) {
+        const status = this.child.tick(context);
+        if (status === BehaviorStatus.SUCCESS) return BehaviorStatus.FAILURE;
+        if (status === BehaviorStatus.FAILURE) return BehaviorStatus.SUCCESS;
+        return status;
+    }
+}
+
+// Leaf that checks something; the function returns true or false
+export class Condition {
+    constructor(name, fn) {
+        this.name = name;
+        this.fn = fn;
+    }
+
+    tick(context) {
+        return this.fn(context) ? BehaviorStatus.SUCCESS : BehaviorStatus.FAILURE;
+    }
+}
+
+// Leaf that does something; the function returns a BehaviorStatus.
+// The name of the last action that ran is left on the context so the
+// owner can tell what the tree is currently doing.
+export class Action {
+    constructor(name, fn) {
+        this.name = name;
+        this.fn = fn;
+    }
+
+    tick(context) {
+        const status = this.fn(context);
+        if (status !== BehaviorStatus.FAILURE) {
+            context.activeBehavior = this.name;
+        }
+        return status;
+    }
+}
+
+/**
+ * Build a tree from a data definition, e.g.
+ * { selector: [ { sequence: ['?isDamaged', 'retreat'] }, 'patrol' ] }
+ * Strings name an action, or a condition when prefixed with '?'.
+ * { not: '?name' } inverts a node.
+ * @param {Object|string} definition - Tree definition
+ * @param {Object} conditions - Condition functions by name
+ * @param {Object} actions - Action functions by name
+ * @returns {Object} Root node with a tick(context) method
+ */
+export function buildBehaviorTree(definition, conditions, actions) {
+    if (typeof definition === 'string') {
+        if (definition.startsWith('?')) {
+            const name = definition.slice(1);
+            if (!conditions[name]) {
+                throw new Error(`Unknown behaviour tree condition: ${name}`);
+            }
+            return new Condition(name, conditions[name]);
+        }
+
+        if (!actions[definition]) {
+            throw new Error(`Unknown behaviour tree action: ${definition}`);
+        }
+        return new Action(definition, actions[definition]);
+    }
+
+    const build = child => buildBehaviorTree(child, conditions, actions);
+
+    if (definition.selector) {
+        return new Selector(definition.selector.map(build));
+    }
+    if (definition.sequence) {
+        return new Sequence(definition.sequence.map(build));
+    }
+    if (definition.not) {
+        return new Inverter(build(definition.not));
+    }
+
+    throw new Error(`Invalid behaviour tree node: ${JSON.stringify(definition)}`);
+}
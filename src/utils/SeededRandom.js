@@ -0,0 +1,66 @@
+// Small deterministic random number generator (mulberry32)
+// The same seed always produces the same sequence, unlike Math.random()
+export class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hash(seed);
+    }
+
+    // Turn any string or number into a 32-bit integer seed (FNV-1a)
+    static hash(value) {
+        const text = String(value);
+        let hash = 2166136261;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+
+        return hash >>> 0;
+    }
+
+    // Next value in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // Random element of an array
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Random element of an array of objects with a `weight` property
+    weightedPick(items) {
+        const total = items.reduce((sum, item) => sum + item.weight, 0);
+        let roll = this.next() * total;
+
+        for (const item of items) {
+            roll -= item.weight;
+            if (roll < 0) {
+                return item;
+            }
+        }
+
+        return items[items.length - 1];
+    }
+}
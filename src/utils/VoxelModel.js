@@ -7,7 +7,8 @@ export class VoxelModel extends THREE.Group {
         this.config = Object.assign({
             design: [],
             scale: 1,
-            textured: false
+            textured: false,
+            voxelSize: 0 // Split blocks into pieces no bigger than this (0 keeps them whole)
         }, config);
         
         this.createModel();
@@ -21,8 +22,10 @@ export class VoxelModel extends THREE.Group {
         
         // Create each voxel block
         this.config.design.forEach(block => {
-            const mesh = this.createVoxel(block);
-            this.add(mesh);
+            this.splitBlock(block).forEach(piece => {
+                const mesh = this.createVoxel(piece);
+                this.add(mesh);
+            });
         });
         
         // Apply overall scale
@@ -33,6 +36,37 @@ export class VoxelModel extends THREE.Group {
         );
     }
     
+    /**
+     * Break a block into a grid of smaller blocks so it can be damaged piece by piece
+     * @param {Object} block - Block from the design
+     * @returns {Array} The pieces, each a copy of the block with its own position and size
+     */
+    splitBlock(block) {
+        const voxelSize = this.config.voxelSize;
+        if (!voxelSize || voxelSize <= 0) return [block];
+        
+        const position = block.position || [0, 0, 0];
+        const size = block.size || [1, 1, 1];
+        const counts = size.map(length => Math.max(1, Math.ceil(length / voxelSize - 0.001)));
+        const pieceSize = size.map((length, axis) => length / counts[axis]);
+        const pieces = [];
+        
+        for (let x = 0; x < counts[0]; x++) {
+            for (let y = 0; y < counts[1]; y++) {
+                for (let z = 0; z < counts[2]; z++) {
+                    const index = [x, y, z];
+                    pieces.push(Object.assign({}, block, {
+                        position: position.map((centre, axis) =>
+                            centre - size[axis] / 2 + pieceSize[axis] * (index[axis] + 0.5)),
+                        size: pieceSize
+                    }));
+                }
+            }
+        }
+        
+        return pieces;
+    }
+    
     createVoxel(block) {
         // Get block properties
         const position = block.position || [0, 0, 0];
@@ -63,6 +97,16 @@ export class VoxelModel extends THREE.Group {
         // Set position
         mesh.position.set(position[0], position[1], position[2]);
         
+        // Blocks that make up a ship subsystem (engines, weapons...) say which one
+        if (block.subsystem) {
+            mesh.userData.subsystem = block.subsystem;
+        }
+        
+        // Blocks holding the ship together (see DestructibleHull)
+        if (block.structural) {
+            mesh.userData.structural = true;
+        }
+        
         // Add some slight rotation to make it look less perfect
         if (block.randomRotation) {
             mesh.rotation.set(